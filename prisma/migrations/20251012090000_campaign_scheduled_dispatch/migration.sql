@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "Contact" ADD COLUMN     "timezone" TEXT;
+
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN     "dispatchedAt" TIMESTAMP(3),
+ADD COLUMN     "scheduleLocal" TEXT,
+ADD COLUMN     "scheduleMode" TEXT NOT NULL DEFAULT 'fixed';
+
+-- AlterTable
+ALTER TABLE "CampaignRecipient" ADD COLUMN     "sendAfter" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "CampaignRecipient_campaignId_status_sendAfter_idx" ON "CampaignRecipient"("campaignId", "status", "sendAfter");
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN     "abDecideAt" TIMESTAMP(3),
+ADD COLUMN     "abPhase" TEXT,
+ADD COLUMN     "abTestJson" JSONB,
+ADD COLUMN     "abWinner" TEXT;
+
+-- AlterTable
+ALTER TABLE "CampaignRecipient" ADD COLUMN     "variant" TEXT;
+
+-- AlterTable
+ALTER TABLE "Shortlink" ADD COLUMN     "variant" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Shortlink_campaignId_variant_idx" ON "Shortlink"("campaignId", "variant");
@@ -0,0 +1,58 @@
+-- AlterTable
+ALTER TABLE "Segment" ADD COLUMN     "contactCount" INTEGER,
+ADD COLUMN     "countedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Campaign" ADD COLUMN     "audienceSource" TEXT NOT NULL DEFAULT 'live';
+
+-- CreateTable
+CREATE TABLE "SegmentMembership" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "segmentId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "leftAt" TIMESTAMP(3),
+
+    CONSTRAINT "SegmentMembership_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SegmentSnapshot" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "shopId" TEXT NOT NULL,
+    "segmentId" TEXT NOT NULL,
+    "memberCount" INTEGER NOT NULL,
+    "joined" INTEGER NOT NULL,
+    "left" INTEGER NOT NULL,
+
+    CONSTRAINT "SegmentSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SegmentMembership_segmentId_leftAt_idx" ON "SegmentMembership"("segmentId", "leftAt");
+
+-- CreateIndex
+CREATE INDEX "SegmentMembership_segmentId_joinedAt_idx" ON "SegmentMembership"("segmentId", "joinedAt");
+
+-- CreateIndex
+CREATE INDEX "SegmentMembership_contactId_idx" ON "SegmentMembership"("contactId");
+
+-- CreateIndex
+CREATE INDEX "SegmentSnapshot_segmentId_createdAt_idx" ON "SegmentSnapshot"("segmentId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SegmentMembership" ADD CONSTRAINT "SegmentMembership_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SegmentMembership" ADD CONSTRAINT "SegmentMembership_segmentId_fkey" FOREIGN KEY ("segmentId") REFERENCES "Segment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SegmentMembership" ADD CONSTRAINT "SegmentMembership_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SegmentSnapshot" ADD CONSTRAINT "SegmentSnapshot_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SegmentSnapshot" ADD CONSTRAINT "SegmentSnapshot_segmentId_fkey" FOREIGN KEY ("segmentId") REFERENCES "Segment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
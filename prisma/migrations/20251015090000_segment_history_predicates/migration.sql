@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE "Contact" ADD COLUMN     "email_domain" TEXT,
+ADD COLUMN     "lastClickedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Shortlink" ADD COLUMN     "contactId" TEXT;
+
+-- CreateTable
+CREATE TABLE "ContactOrder" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "shopId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "placedAt" TIMESTAMP(3) NOT NULL,
+    "totalCents" INTEGER NOT NULL DEFAULT 0,
+    "productIds" JSONB NOT NULL,
+    "collectionIds" JSONB NOT NULL,
+    "recencyRank" INTEGER NOT NULL DEFAULT 1,
+
+    CONSTRAINT "ContactOrder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Contact_shopId_email_domain_idx" ON "Contact"("shopId", "email_domain");
+
+-- CreateIndex
+CREATE INDEX "Contact_shopId_lastClickedAt_idx" ON "Contact"("shopId", "lastClickedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ContactOrder_shopId_orderId_key" ON "ContactOrder"("shopId", "orderId");
+
+-- CreateIndex
+CREATE INDEX "ContactOrder_contactId_recencyRank_idx" ON "ContactOrder"("contactId", "recencyRank");
+
+-- CreateIndex
+CREATE INDEX "ContactOrder_contactId_placedAt_idx" ON "ContactOrder"("contactId", "placedAt");
+
+-- AddForeignKey
+ALTER TABLE "ContactOrder" ADD CONSTRAINT "ContactOrder_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactOrder" ADD CONSTRAINT "ContactOrder_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill email domains from the legacy plaintext column
+UPDATE "Contact" SET "email_domain" = lower(split_part("email", '@', 2)) WHERE "email" LIKE '%@%';
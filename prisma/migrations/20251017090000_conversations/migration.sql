@@ -0,0 +1,63 @@
+-- CreateTable
+CREATE TABLE "Conversation" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "lastMessageAt" TIMESTAMP(3) NOT NULL,
+    "lastMessagePreview" TEXT,
+    "lastDirection" TEXT NOT NULL,
+    "unreadCount" INTEGER NOT NULL DEFAULT 0,
+    "lastReadAt" TIMESTAMP(3),
+
+    CONSTRAINT "Conversation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ConversationMessage" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "shopId" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "direction" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "providerMessageId" TEXT,
+    "messageId" TEXT,
+    "authorId" TEXT,
+
+    CONSTRAINT "ConversationMessage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Conversation_contactId_key" ON "Conversation"("contactId");
+
+-- CreateIndex
+CREATE INDEX "Conversation_shopId_lastMessageAt_idx" ON "Conversation"("shopId", "lastMessageAt");
+
+-- CreateIndex
+CREATE INDEX "Conversation_shopId_unreadCount_idx" ON "Conversation"("shopId", "unreadCount");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConversationMessage_messageId_key" ON "ConversationMessage"("messageId");
+
+-- CreateIndex
+CREATE INDEX "ConversationMessage_conversationId_createdAt_idx" ON "ConversationMessage"("conversationId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ConversationMessage_shopId_providerMessageId_key" ON "ConversationMessage"("shopId", "providerMessageId");
+
+-- AddForeignKey
+ALTER TABLE "Conversation" ADD CONSTRAINT "Conversation_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Conversation" ADD CONSTRAINT "Conversation_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationMessage" ADD CONSTRAINT "ConversationMessage_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationMessage" ADD CONSTRAINT "ConversationMessage_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConversationMessage" ADD CONSTRAINT "ConversationMessage_messageId_fkey" FOREIGN KEY ("messageId") REFERENCES "Message"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "ConsentConfirmation" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "source" TEXT NOT NULL,
+    "optInLevel" TEXT NOT NULL DEFAULT 'CONFIRMED_OPT_IN',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "confirmedAt" TIMESTAMP(3),
+    "lastSentAt" TIMESTAMP(3),
+    "sendCount" INTEGER NOT NULL DEFAULT 0,
+    "ip" TEXT,
+    "ua" TEXT,
+
+    CONSTRAINT "ConsentConfirmation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ConsentConfirmation_shopId_status_createdAt_idx" ON "ConsentConfirmation"("shopId", "status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ConsentConfirmation_contactId_status_idx" ON "ConsentConfirmation"("contactId", "status");
+
+-- AddForeignKey
+ALTER TABLE "ConsentConfirmation" ADD CONSTRAINT "ConsentConfirmation_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ConsentConfirmation" ADD CONSTRAINT "ConsentConfirmation_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "SendDenial" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "shopId" TEXT NOT NULL,
+    "contactId" TEXT,
+    "triggerKey" TEXT,
+    "kind" TEXT,
+    "reason" TEXT NOT NULL,
+
+    CONSTRAINT "SendDenial_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SendDenial_shopId_createdAt_idx" ON "SendDenial"("shopId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "SendDenial_shopId_reason_createdAt_idx" ON "SendDenial"("shopId", "reason", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SendDenial" ADD CONSTRAINT "SendDenial_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "Automation" ADD COLUMN "steps" JSONB;
+
+-- CreateTable
+CREATE TABLE "AutomationEnrollment" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "automationId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "subjectKey" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "stepIndex" INTEGER NOT NULL DEFAULT 0,
+    "context" JSONB,
+    "exitReason" TEXT,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "AutomationEnrollment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AutomationEnrollment_automationId_contactId_subjectKey_key" ON "AutomationEnrollment"("automationId", "contactId", "subjectKey");
+
+-- CreateIndex
+CREATE INDEX "AutomationEnrollment_shopId_status_idx" ON "AutomationEnrollment"("shopId", "status");
+
+-- CreateIndex
+CREATE INDEX "AutomationEnrollment_contactId_status_idx" ON "AutomationEnrollment"("contactId", "status");
+
+-- AddForeignKey
+ALTER TABLE "AutomationEnrollment" ADD CONSTRAINT "AutomationEnrollment_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AutomationEnrollment" ADD CONSTRAINT "AutomationEnrollment_automationId_fkey" FOREIGN KEY ("automationId") REFERENCES "Automation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AutomationEnrollment" ADD CONSTRAINT "AutomationEnrollment_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "ContactOrder" ADD COLUMN "deliveredAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "ContactOrder_shopId_deliveredAt_idx" ON "ContactOrder"("shopId", "deliveredAt");
+
+-- CreateTable
+CREATE TABLE "ProductVariantPrice" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "inventoryItemId" TEXT,
+    "price" DECIMAL(10,2) NOT NULL,
+
+    CONSTRAINT "ProductVariantPrice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductVariantPrice_shopId_variantId_key" ON "ProductVariantPrice"("shopId", "variantId");
+
+-- AddForeignKey
+ALTER TABLE "ProductVariantPrice" ADD CONSTRAINT "ProductVariantPrice_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
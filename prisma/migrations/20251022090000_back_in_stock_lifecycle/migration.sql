@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "BackInStockInterest" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'active',
+ADD COLUMN "subscribedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN "expiresAt" TIMESTAMP(3),
+ADD COLUMN "canceledAt" TIMESTAMP(3);
+
+-- Backfill: keep queue order and close out interests that were already notified
+UPDATE "BackInStockInterest" SET "subscribedAt" = "createdAt";
+UPDATE "BackInStockInterest" SET "status" = 'notified' WHERE "lastNotifiedAt" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "BackInStockInterest_queue_idx" ON "BackInStockInterest"("shopId", "inventoryItemId", "status", "subscribedAt");
+
+-- CreateIndex
+CREATE INDEX "BackInStockInterest_shopId_status_expiresAt_idx" ON "BackInStockInterest"("shopId", "status", "expiresAt");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "DiscountCode" ADD COLUMN "syncStatus" TEXT NOT NULL DEFAULT 'pending',
+ADD COLUMN "syncError" TEXT,
+ADD COLUMN "syncJobId" TEXT;
+
+-- Codes that already carry a Shopify GID exist in Shopify
+UPDATE "DiscountCode" SET "syncStatus" = 'synced' WHERE "shopifyGid" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "DiscountCode_poolId_syncStatus_idx" ON "DiscountCode"("poolId", "syncStatus");
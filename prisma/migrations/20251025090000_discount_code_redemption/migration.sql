@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "DiscountCode" ADD COLUMN "orderId" TEXT;
+
+-- AlterTable
+ALTER TABLE "CampaignRecipient" ADD COLUMN "redeemedAt" TIMESTAMP(3),
+ADD COLUMN "redeemedOrderId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "DiscountCode_shopId_code_idx" ON "DiscountCode"("shopId", "code");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "ShortlinkClick" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "slug" TEXT NOT NULL,
+    "shopId" TEXT,
+    "campaignId" TEXT,
+    "contactId" TEXT,
+    "ipHash" TEXT,
+    "uaClass" TEXT NOT NULL,
+    "isBot" BOOLEAN NOT NULL DEFAULT false,
+    "botReason" TEXT,
+
+    CONSTRAINT "ShortlinkClick_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ShortlinkClick_shopId_campaignId_createdAt_idx" ON "ShortlinkClick"("shopId", "campaignId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ShortlinkClick_slug_createdAt_idx" ON "ShortlinkClick"("slug", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ShortlinkClick" ADD CONSTRAINT "ShortlinkClick_slug_fkey" FOREIGN KEY ("slug") REFERENCES "Shortlink"("slug") ON DELETE CASCADE ON UPDATE CASCADE;
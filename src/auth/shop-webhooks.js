@@ -12,6 +12,7 @@ const TOPICS = [
   'CUSTOMERS_CREATE',
   'CUSTOMERS_UPDATE',
   'INVENTORY_LEVELS_UPDATE',
+  'PRODUCTS_UPDATE',
   'CUSTOMERS_MARKETING_CONSENT_UPDATE',
   'APP_UNINSTALLED',
   // Sprint A: GDPR mandatory
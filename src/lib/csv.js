@@ -0,0 +1,93 @@
+// src/lib/csv.js
+// Minimal RFC 4180 CSV reader/writer for contact import and export
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Pick the delimiter used by the header line. Spreadsheets in many EU locales
+ * save with ';' because ',' is the decimal separator.
+ */
+function detectDelimiter(text) {
+  const end = text.search(/\r?\n/);
+  const header = (end === -1 ? text : text.slice(0, end)).replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  for (const d of DELIMITERS) {
+    const count = header.split(d).length - 1;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse CSV text into records (arrays of strings). Handles quoted fields with
+ * embedded delimiters, newlines and doubled quotes, CRLF line endings and a UTF-8 BOM.
+ * Blank lines are dropped.
+ * @param {string} text - CSV content
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter, detected from the header when omitted
+ * @returns {string[][]} Records
+ */
+export function parseCsv(text, { delimiter } = {}) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(input);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else quoted = false;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === sep) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || record.length > 0) endRecord();
+  return records;
+}
+
+// Cells starting with these are evaluated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC = /^[+-]?[\d\s().-]+$/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  let cell = value instanceof Date ? value.toISOString() : String(value);
+  // Neutralize formula injection; phone numbers like +30691... stay intact
+  if (FORMULA_PREFIX.test(cell) && !NUMERIC.test(cell)) cell = `'${cell}`;
+  return /[",\r\n;\t]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Serialize one CSV line (with trailing CRLF)
+ * @param {Array} values - Cell values; Dates become ISO strings, null/undefined empty
+ * @returns {string} CSV line
+ */
+export function toCsvLine(values) {
+  return `${values.map(escapeCell).join(',')}\r\n`;
+}
@@ -3,6 +3,7 @@
 
 import crypto from 'node:crypto';
 import { logger } from './logger.js';
+import { emailDomain } from './normalization.js';
 
 const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY;
 const HASH_PEPPER = process.env.HASH_PEPPER;
@@ -121,6 +122,7 @@ export function encryptPII(phoneE164, email = null) {
   if (email) {
     result.email_hash = hashDeterministic(email);
     result.email_ciphertext = encrypt(email);
+    result.email_domain = emailDomain(email);
   }
 
   return result;
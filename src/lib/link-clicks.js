@@ -0,0 +1,60 @@
+// src/lib/link-clicks.js
+// Classify shortlink fetches: device class and link-preview / scanner bots
+
+// Link previews and scanners that fetch a URL when a message arrives, before anyone taps it.
+// iMessage previews announce themselves as "facebookexternalhit/1.1 Facebot Twitterbot/1.0".
+const BOT_SIGNATURES = [
+  ['imessage_preview', /facebookexternalhit.*facebot.*twitterbot/i],
+  ['whatsapp_preview', /whatsapp/i],
+  ['telegram_preview', /telegrambot/i],
+  ['facebook_preview', /facebookexternalhit|facebot|meta-externalagent/i],
+  ['slack_preview', /slackbot|slack-imgproxy/i],
+  ['discord_preview', /discordbot/i],
+  ['skype_preview', /skypeuripreview/i],
+  ['twitter_preview', /twitterbot/i],
+  ['linkedin_preview', /linkedinbot/i],
+  ['google_preview', /google-pagerenderer|googleother|feedfetcher-google/i],
+  ['headless_browser', /headlesschrome|phantomjs|puppeteer|playwright/i],
+  [
+    'http_client',
+    /^(curl|wget|python-requests|python-urllib|go-http-client|java|okhttp|axios|node-fetch)\b/i,
+  ],
+  ['crawler', /[a-z]bot\/|\bbot\b|crawler|spider|scanner|preview|fetcher|monitor|urlscan/i],
+];
+
+/**
+ * Per-recipient links fetched this soon after they were created are taken to be
+ * carrier and security scanners checking the SMS on delivery; a person cannot
+ * receive, open and tap that fast. 0 turns the check off.
+ */
+export const SCANNER_WINDOW_MS = parseInt(process.env.SHORTLINK_SCANNER_WINDOW_MS || '5000');
+
+function deviceClass(userAgent) {
+  if (/ipad|tablet|kindle|silk|playbook/i.test(userAgent)) return 'tablet';
+  if (/android/i.test(userAgent) && !/mobile/i.test(userAgent)) return 'tablet';
+  if (/iphone|ipod|android|mobile|windows phone|blackberry/i.test(userAgent)) return 'mobile';
+  if (/windows nt|macintosh|mac os x|x11|linux|cros/i.test(userAgent)) return 'desktop';
+  return 'unknown';
+}
+
+/**
+ * Classify one shortlink fetch.
+ * @param {Object} params
+ * @param {string} [params.userAgent]
+ * @param {string} [params.method] - HEAD requests only ever come from scanners
+ * @param {number|null} [params.ageMs] - Time since a per-recipient link was created
+ * @returns {{ uaClass: string, isBot: boolean, botReason: string|null }}
+ */
+export function classifyClick({ userAgent = '', method = 'GET', ageMs = null } = {}) {
+  const ua = String(userAgent || '').trim();
+  const bot = (botReason) => ({ uaClass: 'bot', isBot: true, botReason });
+
+  if (!ua) return bot('no_user_agent');
+  const match = BOT_SIGNATURES.find(([, pattern]) => pattern.test(ua));
+  if (match) return bot(match[0]);
+  if (String(method).toUpperCase() === 'HEAD') return bot('head_request');
+  if (ageMs !== null && SCANNER_WINDOW_MS > 0 && ageMs < SCANNER_WINDOW_MS) {
+    return bot('delivery_scan');
+  }
+  return { uaClass: deviceClass(ua), isBot: false, botReason: null };
+}
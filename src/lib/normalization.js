@@ -59,6 +59,16 @@ export function normalizeEmail(email) {
   return trimmed;
 }
 
+/**
+ * Domain part of an email address, for segment filters
+ * @param {string} email - Email address
+ * @returns {string|null} - Lowercased domain or null
+ */
+export function emailDomain(email) {
+  const normalized = normalizeEmail(email);
+  return normalized ? normalized.slice(normalized.lastIndexOf('@') + 1) : null;
+}
+
 /**
  * Validate E.164 phone number format
  * @param {string} phoneE164 - E.164 phone number
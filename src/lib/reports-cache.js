@@ -17,6 +17,9 @@ const CACHE_CONFIG = {
   messaging: { ttl: 900 }, // 15 minutes
   attribution: { ttl: 1800 }, // 30 minutes
   segments: { ttl: 3600 }, // 1 hour
+  consent: { ttl: 300 }, // 5 minutes
+  denials: { ttl: 300 }, // 5 minutes
+  backInStock: { ttl: 600 }, // 10 minutes
 };
 
 /**
@@ -32,7 +32,7 @@ class ShopifyClient {
     });
     
     // Update rate limit based on actual cost from response headers
-    this.updateRateLimit('graphql', response.headers['x-shopify-api-call-limit']);
+    this.updateRateLimit('graphql', response.headers.get('x-shopify-api-call-limit'));
     
     return response.data;
   }
@@ -120,11 +120,19 @@ class ShopifyClient {
   async updateUsage(key, cost, ttl) {
     // Implementation would update Redis or in-memory store
   }
+
+  updateRateLimit(type, callLimit) {
+    // Only REST responses carry the call-limit header; GraphQL reports cost in extensions
+    if (callLimit) {
+      logger.debug({ shopDomain: this.shopDomain, type, callLimit }, 'Shopify API call limit');
+    }
+  }
   // @cursor:end(rate-limit-check)
 
   // @cursor:start(make-request)
   async makeRequest(path, options = {}) {
-    const url = `https://${this.shopDomain}${path}`;
+    // SHOPIFY_ADMIN_URL points every shop at a local Admin API stand-in (tests, checks)
+    const url = `${process.env.SHOPIFY_ADMIN_URL || `https://${this.shopDomain}`}${path}`;
     
     const response = await fetch(url, {
       headers: {
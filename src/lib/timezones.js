@@ -0,0 +1,162 @@
+// src/lib/timezones.js
+// IANA timezone helpers: wall-clock ↔ UTC conversion and phone-prefix timezone inference
+
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+
+/**
+ * Representative timezone per ISO country. For countries spanning several zones
+ * we pick the most populous one; a contact's own timezone always takes precedence.
+ */
+const COUNTRY_TIMEZONES = {
+  AE: 'Asia/Dubai',
+  AR: 'America/Argentina/Buenos_Aires',
+  AT: 'Europe/Vienna',
+  AU: 'Australia/Sydney',
+  BE: 'Europe/Brussels',
+  BG: 'Europe/Sofia',
+  BR: 'America/Sao_Paulo',
+  CA: 'America/Toronto',
+  CH: 'Europe/Zurich',
+  CL: 'America/Santiago',
+  CN: 'Asia/Shanghai',
+  CO: 'America/Bogota',
+  CY: 'Asia/Nicosia',
+  CZ: 'Europe/Prague',
+  DE: 'Europe/Berlin',
+  DK: 'Europe/Copenhagen',
+  EE: 'Europe/Tallinn',
+  EG: 'Africa/Cairo',
+  ES: 'Europe/Madrid',
+  FI: 'Europe/Helsinki',
+  FR: 'Europe/Paris',
+  GB: 'Europe/London',
+  GG: 'Europe/Guernsey',
+  GR: 'Europe/Athens',
+  HK: 'Asia/Hong_Kong',
+  HR: 'Europe/Zagreb',
+  HU: 'Europe/Budapest',
+  ID: 'Asia/Jakarta',
+  IE: 'Europe/Dublin',
+  IL: 'Asia/Jerusalem',
+  IM: 'Europe/Isle_of_Man',
+  IN: 'Asia/Kolkata',
+  IT: 'Europe/Rome',
+  JE: 'Europe/Jersey',
+  JP: 'Asia/Tokyo',
+  KR: 'Asia/Seoul',
+  LT: 'Europe/Vilnius',
+  LU: 'Europe/Luxembourg',
+  LV: 'Europe/Riga',
+  MT: 'Europe/Malta',
+  MX: 'America/Mexico_City',
+  MY: 'Asia/Kuala_Lumpur',
+  NG: 'Africa/Lagos',
+  NL: 'Europe/Amsterdam',
+  NO: 'Europe/Oslo',
+  NZ: 'Pacific/Auckland',
+  PH: 'Asia/Manila',
+  PL: 'Europe/Warsaw',
+  PT: 'Europe/Lisbon',
+  RO: 'Europe/Bucharest',
+  RS: 'Europe/Belgrade',
+  RU: 'Europe/Moscow',
+  SA: 'Asia/Riyadh',
+  SE: 'Europe/Stockholm',
+  SG: 'Asia/Singapore',
+  SI: 'Europe/Ljubljana',
+  SK: 'Europe/Bratislava',
+  TH: 'Asia/Bangkok',
+  TR: 'Europe/Istanbul',
+  UA: 'Europe/Kyiv',
+  US: 'America/New_York',
+  ZA: 'Africa/Johannesburg',
+};
+
+/** The furthest-ahead UTC offset in use (Pacific/Kiritimati, UTC+14) */
+export const MAX_UTC_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+const LOCAL_RE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+export function isValidTimezone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a wall-clock string "YYYY-MM-DDTHH:mm[:ss]" (no offset).
+ * Returns the components as if they were UTC (ms since epoch), or null if malformed.
+ */
+export function parseLocalDateTime(local) {
+  const m = LOCAL_RE.exec(String(local || '').trim());
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m.map(Number);
+  const ms = Date.UTC(y, mo - 1, d, h, mi, s || 0);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Offset (ms) of a timezone from UTC at a given instant. Positive east of Greenwich.
+ */
+export function tzOffsetMs(date, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  const asUtc = Date.UTC(
+    get('year'),
+    get('month') - 1,
+    get('day'),
+    get('hour'),
+    get('minute'),
+    get('second'),
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to the UTC instant it denotes.
+ * Times skipped by a DST jump resolve to the same wall time after the jump.
+ * @param {string} local - "YYYY-MM-DDTHH:mm" wall-clock time
+ * @param {string} tz - IANA timezone
+ * @returns {Date|null} UTC instant, or null if `local` is malformed
+ */
+export function zonedTimeToUtc(local, tz) {
+  const wall = parseLocalDateTime(local);
+  if (wall === null) return null;
+  const zone = isValidTimezone(tz) ? tz : 'UTC';
+  // Two passes settle the offset on either side of a DST transition
+  let ts = wall - tzOffsetMs(new Date(wall), zone);
+  ts = wall - tzOffsetMs(new Date(ts), zone);
+  return new Date(ts);
+}
+
+/**
+ * Best-effort timezone for an E.164 number from its country calling code.
+ * @param {string} phoneE164 - E.164 phone number
+ * @returns {string|null} IANA timezone or null when the country is unknown
+ */
+export function timezoneForPhone(phoneE164) {
+  if (!phoneE164) return null;
+  const pn = parsePhoneNumberFromString(String(phoneE164));
+  return (pn?.country && COUNTRY_TIMEZONES[pn.country]) || null;
+}
+
+/**
+ * Timezone to use for a contact: explicit contact timezone, then phone prefix, then fallback.
+ */
+export function contactTimezone(contact, fallback = 'UTC') {
+  if (isValidTimezone(contact?.timezone)) return contact.timezone;
+  return timezoneForPhone(contact?.phoneE164) || fallback;
+}
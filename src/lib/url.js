@@ -3,7 +3,8 @@
 
 export function parseUtmFromUrl(url) {
   try {
-    const u = new URL(url);
+    // Shopify's landing_site is usually a path ("/?utm_campaign=…"), so resolve against a base
+    const u = new URL(url, 'https://placeholder.invalid');
     const get = (k) => u.searchParams.get(k) || undefined;
     return {
       utm_source: get('utm_source'),
@@ -81,6 +81,30 @@ const piiCoverage = new client.Gauge({
   labelNames: ['data_type'],
 });
 
+const smsCircuitState = new client.Gauge({
+  name: 'sms_provider_circuit_state',
+  help: 'SMS provider circuit breaker state (0 closed, 1 half-open, 2 open)',
+  labelNames: ['provider'],
+});
+
+const smsCircuitTransitions = new client.Counter({
+  name: 'sms_provider_circuit_transitions_total',
+  help: 'Total number of SMS provider circuit breaker state changes',
+  labelNames: ['provider', 'state'],
+});
+
+const smsRateLimitWaits = new client.Counter({
+  name: 'sms_rate_limit_waits_total',
+  help: 'Total number of sends that waited for a provider throughput token',
+  labelNames: ['provider'],
+});
+
+const smsRateLimitWaitSeconds = new client.Counter({
+  name: 'sms_rate_limit_wait_seconds_total',
+  help: 'Total time sends spent waiting for a provider throughput token',
+  labelNames: ['provider'],
+});
+
 // Register custom metrics
 register.registerMetric(smsSendAttempts);
 register.registerMetric(smsDeliverySuccess);
@@ -93,6 +117,12 @@ register.registerMetric(cacheHits);
 register.registerMetric(cacheMisses);
 register.registerMetric(activeConnections);
 register.registerMetric(piiCoverage);
+register.registerMetric(smsCircuitState);
+register.registerMetric(smsCircuitTransitions);
+register.registerMetric(smsRateLimitWaits);
+register.registerMetric(smsRateLimitWaitSeconds);
+
+const CIRCUIT_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
 
 // Helper functions for metrics
 export const metrics = {
@@ -106,6 +136,14 @@ export const metrics = {
     recordDeliveryFailure: (provider, errorType) => {
       smsDeliveryFailure.inc({ provider, error_type: errorType });
     },
+    recordCircuitState: (provider, state) => {
+      smsCircuitState.set({ provider }, CIRCUIT_STATE_VALUES[state] ?? 0);
+      smsCircuitTransitions.inc({ provider, state });
+    },
+    recordRateLimitWait: (provider, waitMs) => {
+      smsRateLimitWaits.inc({ provider });
+      smsRateLimitWaitSeconds.inc({ provider }, waitMs / 1000);
+    },
   },
 
   webhooks: {
@@ -36,6 +36,7 @@ export function jwtVerifyMiddleware(req, res, next) {
       req.auth = {
         shop_domain: decoded.shop_domain,
         sub: decoded.sub,
+        scopes: Array.isArray(decoded.scopes) ? decoded.scopes : [],
         iat: decoded.iat,
         exp: decoded.exp,
       };
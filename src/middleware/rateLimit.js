@@ -12,7 +12,8 @@ const DEFAULT_LIMITS = {
 
 /**
  * Rate limiting middleware using Redis token bucket
- * @param {object} options - Rate limiting options
+ * @param {object} options - Rate limiting options: requests, window (seconds), burst and an
+ *   optional keyGenerator(req) for buckets other than per IP
  * @returns {function} - Express middleware function
  */
 export function rateLimitMiddleware(options = {}) {
@@ -26,9 +27,11 @@ export function rateLimitMiddleware(options = {}) {
         return next();
       }
 
-      // Determine rate limit key based on request type
+      // Determine rate limit key based on request type, unless the caller supplies one
       let key;
-      if (req.path.startsWith('/api/admin/')) {
+      if (options.keyGenerator) {
+        key = `rate_limit:${options.keyGenerator(req)}`;
+      } else if (req.path.startsWith('/api/admin/')) {
         key = `rate_limit:admin:${req.shop?.id || req.ip}`;
       } else if (req.path.startsWith('/public/') || req.path.startsWith('/proxy/')) {
         key = `rate_limit:public:${req.ip}`;
@@ -0,0 +1,160 @@
+// src/providers/circuit-breaker.js
+// Per-provider circuit breaker, shared by all workers through Redis (in-process without it)
+
+import { logger } from '../lib/logger.js';
+import { metrics } from '../metrics/index.js';
+import { getRedisConnection } from '../queue/driver.js';
+
+// Consecutive transient errors that open a provider's circuit
+const THRESHOLD = parseInt(process.env.SMS_CIRCUIT_THRESHOLD || '3');
+// How long an open circuit rejects sends before a single trial send is let through
+const OPEN_MS = parseInt(process.env.SMS_CIRCUIT_OPEN_MS || '60000');
+
+const CLOSED = { state: 'closed', failures: 0, openedAt: 0 };
+
+// provider -> { state, failures, openedAt, trialUntil }; used without Redis
+const local = new Map();
+
+function circuitKey(name) {
+  return `sms:circuit:${name}`;
+}
+
+function trialKey(name) {
+  return `sms:circuit:${name}:trial`;
+}
+
+/**
+ * Current breaker state of a provider.
+ * @param {string} name - Provider name
+ * @returns {Promise<{ state: 'closed'|'open'|'half_open', failures: number, openedAt: number }>}
+ */
+export async function circuitState(name) {
+  const redis = getRedisConnection();
+  if (!redis) return { ...CLOSED, ...local.get(name) };
+  const row = await redis.hgetall(circuitKey(name));
+  return {
+    state: row.state || 'closed',
+    failures: Number(row.failures || 0),
+    openedAt: Number(row.openedAt || 0),
+  };
+}
+
+async function trialInFlight(name, now) {
+  const redis = getRedisConnection();
+  if (!redis) return (local.get(name)?.trialUntil || 0) > now;
+  return (await redis.exists(trialKey(name))) === 1;
+}
+
+async function setState(name, state, fields = {}) {
+  const redis = getRedisConnection();
+  if (redis) {
+    await redis.hset(circuitKey(name), { state, ...fields });
+  } else {
+    local.set(name, { ...CLOSED, ...local.get(name), state, ...fields });
+  }
+  metrics.sms.recordCircuitState(name, state);
+}
+
+/**
+ * When an open circuit lets sends through again.
+ * @returns {Promise<Date|null>} null for a closed circuit
+ */
+export async function circuitRetryAt(name) {
+  const { state, openedAt } = await circuitState(name);
+  return state === 'closed' ? null : new Date(openedAt + OPEN_MS);
+}
+
+/**
+ * Whether sends to the provider are currently refused: the circuit is open and
+ * the open period has not passed, or a trial send is already in flight.
+ */
+export async function isCircuitOpen(name, now = Date.now()) {
+  const { state, openedAt } = await circuitState(name);
+  if (state === 'closed') return false;
+  if (state === 'open' && now < openedAt + OPEN_MS) return true;
+  return trialInFlight(name, now);
+}
+
+/**
+ * Ask to send through a provider. Once the open period has passed exactly one
+ * caller (across workers) gets the trial send; its outcome closes or re-opens
+ * the circuit.
+ * @returns {Promise<boolean>}
+ */
+export async function allowRequest(name, now = Date.now()) {
+  const { state, openedAt } = await circuitState(name);
+  if (state === 'closed') return true;
+  if (state === 'open' && now < openedAt + OPEN_MS) return false;
+
+  const redis = getRedisConnection();
+  if (redis) {
+    const acquired = await redis.set(trialKey(name), '1', 'PX', OPEN_MS, 'NX');
+    if (acquired !== 'OK') return false;
+  } else {
+    if ((local.get(name)?.trialUntil || 0) > now) return false;
+    local.set(name, { ...CLOSED, ...local.get(name), trialUntil: now + OPEN_MS });
+  }
+  await setState(name, 'half_open');
+  logger.info({ provider: name }, 'SMS provider circuit half-open, sending trial message');
+  return true;
+}
+
+/**
+ * A send succeeded: close the circuit.
+ */
+export async function recordSuccess(name) {
+  const { state, failures } = await circuitState(name);
+  if (state === 'closed' && failures === 0) return;
+
+  const redis = getRedisConnection();
+  if (redis) await redis.del(trialKey(name));
+  else local.delete(name);
+  await setState(name, 'closed', { failures: 0, openedAt: 0 });
+  if (state !== 'closed') logger.info({ provider: name }, 'SMS provider circuit closed');
+}
+
+/**
+ * A send failed with a transient error. The circuit opens after THRESHOLD in a
+ * row, or straight away when the trial send fails. Queues keep running: other
+ * shops may send through healthy providers, and senders check
+ * shopSendBlockedUntil before sending for a shop.
+ * @returns {Promise<boolean>} Whether the circuit is open now
+ */
+export async function recordFailure(name, now = Date.now()) {
+  const redis = getRedisConnection();
+  let failures;
+  if (redis) {
+    failures = await redis.hincrby(circuitKey(name), 'failures', 1);
+  } else {
+    const current = { ...CLOSED, ...local.get(name) };
+    failures = current.failures + 1;
+    local.set(name, { ...current, failures });
+  }
+
+  const { state } = await circuitState(name);
+  if (state === 'open') return true;
+  if (state !== 'half_open' && failures < THRESHOLD) return false;
+
+  if (redis) await redis.del(trialKey(name));
+  else local.set(name, { ...local.get(name), trialUntil: 0 });
+  await setState(name, 'open', { openedAt: now });
+  logger.warn({ provider: name, failures, openMs: OPEN_MS }, 'SMS provider circuit opened');
+  return true;
+}
+
+/**
+ * Error thrown for sends refused by an open circuit. Transient, so callers
+ * that retry will try again later.
+ */
+export function circuitOpenError(name) {
+  const err = new Error(`SMS provider ${name} circuit open`);
+  err.code = 'circuit_open';
+  err.isTransient = true;
+  err.provider = name;
+  return err;
+}
+
+/** Test helper: forget in-process breaker state */
+export function resetCircuits() {
+  local.clear();
+}
@@ -0,0 +1,146 @@
+// src/providers/index.js
+// SMS provider registry, per-shop provider selection, failover and throughput limits
+
+import { logger } from '../lib/logger.js';
+import { mittoProvider } from './mitto.js';
+import { twilioProvider } from './twilio.js';
+import {
+  allowRequest,
+  circuitOpenError,
+  circuitRetryAt,
+  isCircuitOpen,
+  recordFailure,
+  recordSuccess,
+} from './circuit-breaker.js';
+import { acquireSendToken } from './rate-limiter.js';
+
+/**
+ * Every provider adapter implements:
+ * @typedef {Object} SmsProvider
+ * @property {string} name
+ * @property {(params: { to: string, text: string, from?: string, meta?: Object,
+ *   callbackUrl?: string, requestId?: string }) => Promise<{ providerMsgId: string,
+ *   status: string }>} send - Throws errors classified by `classifyError`
+ * @property {(body: Object) => ({ providerMsgId: string, status: string, rawStatus: string,
+ *   errorCode: string|null, errorMessage: string|null, at: string|null }|null)} parseDlr
+ * @property {(body: Object) => { from: string, to: string, text: string,
+ *   providerMessageId: string|null }} parseInbound
+ * @property {(error: Error) => Error} classifyError - Sets `isTransient` on the error
+ */
+
+const providers = {
+  [mittoProvider.name]: mittoProvider,
+  [twilioProvider.name]: twilioProvider,
+};
+
+export const PROVIDER_NAMES = Object.keys(providers);
+export const DEFAULT_PROVIDER = 'mitto';
+
+function providerError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Look up a provider adapter by name.
+ * @param {string} name
+ * @returns {SmsProvider}
+ */
+export function getProvider(name) {
+  const provider = providers[name];
+  if (!provider) throw providerError(`Unknown SMS provider: ${name}`);
+  return provider;
+}
+
+/**
+ * Primary and secondary provider for a shop, from `settingsJson.sms`. Shops
+ * without a choice use SMS_PROVIDER, then Mitto.
+ * @param {Object|null} shop
+ * @returns {{ primary: string, secondary: string|null }}
+ */
+export function shopProviders(shop) {
+  const sms = shop?.settingsJson?.sms || {};
+  const fallback = providers[process.env.SMS_PROVIDER]
+    ? process.env.SMS_PROVIDER
+    : DEFAULT_PROVIDER;
+  const primary = providers[sms.provider] ? sms.provider : fallback;
+  const secondary =
+    providers[sms.secondaryProvider] && sms.secondaryProvider !== primary
+      ? sms.secondaryProvider
+      : null;
+  return { primary, secondary };
+}
+
+/**
+ * Whether none of the shop's providers can take a message right now (all circuits
+ * open). Bulk senders check this to stop instead of failing every recipient.
+ * @returns {Promise<Date|null>} When to try again, or null when sending is possible
+ */
+export async function shopSendBlockedUntil(shop) {
+  const { primary, secondary } = shopProviders(shop);
+  let until = null;
+  for (const name of [primary, secondary].filter(Boolean)) {
+    if (!(await isCircuitOpen(name))) return null;
+    const retryAt = await circuitRetryAt(name);
+    if (!until || retryAt < until) until = retryAt;
+  }
+  return until;
+}
+
+/**
+ * Send through the shop's provider. Each provider has a circuit breaker shared
+ * by all workers: after SMS_CIRCUIT_THRESHOLD transient errors in a row it opens,
+ * and the failing send and later traffic go to the shop's secondary provider until
+ * a trial send succeeds. Every send first takes a token from the provider account's
+ * throughput limiter.
+ * @param {Object} params
+ * @param {Object|null} params.shop - Shop row (settingsJson.sms selects providers)
+ * @param {string|Function} [params.from] - Sender, or async (providerName) => sender, so a
+ *   failed-over message goes out from the secondary account's own sender
+ * @param {string|Function} [params.callbackUrl] - DLR URL, or (providerName) => URL
+ * @returns {Promise<{ provider: string, from: string|null, providerMsgId: string,
+ *   status: string }>}
+ */
+export async function sendSms({ shop, to, text, from, meta, callbackUrl, requestId }) {
+  const { primary, secondary } = shopProviders(shop);
+  let lastError = null;
+
+  for (const name of [primary, secondary].filter(Boolean)) {
+    if (!(await allowRequest(name))) {
+      lastError = circuitOpenError(name);
+      continue;
+    }
+    const provider = getProvider(name);
+    const sender = (typeof from === 'function' ? await from(name) : from) || undefined;
+    await acquireSendToken(name);
+    try {
+      const result = await provider.send({
+        to,
+        text,
+        from: sender,
+        meta,
+        callbackUrl: typeof callbackUrl === 'function' ? callbackUrl(name) : callbackUrl,
+        requestId,
+      });
+      await recordSuccess(name);
+      return { provider: name, from: sender || null, ...result };
+    } catch (error) {
+      provider.classifyError(error);
+      error.provider = name;
+      // A permanent error (bad number, blocked content) still means the provider is up
+      if (!error.isTransient) {
+        await recordSuccess(name);
+        throw error;
+      }
+      const open = await recordFailure(name);
+      if (!open || !secondary || name === secondary) throw error;
+      logger.warn(
+        { shopId: shop?.id, provider: name, secondary, error: error.message },
+        'Retrying SMS on secondary provider',
+      );
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
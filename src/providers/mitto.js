@@ -2,6 +2,7 @@
 // Mitto SMS provider client with retries, backoff, and error classification
 
 import { logger } from '../lib/logger.js';
+import { isCircuitOpen } from './circuit-breaker.js';
 
 // Type definitions removed for JavaScript compatibility
 
@@ -26,7 +27,7 @@ class MittoClient {
    * Send SMS via Mitto API
    */
   async sendSms(params) {
-    const { to, text, meta, callback_url } = params;
+    const { to, text, from, meta, callback_url } = params;
 
     logger.info(
       {
@@ -42,6 +43,7 @@ class MittoClient {
     const payload = {
       to,
       text,
+      ...(from && { from }),
       ...(meta && { meta }),
       ...(callback_url && { callback_url }),
     };
@@ -70,7 +72,12 @@ class MittoClient {
     } catch (error) {
       const mittoError = this.classifyError(error);
 
-      if (mittoError.isTransient && attempt < this.config.maxRetries) {
+      // No point retrying into an outage: once the circuit is open the breaker decides
+      if (
+        mittoError.isTransient &&
+        attempt < this.config.maxRetries &&
+        !(await isCircuitOpen('mitto'))
+      ) {
         const delay = this.config.retryDelays[attempt - 1] || 2000;
 
         logger.warn(
@@ -309,4 +316,51 @@ export function mapErrorToStatus(error) {
   return 'failed'; // Default to failed
 }
 
+const DLR_STATUS = { delivered: 'delivered', failed: 'failed', undelivered: 'failed' };
+
+/**
+ * Mitto adapter for the provider registry (see providers/index.js)
+ */
+export const mittoProvider = {
+  name: 'mitto',
+
+  async send({ to, text, from, meta, callbackUrl, requestId }) {
+    const { provider_msg_id, status } = await sendSms({
+      to,
+      text,
+      from,
+      meta,
+      callback_url: callbackUrl,
+      requestId,
+    });
+    return { providerMsgId: provider_msg_id, status };
+  },
+
+  parseDlr(body) {
+    if (!body?.message_id) return null;
+    return {
+      providerMsgId: body.message_id,
+      status: DLR_STATUS[body.status] || body.status || null,
+      rawStatus: body.status || null,
+      errorCode: body.error_code || null,
+      errorMessage: body.error_message || null,
+      at: body.delivered_at || body.failed_at || null,
+    };
+  },
+
+  parseInbound(body) {
+    return {
+      from: String(body?.from || body?.msisdn || '').trim(),
+      to: String(body?.to || '').trim(),
+      text: String(body?.text || body?.message || '').trim(),
+      providerMessageId: body?.id || body?.messageId || null,
+    };
+  },
+
+  classifyError(error) {
+    // executeWithRetry has already classified errors coming out of send()
+    return error.isTransient === undefined ? MittoClient.prototype.classifyError(error) : error;
+  },
+};
+
 export { MittoClient };
@@ -0,0 +1,88 @@
+// src/providers/rate-limiter.js
+// Outbound throughput limiter: one token bucket per provider account, shared through Redis
+
+import { metrics } from '../metrics/index.js';
+import { getRedisConnection } from '../queue/driver.js';
+
+// Refill the bucket from elapsed time and take one token; returns ms to wait, 0 when granted
+const TAKE_TOKEN = `
+local rate = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or burst
+local ts = tonumber(state[2]) or now
+tokens = math.min(burst, tokens + math.max(0, now - ts) * rate / 1000)
+local wait = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+else
+  wait = math.ceil((1 - tokens) * 1000 / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(burst * 1000 / rate) + 1000)
+return wait
+`;
+
+// provider -> { tokens, ts }; used without Redis
+const local = new Map();
+
+/**
+ * Messages per second and burst for a provider: SMS_RATE_<PROVIDER>_PER_SEC,
+ * then SMS_RATE_PER_SEC (default 10). The burst defaults to one second's worth.
+ */
+export function providerRate(name) {
+  const upper = name.toUpperCase();
+  const rate = Number(
+    process.env[`SMS_RATE_${upper}_PER_SEC`] || process.env.SMS_RATE_PER_SEC || '10',
+  );
+  const burst = Number(
+    process.env[`SMS_RATE_${upper}_BURST`] || process.env.SMS_RATE_BURST || rate,
+  );
+  return { rate, burst };
+}
+
+function takeLocalToken(name, { rate, burst }, now) {
+  const bucket = local.get(name) || { tokens: burst, ts: now };
+  bucket.tokens = Math.min(burst, bucket.tokens + (Math.max(0, now - bucket.ts) * rate) / 1000);
+  bucket.ts = now;
+  let wait = 0;
+  if (bucket.tokens >= 1) bucket.tokens -= 1;
+  else wait = Math.ceil(((1 - bucket.tokens) * 1000) / rate);
+  local.set(name, bucket);
+  return wait;
+}
+
+/**
+ * Try to take one send token for a provider account.
+ * @returns {Promise<number>} Milliseconds to wait before trying again; 0 when granted
+ */
+export async function takeSendToken(name, now = Date.now()) {
+  const limits = providerRate(name);
+  if (!(limits.rate > 0)) return 0;
+  const redis = getRedisConnection();
+  if (!redis) return takeLocalToken(name, limits, now);
+  return Number(await redis.eval(TAKE_TOKEN, 1, `sms:tokens:${name}`, limits.rate, limits.burst));
+}
+
+/**
+ * Wait until the provider account has throughput for one more message.
+ * Waits are reported on /metrics.
+ */
+export async function acquireSendToken(name) {
+  let waited = 0;
+  for (;;) {
+    const wait = await takeSendToken(name);
+    if (wait <= 0) break;
+    waited += wait;
+    await new Promise((r) => setTimeout(r, wait));
+  }
+  if (waited > 0) metrics.sms.recordRateLimitWait(name, waited);
+  return waited;
+}
+
+/** Test helper: forget in-process buckets */
+export function resetSendTokens() {
+  local.clear();
+}
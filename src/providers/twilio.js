@@ -0,0 +1,182 @@
+// src/providers/twilio.js
+// Twilio-compatible SMS provider client (Messages API, form-encoded, basic auth)
+
+import crypto from 'crypto';
+import { logger } from '../lib/logger.js';
+
+// Twilio error codes that clear up on their own (queue overflow, rate limits)
+const TRANSIENT_CODES = new Set([20429, 30001, 30022]);
+
+class TwilioClient {
+  constructor(config) {
+    this.config = {
+      apiUrl: 'https://api.twilio.com/2010-04-01',
+      timeout: 10000,
+      ...config,
+    };
+  }
+
+  /**
+   * Send SMS via the Messages resource. `from` overrides the configured
+   * sender; without either the messaging service picks one.
+   */
+  async sendSms({ to, text, from, callbackUrl }) {
+    const form = new globalThis.URLSearchParams({ To: to, Body: text });
+    const sender = from || this.config.fromNumber;
+    if (sender) form.set('From', sender);
+    else if (this.config.messagingServiceSid) {
+      form.set('MessagingServiceSid', this.config.messagingServiceSid);
+    }
+    if (callbackUrl) form.set('StatusCallback', callbackUrl);
+
+    logger.info({ to, textLength: text.length, callbackUrl }, 'Sending SMS via Twilio');
+
+    const controller = new globalThis.AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+    try {
+      const auth = Buffer.from(`${this.config.accountSid}:${this.config.authToken}`).toString(
+        'base64',
+      );
+      const response = await fetch(
+        `${this.config.apiUrl}/Accounts/${this.config.accountSid}/Messages.json`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Authorization: `Basic ${auth}`,
+          },
+          body: form.toString(),
+          signal: controller.signal,
+        },
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}: ${data.message || 'Unknown error'}`);
+        error.statusCode = response.status;
+        error.providerCode = data.code ?? null;
+        throw error;
+      }
+      return { provider_msg_id: data.sid, status: data.status || 'queued' };
+    } catch (error) {
+      throw this.classifyError(error);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Classify errors as transient or permanent
+   */
+  classifyError(error) {
+    if (error.isTransient !== undefined) return error;
+
+    if (error.name === 'AbortError' || error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
+      error.isTransient = true;
+    } else if (TRANSIENT_CODES.has(error.providerCode)) {
+      error.isTransient = true;
+    } else if (error.statusCode) {
+      // 5xx and 429 are transient; other 4xx (bad number, unsubscribed recipient) are not
+      error.isTransient = error.statusCode >= 500 || error.statusCode === 429;
+    } else {
+      // Network failures without a response
+      error.isTransient = true;
+    }
+    return error;
+  }
+
+  /**
+   * Verify X-Twilio-Signature: base64 HMAC-SHA1 of the full callback URL followed
+   * by the POST parameters sorted by name, keyed with the auth token.
+   */
+  verifySignature({ url, params, signature }) {
+    if (!signature) return false;
+    const data = Object.keys(params || {})
+      .sort()
+      .reduce((acc, key) => acc + key + params[key], url);
+    const expected = crypto
+      .createHmac('sha1', this.config.authToken)
+      .update(Buffer.from(data, 'utf-8'))
+      .digest('base64');
+    const a = Buffer.from(signature);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+// Singleton instance
+let twilioClient = null;
+
+/**
+ * Get or create Twilio client instance
+ */
+export function getTwilioClient() {
+  if (!twilioClient) {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (!accountSid || !authToken) {
+      throw new Error(
+        'TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN environment variables are required',
+      );
+    }
+
+    twilioClient = new TwilioClient({
+      accountSid,
+      authToken,
+      ...(process.env.TWILIO_API_URL ? { apiUrl: process.env.TWILIO_API_URL } : {}),
+      fromNumber: process.env.TWILIO_FROM_NUMBER || null,
+      messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID || null,
+      timeout: parseInt(process.env.TWILIO_TIMEOUT || '10000'),
+    });
+  }
+
+  return twilioClient;
+}
+
+const DLR_STATUS = { delivered: 'delivered', failed: 'failed', undelivered: 'failed' };
+
+/**
+ * Twilio adapter for the provider registry (see providers/index.js)
+ */
+export const twilioProvider = {
+  name: 'twilio',
+
+  async send({ to, text, from, callbackUrl }) {
+    const { provider_msg_id, status } = await getTwilioClient().sendSms({
+      to,
+      text,
+      from,
+      callbackUrl,
+    });
+    return { providerMsgId: provider_msg_id, status };
+  },
+
+  parseDlr(body) {
+    const providerMsgId = body?.MessageSid || body?.SmsSid;
+    if (!providerMsgId) return null;
+    const rawStatus = body.MessageStatus || body.SmsStatus || null;
+    return {
+      providerMsgId,
+      status: DLR_STATUS[rawStatus] || rawStatus,
+      rawStatus,
+      errorCode: body.ErrorCode || null,
+      errorMessage: body.ErrorMessage || null,
+      at: null,
+    };
+  },
+
+  parseInbound(body) {
+    return {
+      from: String(body?.From || '').trim(),
+      to: String(body?.To || '').trim(),
+      text: String(body?.Body || '').trim(),
+      providerMessageId: body?.MessageSid || body?.SmsSid || null,
+    };
+  },
+
+  classifyError(error) {
+    return TwilioClient.prototype.classifyError(error);
+  },
+};
+
+export { TwilioClient };
@@ -7,6 +7,7 @@ import { verifyAppProxySignature as _verifyAppProxySignature } from '../lib/appP
 import { toE164Loose } from '../lib/phone.js';
 import { ensureCustomerIdByPhone, updateSmsConsent } from '../services/consent.js';
 import { upsertContactByPhone, findShopByDomain } from '../services/contacts.js';
+import { requestOptInConfirmation } from '../services/double-opt-in.js';
 
 export const router = express.Router();
 
@@ -52,7 +53,28 @@ router.post('/', async (req, res) => {
       emailIfCreate: email,
     });
 
-    // 2) Try to push consent to Shopify; if blocked due to PCD, mark pending
+    // 2) Double opt-in: nothing is recorded or pushed until the contact replies YES
+    if (optInLevel === 'CONFIRMED_OPT_IN') {
+      const confirmation = await requestOptInConfirmation({
+        shop,
+        phoneE164,
+        email,
+        customerId,
+        source: 'storefront_proxy',
+        reqMeta: { ip: req.ip, ua: req.get('user-agent') },
+      });
+      return res.status(confirmation.status === 'pending' ? 202 : 200).json({
+        ok: true,
+        phoneE164,
+        linkedToCustomer: !!customerId,
+        confirmation: {
+          status: confirmation.status,
+          expiresAt: confirmation.expiresAt || null,
+        },
+      });
+    }
+
+    // 3) Try to push consent to Shopify; if blocked due to PCD, mark pending
     let shopifyResult = null;
     let shopifyPushPending = false;
 
@@ -79,7 +101,7 @@ router.post('/', async (req, res) => {
       shopifyPushPending = true;
     }
 
-    // 3) Local DB upsert — treat as opted-in in our system either way
+    // 4) Local DB upsert — treat as opted-in in our system either way
     await upsertContactByPhone({
       shopId: shop.id,
       phoneE164,
@@ -6,6 +6,7 @@ import { processOrderCreated } from '../queue/processors/event.orders.create.js'
 import { processCheckoutsUpdate } from '../queue/processors/event.checkouts.update.js';
 import { processFulfillmentsUpdate } from '../queue/processors/event.fulfillments.update.js';
 import { processInventoryLevelsUpdate } from '../queue/processors/event.inventory_levels.update.js';
+import { processProductsUpdate } from '../queue/processors/event.products.update.js';
 import {
   processGdprDataRequest,
   processGdprCustomerRedact,
@@ -23,6 +24,7 @@ export async function dispatchEvent({ topic, shopDomain, shopId, payload }) {
     return processFulfillmentsUpdate({ shopDomain, shopId, payload });
   if (t === 'inventory_levels/update')
     return processInventoryLevelsUpdate({ shopDomain, shopId, payload });
+  if (t === 'products/update') return processProductsUpdate({ shopDomain, shopId, payload });
   if (t === 'customers/data_request')
     return processGdprDataRequest({ shopDomain, shopId, payload });
   if (t === 'customers/redact') return processGdprCustomerRedact({ shopDomain, shopId, payload });
@@ -3,6 +3,7 @@ import { renderTemplate } from '../../services/templates.js';
 import { sendSMS } from '../../services/mitto.js';
 import { createLinkBuilder } from '../../services/link-builder.js';
 import { logger } from '../../lib/logger.js';
+import { executeFlowStepJob } from '../../services/automation-flows.js';
 
 const prisma = getPrismaClient();
 
@@ -409,3 +410,24 @@ export async function processOrderCreatedAutomation(job) {
     throw error;
   }
 }
+
+/**
+ * Process one step job of a multi-step automation flow (scheduler Job row)
+ */
+export async function processAutomationFlowStep(job) {
+  const { enrollmentId, stepIndex } = job.payload || {};
+  try {
+    const outcome = await executeFlowStepJob(job);
+    logger.info(
+      { jobId: job.id, enrollmentId, stepIndex, ...outcome },
+      'Automation flow step processed',
+    );
+    return outcome;
+  } catch (error) {
+    logger.error(
+      { error: error.message, jobId: job.id, enrollmentId, stepIndex },
+      'Failed to process automation flow step',
+    );
+    throw error;
+  }
+}
@@ -2,15 +2,18 @@
 // Campaign batching processor
 
 import { logger } from '../../lib/logger.js';
-import { enqueueJob } from '../queues.js';
 import { getPrismaClient } from '../../db/prismaClient.js';
+import { sendCampaignBatched } from '../../services/campaigns-sender.js';
+import { decideCampaignWinner } from '../../services/campaign-ab.js';
 
 const prisma = getPrismaClient();
 
 /**
- * Process campaign batching
+ * Process campaign batching.
+ * Sends to the campaign's pending CampaignRecipient rows; the same job is
+ * enqueued again on resume and continues from whatever is still pending.
  * @param {Object} job - BullMQ job
- * @returns {Promise<void>}
+ * @returns {Promise<Object|undefined>} Send counters
  */
 export async function processCampaignBatch(job) {
   const { data } = job;
@@ -28,13 +31,9 @@ export async function processCampaignBatch(job) {
   );
 
   try {
-    // Get campaign details
-    const campaign = await prisma.campaign.findUnique({
-      where: { id: campaignId },
-      include: {
-        segment: true,
-        template: true,
-      },
+    const campaign = await prisma.campaign.findFirst({
+      where: { id: campaignId, shopId },
+      include: { shop: true },
     });
 
     if (!campaign) {
@@ -42,45 +41,27 @@ export async function processCampaignBatch(job) {
       return;
     }
 
-    if (!campaign.isActive) {
-      logger.warn({ campaignId, shopId }, 'Campaign is not active, skipping batch');
+    if (campaign.status !== 'sending') {
+      logger.warn(
+        { campaignId, shopId, status: campaign.status },
+        'Campaign is not sending, skipping batch',
+      );
       return;
     }
 
-    // Get audience from segment
-    const audience = await getCampaignAudience(campaign.segment, shopId, batchSize);
-
-    if (audience.length === 0) {
-      logger.info({ campaignId, shopId }, 'No audience found for campaign batch');
-      return;
-    }
-
-    // Enqueue delivery jobs for each recipient
-    for (const contact of audience) {
-      await enqueueJob('delivery', 'send', {
-        campaignId,
-        shopId,
-        contactId: contact.id,
-        template: campaign.template,
-        recipient: contact.phoneE164,
-        context: {
-          customer_name: contact.firstName || 'Customer',
-          customer_email: contact.email,
-          shop_name: campaign.shop?.name || shopId,
-        },
-        requestId,
-      });
-    }
+    const result = await sendCampaignBatched({ shop: campaign.shop, campaign });
 
     logger.info(
       {
         campaignId,
         shopId,
-        audienceCount: audience.length,
+        ...result,
         requestId,
       },
       'Campaign batch processed',
     );
+
+    return result;
   } catch (error) {
     logger.error(
       {
@@ -97,56 +78,26 @@ export async function processCampaignBatch(job) {
 }
 
 /**
- * Get campaign audience from segment
- * @param {Object} segment - Segment configuration
- * @param {string} shopId - Shop ID
- * @param {number} limit - Batch size limit
- * @returns {Promise<Array>} Audience contacts
+ * Close an A/B test window: pick the winner and release held recipients.
+ * Enqueued by the sender with a delay of windowMinutes once the test slice is sent.
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<Object>} Decision result
  */
-async function getCampaignAudience(segment, shopId, limit) {
-  try {
-    // Build audience query based on segment criteria
-    const whereClause = {
-      shopId,
-      optedOut: false, // Only opted-in contacts
-    };
+export async function processCampaignAbDecision(job) {
+  const { campaignId, shopId, requestId } = job.data;
 
-    // Add segment filters
-    if (segment.criteria) {
-      const criteria = JSON.parse(segment.criteria);
-
-      if (criteria.hasPhone) {
-        whereClause.phoneE164 = { not: null };
-      }
-
-      if (criteria.hasEmail) {
-        whereClause.email = { not: null };
-      }
-
-      if (criteria.tags && criteria.tags.length > 0) {
-        whereClause.tags = { hasSome: criteria.tags };
-      }
-
-      if (criteria.lastOrderDate) {
-        whereClause.lastOrderAt = {
-          gte: new Date(criteria.lastOrderDate),
-        };
-      }
-    }
-
-    // Get audience with pagination
-    const audience = await prisma.contact.findMany({
-      where: whereClause,
-      take: limit,
-      orderBy: { createdAt: 'desc' },
-    });
-
-    return audience;
+  try {
+    const result = await decideCampaignWinner({ shopId, campaignId });
+    logger.info(
+      { campaignId, shopId, decided: result.decided, winner: result.winner, requestId },
+      'A/B decision processed',
+    );
+    return result;
   } catch (error) {
     logger.error(
-      { error: error.message, segmentId: segment.id, shopId },
-      'Failed to get campaign audience',
+      { error: error.message, jobId: job.id, campaignId, shopId, requestId },
+      'Failed to decide A/B winner',
     );
-    return [];
+    throw error;
   }
 }
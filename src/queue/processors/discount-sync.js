@@ -0,0 +1,43 @@
+// src/queue/processors/discount-sync.js
+// Pool code processors: background generation and the push of pool codes to Shopify
+
+import { logger } from '../../lib/logger.js';
+import {
+  syncPoolCodes,
+  enqueuePoolSync,
+  POOL_SYNC_POLL_MS,
+} from '../../services/discount-pool-sync.js';
+import { generatePoolCodes } from '../../services/discount-code-generator.js';
+
+/**
+ * Run one sync for a pool and come back later while Shopify is still
+ * creating codes or pending codes remain.
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<Object>} Sync counters
+ */
+export async function processPoolSync(job) {
+  const { shopId, poolId, requestId } = job.data;
+
+  logger.info({ jobId: job.id, shopId, poolId, requestId }, 'Processing pool code sync');
+
+  const result = await syncPoolCodes({ poolId });
+  if (result.pending > 0 || result.inFlight > 0) {
+    await enqueuePoolSync({ shopId, poolId, delay: POOL_SYNC_POLL_MS });
+  }
+  return result;
+}
+
+/**
+ * Generate a large batch of pool codes, then queue their Shopify sync.
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<{ generated: number }>}
+ */
+export async function processPoolGenerate(job) {
+  const { shopId, poolId, discountId, quantity, options, requestId } = job.data;
+
+  logger.info({ jobId: job.id, shopId, poolId, quantity, requestId }, 'Generating pool codes');
+
+  const { generated } = await generatePoolCodes({ shopId, poolId, discountId, quantity, options });
+  if (generated > 0) await enqueuePoolSync({ shopId, poolId });
+  return { generated };
+}
@@ -3,11 +3,20 @@
 
 import { getPrismaClient } from '../../db/prismaClient.js';
 import { renderGateQueueAndSend } from '../../services/messages.js';
+import { markOrderDelivered } from '../../services/contacts-denormalize.js';
 
 const prisma = getPrismaClient();
 
 export async function processFulfillmentsUpdate({ shopDomain: _shopDomain, shopId, payload }) {
   const orderGid = payload?.order_id || payload?.order?.id || payload?.order?.admin_graphql_api_id;
+  // Delivery starts the post-purchase review countdown
+  if (payload?.shipment_status === 'delivered') {
+    await markOrderDelivered({
+      shopId,
+      orderId: orderGid,
+      deliveredAt: new Date(payload?.updated_at || Date.now()),
+    });
+  }
   const customerId = payload?.order?.customer?.id || payload?.order?.customer_id || null;
   if (!customerId) return;
   const contact = await prisma.contact.findFirst({
@@ -4,11 +4,17 @@
 import { getPrismaClient } from '../../db/prismaClient.js';
 import { renderGateQueueAndSend } from '../../services/messages.js';
 import { cancelAbandonedCheckoutJobs } from '../../services/scheduler.js';
+import { exitFlowsOnOrder } from '../../services/automation-flows.js';
+import { redeemOrderDiscountCodes } from '../../services/discount-redemption.js';
 
 const prisma = getPrismaClient();
 
 export async function processOrderCreated({ shopDomain: _shopDomain, shopId, payload }) {
   const orderId = payload?.id || payload?.admin_graphql_api_id || null;
+
+  // Unique pool codes are used up whoever placed the order (guests, opted-out contacts)
+  await redeemOrderDiscountCodes({ shopId, payload });
+
   const customerId = payload?.customer?.id || payload?.customer_id || null;
   if (!customerId) return;
   const contact = await prisma.contact.findFirst({
@@ -17,6 +23,9 @@ export async function processOrderCreated({ shopDomain: _shopDomain, shopId, pay
   if (!contact) return;
   const shop = await prisma.shop.findUnique({ where: { id: shopId } });
 
+  // The order ends any cart-recovery series the contact is in
+  await exitFlowsOnOrder({ shopId, contactId: contact.id });
+
   // Cancel any pending abandoned job for this checkout (if Shopify provides link)
   const checkoutId = payload?.checkout_id || payload?.checkoutId || null;
   if (checkoutId) {
@@ -4,7 +4,11 @@
 import { getPrismaClient } from '../../db/prismaClient.js';
 import { renderGateQueueAndSend } from '../../services/messages.js';
 import { cancelAbandonedCheckoutJobs } from '../../services/scheduler.js';
-import { updateContactConversion } from '../../services/contacts-denormalize.js';
+import {
+  recordContactOrder,
+  updateContactConversion,
+} from '../../services/contacts-denormalize.js';
+import { redeemOrderDiscountCodes } from '../../services/discount-redemption.js';
 
 const prisma = getPrismaClient();
 
@@ -12,11 +16,16 @@ const prisma = getPrismaClient();
  * Orders paid → thank-you SMS.
  * PCD-safe: we never request protected data here; we rely on our local Contact.
  * Strategy:
+ *  - mark unique pool discount codes on the order used (no contact needed).
  *  - identify Contact by (shopId, customerId) if webhook payload provides it (GraphQL gid or numeric id).
  *  - if not found, exit silently (we don't try to read phone from payload).
  */
-export async function processOrderPaid({ shopDomain: _shopDomain, shopId, payload }) {
+export async function processOrderPaid({ shopDomain, shopId, payload }) {
   const orderId = payload?.id || payload?.admin_graphql_api_id || null;
+
+  // Idempotent with orders/create: codes already marked used are skipped
+  await redeemOrderDiscountCodes({ shopId, payload });
+
   const customerId = payload?.customer?.id || payload?.customer_id || null;
   if (!customerId) return;
   const contact = await prisma.contact.findFirst({
@@ -34,6 +43,12 @@ export async function processOrderPaid({ shopDomain: _shopDomain, shopId, payloa
   // Update conversion tracking
   const orderSubtotalCents = Math.round((payload?.subtotal_price || 0) * 100);
   await updateContactConversion(contact.id, orderSubtotalCents);
+  await recordContactOrder({
+    shopId,
+    shopDomain: shopDomain || shop?.domain,
+    contactId: contact.id,
+    payload,
+  });
 
   await renderGateQueueAndSend({
     shop,
@@ -0,0 +1,14 @@
+// src/queue/processors/event.products.update.js
+// Product update processor: tracks variant prices for price-drop notifications
+
+import { getPrismaClient } from '../../db/prismaClient.js';
+import { processProductPriceChanges } from '../../services/price-drop.js';
+
+const prisma = getPrismaClient();
+
+export async function processProductsUpdate({ shopDomain: _shopDomain, shopId, payload }) {
+  if (!Array.isArray(payload?.variants) || payload.variants.length === 0) return;
+  const shop = await prisma.shop.findUnique({ where: { id: shopId } });
+  if (!shop) return;
+  await processProductPriceChanges({ shop, payload });
+}
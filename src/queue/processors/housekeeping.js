@@ -3,6 +3,7 @@
 
 import { logger } from '../../lib/logger.js';
 import { getPrismaClient } from '../../db/prismaClient.js';
+import { expireDiscountReservations } from '../../services/discount-redemption.js';
 
 const prisma = getPrismaClient();
 
@@ -43,6 +44,10 @@ export async function processHousekeeping(job) {
         await cleanupEvents(shopId);
         break;
 
+      case 'expire_discount_reservations':
+        await expireDiscountReservations({ shopId: shopId || null });
+        break;
+
       default:
         logger.warn({ task }, 'Unknown housekeeping task');
     }
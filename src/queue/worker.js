@@ -4,10 +4,11 @@
 import { createWorker, checkRedisHealth } from './queues.js';
 import { processEvent } from './processors/events.js';
 import { evaluateAutomation } from './processors/automations.js';
-import { processCampaignBatch } from './processors/campaigns.js';
+import { processCampaignBatch, processCampaignAbDecision } from './processors/campaigns.js';
 import { processDelivery } from './processors/delivery.js';
 import { processHousekeeping } from './processors/housekeeping.js';
 import { processDiscountReservation, processDiscountCodeAssignment, processDiscountCodeRelease } from './processors/discount-reservation.js';
+import { processPoolGenerate, processPoolSync } from './processors/discount-sync.js';
 import { logger } from '../lib/logger.js';
 
 // Initialize workers
@@ -49,6 +50,10 @@ export async function startWorkers() {
 
     // Campaigns queue worker
     const campaignsWorker = createWorker('campaigns', async (job) => {
+      if (job.name === 'ab-decide') {
+        await processCampaignAbDecision(job);
+        return;
+      }
       await processCampaignBatch(job);
     });
     workers.push(campaignsWorker);
@@ -85,6 +90,20 @@ export async function startWorkers() {
     });
     workers.push(discountReservationWorker);
 
+    // Discount pool sync queue worker (one run per pool at a time keeps chunk order)
+    const discountSyncWorker = createWorker(
+      'discount-sync',
+      async (job) => {
+        if (job.name === 'pool-generate') {
+          await processPoolGenerate(job);
+          return;
+        }
+        await processPoolSync(job);
+      },
+      { concurrency: 1 },
+    );
+    workers.push(discountSyncWorker);
+
     logger.info({ workerCount: workers.length }, 'All workers started successfully');
   } catch (error) {
     logger.error({ error }, 'Failed to start workers');
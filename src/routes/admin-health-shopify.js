@@ -101,7 +101,7 @@ async function checkWebhookHealth(shopDomain) {
       'CHECKOUTS_CREATE', 'CHECKOUTS_UPDATE',
       'CUSTOMERS_CREATE', 'CUSTOMERS_UPDATE',
       'CUSTOMERS_MARKETING_CONSENT_UPDATE',
-      'INVENTORY_LEVELS_UPDATE',
+      'INVENTORY_LEVELS_UPDATE', 'PRODUCTS_UPDATE',
       'CUSTOMERS_DATA_REQUEST', 'CUSTOMERS_REDACT', 'SHOP_REDACT',
       'APP_UNINSTALLED'
     ];
@@ -7,12 +7,52 @@ import addFormats from 'ajv-formats';
 import { getPrismaClient } from '../db/prismaClient.js';
 import { defaultSettings, defaultAutomationRules } from '../services/rules.js';
 import { templateDefaults } from '../services/templates.js';
+import {
+  BRANCH_CONDITIONS,
+  FLOW_TRIGGERS,
+  STEP_TYPES,
+  getFlowEnrollmentStats,
+  listFlows,
+  saveFlow,
+} from '../services/automation-flows.js';
+import { CODE_STRATEGIES } from '../services/discount-assignment.js';
 
 const prisma = getPrismaClient();
 const router = Router();
 const ajv = new Ajv({ allErrors: true, removeAdditional: true });
 addFormats(ajv);
 
+// Gate rules shared by the newer triggers
+const rulesSchema = {
+  type: 'object',
+  properties: {
+    quietHours: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        start: { type: 'integer', minimum: 0, maximum: 23 },
+        end: { type: 'integer', minimum: 0, maximum: 23 },
+        zone: { type: 'string', nullable: true },
+        policy: { type: 'string', enum: ['drop', 'defer'] },
+      },
+      required: ['enabled', 'start', 'end'],
+      additionalProperties: false,
+    },
+    frequencyCap: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        per: { type: 'string', enum: ['hour', 'day', 'week'] },
+        max: { type: 'integer', minimum: 1 },
+      },
+      required: ['enabled', 'per', 'max'],
+      additionalProperties: false,
+    },
+    dedupeWindowMin: { type: 'integer', minimum: 0 },
+  },
+  additionalProperties: false,
+};
+
 const schema = {
   type: 'object',
   properties: {
@@ -31,6 +71,7 @@ const schema = {
                 start: { type: 'integer', minimum: 0, maximum: 23 },
                 end: { type: 'integer', minimum: 0, maximum: 23 },
                 zone: { type: 'string', nullable: true },
+                policy: { type: 'string', enum: ['drop', 'defer'] },
               },
               required: ['enabled', 'start', 'end'],
               additionalProperties: false,
@@ -68,6 +109,7 @@ const schema = {
                 start: { type: 'integer', minimum: 0, maximum: 23 },
                 end: { type: 'integer', minimum: 0, maximum: 23 },
                 zone: { type: 'string', nullable: true },
+                policy: { type: 'string', enum: ['drop', 'defer'] },
               },
               required: ['enabled', 'start', 'end'],
               additionalProperties: false,
@@ -104,6 +146,7 @@ const schema = {
                 start: { type: 'integer', minimum: 0, maximum: 23 },
                 end: { type: 'integer', minimum: 0, maximum: 23 },
                 zone: { type: 'string', nullable: true },
+                policy: { type: 'string', enum: ['drop', 'defer'] },
               },
               required: ['enabled', 'start', 'end'],
               additionalProperties: false,
@@ -140,6 +183,7 @@ const schema = {
                 start: { type: 'integer', minimum: 0, maximum: 23 },
                 end: { type: 'integer', minimum: 0, maximum: 23 },
                 zone: { type: 'string', nullable: true },
+                policy: { type: 'string', enum: ['drop', 'defer'] },
               },
               required: ['enabled', 'start', 'end'],
               additionalProperties: false,
@@ -166,6 +210,9 @@ const schema = {
       properties: {
         enabled: { type: 'boolean', default: true },
         template: { type: 'string', nullable: true },
+        interestTtlDays: { type: 'integer', minimum: 1, maximum: 365, nullable: true },
+        batchRatio: { type: 'number', exclusiveMinimum: 0, maximum: 100 },
+        batchIntervalMinutes: { type: 'integer', minimum: 0, maximum: 1440 },
         rules: {
           type: 'object',
           properties: {
@@ -176,6 +223,7 @@ const schema = {
                 start: { type: 'integer', minimum: 0, maximum: 23 },
                 end: { type: 'integer', minimum: 0, maximum: 23 },
                 zone: { type: 'string', nullable: true },
+                policy: { type: 'string', enum: ['drop', 'defer'] },
               },
               required: ['enabled', 'start', 'end'],
               additionalProperties: false,
@@ -197,11 +245,97 @@ const schema = {
       },
       additionalProperties: false,
     },
+    winBack: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        days: { type: 'integer', minimum: 7, maximum: 730 },
+        template: { type: 'string', nullable: true },
+        rules: rulesSchema,
+      },
+      additionalProperties: false,
+    },
+    birthday: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        template: { type: 'string', nullable: true },
+        rules: rulesSchema,
+      },
+      additionalProperties: false,
+    },
+    postPurchaseReview: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        days: { type: 'integer', minimum: 0, maximum: 90 },
+        reviewUrl: { type: 'string', format: 'uri', nullable: true },
+        template: { type: 'string', nullable: true },
+        rules: rulesSchema,
+      },
+      additionalProperties: false,
+    },
+    priceDrop: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        minPercent: { type: 'integer', minimum: 1, maximum: 99 },
+        template: { type: 'string', nullable: true },
+        rules: rulesSchema,
+      },
+      additionalProperties: false,
+    },
   },
   additionalProperties: false,
 };
 const validate = ajv.compile(schema);
 
+// Multi-step flows; step semantics (branch targets, required fields) are checked by the service
+const branchTarget = {
+  anyOf: [
+    { type: 'integer', minimum: 0 },
+    { type: 'string', enum: ['exit'] },
+  ],
+};
+const validateFlow = ajv.compile({
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 120 },
+    trigger: { type: 'string', enum: FLOW_TRIGGERS },
+    enabled: { type: 'boolean' },
+    discountConfig: {
+      type: ['object', 'null'],
+      properties: {
+        discountId: { type: 'string', minLength: 1 },
+        codeStrategy: { type: 'string', enum: CODE_STRATEGIES },
+        redirectPath: { type: 'string', pattern: '^/', maxLength: 255 },
+      },
+      required: ['discountId'],
+      additionalProperties: false,
+    },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: STEP_TYPES },
+          template: { type: 'string', maxLength: 1600 },
+          hours: { type: 'number', exclusiveMinimum: 0 },
+          condition: { type: 'string', enum: BRANCH_CONDITIONS },
+          tag: { type: 'string', minLength: 1, maxLength: 64 },
+          then: branchTarget,
+          else: branchTarget,
+        },
+        required: ['type'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['name', 'trigger', 'steps'],
+  additionalProperties: false,
+});
+
 function mergeAutomations(s) {
   // Sprint B: expand structure and attach rules
   const base = {
@@ -229,8 +363,35 @@ function mergeAutomations(s) {
     backInStock: {
       enabled: true,
       template: 'Είναι πάλι διαθέσιμο! 🛒 {{ product.title }} — {{ product.url }}',
+      interestTtlDays: defaultAutomationRules().back_in_stock.interestTtlDays,
+      batchRatio: defaultAutomationRules().back_in_stock.batchRatio,
+      batchIntervalMinutes: defaultAutomationRules().back_in_stock.batchIntervalMinutes,
       rules: defaultAutomationRules().back_in_stock.rules,
     },
+    winBack: {
+      enabled: false,
+      days: defaultAutomationRules().win_back.days,
+      template: templateDefaults['win_back'],
+      rules: defaultAutomationRules().win_back.rules,
+    },
+    birthday: {
+      enabled: false,
+      template: templateDefaults['birthday'],
+      rules: defaultAutomationRules().birthday.rules,
+    },
+    postPurchaseReview: {
+      enabled: false,
+      days: defaultAutomationRules().post_purchase_review.days,
+      reviewUrl: null,
+      template: templateDefaults['post_purchase_review'],
+      rules: defaultAutomationRules().post_purchase_review.rules,
+    },
+    priceDrop: {
+      enabled: false,
+      minPercent: defaultAutomationRules().price_drop.minPercent,
+      template: templateDefaults['price_drop'],
+      rules: defaultAutomationRules().price_drop.rules,
+    },
   };
   const a = (s && s.automations) || {};
   return {
@@ -239,6 +400,10 @@ function mergeAutomations(s) {
     fulfillmentUpdate: { ...base.fulfillmentUpdate, ...(a.fulfillmentUpdate || {}) },
     welcome: { ...base.welcome, ...(a.welcome || {}) },
     backInStock: { ...base.backInStock, ...(a.backInStock || {}) },
+    winBack: { ...base.winBack, ...(a.winBack || {}) },
+    birthday: { ...base.birthday, ...(a.birthday || {}) },
+    postPurchaseReview: { ...base.postPurchaseReview, ...(a.postPurchaseReview || {}) },
+    priceDrop: { ...base.priceDrop, ...(a.priceDrop || {}) },
   };
 }
 
@@ -275,4 +440,47 @@ router.put('/', async (req, res) => {
   res.json({ ok: true, shop: domain, automations: settings.automations });
 });
 
+// Multi-step flows (e.g. a 3-message cart recovery series)
+router.get('/flows', async (req, res) => {
+  const domain = resolveShop(req);
+  if (!domain) return res.status(400).json({ error: 'missing_shop' });
+  const shop = await prisma.shop.findUnique({ where: { domain } });
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const flows = await listFlows({ shopId: shop.id });
+  res.json({ ok: true, flows });
+});
+
+async function handleSaveFlow(req, res, flowId = null) {
+  const domain = resolveShop(req);
+  if (!domain) return res.status(400).json({ error: 'missing_shop' });
+  const shop = await prisma.shop.findUnique({ where: { domain } });
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const body = typeof req.body === 'object' && req.body ? req.body : {};
+  if (!validateFlow(body))
+    return res.status(422).json({ error: 'invalid_payload', details: validateFlow.errors });
+
+  try {
+    const flow = await saveFlow({ shopId: shop.id, flowId, input: body });
+    res.status(flowId ? 200 : 201).json({ ok: true, flow });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'flow_error', details: err.message });
+  }
+}
+
+router.post('/flows', (req, res) => handleSaveFlow(req, res));
+router.put('/flows/:id', (req, res) => handleSaveFlow(req, res, req.params.id));
+
+// Enrollment counts by status and exit reason
+router.get('/flows/:id/enrollments', async (req, res) => {
+  const domain = resolveShop(req);
+  if (!domain) return res.status(400).json({ error: 'missing_shop' });
+  const shop = await prisma.shop.findUnique({ where: { domain } });
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const stats = await getFlowEnrollmentStats({ shopId: shop.id, automationId: req.params.id });
+  res.json({ ok: true, flowId: req.params.id, enrollments: stats });
+});
+
 export default router;
@@ -9,6 +9,13 @@ import {
   createCampaign,
   getCampaign,
   listCampaigns,
+  updateCampaign,
+  deleteCampaign,
+  cloneCampaign,
+  cancelCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  scheduleCampaign,
   snapshotCampaignAudience,
   estimateCampaign,
   testSendCampaign,
@@ -18,6 +25,7 @@ import {
   setCampaignUtm,
   getCampaignApplyUrl,
 } from '../services/campaigns-service.js';
+import { decideCampaignWinner } from '../services/campaign-ab.js';
 
 const prisma = getPrismaClient();
 const router = Router();
@@ -40,17 +48,20 @@ router.post('/', async (req, res) => {
   if (!shop) return res.status(400).json({ error: 'unknown_shop' });
 
   try {
-    const { discount, ...campaignData } = req.body;
+    const { discount, abTest, ...campaignData } = req.body;
     
     // Create campaign with discount configuration
     const result = await createCampaign({
       shopId: shop.id,
       ...campaignData,
       discountConfig: discount || null,
+      abTestJson: abTest || null,
     });
     res.json(result);
   } catch (err) {
-    return res.status(500).json({ error: 'create_campaign_error', details: err.message });
+    return res
+      .status(err.status || 500)
+      .json({ error: 'create_campaign_error', details: err.message });
   }
 });
 
@@ -98,6 +109,139 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Update campaign (draft/scheduled only). PUT and PATCH both apply the given fields.
+async function handleUpdate(req, res) {
+  const shopDomain = resolveShop(req);
+  if (!shopDomain) return res.status(400).json({ error: 'missing_shop' });
+
+  const shop = await prisma.shop.findUnique({
+    where: { domain: shopDomain },
+  });
+  if (!shop) return res.status(400).json({ error: 'unknown_shop' });
+
+  const body = typeof req.body === 'object' && req.body ? req.body : {};
+
+  try {
+    const { discount, abTest, ...updates } = body;
+    if (discount !== undefined) updates.discountConfig = discount;
+    if (abTest !== undefined) updates.abTestJson = abTest;
+
+    const result = await updateCampaign({
+      shopId: shop.id,
+      campaignId: req.params.id,
+      updates,
+    });
+    res.json(result);
+  } catch (err) {
+    return res
+      .status(err.status || 500)
+      .json({ error: 'update_campaign_error', details: err.message });
+  }
+}
+router.put('/:id', handleUpdate);
+router.patch('/:id', handleUpdate);
+
+// Delete campaign (draft only)
+router.delete('/:id', async (req, res) => {
+  const shopDomain = resolveShop(req);
+  if (!shopDomain) return res.status(400).json({ error: 'missing_shop' });
+
+  const shop = await prisma.shop.findUnique({
+    where: { domain: shopDomain },
+  });
+  if (!shop) return res.status(400).json({ error: 'unknown_shop' });
+
+  try {
+    const result = await deleteCampaign({
+      shopId: shop.id,
+      campaignId: req.params.id,
+    });
+    res.json(result);
+  } catch (err) {
+    return res
+      .status(err.status || 500)
+      .json({ error: 'delete_campaign_error', details: err.message });
+  }
+});
+
+// Clone campaign into a new draft
+router.post('/:id/clone', async (req, res) => {
+  const shopDomain = resolveShop(req);
+  if (!shopDomain) return res.status(400).json({ error: 'missing_shop' });
+
+  const shop = await prisma.shop.findUnique({
+    where: { domain: shopDomain },
+  });
+  if (!shop) return res.status(400).json({ error: 'unknown_shop' });
+
+  try {
+    const result = await cloneCampaign({
+      shopId: shop.id,
+      campaignId: req.params.id,
+      name: req.body?.name,
+    });
+    res.json(result);
+  } catch (err) {
+    return res
+      .status(err.status || 500)
+      .json({ error: 'clone_campaign_error', details: err.message });
+  }
+});
+
+// Lifecycle actions: cancel, pause, resume
+const lifecycleActions = {
+  cancel: cancelCampaign,
+  pause: pauseCampaign,
+  resume: resumeCampaign,
+};
+for (const [action, handler] of Object.entries(lifecycleActions)) {
+  router.post(`/:id/${action}`, async (req, res) => {
+    const shopDomain = resolveShop(req);
+    if (!shopDomain) return res.status(400).json({ error: 'missing_shop' });
+
+    const shop = await prisma.shop.findUnique({
+      where: { domain: shopDomain },
+    });
+    if (!shop) return res.status(400).json({ error: 'unknown_shop' });
+
+    try {
+      const result = await handler({
+        shopId: shop.id,
+        campaignId: req.params.id,
+      });
+      res.json(result);
+    } catch (err) {
+      return res
+        .status(err.status || 500)
+        .json({ error: `${action}_campaign_error`, details: err.message });
+    }
+  });
+}
+
+// Pick the A/B winner now instead of waiting for the window: { variant? } forces a winner
+router.post('/:id/ab/decide', async (req, res) => {
+  const shopDomain = resolveShop(req);
+  if (!shopDomain) return res.status(400).json({ error: 'missing_shop' });
+
+  const shop = await prisma.shop.findUnique({
+    where: { domain: shopDomain },
+  });
+  if (!shop) return res.status(400).json({ error: 'unknown_shop' });
+
+  try {
+    const result = await decideCampaignWinner({
+      shopId: shop.id,
+      campaignId: req.params.id,
+      variant: req.body?.variant,
+    });
+    res.json(result);
+  } catch (err) {
+    return res
+      .status(err.status || 500)
+      .json({ error: 'decide_campaign_error', details: err.message });
+  }
+});
+
 // Snapshot audience from a segment into CampaignRecipient
 router.post('/:id/snapshot', async (req, res) => {
   const shopDomain = resolveShop(req);
@@ -119,6 +263,34 @@ router.post('/:id/snapshot', async (req, res) => {
   }
 });
 
+// Schedule for the dispatcher: { scheduleMode, scheduleAt } or { scheduleMode, scheduleLocal }
+router.post('/:id/schedule', async (req, res) => {
+  const shopDomain = resolveShop(req);
+  if (!shopDomain) return res.status(400).json({ error: 'missing_shop' });
+
+  const shop = await prisma.shop.findUnique({
+    where: { domain: shopDomain },
+  });
+  if (!shop) return res.status(400).json({ error: 'unknown_shop' });
+
+  const { scheduleMode, scheduleAt, scheduleLocal } = req.body || {};
+
+  try {
+    const result = await scheduleCampaign({
+      shopId: shop.id,
+      campaignId: req.params.id,
+      scheduleMode,
+      scheduleAt,
+      scheduleLocal,
+    });
+    res.json(result);
+  } catch (err) {
+    return res
+      .status(err.status || 500)
+      .json({ error: 'schedule_campaign_error', details: err.message });
+  }
+});
+
 // Estimate cost for campaign template (or text)
 router.get('/:id/estimate', async (req, res) => {
   const shopDomain = resolveShop(req);
@@ -215,7 +387,9 @@ router.post('/:id/send-now', async (req, res) => {
     });
     res.json(result);
   } catch (err) {
-    return res.status(500).json({ error: 'send_campaign_error', details: err.message });
+    return res
+      .status(err.status || 500)
+      .json({ error: 'send_campaign_error', details: err.message });
   }
 });
 
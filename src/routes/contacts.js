@@ -0,0 +1,282 @@
+// src/routes/contacts.js
+// Contacts management API: search, profile edits, consent, timeline and bulk actions
+
+import express, { Router } from 'express';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { getPrismaClient } from '../db/prismaClient.js';
+import {
+  listContacts,
+  getContact,
+  updateContact,
+  setContactConsent,
+  deleteContact,
+  contactTimeline,
+  bulkTagContacts,
+  bulkOptOut,
+} from '../services/contacts.js';
+import { startContactImport, getContactImport } from '../services/contacts-csv.js';
+
+const prisma = getPrismaClient();
+const router = Router();
+const ajv = new Ajv({ allErrors: true, removeAdditional: true });
+addFormats(ajv);
+
+const tagList = { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 100 };
+
+const validateUpdate = ajv.compile({
+  type: 'object',
+  properties: {
+    firstName: { type: 'string', nullable: true, maxLength: 255 },
+    lastName: { type: 'string', nullable: true, maxLength: 255 },
+    tags: tagList,
+    birthdate: { type: 'string', nullable: true, format: 'date' },
+    gender: { type: 'string', enum: ['male', 'female', 'unknown'] },
+  },
+  minProperties: 1,
+  additionalProperties: false,
+});
+
+const validateConsent = ajv.compile({
+  type: 'object',
+  properties: { state: { type: 'string', enum: ['opted_in', 'opted_out'] } },
+  required: ['state'],
+  additionalProperties: false,
+});
+
+// Bulk actions target explicit ids or a segment filter
+const selection = {
+  ids: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 1000 },
+  filter: { type: 'object' },
+};
+
+const validateBulkTags = ajv.compile({
+  type: 'object',
+  properties: { ...selection, add: tagList, remove: tagList },
+  additionalProperties: false,
+});
+
+const validateBulkOptOut = ajv.compile({
+  type: 'object',
+  properties: selection,
+  additionalProperties: false,
+});
+
+async function findShop(req) {
+  return prisma.shop.findUnique({
+    where: { domain: String(req.query.shop || '') },
+  });
+}
+
+function auditMeta(req) {
+  return { actor: 'user', ip: req.ip, ua: req.get('user-agent') };
+}
+
+function body(req) {
+  return typeof req.body === 'object' && req.body ? req.body : {};
+}
+
+// List/search: ?q=&phone=&tag=&consent=&filter=<json DSL>&limit=&offset=
+router.get('/', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  let filter;
+  if (req.query.filter) {
+    try {
+      filter = JSON.parse(String(req.query.filter));
+    } catch {
+      return res.status(422).json({ error: 'invalid_filter' });
+    }
+  }
+
+  try {
+    const result = await listContacts({
+      shopId: shop.id,
+      q: req.query.q,
+      phone: req.query.phone,
+      tag: req.query.tag,
+      consent: req.query.consent,
+      filter,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0,
+    });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'list_contacts_error', details: err.message });
+  }
+});
+
+// Bulk add/remove tags
+router.post('/bulk/tags', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const payload = body(req);
+  if (!validateBulkTags(payload))
+    return res.status(422).json({ error: 'invalid_payload', details: validateBulkTags.errors });
+
+  try {
+    const result = await bulkTagContacts({ shopId: shop.id, ...payload, meta: auditMeta(req) });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'bulk_tags_error', details: err.message });
+  }
+});
+
+// Bulk opt-out
+router.post('/bulk/opt-out', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const payload = body(req);
+  if (!validateBulkOptOut(payload))
+    return res.status(422).json({ error: 'invalid_payload', details: validateBulkOptOut.errors });
+
+  try {
+    const result = await bulkOptOut({ shopId: shop.id, ...payload, meta: auditMeta(req) });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'bulk_opt_out_error', details: err.message });
+  }
+});
+
+// CSV import: raw text/csv body (or JSON { csv }), processed asynchronously.
+// ?region= sets the country for numbers without a country code (default GR)
+router.post(
+  '/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  async (req, res) => {
+    const shop = await findShop(req);
+    if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+    const csv = typeof req.body === 'string' ? req.body : body(req).csv;
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(422).json({ error: 'invalid_payload', details: 'CSV body is required' });
+    }
+
+    try {
+      const result = await startContactImport({
+        shopId: shop.id,
+        csv,
+        defaultRegion: String(req.query.region || 'GR').toUpperCase(),
+        actor: req.auth?.sub || 'user',
+      });
+      res.status(202).json({ ok: true, ...result });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: 'import_contacts_error', details: err.message });
+    }
+  },
+);
+
+// Import status and per-row error report
+router.get('/imports/:importId', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  try {
+    const result = await getContactImport({ shopId: shop.id, importId: req.params.importId });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'get_import_error', details: err.message });
+  }
+});
+
+// Get one contact
+router.get('/:id', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  try {
+    const contact = await getContact({ shopId: shop.id, contactId: req.params.id });
+    res.json({ ok: true, contact });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'get_contact_error', details: err.message });
+  }
+});
+
+// Edit name, tags, birthdate, gender
+router.patch('/:id', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const payload = body(req);
+  if (!validateUpdate(payload))
+    return res.status(422).json({ error: 'invalid_payload', details: validateUpdate.errors });
+
+  try {
+    const contact = await updateContact({
+      shopId: shop.id,
+      contactId: req.params.id,
+      patch: payload,
+      meta: auditMeta(req),
+    });
+    res.json({ ok: true, contact });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'update_contact_error', details: err.message });
+  }
+});
+
+// Manual consent change (audited, pushed to Shopify for customers)
+router.post('/:id/consent', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const payload = body(req);
+  if (!validateConsent(payload))
+    return res.status(422).json({ error: 'invalid_payload', details: validateConsent.errors });
+
+  try {
+    const contact = await setContactConsent({
+      shop,
+      contactId: req.params.id,
+      state: payload.state,
+      meta: auditMeta(req),
+    });
+    res.json({ ok: true, contact });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'update_consent_error', details: err.message });
+  }
+});
+
+// Message timeline, newest first: ?limit=&before=<ISO date>
+router.get('/:id/messages', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const before = req.query.before ? new Date(String(req.query.before)) : null;
+  if (before && Number.isNaN(before.getTime())) {
+    return res.status(422).json({ error: 'invalid_date' });
+  }
+
+  try {
+    const result = await contactTimeline({
+      shopId: shop.id,
+      contactId: req.params.id,
+      limit: parseInt(req.query.limit) || 50,
+      before,
+    });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'contact_timeline_error', details: err.message });
+  }
+});
+
+// Delete
+router.delete('/:id', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  try {
+    const result = await deleteContact({
+      shopId: shop.id,
+      contactId: req.params.id,
+      meta: auditMeta(req),
+    });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'delete_contact_error', details: err.message });
+  }
+});
+
+export default router;
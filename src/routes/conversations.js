@@ -0,0 +1,111 @@
+// src/routes/conversations.js
+// Two-way SMS inbox: threads, read state and manual replies
+
+import { Router } from 'express';
+import Ajv from 'ajv';
+import { getPrismaClient } from '../db/prismaClient.js';
+import {
+  listConversations,
+  getConversation,
+  markConversationRead,
+  replyToConversation,
+} from '../services/conversations.js';
+
+const prisma = getPrismaClient();
+const router = Router();
+const ajv = new Ajv({ allErrors: true, removeAdditional: true });
+
+const validateReply = ajv.compile({
+  type: 'object',
+  properties: { body: { type: 'string', minLength: 1, maxLength: 1600 } },
+  required: ['body'],
+  additionalProperties: false,
+});
+
+async function findShop(req) {
+  return prisma.shop.findUnique({
+    where: { domain: String(req.query.shop || '') },
+  });
+}
+
+// List threads, latest activity first: ?unread=1&limit=&offset=
+router.get('/', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  try {
+    const result = await listConversations({
+      shopId: shop.id,
+      unread: ['1', 'true'].includes(String(req.query.unread || '')),
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0,
+    });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'list_conversations_error', details: err.message });
+  }
+});
+
+// Read a thread, newest messages first: ?limit=&before=<ISO date>
+router.get('/:id', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const before = req.query.before ? new Date(String(req.query.before)) : null;
+  if (before && Number.isNaN(before.getTime())) {
+    return res.status(422).json({ error: 'invalid_date' });
+  }
+
+  try {
+    const result = await getConversation({
+      shopId: shop.id,
+      conversationId: req.params.id,
+      limit: parseInt(req.query.limit) || 50,
+      before,
+    });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'get_conversation_error', details: err.message });
+  }
+});
+
+// Mark read
+router.post('/:id/read', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  try {
+    const conversation = await markConversationRead({
+      shopId: shop.id,
+      conversationId: req.params.id,
+    });
+    res.json({ ok: true, conversation });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'mark_read_error', details: err.message });
+  }
+});
+
+// Manual reply through the SMS provider (consent required)
+router.post('/:id/reply', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const payload = typeof req.body === 'object' && req.body ? req.body : {};
+  if (!validateReply(payload)) {
+    return res.status(422).json({ error: 'invalid_payload', details: validateReply.errors });
+  }
+
+  try {
+    const message = await replyToConversation({
+      shop,
+      conversationId: req.params.id,
+      body: payload.body,
+      authorId: req.auth?.sub || null,
+    });
+    res.status(201).json({ ok: true, message });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'reply_error', details: err.message });
+  }
+});
+
+export default router;
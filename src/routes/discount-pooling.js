@@ -2,6 +2,17 @@ import { Router } from 'express';
 import { getPrismaClient } from '../db/prismaClient.js';
 import { fetchExistingDiscounts, createBasicCode } from '../services/shopify-graphql.js';
 import { createLinkBuilder } from '../services/link-builder.js';
+import {
+  enqueuePoolSync,
+  poolSyncStatus,
+  retryFailedPoolCodes,
+} from '../services/discount-pool-sync.js';
+import {
+  GENERATE_INLINE_MAX,
+  enqueuePoolGenerate,
+  generatePoolCodes,
+  planCodeGeneration,
+} from '../services/discount-code-generator.js';
 import { logger } from '../lib/logger.js';
 
 const prisma = getPrismaClient();
@@ -21,6 +32,17 @@ async function getShopAccessToken(shopDomain) {
   return shop.tokenOffline;
 }
 
+// New codes exist only in our database until the sync job adds them to the Shopify discount
+async function queuePoolSync(shopId, poolId) {
+  try {
+    await enqueuePoolSync({ shopId, poolId });
+    return 'queued';
+  } catch (error) {
+    logger.error({ error: error.message, shopId, poolId }, 'Failed to queue pool code sync');
+    return 'pending';
+  }
+}
+
 // POST /discounts/sync-from-shopify
 router.post('/sync-from-shopify', async (req, res) => {
   try {
@@ -165,11 +187,14 @@ router.post('/:id/pool/import', async (req, res) => {
       importedCount: createdCodes.length,
     }, 'Imported discount codes to pool');
 
+    const sync = createdCodes.length ? await queuePoolSync(shop, pool.id) : 'idle';
+
     res.json({
       success: true,
       poolId: pool.id,
       importedCount: createdCodes.length,
       codes: createdCodes,
+      sync,
     });
   } catch (error) {
     logger.error({
@@ -190,19 +215,40 @@ router.post('/:id/pool/generate', async (req, res) => {
   try {
     const { id } = req.params;
     const { shop } = req.query;
-    const { quantity, prefix = '', pattern = 'random' } = req.body;
-    
+    const { quantity, prefix = '', pattern = 'random', template, length, checksum } = req.body;
+
     if (!shop) {
       return res.status(400).json({ error: 'missing_shop' });
     }
 
-    if (!quantity || quantity <= 0) {
-      return res.status(400).json({ error: 'invalid_quantity' });
+    if (pattern === 'sequential') {
+      return res.status(422).json({
+        error: 'invalid_template',
+        message: 'Sequential codes are guessable; use a template such as SPRING-####-XX',
+      });
+    }
+
+    // `pattern` other than random is the template of older clients
+    const options = {
+      template: template || (pattern !== 'random' ? pattern : null),
+      prefix,
+      length,
+      checksum,
+    };
+    const count = Number(quantity);
+    let plan;
+    try {
+      plan = planCodeGeneration({ quantity: count, options });
+    } catch (error) {
+      return res.status(error.status || 422).json({
+        error: error.message.startsWith('quantity') ? 'invalid_quantity' : 'invalid_template',
+        message: error.message,
+      });
     }
 
     // Get the discount
     const discount = await prisma.discount.findFirst({
-      where: { id, shopId: shop }
+      where: { id, shopId: shop },
     });
 
     if (!discount) {
@@ -211,7 +257,7 @@ router.post('/:id/pool/generate', async (req, res) => {
 
     // Create or get the pool
     let pool = await prisma.discountCodePool.findFirst({
-      where: { discountId: id }
+      where: { discountId: id },
     });
 
     if (!pool) {
@@ -221,80 +267,43 @@ router.post('/:id/pool/generate', async (req, res) => {
           discountId: id,
           name: `${discount.title || discount.code} Pool`,
           description: `Code pool for ${discount.code}`,
-        }
+        },
       });
     }
 
-    // Generate codes
-    const generatedCodes = [];
-    for (let i = 0; i < quantity; i++) {
-      let code;
-      let attempts = 0;
-      const maxAttempts = 10;
-
-      do {
-        if (pattern === 'random') {
-          code = prefix + Math.random().toString(36).substring(2, 8).toUpperCase();
-        } else if (pattern === 'sequential') {
-          code = prefix + String(i + 1).padStart(6, '0');
-        } else {
-          code = prefix + Math.random().toString(36).substring(2, 8).toUpperCase();
-        }
-        
-        attempts++;
-      } while (attempts < maxAttempts);
-
-      try {
-        const discountCode = await prisma.discountCode.create({
-          data: {
-            shopId: shop,
-            poolId: pool.id,
-            discountId: id,
-            code,
-            status: 'available',
-          }
-        });
-        generatedCodes.push(discountCode);
-      } catch (error) {
-        if (error.code === 'P2002') {
-          // Duplicate code, try again
-          i--;
-          continue;
-        }
-        throw error;
-      }
+    const job = { shopId: shop, poolId: pool.id, discountId: id, quantity: count, options };
+    if (count > GENERATE_INLINE_MAX) {
+      await enqueuePoolGenerate(job);
+      return res.status(202).json({
+        success: true,
+        poolId: pool.id,
+        status: 'queued',
+        requested: count,
+        collision: plan.collision,
+      });
     }
 
-    // Update pool statistics
-    await prisma.discountCodePool.update({
-      where: { id: pool.id },
-      data: {
-        totalCodes: {
-          increment: generatedCodes.length
-        }
-      }
-    });
-
-    logger.info({
-      shop,
-      discountId: id,
-      poolId: pool.id,
-      generatedCount: generatedCodes.length,
-    }, 'Generated discount codes for pool');
+    const { generated, codes } = await generatePoolCodes({ ...job, collect: true });
+    const sync = generated ? await queuePoolSync(shop, pool.id) : 'idle';
 
     res.json({
       success: true,
       poolId: pool.id,
-      generatedCount: generatedCodes.length,
-      codes: generatedCodes,
+      generatedCount: generated,
+      codes,
+      collision: plan.collision,
+      sync,
     });
   } catch (error) {
-    logger.error({
-      error: error.message,
-      shop: req.query.shop,
-      discountId: req.params.id,
-    }, 'Failed to generate discount codes');
-    
+    logger.error(
+      {
+        error: error.message,
+        shop: req.query.shop,
+        discountId: req.params.id,
+      },
+      'Failed to generate discount codes',
+    );
+
     res.status(500).json({
       error: 'generation_failed',
       message: error.message,
@@ -341,6 +350,9 @@ router.get('/:id/pool/status', async (req, res) => {
     const used = statusCounts.used || 0;
     const expired = statusCounts.expired || 0;
 
+    // Whether codes have been added to the Shopify discount, with per-code errors
+    const sync = await poolSyncStatus({ poolId: pool.id });
+
     res.json({
       poolId: pool.id,
       total: pool.totalCodes,
@@ -348,6 +360,7 @@ router.get('/:id/pool/status', async (req, res) => {
       reserved,
       used,
       expired,
+      sync,
       status: pool.status,
       createdAt: pool.createdAt,
       updatedAt: pool.updatedAt,
@@ -366,6 +379,44 @@ router.get('/:id/pool/status', async (req, res) => {
   }
 });
 
+// POST /discounts/:id/pool/sync
+router.post('/:id/pool/sync', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { shop } = req.query;
+
+    if (!shop) {
+      return res.status(400).json({ error: 'missing_shop' });
+    }
+
+    const pool = await prisma.discountCodePool.findFirst({
+      where: { discountId: id, shopId: shop },
+    });
+
+    if (!pool) {
+      return res.status(404).json({ error: 'pool_not_found' });
+    }
+
+    // Failed codes go back in line, e.g. once the discount exists in Shopify
+    const retried = await retryFailedPoolCodes({ poolId: pool.id });
+    await enqueuePoolSync({ shopId: pool.shopId, poolId: pool.id });
+
+    logger.info({ shop, discountId: id, poolId: pool.id, retried }, 'Queued pool code sync');
+
+    res.status(202).json({ success: true, poolId: pool.id, retried, sync: 'queued' });
+  } catch (error) {
+    logger.error(
+      { error: error.message, shop: req.query.shop, discountId: req.params.id },
+      'Failed to queue pool code sync',
+    );
+
+    res.status(500).json({
+      error: 'sync_failed',
+      message: error.message,
+    });
+  }
+});
+
 // POST /discounts/:id/pool/reserve
 router.post('/:id/pool/reserve', async (req, res) => {
   try {
@@ -2,56 +2,190 @@
 // Public App Proxy route for back-in-stock interest registration
 
 import { Router } from 'express';
+import Ajv from 'ajv';
 import { getPrismaClient } from '../db/prismaClient.js';
 import { verifyAppProxySignature as _verifyAppProxySignature } from '../lib/appProxyVerify.js';
 import { toE164Loose } from '../lib/phone.js';
-import { upsertInterest } from '../services/back-in-stock.js';
+import { rateLimitMiddleware } from '../middleware/rateLimit.js';
+import { logAudit } from '../services/audit.js';
+import { cancelInterest, listContactInterests, upsertInterest } from '../services/back-in-stock.js';
+import { upsertContactByPhone } from '../services/contacts.js';
+import { requestOptInConfirmation } from '../services/double-opt-in.js';
 import { resolveByInventoryItem } from '../services/shopify-products.js';
 
 const prisma = getPrismaClient();
 const router = Router();
 
+const ajv = new Ajv({ allErrors: true, removeAdditional: true });
+const validateInterest = ajv.compile({
+  type: 'object',
+  properties: {
+    phone: { type: 'string', minLength: 5 },
+    inventoryItemId: { type: ['string', 'integer'] },
+    // The signup form's explicit "text me" checkbox; required for numbers without consent
+    consent: { type: 'boolean', default: false },
+    email: { type: 'string', nullable: true },
+    optInLevel: {
+      type: 'string',
+      enum: ['SINGLE_OPT_IN', 'CONFIRMED_OPT_IN'],
+      default: 'SINGLE_OPT_IN',
+    },
+  },
+  required: ['phone', 'inventoryItemId'],
+  additionalProperties: true,
+});
+
+// Per phone number on top of the per-IP App Proxy limit, so one visitor cannot
+// flood a number with confirmation texts
+const signupRateLimit = rateLimitMiddleware({
+  requests: 5,
+  window: 60 * 60,
+  keyGenerator: (req) => {
+    const phone = toE164Loose(String(req.body?.phone || '')) || 'invalid';
+    return `bis_signup:${req.proxyShopDomain || 'no-shop'}:${phone}`;
+  },
+});
+
 /**
  * POST /public/back-in-stock/interest
  * Query (signed by App Proxy): shop, timestamp, signature
- * Body: { phone: "+3069...", inventoryItemId: "1234567890" }
+ * Body: { phone: "+3069...", inventoryItemId: "1234567890", consent: true, optInLevel? }
+ * Numbers without SMS consent need `consent: true`; the contact is created on the spot
+ * (or asked to reply YES with CONFIRMED_OPT_IN) and the interest registered either way.
  */
-router.post('/interest', async (req, res) => {
+router.post('/interest', signupRateLimit, async (req, res) => {
   try {
     // App Proxy signature already verified by middleware
     const shopDomain = req.proxyShopDomain;
-    const { phone, inventoryItemId } = (typeof req.body === 'object' && req.body) || {};
-    if (!shopDomain || !phone || !inventoryItemId)
-      return res.status(422).json({ error: 'missing_params' });
+    const payload = (typeof req.body === 'object' && req.body) || {};
+    if (!shopDomain) return res.status(422).json({ error: 'missing_params' });
+    if (!validateInterest(payload)) {
+      return res.status(422).json({ error: 'invalid_payload', details: validateInterest.errors });
+    }
 
     const shop = await prisma.shop.findUnique({ where: { domain: shopDomain } });
     if (!shop) return res.status(404).json({ error: 'unknown_shop' });
 
-    const phoneE164 = toE164Loose(String(phone));
+    const phoneE164 = toE164Loose(String(payload.phone));
     if (!phoneE164) return res.status(422).json({ error: 'invalid_phone' });
 
-    const contact = await prisma.contact.findFirst({ where: { shopId: shop.id, phoneE164 } });
-    if (!contact) return res.status(404).json({ error: 'unknown_contact' });
-    if (contact.optedOut || contact.smsConsentState !== 'opted_in') {
-      return res.status(403).json({ error: 'no_consent' });
+    let contact = await prisma.contact.findFirst({ where: { shopId: shop.id, phoneE164 } });
+    let confirmation = null;
+    if (!contact || contact.optedOut || contact.smsConsentState !== 'opted_in') {
+      if (!payload.consent) {
+        return res
+          .status(contact?.optedOut ? 403 : 422)
+          .json({ error: contact?.optedOut ? 'no_consent' : 'consent_required' });
+      }
+      const reqMeta = { ip: req.ip, ua: req.get('user-agent') };
+      if (payload.optInLevel === 'CONFIRMED_OPT_IN') {
+        // Interest is kept while the reply YES is pending; sends stay gated on consent
+        confirmation = await requestOptInConfirmation({
+          shop,
+          phoneE164,
+          email: payload.email || null,
+          source: 'back_in_stock',
+          reqMeta,
+        });
+        contact = { id: confirmation.contactId };
+      } else {
+        contact = await upsertContactByPhone({
+          shopId: shop.id,
+          phoneE164,
+          email: payload.email || null,
+          state: 'SUBSCRIBED',
+          source: 'back_in_stock',
+        });
+        await logAudit({
+          shopId: shop.id,
+          actor: 'contact',
+          action: 'consent.update',
+          entity: 'contact',
+          entityId: contact.id,
+          ip: reqMeta.ip || null,
+          ua: reqMeta.ua || null,
+          diff: { after: { smsConsentState: 'opted_in', smsConsentSource: 'back_in_stock' } },
+        });
+      }
     }
 
     // Enrich with product meta (best-effort)
     const productMeta = await resolveByInventoryItem({
       shopDomain,
-      inventoryItemNumericId: String(inventoryItemId),
+      inventoryItemNumericId: String(payload.inventoryItemId),
     }).catch(() => null);
     const id = await upsertInterest({
       shop,
       contact,
-      inventoryItemId: String(inventoryItemId),
+      inventoryItemId: String(payload.inventoryItemId),
       productMeta,
     });
 
-    return res.json({ ok: true, id, productMeta: productMeta || null });
+    const pending = confirmation?.status === 'pending';
+    return res.status(pending ? 202 : 200).json({
+      ok: true,
+      id,
+      productMeta: productMeta || null,
+      consent: pending ? 'pending' : 'opted_in',
+      ...(pending
+        ? { confirmation: { status: 'pending', expiresAt: confirmation.expiresAt } }
+        : {}),
+    });
+  } catch {
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+/**
+ * The storefront visitor's contact: the logged-in customer Shopify adds to proxied
+ * requests. A phone number in the query proves nothing about who is asking, so
+ * visitors who are not logged in are refused.
+ */
+async function resolveSubscriber(req) {
+  const shop = await prisma.shop.findUnique({ where: { domain: req.proxyShopDomain || '' } });
+  if (!shop) return { error: [404, 'unknown_shop'] };
+
+  const customerId = String(req.query.logged_in_customer_id || '');
+  if (!customerId) return { error: [401, 'login_required'] };
+  const contact = await prisma.contact.findFirst({ where: { shopId: shop.id, customerId } });
+  return contact ? { shop, contact } : { error: [404, 'unknown_contact'] };
+}
+
+/**
+ * GET /public/back-in-stock/interests
+ * Query (signed by App Proxy): shop, timestamp, signature, logged_in_customer_id
+ * Lists the subscriber's active interests
+ */
+router.get('/interests', async (req, res) => {
+  try {
+    const { shop, contact, error } = await resolveSubscriber(req);
+    if (error) return res.status(error[0]).json({ error: error[1] });
+    const interests = await listContactInterests({ shopId: shop.id, contactId: contact.id });
+    return res.json({ ok: true, interests });
   } catch {
     return res.status(500).json({ error: 'server_error' });
   }
 });
 
+/**
+ * DELETE /public/back-in-stock/interests/:id
+ * Query (signed by App Proxy): shop, timestamp, signature, logged_in_customer_id
+ */
+router.delete('/interests/:id', async (req, res) => {
+  try {
+    const { shop, contact, error } = await resolveSubscriber(req);
+    if (error) return res.status(error[0]).json({ error: error[1] });
+    const interest = await cancelInterest({
+      shopId: shop.id,
+      contactId: contact.id,
+      interestId: req.params.id,
+    });
+    return res.json({ ok: true, id: interest.id, status: interest.status });
+  } catch (err) {
+    if (err.status)
+      return res.status(err.status).json({ error: 'interest_error', details: err.message });
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
 export default router;
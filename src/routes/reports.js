@@ -10,6 +10,10 @@ import {
   getCampaignAttribution,
   getAutomationAttribution,
   getMessagingTimeseries,
+  getCampaignVariantReport,
+  getConsentConfirmationReport,
+  getSendDenialReport,
+  getBackInStockDemandReport,
 } from '../services/reports.js';
 
 const prisma = getPrismaClient();
@@ -56,6 +60,27 @@ router.get('/campaigns', cacheMiddleware('campaigns'), async (req, res) => {
   }
 });
 
+/**
+ * GET /reports/campaigns/:id/variants?shop=<domain>
+ * A/B breakdown: sent, delivered, clicks and attributed revenue per variant
+ */
+router.get('/campaigns/:id/variants', async (req, res) => {
+  try {
+    const shopDomain = String(req.query.shop || '');
+    const shop = await prisma.shop.findUnique({ where: { domain: shopDomain } });
+    if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+    const campaign = await prisma.campaign.findFirst({
+      where: { id: req.params.id, shopId: shop.id },
+    });
+    if (!campaign) return res.status(404).json({ error: 'unknown_campaign' });
+    if (!campaign.abTestJson) return res.status(422).json({ error: 'not_ab_test' });
+    const report = await getCampaignVariantReport({ shopId: shop.id, campaign });
+    res.json({ ok: true, ...report });
+  } catch (e) {
+    res.status(500).json({ error: 'server_error', details: String(e?.message || e) });
+  }
+});
+
 /**
  * GET /reports/automations?shop=<domain>&from=&to=&window=
  */
@@ -96,4 +121,67 @@ router.get('/messaging/timeseries', cacheMiddleware('messaging'), async (req, re
   }
 });
 
+/**
+ * GET /reports/consent/confirmations?shop=<domain>&from=&to=&window=
+ * Double opt-in confirmation rate for requests made in range
+ */
+router.get('/consent/confirmations', cacheMiddleware('consent'), async (req, res) => {
+  try {
+    const shopDomain = String(req.query.shop || '');
+    const shop = await prisma.shop.findUnique({ where: { domain: shopDomain } });
+    if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+    const { start, end } = parseRange({
+      from: req.query.from,
+      to: req.query.to,
+      window: req.query.window,
+    });
+    const report = await getConsentConfirmationReport({ shopId: shop.id, from: start, to: end });
+    res.json({ ok: true, range: { from: start, to: end }, ...report });
+  } catch (e) {
+    res.status(500).json({ error: 'server_error', details: String(e?.message || e) });
+  }
+});
+
+/**
+ * GET /reports/denials?shop=<domain>&from=&to=&window=
+ * Sends refused by the rules gate (consent, quiet hours, caps, dedupe), by reason and trigger
+ */
+router.get('/denials', cacheMiddleware('denials'), async (req, res) => {
+  try {
+    const shopDomain = String(req.query.shop || '');
+    const shop = await prisma.shop.findUnique({ where: { domain: shopDomain } });
+    if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+    const { start, end } = parseRange({
+      from: req.query.from,
+      to: req.query.to,
+      window: req.query.window,
+    });
+    const report = await getSendDenialReport({ shopId: shop.id, from: start, to: end });
+    res.json({ ok: true, range: { from: start, to: end }, ...report });
+  } catch (e) {
+    res.status(500).json({ error: 'server_error', details: String(e?.message || e) });
+  }
+});
+
+/**
+ * GET /reports/back-in-stock?shop=<domain>&from=&to=&window=
+ * Back-in-stock demand per product for interests registered in range
+ */
+router.get('/back-in-stock', cacheMiddleware('backInStock'), async (req, res) => {
+  try {
+    const shopDomain = String(req.query.shop || '');
+    const shop = await prisma.shop.findUnique({ where: { domain: shopDomain } });
+    if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+    const { start, end } = parseRange({
+      from: req.query.from,
+      to: req.query.to,
+      window: req.query.window,
+    });
+    const report = await getBackInStockDemandReport({ shopId: shop.id, from: start, to: end });
+    res.json({ ok: true, range: { from: start, to: end }, ...report });
+  } catch (e) {
+    res.status(500).json({ error: 'server_error', details: String(e?.message || e) });
+  }
+});
+
 export default router;
@@ -4,7 +4,7 @@
 import { Router } from 'express';
 import { logger } from '../lib/logger.js';
 import { getPrismaClient } from '../db/prismaClient.js';
-import { evaluateSegmentFilter } from '../services/segment-dsl.js';
+import { evaluateSegmentFilter, segmentEvaluationSelect } from '../services/segment-dsl.js';
 
 const router = Router();
 const prisma = getPrismaClient();
@@ -35,25 +35,10 @@ router.post('/preview', async (req, res) => {
     });
 
     const previewPromise = async () => {
-      // Get all contacts for the shop
+      // Get all contacts for the shop, with whatever history the filter reads
       const contacts = await prisma.contact.findMany({
         where: { shopId },
-        select: {
-          id: true,
-          phoneE164: true,
-          firstName: true,
-          lastName: true,
-          email: true,
-          optedOut: true,
-          tagsJson: true,
-          createdAt: true,
-          lastOrderAt: true,
-          totalSpent: true,
-          gender: true,
-          ageYears: true,
-          conversionCount: true,
-          lastConvertedAt: true,
-        },
+        select: segmentEvaluationSelect(filter),
       });
 
       logger.info(
@@ -166,22 +151,7 @@ router.post('/preview/count', async (req, res) => {
     const countPromise = async () => {
       const contacts = await prisma.contact.findMany({
         where: { shopId },
-        select: {
-          id: true,
-          phoneE164: true,
-          firstName: true,
-          lastName: true,
-          email: true,
-          optedOut: true,
-          tagsJson: true,
-          createdAt: true,
-          lastOrderAt: true,
-          totalSpent: true,
-          gender: true,
-          ageYears: true,
-          conversionCount: true,
-          lastConvertedAt: true,
-        },
+        select: segmentEvaluationSelect(filter),
       });
 
       let matchCount = 0;
@@ -1,11 +1,23 @@
 // src/routes/segments.js
 // Segments API routes
 
+import { once } from 'node:events';
 import { Router } from 'express';
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
 import { getPrismaClient } from '../db/prismaClient.js';
-import { upsertSegment, previewSegment } from '../services/segments.js';
+import { logger } from '../lib/logger.js';
+import {
+  upsertSegment,
+  previewSegment,
+  listSegments,
+  getSegment,
+  updateSegment,
+  deleteSegment,
+  materializeSegment,
+  diffSegmentMembership,
+} from '../services/segments.js';
+import { exportSegmentCsv, PII_SCOPE } from '../services/contacts-csv.js';
 
 const prisma = getPrismaClient();
 const router = Router();
@@ -24,6 +36,46 @@ const schema = {
 };
 const validate = ajv.compile(schema);
 
+const updateSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 2 },
+    filterJson: { type: 'object' },
+  },
+  minProperties: 1,
+  additionalProperties: false,
+};
+const validateUpdate = ajv.compile(updateSchema);
+
+async function findShop(req) {
+  return prisma.shop.findUnique({
+    where: { domain: String(req.query.shop || '') },
+  });
+}
+
+function parseDate(value) {
+  if (!value) return undefined;
+  const d = new Date(String(value));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// List (paginated, with cached contact counts)
+router.get('/', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  try {
+    const result = await listSegments({
+      shopId: shop.id,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0,
+    });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'list_segments_error', details: err.message });
+  }
+});
+
 // Create/Update
 router.post('/', async (req, res) => {
   const shop = await prisma.shop.findUnique({
@@ -44,6 +96,133 @@ router.post('/', async (req, res) => {
   res.json({ ok: true, segment: row });
 });
 
+// Get one segment with counts and recent materializations
+router.get('/:id', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  try {
+    const segment = await getSegment({ shopId: shop.id, segmentId: req.params.id });
+    res.json({ ok: true, segment });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'get_segment_error', details: err.message });
+  }
+});
+
+// Update name and/or filter
+router.put('/:id', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const body = typeof req.body === 'object' && req.body ? req.body : {};
+  if (!validateUpdate(body))
+    return res.status(422).json({ error: 'invalid_payload', details: validateUpdate.errors });
+
+  try {
+    const segment = await updateSegment({
+      shopId: shop.id,
+      segmentId: req.params.id,
+      name: body.name,
+      filterJson: body.filterJson,
+    });
+    res.json({ ok: true, segment });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'update_segment_error', details: err.message });
+  }
+});
+
+// Delete (409 while a scheduled campaign targets it)
+router.delete('/:id', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  try {
+    const result = await deleteSegment({ shopId: shop.id, segmentId: req.params.id });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'delete_segment_error', details: err.message });
+  }
+});
+
+// Freeze current membership (campaigns with audienceSource=frozen send to it)
+router.post('/:id/materialize', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  try {
+    const result = await materializeSegment({ shopId: shop.id, segmentId: req.params.id });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    res
+      .status(err.status || 500)
+      .json({ error: 'materialize_segment_error', details: err.message });
+  }
+});
+
+// Who joined/left between materializations: ?since=&until=&limit=
+router.get('/:id/diff', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const since = parseDate(req.query.since);
+  const until = parseDate(req.query.until);
+  if (since === null || until === null) {
+    return res.status(422).json({ error: 'invalid_date' });
+  }
+
+  try {
+    const diff = await diffSegmentMembership({
+      shopId: shop.id,
+      segmentId: req.params.id,
+      since,
+      until,
+      limit: parseInt(req.query.limit) || 1000,
+    });
+    res.json({ ok: true, ...diff });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: 'diff_segment_error', details: err.message });
+  }
+});
+
+// Streaming CSV export; ?pii=1 decrypts phone/email and needs the PII scope on the token
+router.get('/:id/export.csv', async (req, res) => {
+  const shop = await findShop(req);
+  if (!shop) return res.status(404).json({ error: 'unknown_shop' });
+
+  const includePII = ['1', 'true'].includes(String(req.query.pii || ''));
+  if (includePII && !req.auth?.scopes?.includes(PII_SCOPE)) {
+    return res.status(403).json({ error: 'pii_not_authorized', details: `Requires ${PII_SCOPE}` });
+  }
+
+  let lines;
+  try {
+    lines = await exportSegmentCsv({
+      shopId: shop.id,
+      segmentId: req.params.id,
+      includePII,
+      meta: { actor: req.auth?.sub || 'user', ip: req.ip, ua: req.get('user-agent') },
+    });
+  } catch (err) {
+    return res
+      .status(err.status || 500)
+      .json({ error: 'export_segment_error', details: err.message });
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="segment-${req.params.id}.csv"`);
+  res.setHeader('Cache-Control', 'no-store');
+  try {
+    for await (const line of lines) {
+      if (!res.write(line)) await once(res, 'drain');
+    }
+    res.end();
+  } catch (err) {
+    // Headers are gone; cut the stream so the client sees a truncated download
+    logger.error({ error: err.message, segmentId: req.params.id }, 'Segment export failed');
+    res.destroy(err);
+  }
+});
+
 // Preview (count + sample)
 router.post('/preview', async (req, res) => {
   const shop = await prisma.shop.findUnique({
@@ -1,10 +1,14 @@
 // src/routes/settings.js
-// Shop settings management (timezone, quiet hours, frequency caps)
+// Shop settings management (timezone, quiet hours, marketing cap, keywords, double opt-in,
+// SMS provider, sender)
 
 import { Router } from 'express';
 import Ajv from 'ajv';
 import { getPrismaClient } from '../db/prismaClient.js';
 import { defaultSettings } from '../services/rules.js';
+import { prepareKeywordSettings } from '../services/keywords.js';
+import { PROVIDER_NAMES } from '../providers/index.js';
+import { prepareSenderSettings } from '../services/sender.js';
 
 const prisma = getPrismaClient();
 const router = Router();
@@ -15,6 +19,8 @@ const ajv = new Ajv({
   coerceTypes: true,
 });
 
+const keywordWord = { type: 'string', minLength: 1, maxLength: 32 };
+
 const schema = {
   type: 'object',
   properties: {
@@ -28,21 +34,108 @@ const schema = {
       required: ['start', 'end'],
       additionalProperties: false,
     },
-    cap: {
+    abandoned: {
       type: 'object',
       properties: {
-        windowHours: { type: 'integer', minimum: 1, default: 24 },
-        maxPerWindow: { type: 'integer', minimum: 1, default: 1 },
+        delayMinutes: { type: 'integer', minimum: 5, maximum: 1440, default: 30 },
       },
-      required: ['windowHours', 'maxPerWindow'],
+      required: ['delayMinutes'],
       additionalProperties: false,
     },
-    abandoned: {
+    // Shop-wide cap on marketing SMS per contact; order_paid/fulfillment_update are exempt
+    marketingCap: {
       type: 'object',
       properties: {
-        delayMinutes: { type: 'integer', minimum: 5, maximum: 1440, default: 30 },
+        enabled: { type: 'boolean', default: true },
+        max: { type: 'integer', minimum: 1, maximum: 50 },
+        per: { type: 'string', enum: ['day', 'week'], default: 'day' },
+      },
+      required: ['max'],
+      additionalProperties: false,
+    },
+    // Double opt-in: hours a "reply YES" confirmation stays open
+    doubleOptIn: {
+      type: 'object',
+      properties: {
+        expiryHours: { type: 'integer', minimum: 1, maximum: 168, default: 24 },
+      },
+      required: ['expiryHours'],
+      additionalProperties: false,
+    },
+    // Words added to the built-in STOP/START/HELP sets, plus custom keywords
+    keywords: {
+      type: 'object',
+      properties: {
+        stop: { type: 'array', items: keywordWord, maxItems: 20, default: [] },
+        start: { type: 'array', items: keywordWord, maxItems: 20, default: [] },
+        help: { type: 'array', items: keywordWord, maxItems: 20, default: [] },
+        confirm: { type: 'array', items: keywordWord, maxItems: 20, default: [] },
+        helpReply: { type: 'string', minLength: 1, maxLength: 640, nullable: true },
+        custom: {
+          type: 'array',
+          maxItems: 50,
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              keyword: keywordWord,
+              tags: {
+                type: 'array',
+                items: { type: 'string', minLength: 1, maxLength: 64 },
+                maxItems: 10,
+                default: [],
+              },
+              automationId: { type: 'string', nullable: true },
+            },
+            required: ['keyword'],
+            additionalProperties: false,
+          },
+        },
+      },
+      additionalProperties: false,
+    },
+    // Outbound SMS provider; traffic moves to the secondary after repeated transient errors
+    sms: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string', enum: PROVIDER_NAMES },
+        secondaryProvider: { type: 'string', enum: PROVIDER_NAMES, nullable: true },
+      },
+      required: ['provider'],
+      additionalProperties: false,
+    },
+    // Who messages come from: sender ID where allowed, pool numbers elsewhere and for replies
+    sender: {
+      type: 'object',
+      properties: {
+        alphanumericId: { type: 'string', maxLength: 11, nullable: true },
+        numbers: { type: 'array', items: { type: 'string' }, maxItems: 50, default: [] },
+        numericCountries: {
+          type: 'array',
+          items: { type: 'string', minLength: 2, maxLength: 2 },
+          maxItems: 250,
+          default: [],
+        },
+        twoWay: { type: 'boolean', default: false },
+        // Sender ID and/or pool of one provider account, used when that provider sends
+        byProvider: {
+          type: 'object',
+          properties: Object.fromEntries(
+            PROVIDER_NAMES.map((name) => [
+              name,
+              {
+                type: 'object',
+                properties: {
+                  alphanumericId: { type: 'string', maxLength: 11, nullable: true },
+                  numbers: { type: 'array', items: { type: 'string' }, maxItems: 50 },
+                },
+                additionalProperties: false,
+              },
+            ]),
+          ),
+          additionalProperties: false,
+        },
       },
-      required: ['delayMinutes'],
       additionalProperties: false,
     },
   },
@@ -60,10 +153,8 @@ router.get('/', async (req, res) => {
   const shop = await prisma.shop.findUnique({ where: { domain } });
   if (!shop) return res.status(404).json({ error: 'unknown_shop' });
 
-  const settings = {
-    timezone: shop.timezone || 'Europe/Athens',
-    ...(shop.settingsJson || defaultSettings()),
-  };
+  const { cap: _legacyCap, ...stored } = shop.settingsJson || defaultSettings();
+  const settings = { timezone: shop.timezone || 'Europe/Athens', ...stored };
   res.json({ ok: true, shop: domain, settings });
 });
 
@@ -74,16 +165,56 @@ router.put('/', async (req, res) => {
   if (!shop) return res.status(404).json({ error: 'unknown_shop' });
 
   const body = typeof req.body === 'object' && req.body ? req.body : {};
+  // The old per-window `cap` was never enforced; reject it rather than drop it silently
+  if (body.cap !== undefined) {
+    return res.status(422).json({
+      error: 'invalid_payload',
+      details: 'cap is no longer supported; use marketingCap { max, per }',
+    });
+  }
   if (!validate(body))
     return res.status(422).json({ error: 'invalid_payload', details: validate.errors });
 
+  if (body.sms && body.sms.secondaryProvider === body.sms.provider) {
+    return res.status(422).json({
+      error: 'invalid_payload',
+      details: 'sms.secondaryProvider must differ from sms.provider',
+    });
+  }
+
+  let sender = null;
+  if (body.sender) {
+    try {
+      sender = prepareSenderSettings(body.sender);
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: 'invalid_sender', details: err.message });
+    }
+  }
+
+  let keywords = null;
+  if (body.keywords) {
+    try {
+      keywords = await prepareKeywordSettings({ shopId: shop.id, keywords: body.keywords });
+    } catch (err) {
+      return res
+        .status(err.status || 500)
+        .json({ error: 'invalid_keywords', details: err.message });
+    }
+  }
+
+  // Drop a stored legacy `cap` on the next save
+  const { cap: _legacyCap, ...current } = shop.settingsJson || defaultSettings();
   const data = {
     ...(typeof body.timezone === 'string' ? { timezone: body.timezone } : {}),
     settingsJson: {
-      ...(shop.settingsJson || defaultSettings()),
+      ...current,
       ...(body.quietHours ? { quietHours: body.quietHours } : {}),
-      ...(body.cap ? { cap: body.cap } : {}),
       ...(body.abandoned ? { abandoned: body.abandoned } : {}),
+      ...(body.marketingCap ? { marketingCap: body.marketingCap } : {}),
+      ...(body.doubleOptIn ? { doubleOptIn: body.doubleOptIn } : {}),
+      ...(keywords ? { keywords } : {}),
+      ...(body.sms ? { sms: { secondaryProvider: null, ...body.sms } } : {}),
+      ...(sender ? { sender } : {}),
     },
   };
 
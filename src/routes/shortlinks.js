@@ -6,10 +6,14 @@ import { resolveShortlink } from '../services/shortlinks.js';
 
 const router = Router();
 
-/** GET /s/:slug → 302 redirect */
+/** GET /s/:slug → 302 redirect (HEAD too; scanners probing the link are recorded as bots) */
 router.get('/:slug', async (req, res) => {
   const slug = String(req.params.slug || '');
-  const url = await resolveShortlink(slug);
+  const url = await resolveShortlink(slug, {
+    ip: req.ip,
+    userAgent: req.get('user-agent') || '',
+    method: req.method,
+  });
   if (!url) return res.status(404).send('Not found');
   res.redirect(302, url);
 });
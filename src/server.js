@@ -7,6 +7,9 @@ import { errorHandler } from './middleware/errorHandler.js';
 import { checkDatabaseHealthy, disconnectPrisma } from './db/prismaClient.js';
 import { schedulerBoot } from './services/scheduler.js';
 import { startScheduler } from './services/scheduler.js';
+import { startCampaignDispatcher } from './services/campaign-dispatcher.js';
+import { startAutomationSweep } from './services/automation-sweep.js';
+import { startReservationExpiry } from './services/discount-redemption.js';
 import healthRouter from './routes/health.js';
 import discountsRouter from './routes/discounts.js';
 import settingsRouter from './routes/settings.js';
@@ -28,6 +31,7 @@ import shopifyInventoryRouter from './webhooks/shopify-inventory.js';
 import shopifyGdprRouter from './webhooks/shopify-gdpr.js';
 import mittoDlrRouter from './webhooks/mitto-dlr.js';
 import mittoInboundRouter from './webhooks/mitto-inbound.js';
+import twilioWebhooksRouter from './webhooks/twilio.js';
 import gdprRouter from './webhooks/gdpr.js';
 import gdprRestRouter from './routes/gdpr.js';
 import storefrontConsentRouter from './proxy/storefront-consent.js';
@@ -40,6 +44,8 @@ import { shopScopingMiddleware } from './middleware/shopScope.js';
 import { rateLimitMiddleware } from './middleware/rateLimit.js';
 import campaignsRouter from './routes/campaigns.js';
 import segmentsRouter from './routes/segments.js';
+import contactsRouter from './routes/contacts.js';
+import conversationsRouter from './routes/conversations.js';
 import segmentsPreviewRouter from './routes/segments-preview.js';
 import shortlinksRouter from './routes/shortlinks.js';
 import discountPoolingRouter from './routes/discount-pooling.js';
@@ -138,6 +144,7 @@ app.use('/webhooks/gdpr', gdprRouter);
 app.use('/gdpr', gdprRestRouter);
 app.use('/webhooks/mitto/dlr', mittoDlrRouter);
 app.use('/webhooks/mitto/inbound', mittoInboundRouter);
+app.use('/webhooks/twilio', twilioWebhooksRouter);
 // App Proxy routes - require signed request verification + rate limiting
 app.use(
   '/public/storefront/consent',
@@ -186,6 +193,20 @@ app.use(
   shopScopingMiddleware,
   segmentsPreviewRouter,
 );
+app.use(
+  '/contacts',
+  rateLimitMiddleware(),
+  jwtVerifyMiddleware,
+  shopScopingMiddleware,
+  contactsRouter,
+);
+app.use(
+  '/conversations',
+  rateLimitMiddleware(),
+  jwtVerifyMiddleware,
+  shopScopingMiddleware,
+  conversationsRouter,
+);
 app.use('/s', rateLimitMiddleware(), shortlinksRouter);
 app.use('/discounts', rateLimitMiddleware(), jwtVerifyMiddleware, shopScopingMiddleware, discountPoolingRouter);
 app.use('/campaigns', rateLimitMiddleware(), jwtVerifyMiddleware, shopScopingMiddleware, campaignPreparationRouter);
@@ -221,6 +242,15 @@ if (process.env.NODE_ENV !== 'test') {
 
     // Sprint C: start DB-backed scheduler (works with or without Redis)
     startScheduler({ intervalMs: 15000 });
+
+    // Dispatch scheduled campaigns once their scheduleAt passes
+    startCampaignDispatcher({ intervalMs: 30000 });
+
+    // Queue each shop's daily win-back / birthday / review sweep
+    startAutomationSweep();
+
+    // Return unassigned codes of expired pool reservations to the pool
+    startReservationExpiry();
   });
 }
 
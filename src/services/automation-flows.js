@@ -0,0 +1,514 @@
+// src/services/automation-flows.js
+// Multi-step automation flows: per-contact enrollments that walk ordered steps
+// (send SMS, wait, branch, tag, exit), driven by the scheduler's Job table
+
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+import { cancelDeferredMessages, renderGateQueueAndSend } from './messages.js';
+import { recordSendDenial } from './rules.js';
+import { scheduleJob } from './scheduler.js';
+import { buildCampaignApplyUrl } from './discounts.js';
+import {
+  CODE_STRATEGIES,
+  isUniqueCodeStrategy,
+  releasePoolCode,
+  takePoolCode,
+} from './discount-assignment.js';
+import { createShortlink } from './shortlinks.js';
+
+const prisma = getPrismaClient();
+
+export const FLOW_JOB_TYPE = 'automation:flow';
+export const STEP_TYPES = ['send_sms', 'wait', 'branch', 'tag', 'exit'];
+export const BRANCH_CONDITIONS = ['clicked_link', 'placed_order', 'tag_present'];
+
+// Triggers that enroll contacts in a flow
+export const FLOW_TRIGGERS = ['abandoned_checkout'];
+
+// Flows whose enrollments end as soon as the contact places an order
+export const ORDER_EXIT_TRIGGERS = ['abandoned_checkout'];
+
+const MAX_STEPS = 20;
+const MAX_WAIT_HOURS = 24 * 30;
+
+function flowError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Validate and normalize flow steps. Branch targets are step indexes (or 'exit')
+ * and must point forward, so a flow always terminates and sends each step at most once.
+ * @param {Array<Object>} steps
+ * @returns {Array<Object>} Normalized steps
+ */
+export function validateFlowSteps(steps) {
+  if (!Array.isArray(steps) || !steps.length) throw flowError('A flow needs at least one step');
+  if (steps.length > MAX_STEPS) throw flowError(`A flow has at most ${MAX_STEPS} steps`);
+
+  return steps.map((step, i) => {
+    const at = `Step ${i + 1}`;
+    switch (step?.type) {
+      case 'send_sms':
+        if (!String(step.template || '').trim()) throw flowError(`${at}: template is required`);
+        return { type: 'send_sms', template: step.template };
+      case 'wait': {
+        const hours = Number(step.hours);
+        if (!(hours > 0 && hours <= MAX_WAIT_HOURS)) {
+          throw flowError(`${at}: hours must be between 0 and ${MAX_WAIT_HOURS}`);
+        }
+        return { type: 'wait', hours };
+      }
+      case 'branch': {
+        if (!BRANCH_CONDITIONS.includes(step.condition)) {
+          throw flowError(`${at}: condition must be one of ${BRANCH_CONDITIONS.join(', ')}`);
+        }
+        if (step.condition === 'tag_present' && !String(step.tag || '').trim()) {
+          throw flowError(`${at}: tag_present needs a tag`);
+        }
+        for (const target of [step.then, step.else]) {
+          if (target === undefined || target === 'exit') continue;
+          if (!Number.isInteger(target) || target <= i || target >= steps.length) {
+            throw flowError(`${at}: branch targets must be a later step or "exit"`);
+          }
+        }
+        return {
+          type: 'branch',
+          condition: step.condition,
+          ...(step.condition === 'tag_present' ? { tag: String(step.tag).trim() } : {}),
+          then: step.then ?? i + 1,
+          else: step.else ?? i + 1,
+        };
+      }
+      case 'tag':
+        if (!String(step.tag || '').trim()) throw flowError(`${at}: tag is required`);
+        return { type: 'tag', tag: String(step.tag).trim() };
+      case 'exit':
+        return { type: 'exit' };
+      default:
+        throw flowError(`${at}: type must be one of ${STEP_TYPES.join(', ')}`);
+    }
+  });
+}
+
+function isFlow(automation) {
+  return Array.isArray(automation?.steps) && automation.steps.length > 0;
+}
+
+/**
+ * The enabled flow (automation with steps) for a trigger, or null when the shop has none.
+ */
+export async function findFlowForTrigger({ shopId, trigger }) {
+  const automations = await prisma.automation.findMany({
+    where: { shopId, trigger, enabled: true },
+    orderBy: { createdAt: 'asc' },
+  });
+  return automations.find(isFlow) || null;
+}
+
+/** Flows of a shop, oldest first */
+export async function listFlows({ shopId }) {
+  const automations = await prisma.automation.findMany({
+    where: { shopId, trigger: { in: FLOW_TRIGGERS } },
+    orderBy: { createdAt: 'asc' },
+  });
+  return automations.filter(isFlow);
+}
+
+/**
+ * Validate a flow's discount: { discountId, codeStrategy, redirectPath }.
+ * null removes it.
+ */
+function validateFlowDiscount(discountConfig) {
+  if (discountConfig === null) return null;
+  if (!String(discountConfig?.discountId || '').trim()) {
+    throw flowError('discountConfig.discountId is required');
+  }
+  const codeStrategy = discountConfig.codeStrategy || 'shared';
+  if (!CODE_STRATEGIES.includes(codeStrategy)) {
+    throw flowError(`discountConfig.codeStrategy must be one of ${CODE_STRATEGIES.join(', ')}`);
+  }
+  return {
+    discountId: discountConfig.discountId,
+    codeStrategy,
+    ...(discountConfig.redirectPath && { redirectPath: discountConfig.redirectPath }),
+  };
+}
+
+/**
+ * Create a flow, or replace an existing one's definition when `flowId` is given.
+ * Active enrollments continue with the new steps from their current position.
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} [params.flowId]
+ * @param {Object} params.input - { name, trigger, enabled, steps, discountConfig }
+ */
+export async function saveFlow({ shopId, flowId = null, input }) {
+  if (!FLOW_TRIGGERS.includes(input.trigger)) {
+    throw flowError(`trigger must be one of ${FLOW_TRIGGERS.join(', ')}`);
+  }
+  const steps = validateFlowSteps(input.steps);
+  const data = {
+    name: input.name,
+    trigger: input.trigger,
+    enabled: input.enabled ?? true,
+    steps,
+    // Automation.template is required; keep the first message there for list views
+    template: steps.find((s) => s.type === 'send_sms')?.template || '',
+  };
+  if (input.discountConfig !== undefined) {
+    data.discountConfig = validateFlowDiscount(input.discountConfig);
+  }
+  if (!flowId) return prisma.automation.create({ data: { shopId, ...data } });
+
+  const existing = await prisma.automation.findFirst({ where: { id: flowId, shopId } });
+  if (!isFlow(existing)) throw flowError('Flow not found', 404);
+  return prisma.automation.update({ where: { id: existing.id }, data });
+}
+
+function stepJobKey(enrollmentId, stepIndex) {
+  return `${FLOW_JOB_TYPE}:${enrollmentId}:${stepIndex}`;
+}
+
+function scheduleStep({ enrollment, stepIndex, runAt }) {
+  return scheduleJob({
+    shopId: enrollment.shopId,
+    kind: FLOW_JOB_TYPE,
+    key: stepJobKey(enrollment.id, stepIndex),
+    runAt,
+    payload: { enrollmentId: enrollment.id, stepIndex },
+  });
+}
+
+/**
+ * Enroll a contact in a flow. One enrollment per automation, contact and subject
+ * (e.g. checkout), so a repeated trigger does not restart the series.
+ * A checkout recovery URL is swapped for a per-contact shortlink so the
+ * clicked_link branch can see clicks.
+ * @returns {Promise<Object|null>} The enrollment, or null when already enrolled
+ */
+export async function enrollInFlow({
+  automation,
+  contact,
+  subjectKey,
+  context = {},
+  now = new Date(),
+}) {
+  let vars = context;
+  const recoveryUrl = context.checkout?.recovery_url;
+  if (recoveryUrl) {
+    const link = await createShortlink({
+      shopId: automation.shopId,
+      url: recoveryUrl,
+      contactId: contact.id,
+    });
+    vars = { ...context, checkout: { ...context.checkout, recovery_url: link.url } };
+  }
+
+  let enrollment;
+  try {
+    enrollment = await prisma.automationEnrollment.create({
+      data: {
+        shopId: automation.shopId,
+        automationId: automation.id,
+        contactId: contact.id,
+        subjectKey: String(subjectKey),
+        context: vars,
+      },
+    });
+  } catch (err) {
+    if (err?.code === 'P2002') return null;
+    throw err;
+  }
+
+  await scheduleStep({ enrollment, stepIndex: 0, runAt: now });
+  logger.info(
+    { shopId: automation.shopId, automationId: automation.id, enrollmentId: enrollment.id },
+    'Contact enrolled in automation flow',
+  );
+  return enrollment;
+}
+
+async function finishEnrollment(enrollment, { status, exitReason = null, now }) {
+  await prisma.automationEnrollment.update({
+    where: { id: enrollment.id },
+    data: { status, exitReason, completedAt: now },
+  });
+  return { status, exitReason };
+}
+
+/**
+ * End the active abandoned-checkout enrollments of a contact who placed an order.
+ * Their pending step jobs cancel themselves when they find the enrollment inactive;
+ * steps that quiet hours deferred are canceled here, as those jobs never look at it.
+ * @returns {Promise<number>} Enrollments ended
+ */
+export async function exitFlowsOnOrder({ shopId, contactId, now = new Date() }) {
+  const enrollments = await prisma.automationEnrollment.findMany({
+    where: {
+      shopId,
+      contactId,
+      status: 'active',
+      automation: { trigger: { in: ORDER_EXIT_TRIGGERS } },
+    },
+    select: { id: true, automation: { select: { trigger: true } } },
+  });
+  if (!enrollments.length) return 0;
+
+  const { count } = await prisma.automationEnrollment.updateMany({
+    where: { id: { in: enrollments.map((e) => e.id) }, status: 'active' },
+    data: { status: 'exited', exitReason: 'order_placed', completedAt: now },
+  });
+  // A deferred step's key holds its dedupeKey, `<enrollmentId>:<step>`, so the
+  // enrollment id alone is the prefix of every step
+  for (const enrollment of enrollments) {
+    await cancelDeferredMessages({
+      shopId,
+      triggerKey: enrollment.automation.trigger,
+      dedupeKey: enrollment.id,
+    });
+  }
+  return count;
+}
+
+function contactTags(contact) {
+  return Array.isArray(contact.tagsJson) ? contact.tagsJson : [];
+}
+
+async function conditionHolds({ step, enrollment, contact }) {
+  switch (step.condition) {
+    case 'clicked_link':
+      return Boolean(contact.lastClickedAt && contact.lastClickedAt >= enrollment.createdAt);
+    case 'placed_order': {
+      const orders = await prisma.contactOrder.count({
+        where: { contactId: contact.id, placedAt: { gte: enrollment.createdAt } },
+      });
+      return orders > 0;
+    }
+    case 'tag_present':
+      return contactTags(contact).includes(step.tag);
+    default:
+      return false;
+  }
+}
+
+// Send steps that render a discount; other steps take no pool code
+const DISCOUNT_VARS_RE = /\{\{\s*discount_(code|url)\b/;
+
+/**
+ * Discount vars for a send step of a flow with `discountConfig`. The shared
+ * strategy renders the discount's own code; the unique strategy takes a pool
+ * code for the enrollment. `exhausted` when the pool has no code left.
+ * @returns {Promise<{ vars: Object, code: Object|null } | { exhausted: true } | null>}
+ */
+async function flowDiscount({ shop, automation, enrollment, template }) {
+  const config = automation.discountConfig;
+  if (!config?.discountId || !DISCOUNT_VARS_RE.test(template)) return null;
+
+  let code = null;
+  let value;
+  if (isUniqueCodeStrategy(config)) {
+    code = await takePoolCode({
+      shopId: shop.id,
+      discountId: config.discountId,
+      assignee: enrollment.id,
+    });
+    if (!code) return { exhausted: true };
+    value = code.code;
+  } else {
+    const discount = await prisma.discount.findFirst({
+      where: { id: config.discountId, shopId: shop.id },
+    });
+    if (!discount?.code) return null;
+    value = discount.code;
+  }
+
+  const { url } = await buildCampaignApplyUrl({
+    shopId: shop.id,
+    shopDomain: shop.domain,
+    code: value,
+    redirect: config.redirectPath || '/checkout',
+    contactId: enrollment.contactId,
+  });
+  return {
+    code,
+    vars: { discount: { code: value, apply_url: url }, discount_code: value, discount_url: url },
+  };
+}
+
+/**
+ * Run an enrollment from `stepIndex` until it has to wait or the flow ends.
+ * Sends go through the usual gate under the automation's trigger rules; a contact
+ * without consent leaves the flow, other denials (caps, dedupe) just skip the step.
+ * The series counts once against the trigger's frequency cap: only the flow's first
+ * send step is checked, and a contact capped there leaves the flow ('frequency_capped').
+ * A unique-code flow whose pool ran dry skips the step ('discount_codes_exhausted').
+ */
+async function runSteps({ shop, automation, enrollment, contact, stepIndex, now }) {
+  const steps = automation.steps;
+  const firstSend = steps.findIndex((step) => step.type === 'send_sms');
+  let i = stepIndex;
+  while (i < steps.length) {
+    const step = steps[i];
+    if (step.type === 'send_sms') {
+      const discount = await flowDiscount({
+        shop,
+        automation,
+        enrollment,
+        template: step.template,
+      });
+      if (discount?.exhausted) {
+        const reason = 'discount_codes_exhausted';
+        logger.warn({ automationId: automation.id, enrollmentId: enrollment.id, step: i }, reason);
+        await recordSendDenial({
+          shop,
+          contact,
+          triggerKey: automation.trigger,
+          kind: 'automation',
+          reason,
+        });
+        i += 1;
+        continue;
+      }
+      // A code taken for this step goes back to the pool unless it was sent, or deferred
+      // with the rendered vars to go out later
+      const taken = discount?.code?.fresh ? discount.code : null;
+      let result;
+      try {
+        result = await renderGateQueueAndSend({
+          shop,
+          contact,
+          phoneE164: contact.phoneE164,
+          template: step.template,
+          vars: {
+            shop_name: shop.name || shop.domain,
+            ...(enrollment.context || {}),
+            ...(discount?.vars || {}),
+          },
+          triggerKey: automation.trigger,
+          dedupeKey: `${enrollment.id}:${i}`,
+          frequencyCapChecked: i !== firstSend,
+          metadata: {
+            automationId: automation.id,
+            enrollmentId: enrollment.id,
+            step: i,
+            ...(discount?.code && { discountCodeId: discount.code.id }),
+          },
+        });
+      } catch (err) {
+        if (taken) await releasePoolCode(taken);
+        throw err;
+      }
+      if (!result.sent && !result.deferred && taken) await releasePoolCode(taken);
+      if (!result.sent && result.reason === 'no_consent') {
+        return finishEnrollment(enrollment, { status: 'exited', exitReason: 'no_consent', now });
+      }
+      if (!result.sent && result.reason === 'frequency_capped') {
+        return finishEnrollment(enrollment, {
+          status: 'exited',
+          exitReason: 'frequency_capped',
+          now,
+        });
+      }
+      i += 1;
+    } else if (step.type === 'wait') {
+      const next = i + 1;
+      if (next >= steps.length) break;
+      await prisma.automationEnrollment.update({
+        where: { id: enrollment.id },
+        data: { stepIndex: next },
+      });
+      await scheduleStep({
+        enrollment,
+        stepIndex: next,
+        runAt: new Date(now.getTime() + step.hours * 3600 * 1000),
+      });
+      return { status: 'active', stepIndex: next };
+    } else if (step.type === 'branch') {
+      const target = (await conditionHolds({ step, enrollment, contact })) ? step.then : step.else;
+      if (target === 'exit') {
+        return finishEnrollment(enrollment, {
+          status: 'exited',
+          exitReason: `branch:${step.condition}`,
+          now,
+        });
+      }
+      i = target;
+    } else if (step.type === 'tag') {
+      const tags = contactTags(contact);
+      if (!tags.includes(step.tag)) {
+        contact = await prisma.contact.update({
+          where: { id: contact.id },
+          data: { tagsJson: [...tags, step.tag] },
+        });
+      }
+      i += 1;
+    } else {
+      return finishEnrollment(enrollment, { status: 'exited', exitReason: 'exit_step', now });
+    }
+  }
+  return finishEnrollment(enrollment, { status: 'completed', now });
+}
+
+/**
+ * Scheduler executor: continue an enrollment at the step its job was scheduled for.
+ * Jobs for enrollments that already ended (order placed, disabled flow) are canceled.
+ */
+export async function executeFlowStepJob(job, now = new Date()) {
+  const { enrollmentId, stepIndex } = job.payload || {};
+  const enrollment = await prisma.automationEnrollment.findUnique({ where: { id: enrollmentId } });
+
+  let outcome;
+  if (!enrollment || enrollment.status !== 'active' || enrollment.stepIndex !== stepIndex) {
+    outcome = { status: enrollment?.status || 'missing', exitReason: 'stale_step' };
+  } else {
+    const [shop, automation, contact] = await Promise.all([
+      prisma.shop.findUnique({ where: { id: enrollment.shopId } }),
+      prisma.automation.findUnique({ where: { id: enrollment.automationId } }),
+      prisma.contact.findUnique({ where: { id: enrollment.contactId } }),
+    ]);
+    if (!shop || !contact) {
+      outcome = await finishEnrollment(enrollment, {
+        status: 'exited',
+        exitReason: shop ? 'contact_missing' : 'shop_missing',
+        now,
+      });
+    } else if (!automation?.enabled || !Array.isArray(automation.steps)) {
+      outcome = await finishEnrollment(enrollment, {
+        status: 'exited',
+        exitReason: 'automation_disabled',
+        now,
+      });
+    } else {
+      outcome = await runSteps({ shop, automation, enrollment, contact, stepIndex, now });
+    }
+  }
+
+  const stale = outcome.exitReason === 'stale_step';
+  await prisma.job.update({
+    where: { id: job.id },
+    data: { status: stale ? 'canceled' : 'done', lastError: stale ? 'enrollment_inactive' : null },
+  });
+  return outcome;
+}
+
+/**
+ * Flow overview for the admin: enrollments by status and exit reason.
+ */
+export async function getFlowEnrollmentStats({ shopId, automationId }) {
+  const rows = await prisma.automationEnrollment.groupBy({
+    by: ['status', 'exitReason'],
+    where: { shopId, automationId },
+    _count: { _all: true },
+  });
+  const byStatus = { active: 0, completed: 0, exited: 0 };
+  const exitReasons = {};
+  for (const row of rows) {
+    byStatus[row.status] = (byStatus[row.status] || 0) + row._count._all;
+    if (row.exitReason) {
+      exitReasons[row.exitReason] = (exitReasons[row.exitReason] || 0) + row._count._all;
+    }
+  }
+  return { ...byStatus, exitReasons };
+}
@@ -0,0 +1,241 @@
+// src/services/automation-sweep.js
+// Daily sweep for time-based triggers: win-back, birthday and post-purchase review.
+// Also expires back-in-stock interests past their TTL.
+
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+import { zonedTimeToUtc } from '../lib/timezones.js';
+import { expireInterests } from './back-in-stock.js';
+import { renderGateQueueAndSend } from './messages.js';
+import { getShopTimezone, mergeRules } from './rules.js';
+import { scheduleJob } from './scheduler.js';
+
+const prisma = getPrismaClient();
+
+export const SWEEP_JOB_TYPE = 'automation:sweep';
+export const SWEEP_TRIGGERS = ['win_back', 'birthday', 'post_purchase_review'];
+
+// Local hour the sweep runs at, so messages land in the morning
+export const SWEEP_HOUR = Number(process.env.AUTOMATION_SWEEP_HOUR || 10);
+
+// A contact whose day fell on a missed sweep is still picked up this many days later;
+// the trigger's dedupe window keeps it to one message
+const CATCH_UP_DAYS = 7;
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** "YYYY-MM-DD" of an instant in a timezone */
+function localDay(now, tz) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: tz,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(now);
+}
+
+/**
+ * Queue today's sweep for every shop at SWEEP_HOUR local time. Idempotent per shop
+ * and local day (Job dedupe key), so it can run on every poller tick.
+ * @returns {Promise<number>} Sweeps newly queued
+ */
+export async function scheduleDailySweeps(now = new Date()) {
+  const shops = await prisma.shop.findMany({ select: { id: true, timezone: true } });
+  let queued = 0;
+  for (const shop of shops) {
+    const tz = getShopTimezone(shop);
+    const day = localDay(now, tz);
+    const key = `${SWEEP_JOB_TYPE}:${shop.id}:${day}`;
+    const existing = await prisma.job.findUnique({ where: { dedupeKey: key } });
+    if (existing) continue;
+    try {
+      await scheduleJob({
+        shopId: shop.id,
+        kind: SWEEP_JOB_TYPE,
+        key,
+        runAt: zonedTimeToUtc(`${day}T${String(SWEEP_HOUR).padStart(2, '0')}:00`, tz),
+        payload: { day },
+      });
+      queued++;
+    } catch (err) {
+      if (err?.code !== 'P2002') throw err;
+    }
+  }
+  return queued;
+}
+
+/** Page through a findMany by id so large shops never load every row at once */
+async function forEachBatch(model, args, fn) {
+  let cursor = null;
+  for (;;) {
+    const rows = await prisma[model].findMany({
+      ...args,
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    for (const row of rows) await fn(row);
+    if (rows.length < BATCH_SIZE) return;
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+const REACHABLE = { optedOut: false, smsConsentState: 'opted_in' };
+
+function createNotifier({ shop, triggerKey, config, counts }) {
+  return async ({ contact, vars, dedupeKey }) => {
+    const result = await renderGateQueueAndSend({
+      shop,
+      contact,
+      phoneE164: contact.phoneE164,
+      templateKey: triggerKey,
+      template: config.template || null,
+      vars: {
+        shop_name: shop.name || shop.domain,
+        shop_url: `https://${shop.domain}`,
+        customer_name: contact.firstName || '',
+        ...vars,
+      },
+      triggerKey,
+      dedupeKey,
+    });
+    if (result.sent || result.deferred) counts.sent++;
+    else counts.skipped++;
+  };
+}
+
+async function sweepWinBack({ shop, config, now, notify }) {
+  const cutoff = new Date(now.getTime() - (Number(config.days) || 60) * DAY_MS);
+  await forEachBatch(
+    'contact',
+    {
+      where: {
+        shopId: shop.id,
+        ...REACHABLE,
+        lastConvertedAt: { gte: new Date(cutoff.getTime() - CATCH_UP_DAYS * DAY_MS), lt: cutoff },
+      },
+    },
+    (contact) =>
+      notify({
+        contact,
+        vars: {
+          days_since_order: Math.floor((now - contact.lastConvertedAt) / DAY_MS),
+          last_order_date: contact.lastConvertedAt.toISOString().slice(0, 10),
+        },
+        // one message per lapse: a new order moves lastConvertedAt
+        dedupeKey: `win_back:${contact.lastConvertedAt.toISOString()}`,
+      }),
+  );
+}
+
+/**
+ * Birthdays are matched on the shop's local date; Feb 29 birthdays are
+ * celebrated on Feb 28 in common years.
+ */
+async function sweepBirthdays({ shop, now, notify }) {
+  const [year, month, day] = localDay(now, getShopTimezone(shop)).split('-').map(Number);
+  const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  const alsoDay = month === 2 && day === 28 && !isLeap ? 29 : day;
+
+  const rows = await prisma.$queryRaw`
+    SELECT "id" FROM "Contact"
+    WHERE "shopId" = ${shop.id}
+      AND "optedOut" = false
+      AND "smsConsentState" = 'opted_in'
+      AND "birthdate" IS NOT NULL
+      AND EXTRACT(MONTH FROM "birthdate") = ${month}
+      AND EXTRACT(DAY FROM "birthdate") IN (${day}, ${alsoDay})
+  `;
+  const ids = rows.map((r) => r.id);
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const contacts = await prisma.contact.findMany({
+      where: { id: { in: ids.slice(i, i + BATCH_SIZE) } },
+    });
+    for (const contact of contacts) {
+      await notify({ contact, vars: {}, dedupeKey: `birthday:${year}` });
+    }
+  }
+}
+
+async function sweepReviewRequests({ shop, config, now, notify }) {
+  const cutoff = new Date(now.getTime() - (Number(config.days) || 7) * DAY_MS);
+  await forEachBatch(
+    'contactOrder',
+    {
+      where: {
+        shopId: shop.id,
+        deliveredAt: { gte: new Date(cutoff.getTime() - CATCH_UP_DAYS * DAY_MS), lt: cutoff },
+        contact: REACHABLE,
+      },
+      include: { contact: true },
+    },
+    (order) =>
+      notify({
+        contact: order.contact,
+        vars: {
+          review_url: config.reviewUrl || `https://${shop.domain}`,
+          order_id: order.orderId,
+          delivered_at: order.deliveredAt.toISOString().slice(0, 10),
+        },
+        dedupeKey: `review:${order.orderId}`,
+      }),
+  );
+}
+
+const SWEEPERS = {
+  win_back: sweepWinBack,
+  birthday: sweepBirthdays,
+  post_purchase_review: sweepReviewRequests,
+};
+
+/**
+ * Run the enabled time-based triggers for one shop.
+ * @returns {Promise<Object>} { [trigger]: { sent, skipped } } for enabled triggers
+ */
+export async function sweepShop({ shop, now = new Date() }) {
+  const results = {};
+  for (const triggerKey of SWEEP_TRIGGERS) {
+    const config = mergeRules(shop, triggerKey);
+    if (!config.enabled) continue;
+    const counts = { sent: 0, skipped: 0 };
+    const notify = createNotifier({ shop, triggerKey, config, counts });
+    await SWEEPERS[triggerKey]({ shop, config, now, notify });
+    results[triggerKey] = counts;
+  }
+  return results;
+}
+
+/** Scheduler executor: the daily sweep of one shop */
+export async function executeSweepJob(job, now = new Date()) {
+  const shop = await prisma.shop.findUnique({ where: { id: job.shopId } });
+  if (!shop) throw new Error('shop_missing');
+
+  const result = await sweepShop({ shop, now });
+  result.expiredInterests = await expireInterests({ shopId: shop.id, now });
+  await prisma.job.update({
+    where: { id: job.id },
+    data: { status: 'done', payload: { ...job.payload, result } },
+  });
+  logger.info({ shopId: shop.id, result }, 'Automation sweep completed');
+  return result;
+}
+
+/**
+ * Poller that queues each shop's daily sweep; startScheduler runs them.
+ * Fail-safe: errors are logged, never thrown.
+ */
+let _timer = null;
+export function startAutomationSweep({ intervalMs = 60 * 60 * 1000 } = {}) {
+  if (_timer) return;
+  const tick = () =>
+    scheduleDailySweeps().catch((error) =>
+      logger.error({ error: error.message }, 'Automation sweep scheduling failed'),
+    );
+  tick();
+  _timer = setInterval(tick, intervalMs);
+}
+
+export function stopAutomationSweep() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
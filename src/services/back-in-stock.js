@@ -2,19 +2,49 @@
 // Back-in-stock interest collection and notification service
 
 import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
 import { resolveByInventoryItem } from './shopify-products.js';
-import { renderGateQueueAndSend } from './messages.js';
+import { cancelDeferredMessages, renderGateQueueAndSend } from './messages.js';
+import { mergeRules } from './rules.js';
 
 const prisma = getPrismaClient();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 100;
+
+function bisError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** Expiry for an interest registered now; null when the shop keeps interests indefinitely */
+function interestExpiry(shop, now) {
+  const ttlDays = mergeRules(shop, 'back_in_stock').interestTtlDays;
+  return ttlDays ? new Date(now.getTime() + ttlDays * DAY_MS) : null;
+}
+
+/** Interests that can still be notified */
+function activeWhere(now) {
+  return { status: 'active', OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] };
+}
+
 /**
- * Store/refresh customer's interest for an InventoryItem.
+ * Store/refresh customer's interest for an InventoryItem. Signing up again extends the
+ * expiry; a closed interest re-joins the back of the queue.
  */
-export async function upsertInterest({ shop, contact, inventoryItemId, productMeta }) {
+export async function upsertInterest({
+  shop,
+  contact,
+  inventoryItemId,
+  productMeta,
+  now = new Date(),
+}) {
   const data = {
     shopId: shop.id,
     contactId: contact.id,
     inventoryItemId: String(inventoryItemId),
+    expiresAt: interestExpiry(shop, now),
     ...(productMeta?.variantId ? { variantId: productMeta.variantId } : {}),
     ...(productMeta?.productHandle ? { productHandle: productMeta.productHandle } : {}),
   };
@@ -26,15 +56,78 @@ export async function upsertInterest({ shop, contact, inventoryItemId, productMe
     },
   });
   if (existing) {
-    await prisma.backInStockInterest.update({ where: { id: existing.id }, data });
+    const reopen =
+      existing.status !== 'active'
+        ? { status: 'active', subscribedAt: now, canceledAt: null, lastNotifiedAt: null }
+        : {};
+    await prisma.backInStockInterest.update({
+      where: { id: existing.id },
+      data: { ...data, ...reopen },
+    });
     return existing.id;
   }
-  const row = await prisma.backInStockInterest.create({ data });
+  const row = await prisma.backInStockInterest.create({ data: { ...data, subscribedAt: now } });
   return row.id;
 }
 
 /**
- * When inventory goes 0 -> >0, notify all interested opted-in contacts once (per restock).
+ * Active interests of one contact, newest first.
+ */
+export async function listContactInterests({ shopId, contactId, now = new Date() }) {
+  return prisma.backInStockInterest.findMany({
+    where: { shopId, contactId, ...activeWhere(now) },
+    select: {
+      id: true,
+      inventoryItemId: true,
+      variantId: true,
+      productHandle: true,
+      subscribedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { subscribedAt: 'desc' },
+  });
+}
+
+/**
+ * Cancel one of a contact's interests, along with a notification for it still waiting
+ * for quiet hours to end. Throws 404 for interests of other contacts.
+ */
+export async function cancelInterest({ shopId, contactId, interestId, now = new Date() }) {
+  const interest = await prisma.backInStockInterest.findFirst({
+    where: { id: interestId, shopId, contactId },
+  });
+  if (!interest) throw bisError('Interest not found', 404);
+  await cancelDeferredMessages({
+    shopId,
+    triggerKey: 'back_in_stock',
+    dedupeKey: interest.inventoryItemId,
+    contactId,
+  });
+  if (interest.status !== 'active') return interest;
+  return prisma.backInStockInterest.update({
+    where: { id: interest.id },
+    data: { status: 'canceled', canceledAt: now },
+  });
+}
+
+/**
+ * Close interests whose TTL has passed.
+ * @returns {Promise<number>} Interests expired
+ */
+export async function expireInterests({ shopId, now = new Date() }) {
+  const { count } = await prisma.backInStockInterest.updateMany({
+    where: { shopId, status: 'active', expiresAt: { lte: now } },
+    data: { status: 'expired' },
+  });
+  return count;
+}
+
+/**
+ * On a restock, notify waiting contacts first-come-first-served. Each release is capped at
+ * `batchRatio` x available units, and while a batch went out in the last
+ * `batchIntervalMinutes` further stock updates release nothing, so a restock of 3 does not
+ * reach 500 subscribers. Contacts left waiting are released by later inventory updates.
+ * @returns {Promise<number>} Messages sent or deferred to quiet-hours end
  */
 export async function notifyInterestsForInventory({
   shop,
@@ -42,57 +135,85 @@ export async function notifyInterestsForInventory({
   inventoryItemNumericId,
   available,
   productMeta,
+  now = new Date(),
 }) {
   if (!available || available <= 0) return 0;
-  const interests = await prisma.backInStockInterest.findMany({
-    where: { shopId: shop.id, inventoryItemId: String(inventoryItemNumericId) },
+  const inventoryItemId = String(inventoryItemNumericId);
+  const config = mergeRules(shop, 'back_in_stock');
+
+  const lastBatch = await prisma.backInStockInterest.findFirst({
+    where: { shopId: shop.id, inventoryItemId, status: 'notified', lastNotifiedAt: { not: null } },
+    orderBy: { lastNotifiedAt: 'desc' },
+    select: { lastNotifiedAt: true },
   });
+  const intervalMs = (Number(config.batchIntervalMinutes) || 0) * 60 * 1000;
+  if (lastBatch && now - lastBatch.lastNotifiedAt < intervalMs) {
+    logger.info({ shopId: shop.id, inventoryItemId, available }, 'Back-in-stock batch throttled');
+    return 0;
+  }
+
+  const batchSize = Math.max(1, Math.ceil(available * (Number(config.batchRatio) || 1)));
+  let meta = productMeta;
   let sent = 0;
-  for (const bi of interests) {
-    const contact = await prisma.contact.findUnique({ where: { id: bi.contactId } });
-    if (!contact || contact.optedOut || contact.smsConsentState !== 'opted_in') continue;
-
-    // Ensure product meta
-    let meta = productMeta;
-    if (!meta || !meta.productHandle) {
-      meta = await resolveByInventoryItem({
-        shopDomain,
-        inventoryItemNumericId,
-      }).catch(() => null);
-    }
+  let cursor = null;
 
-    // Build product URL (no PCD)
-    const productUrl = meta?.productHandle
-      ? `https://${shopDomain}/products/${meta.productHandle}`
-      : `https://${shopDomain}`;
-    const vars = {
-      product: {
-        title: meta?.productTitle || 'Το προϊόν',
-        url: productUrl,
-      },
-      variant: {
-        id: meta?.variantId || null,
-        title: meta?.variantTitle || null,
-      },
-    };
-
-    const result = await renderGateQueueAndSend({
-      shop,
-      contact,
-      phoneE164: contact.phoneE164,
-      templateKey: 'back_in_stock',
-      vars,
-      triggerKey: 'back_in_stock',
-      dedupeKey: String(inventoryItemNumericId),
+  while (sent < batchSize) {
+    const interests = await prisma.backInStockInterest.findMany({
+      where: { shopId: shop.id, inventoryItemId, ...activeWhere(now) },
+      orderBy: [{ subscribedAt: 'asc' }, { id: 'asc' }],
+      take: PAGE_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
     });
+    if (interests.length === 0) break;
+    cursor = interests[interests.length - 1].id;
 
-    if (result.sent) {
-      sent++;
-      await prisma.backInStockInterest.update({
-        where: { id: bi.id },
-        data: { lastNotifiedAt: new Date() },
+    for (const bi of interests) {
+      if (sent >= batchSize) break;
+      const contact = await prisma.contact.findUnique({ where: { id: bi.contactId } });
+      if (!contact || contact.optedOut || contact.smsConsentState !== 'opted_in') continue;
+
+      // Ensure product meta
+      if (!meta || !meta.productHandle) {
+        meta = await resolveByInventoryItem({
+          shopDomain,
+          inventoryItemNumericId,
+        }).catch(() => null);
+      }
+
+      // Build product URL (no PCD)
+      const productUrl = meta?.productHandle
+        ? `https://${shopDomain}/products/${meta.productHandle}`
+        : `https://${shopDomain}`;
+      const vars = {
+        product: {
+          title: meta?.productTitle || 'Το προϊόν',
+          url: productUrl,
+        },
+        variant: {
+          id: meta?.variantId || null,
+          title: meta?.variantTitle || null,
+        },
+      };
+
+      const result = await renderGateQueueAndSend({
+        shop,
+        contact,
+        phoneE164: contact.phoneE164,
+        templateKey: 'back_in_stock',
+        vars,
+        triggerKey: 'back_in_stock',
+        dedupeKey: inventoryItemId,
       });
+
+      if (result.sent || result.deferred) {
+        sent++;
+        await prisma.backInStockInterest.update({
+          where: { id: bi.id },
+          data: { status: 'notified', lastNotifiedAt: now },
+        });
+      }
     }
+    if (interests.length < PAGE_SIZE) break;
   }
   return sent;
 }
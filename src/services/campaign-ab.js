@@ -0,0 +1,331 @@
+// src/services/campaign-ab.js
+// A/B split testing for campaigns: variant config, test-slice assignment and winner selection
+
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+import { enqueueJob } from '../queue/queues.js';
+import { createShortlink, shortlinkUrl } from './shortlinks.js';
+import { appendUtm, variantUtmContent } from './utm.js';
+import { getCampaignVariantReport } from './reports.js';
+
+const prisma = getPrismaClient();
+
+export const AB_METRICS = ['clicks', 'revenue'];
+export const VARIANT_KEYS = ['A', 'B', 'C', 'D', 'E'];
+
+const DEFAULT_TEST_PERCENT = 20;
+const DEFAULT_WINDOW_MINUTES = 240;
+const UPDATE_CHUNK = 1000;
+
+function abError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isPositiveInt(n, max = Infinity) {
+  return Number.isInteger(n) && n >= 1 && n <= max;
+}
+
+/**
+ * Validate and normalize an A/B test definition. Variants are keyed A–E in the given order.
+ * @param {Object|null} input - { variants: [{ bodyText, percent }], testPercent, windowMinutes, metric, linkUrl }
+ * @returns {Object|null} Normalized config, or null when A/B testing is switched off
+ */
+export function normalizeAbTest(input) {
+  if (input == null) return null;
+
+  const variants = Array.isArray(input.variants) ? input.variants : [];
+  if (variants.length < 2 || variants.length > VARIANT_KEYS.length) {
+    throw abError(`A/B test needs 2 to ${VARIANT_KEYS.length} variants`);
+  }
+
+  const normalized = variants.map((v, i) => {
+    const key = VARIANT_KEYS[i];
+    const bodyText = String(v?.bodyText || '').trim();
+    if (!bodyText) throw abError(`Variant ${key} has no bodyText`);
+    const percent = Number(v?.percent);
+    if (!isPositiveInt(percent, 100)) {
+      throw abError(`Variant ${key} percent must be an integer between 1 and 100`);
+    }
+    return { key, bodyText, percent };
+  });
+  if (normalized.reduce((sum, v) => sum + v.percent, 0) !== 100) {
+    throw abError('Variant percentages must add up to 100');
+  }
+
+  const testPercent = Number(input.testPercent ?? DEFAULT_TEST_PERCENT);
+  if (!isPositiveInt(testPercent, 100)) {
+    throw abError('testPercent must be an integer between 1 and 100');
+  }
+
+  const windowMinutes = Number(input.windowMinutes ?? DEFAULT_WINDOW_MINUTES);
+  if (!isPositiveInt(windowMinutes)) {
+    throw abError('windowMinutes must be a positive integer');
+  }
+
+  const metric = input.metric ?? 'clicks';
+  if (!AB_METRICS.includes(metric)) {
+    throw abError(`metric must be one of: ${AB_METRICS.join(', ')}`);
+  }
+
+  let linkUrl = null;
+  if (input.linkUrl) {
+    try {
+      linkUrl = new URL(String(input.linkUrl)).toString();
+    } catch {
+      throw abError('linkUrl must be an absolute URL');
+    }
+  }
+
+  return { variants: normalized, testPercent, windowMinutes, metric, linkUrl };
+}
+
+/**
+ * Split recipients into per-variant test groups and a held remainder.
+ * The test slice is testPercent of the audience (at least one recipient per variant
+ * when the audience allows), divided between variants by their percentages.
+ * @param {string[]} ids - Recipient IDs
+ * @param {Object} config - Normalized A/B config
+ * @param {Function} [random] - Random source in [0, 1), injectable for tests
+ * @returns {Object} { groups: { [key]: string[] }, held: string[] }
+ */
+export function splitTestSlice(ids, config, random = Math.random) {
+  const shuffled = [...ids];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const { variants, testPercent } = config;
+  const sliceSize = Math.min(
+    shuffled.length,
+    Math.max(Math.round((shuffled.length * testPercent) / 100), variants.length),
+  );
+
+  // Largest remainder keeps the group sizes summing to the slice size
+  const shares = variants.map((v) => (sliceSize * v.percent) / 100);
+  const sizes = shares.map(Math.floor);
+  let left = sliceSize - sizes.reduce((a, b) => a + b, 0);
+  const byRemainder = shares
+    .map((share, i) => ({ i, rem: share - sizes[i] }))
+    .sort((a, b) => b.rem - a.rem || a.i - b.i);
+  for (const { i } of byRemainder) {
+    if (left-- <= 0) break;
+    sizes[i]++;
+  }
+
+  const groups = {};
+  let offset = 0;
+  variants.forEach((v, i) => {
+    groups[v.key] = shuffled.slice(offset, offset + sizes[i]);
+    offset += sizes[i];
+  });
+
+  return { groups, held: shuffled.slice(offset) };
+}
+
+// Only rows still pending: a running batch may have claimed some since they were read
+async function updateInChunks(ids, data) {
+  for (let i = 0; i < ids.length; i += UPDATE_CHUNK) {
+    await prisma.campaignRecipient.updateMany({
+      where: { id: { in: ids.slice(i, i + UPDATE_CHUNK) }, status: 'pending' },
+      data,
+    });
+  }
+}
+
+/**
+ * Assign the snapshotted audience of an A/B campaign: the test slice gets variant keys,
+ * everyone else is 'held' until a winner is picked. Resets any previous decision.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {Object} params.campaign - Campaign row
+ * @param {Function} [params.random] - Random source for the shuffle
+ * @returns {Promise<Object|null>} { test: { [key]: count }, held } or null for non-A/B campaigns
+ */
+export async function assignCampaignVariants({ shopId, campaign, random = Math.random }) {
+  const config = campaign.abTestJson;
+  if (!config?.variants?.length) return null;
+
+  const recipients = await prisma.campaignRecipient.findMany({
+    where: { shopId, campaignId: campaign.id, status: 'pending' },
+    select: { id: true },
+  });
+  const { groups, held } = splitTestSlice(
+    recipients.map((r) => r.id),
+    config,
+    random,
+  );
+
+  const test = {};
+  for (const [key, ids] of Object.entries(groups)) {
+    await updateInChunks(ids, { variant: key });
+    test[key] = ids.length;
+  }
+  await updateInChunks(held, { status: 'held', variant: null });
+
+  await prisma.campaign.update({
+    where: { id: campaign.id },
+    data: { abPhase: 'testing', abWinner: null, abDecideAt: null },
+  });
+
+  logger.info({ campaignId: campaign.id, test, held: held.length }, 'A/B variants assigned');
+
+  return { test, held: held.length };
+}
+
+/** Variant definition for a recipient's variant key, or null */
+export function campaignVariant(campaign, key) {
+  if (!key) return null;
+  return campaign.abTestJson?.variants?.find((v) => v.key === key) || null;
+}
+
+/**
+ * Tracked link for a variant, pointing at linkUrl (or the storefront) tagged with
+ * utm_campaign=<campaign.id> and utm_content=variant_<key> for revenue attribution.
+ * With `contactId` the link is the recipient's own, created at send time, so clicks
+ * are attributed to them; without it one shortlink per (campaign, variant) is shared.
+ * Either way clicks count per variant.
+ * @returns {Promise<string>} Shortlink URL
+ */
+export async function variantLink({ shop, campaign, variantKey, contactId = null }) {
+  if (!contactId) {
+    const existing = await prisma.shortlink.findFirst({
+      where: { shopId: shop.id, campaignId: campaign.id, variant: variantKey, contactId: null },
+      select: { slug: true },
+    });
+    if (existing) return shortlinkUrl(existing.slug);
+  }
+
+  const target = appendUtm(campaign.abTestJson?.linkUrl || `https://${shop.domain}/`, {
+    ...(campaign.utmJson || {}),
+    utm_campaign: String(campaign.id),
+    utm_content: variantUtmContent(variantKey),
+  });
+  const { url } = await createShortlink({
+    shopId: shop.id,
+    url: target,
+    campaignId: campaign.id,
+    variant: variantKey,
+    contactId,
+  });
+  return url;
+}
+
+/**
+ * Start the test window once the test slice has been sent: fix abDecideAt and
+ * enqueue the decision job (deterministic jobId, so repeated calls enqueue once).
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {Object} params.campaign - Campaign row
+ * @param {Date} [params.now] - Reference time
+ * @returns {Promise<Date|null>} When the winner will be picked, or null if not testing
+ */
+export async function startAbWindow({ shopId, campaign, now = new Date() }) {
+  const windowMinutes = campaign.abTestJson?.windowMinutes || DEFAULT_WINDOW_MINUTES;
+  await prisma.campaign.updateMany({
+    where: { id: campaign.id, shopId, abPhase: 'testing', abDecideAt: null },
+    data: { abDecideAt: new Date(now.getTime() + windowMinutes * 60 * 1000) },
+  });
+
+  const row = await prisma.campaign.findUnique({
+    where: { id: campaign.id },
+    select: { abPhase: true, abDecideAt: true },
+  });
+  if (row?.abPhase !== 'testing' || !row.abDecideAt) return null;
+
+  await enqueueJob(
+    'campaigns',
+    'ab-decide',
+    { campaignId: campaign.id, shopId, requestId: `campaign_${campaign.id}_ab_decide` },
+    {
+      delay: Math.max(0, row.abDecideAt.getTime() - now.getTime()),
+      jobId: `campaign-${campaign.id}-ab-decide`,
+    },
+  );
+  return row.abDecideAt;
+}
+
+/**
+ * Pick the winning variant from a variant report.
+ * clicks → highest click-through rate; revenue → highest revenue per message sent,
+ * so variants with a larger traffic share are not favoured. Ties go to the earlier key.
+ * @param {Object[]} variants - Rows from getCampaignVariantReport
+ * @param {string} metric - clicks | revenue
+ * @returns {string|null} Winning variant key
+ */
+export function pickWinner(variants, metric) {
+  const score = (v) => (metric === 'revenue' ? v.revenuePerSent : v.clickRate);
+  let best = null;
+  for (const v of variants) {
+    if (!best || score(v) > score(best)) best = v;
+  }
+  return best?.variant || null;
+}
+
+/**
+ * Close the test: record the winner and release held recipients with the winning body.
+ * Idempotent — only the first call while the campaign is 'testing' decides.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.campaignId - Campaign ID
+ * @param {string} [params.variant] - Force a winner instead of scoring
+ * @param {Date} [params.now] - Reference time (end of the attribution window)
+ * @returns {Promise<Object>} { ok, decided, winner, released, variants }
+ */
+export async function decideCampaignWinner({ shopId, campaignId, variant, now = new Date() }) {
+  const campaign = await prisma.campaign.findFirst({ where: { id: campaignId, shopId } });
+  if (!campaign) throw abError('Campaign not found', 404);
+  if (!campaign.abTestJson) throw abError('Campaign is not an A/B test');
+  if (campaign.abPhase !== 'testing') {
+    return { ok: true, decided: false, winner: campaign.abWinner, released: 0 };
+  }
+  if (variant && !campaignVariant(campaign, variant)) {
+    throw abError(`Unknown variant: ${variant}`);
+  }
+
+  const report = await getCampaignVariantReport({ shopId, campaign, to: now });
+  const winner = variant || pickWinner(report.variants, report.metric);
+
+  const { count } = await prisma.campaign.updateMany({
+    where: { id: campaignId, shopId, abPhase: 'testing' },
+    data: { abPhase: 'decided', abWinner: winner },
+  });
+  if (count === 0) {
+    return { ok: true, decided: false, winner: null, released: 0 };
+  }
+
+  const { count: released } = await prisma.campaignRecipient.updateMany({
+    where: { shopId, campaignId, status: 'held' },
+    data: { status: 'pending', variant: winner },
+  });
+
+  // A paused campaign picks the released recipients up on resume
+  if (released && campaign.status === 'sending') {
+    await enqueueJob(
+      'campaigns',
+      'batch',
+      {
+        campaignId,
+        shopId,
+        batchSize: campaign.batchSize || 100,
+        requestId: `campaign_${campaignId}_ab_rollout`,
+      },
+      { jobId: `campaign-${campaignId}-ab-rollout` },
+    );
+  }
+
+  logger.info(
+    { campaignId, shopId, winner, released, metric: report.metric, forced: !!variant },
+    'A/B winner selected',
+  );
+
+  return {
+    ok: true,
+    decided: true,
+    winner,
+    released,
+    variants: report.variants.map((v) => ({ ...v, winner: v.variant === winner })),
+  };
+}
@@ -0,0 +1,208 @@
+// src/services/campaign-dispatcher.js
+// Scheduled campaign dispatcher: picks up due campaigns, snapshots their audience and starts sending
+
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+import { enqueueJob } from '../queue/queues.js';
+import { materializeCampaignAudience } from './campaigns-service.js';
+
+const prisma = getPrismaClient();
+
+const DISPATCH_BATCH = Number(process.env.CAMPAIGN_DISPATCH_BATCH || '10');
+// A dispatched campaign that has sent nothing after this long lost its batch job
+const DISPATCH_STALL_MS = Number(process.env.CAMPAIGN_DISPATCH_STALL_MS || String(10 * 60 * 1000));
+
+/**
+ * Claim a due campaign for this worker.
+ * The conditional update (status + dispatchedAt) succeeds for exactly one worker,
+ * so campaigns are dispatched once even with several schedulers polling.
+ */
+async function claimCampaign(campaign, now) {
+  const { count } = await prisma.campaign.updateMany({
+    where: {
+      id: campaign.id,
+      status: 'scheduled',
+      dispatchedAt: null,
+      scheduleAt: { lte: now },
+    },
+    data: { status: 'sending', dispatchedAt: now },
+  });
+  return count === 1;
+}
+
+/** Give a claimed campaign back to the scheduler when dispatch fails midway */
+async function releaseCampaign(campaign) {
+  await prisma.campaign.updateMany({
+    where: { id: campaign.id, status: 'sending' },
+    data: { status: 'scheduled', dispatchedAt: null },
+  });
+}
+
+/** Snapshot the audience and enqueue batched sending for a claimed campaign */
+async function startSending(campaign, now) {
+  const recipientCount = await materializeCampaignAudience({
+    shopId: campaign.shopId,
+    campaign,
+    now,
+  });
+
+  await enqueueJob(
+    'campaigns',
+    'batch',
+    {
+      campaignId: campaign.id,
+      shopId: campaign.shopId,
+      batchSize: campaign.batchSize || 100,
+      requestId: `campaign_${campaign.id}_dispatch`,
+    },
+    { jobId: `campaign-${campaign.id}-dispatch-${now.getTime()}` },
+  );
+
+  return recipientCount;
+}
+
+/**
+ * Dispatch every scheduled campaign whose scheduleAt has passed:
+ * claim → snapshot audience (recipient-local rows get sendAfter) → enqueue batched sending.
+ * @param {Object} [params] - Parameters
+ * @param {Date} [params.now] - Reference time
+ * @returns {Promise<Object>} { dispatched, skipped, failed }
+ */
+export async function dispatchDueCampaigns({ now = new Date() } = {}) {
+  const due = await prisma.campaign.findMany({
+    where: { status: 'scheduled', dispatchedAt: null, scheduleAt: { lte: now } },
+    orderBy: { scheduleAt: 'asc' },
+    take: DISPATCH_BATCH,
+    include: { shop: true },
+  });
+
+  let dispatched = 0,
+    skipped = 0,
+    failed = 0;
+
+  for (const campaign of due) {
+    if (!(await claimCampaign(campaign, now))) {
+      skipped++; // another worker got it
+      continue;
+    }
+
+    try {
+      const recipientCount = await startSending(campaign, now);
+
+      dispatched++;
+      logger.info(
+        {
+          campaignId: campaign.id,
+          shopId: campaign.shopId,
+          scheduleMode: campaign.scheduleMode,
+          recipientCount,
+        },
+        'Scheduled campaign dispatched',
+      );
+    } catch (error) {
+      failed++;
+      await releaseCampaign(campaign).catch(() => {});
+      logger.error(
+        { error: error.message, campaignId: campaign.id, shopId: campaign.shopId },
+        'Failed to dispatch scheduled campaign',
+      );
+    }
+  }
+
+  return { dispatched, skipped, failed };
+}
+
+/**
+ * Whether a dispatched campaign never got going: nothing has left pending/held and
+ * recipients are due (or the snapshot never ran). Campaigns whose recipients all
+ * wait for a later local send time have a delayed job and are left alone.
+ */
+async function hasStalled(campaign, now) {
+  const where = { shopId: campaign.shopId, campaignId: campaign.id };
+  const progressed = await prisma.campaignRecipient.count({
+    where: { ...where, status: { notIn: ['pending', 'held'] } },
+  });
+  if (progressed > 0) return false;
+  const [total, due] = await Promise.all([
+    prisma.campaignRecipient.count({ where }),
+    prisma.campaignRecipient.count({
+      where: {
+        ...where,
+        status: 'pending',
+        OR: [{ sendAfter: null }, { sendAfter: { lte: now } }],
+      },
+    }),
+  ]);
+  return total === 0 || due > 0;
+}
+
+/**
+ * Restart campaigns that were claimed but never sent: a crash or deploy between the
+ * claim and enqueueJob leaves them 'sending' with no job. Nothing has been sent, so
+ * the snapshot is taken again and a new batch job enqueued. dispatchedAt is moved
+ * forward with a conditional update, so each stall is recovered by one worker and
+ * not again before DISPATCH_STALL_MS has passed.
+ * @param {Object} [params] - Parameters
+ * @param {Date} [params.now] - Reference time
+ * @returns {Promise<Object>} { recovered, failed }
+ */
+export async function recoverStalledCampaigns({ now = new Date() } = {}) {
+  const stale = await prisma.campaign.findMany({
+    where: { status: 'sending', dispatchedAt: { lt: new Date(now.getTime() - DISPATCH_STALL_MS) } },
+    orderBy: { dispatchedAt: 'asc' },
+    take: DISPATCH_BATCH,
+    include: { shop: true },
+  });
+
+  let recovered = 0,
+    failed = 0;
+
+  for (const campaign of stale) {
+    try {
+      if (!(await hasStalled(campaign, now))) continue;
+      const { count } = await prisma.campaign.updateMany({
+        where: { id: campaign.id, status: 'sending', dispatchedAt: campaign.dispatchedAt },
+        data: { dispatchedAt: now },
+      });
+      if (count === 0) continue; // another worker got it
+
+      const recipientCount = await startSending(campaign, now);
+      recovered++;
+      logger.warn(
+        { campaignId: campaign.id, shopId: campaign.shopId, recipientCount },
+        'Stalled campaign dispatch recovered',
+      );
+    } catch (error) {
+      failed++;
+      logger.error(
+        { error: error.message, campaignId: campaign.id, shopId: campaign.shopId },
+        'Failed to recover stalled campaign',
+      );
+    }
+  }
+
+  return { recovered, failed };
+}
+
+/**
+ * Poller for scheduled campaigns, alongside startScheduler's Job poller.
+ * Each tick also recovers stalled dispatches.
+ * Fail-safe: errors are logged, never thrown.
+ */
+let _timer = null;
+export function startCampaignDispatcher({ intervalMs = 30000 } = {}) {
+  if (_timer) return;
+  _timer = setInterval(async () => {
+    try {
+      await dispatchDueCampaigns();
+      await recoverStalledCampaigns();
+    } catch (error) {
+      logger.error({ error: error.message }, 'Campaign dispatcher tick failed');
+    }
+  }, intervalMs);
+}
+
+export function stopCampaignDispatcher() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
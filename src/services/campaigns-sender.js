@@ -3,64 +3,213 @@
 
 import { getPrismaClient } from '../db/prismaClient.js';
 import { renderGateQueueAndSend } from './messages.js';
+import { checkMarketingCap, recordSendDenial } from './rules.js';
 import { buildCampaignApplyUrl } from './discounts.js';
+import { enqueueJob } from '../queue/queues.js';
+import { campaignVariant, startAbWindow, variantLink } from './campaign-ab.js';
+import { appendUtm, variantUtmContent } from './utm.js';
+import { createShortlink } from './shortlinks.js';
+import { shopSendBlockedUntil } from '../providers/index.js';
+import {
+  isUniqueCodeStrategy,
+  releaseCampaignCode,
+  takeCampaignCode,
+} from './discount-assignment.js';
 
 const prisma = getPrismaClient();
 
 const BATCH_SIZE = Number(process.env.CAMPAIGN_BATCH_SIZE || '500');
-const THROTTLE_MS = Number(process.env.CAMPAIGN_THROTTLE_MS || '1000'); // time between batches
+// Optional pause between batches; per-second throughput is paced by the provider limiter
+const THROTTLE_MS = Number(process.env.CAMPAIGN_THROTTLE_MS || '0');
+// Recipients claimed ('sending') this long ago belong to a run that died mid-send
+const STALE_CLAIM_MS = Number(process.env.CAMPAIGN_STALE_CLAIM_MS || String(10 * 60 * 1000));
 
 async function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+// Campaign bodies that render {{ link }}
+const LINK_VAR = /\{\{\s*link\b/;
+
+/**
+ * The recipient's own tracked storefront link for campaigns without A/B variants.
+ * Its clicks set Contact.lastClickedAt, which the segment `clicked` filter reads.
+ */
+async function recipientLink({ shop, campaign, contactId }) {
+  const target = appendUtm(`https://${shop.domain}/`, {
+    ...(campaign.utmJson || {}),
+    utm_campaign: String(campaign.id),
+  });
+  const { url } = await createShortlink({
+    shopId: shop.id,
+    url: target,
+    campaignId: campaign.id,
+    contactId,
+  });
+  return url;
+}
+
+/**
+ * Current campaign status; the sender re-reads it between batches so pause/cancel take effect.
+ */
+async function currentStatus(campaign) {
+  const row = await prisma.campaign.findUnique({
+    where: { id: campaign.id },
+    select: { status: true },
+  });
+  return row?.status || null;
+}
+
+/**
+ * Claim a pending recipient for this run (pending -> sending). Runs that overlap,
+ * e.g. a resume while the paused run finishes its batch, select the same rows;
+ * only the run whose claim succeeds sends.
+ */
+async function claimRecipient(recipientId) {
+  const { count } = await prisma.campaignRecipient.updateMany({
+    where: { id: recipientId, status: 'pending' },
+    data: { status: 'sending' },
+  });
+  return count > 0;
+}
+
 /**
  * Sends a campaign to its snapshotted audience (CampaignRecipient rows).
- * Honors rules via renderGateQueueAndSend(kind='campaign', triggerKey='campaign:<id>').
- * Returns {sent, failed, skipped}.
+ * Honors rules via renderGateQueueAndSend(kind='campaign', triggerKey='campaign:<id>');
+ * recipients over the shop-wide marketing cap are skipped up front ('marketing_capped').
+ * Stops before the next batch when the campaign is no longer 'sending' (paused/cancelled);
+ * unsent recipients stay 'pending', so a resumed run picks up where this one stopped.
+ * Each recipient is claimed (pending -> sending) before it is sent, so overlapping runs
+ * never send to the same recipient twice; claims left by a crashed run go back to pending.
+ * `{{ link }}` renders a tracked link of the recipient's own (the variant link for A/B).
+ * A/B campaigns render each recipient's variant body; once the test slice is out the
+ * 'held' remainder waits for decideCampaignWinner, which releases it with the winner.
+ * Marks the campaign 'completed' once no pending or held recipients remain.
+ * While every provider of the shop has an open circuit the run stops
+ * (stopped='circuit_open') and re-enqueues itself for when a trial send is allowed.
+ * With discountConfig.codeStrategy 'unique' each recipient takes its own code from the
+ * campaign's reservations; once they run out the rest are skipped ('discount_codes_exhausted').
+ * Returns {sent, failed, skipped, stopped}.
  */
 export async function sendCampaignBatched({ shop, campaign }) {
   let sent = 0,
     failed = 0,
     skipped = 0;
+  const triggerKey = `campaign:${campaign.id}`;
+  const uniqueCodes = isUniqueCodeStrategy(campaign.discountConfig);
+
+  // A resend of these is caught by the message dedupe key if the crashed run got that far
+  await prisma.campaignRecipient.updateMany({
+    where: {
+      shopId: shop.id,
+      campaignId: campaign.id,
+      status: 'sending',
+      updatedAt: { lt: new Date(Date.now() - STALE_CLAIM_MS) },
+    },
+    data: { status: 'pending' },
+  });
 
   while (true) {
+    const status = await currentStatus(campaign);
+    if (status !== 'sending') {
+      return { sent, failed, skipped, stopped: status };
+    }
+
+    const now = new Date();
     const recips = await prisma.campaignRecipient.findMany({
-      where: { shopId: shop.id, campaignId: campaign.id, status: 'pending' },
-      take: BATCH_SIZE,
+      where: {
+        shopId: shop.id,
+        campaignId: campaign.id,
+        status: 'pending',
+        OR: [{ sendAfter: null }, { sendAfter: { lte: now } }],
+      },
+      take: campaign.batchSize || BATCH_SIZE,
       orderBy: { createdAt: 'asc' },
       include: { contact: true },
     });
     if (!recips.length) break;
 
     for (const r of recips) {
+      const blockedUntil = await shopSendBlockedUntil(shop);
+      if (blockedUntil) {
+        const at = blockedUntil.getTime();
+        await enqueueJob(
+          'campaigns',
+          'batch',
+          {
+            campaignId: campaign.id,
+            shopId: shop.id,
+            requestId: `campaign_${campaign.id}_retry_${at}`,
+          },
+          { delay: Math.max(0, at - Date.now()), jobId: `campaign-${campaign.id}-retry-${at}` },
+        );
+        return { sent, failed, skipped, stopped: 'circuit_open', resumeAt: blockedUntil };
+      }
+      if (!(await claimRecipient(r.id))) continue;
+
       const c = r.contact;
-      if (!c || c.optedOut || c.smsConsentState !== 'opted_in') {
+      // Checked before rendering so capped recipients cost no shortlinks or discount URLs
+      const denial =
+        !c || c.optedOut || c.smsConsentState !== 'opted_in'
+          ? 'no_consent'
+          : (await checkMarketingCap({ shop, contactId: c.id, triggerKey, now })).reason;
+      if (denial) {
         await prisma.campaignRecipient.update({
           where: { id: r.id },
-          data: { status: 'skipped', reason: 'no_consent' },
+          data: { status: 'skipped', reason: denial },
         });
+        await recordSendDenial({ shop, contact: c, triggerKey, kind: 'campaign', reason: denial });
         skipped++;
         continue;
       }
+
+      let uniqueCode = null;
+      if (uniqueCodes) {
+        uniqueCode = await takeCampaignCode({ campaignId: campaign.id, recipientId: r.id });
+        if (!uniqueCode) {
+          const reason = 'discount_codes_exhausted';
+          await prisma.campaignRecipient.update({
+            where: { id: r.id },
+            data: { status: 'skipped', reason },
+          });
+          await recordSendDenial({ shop, contact: c, triggerKey, kind: 'campaign', reason });
+          skipped++;
+          continue;
+        }
+      }
       try {
-        // Discount injection (if campaign has discount)
+        const variant = campaignVariant(campaign, r.variant);
+        // Tracked links are the recipient's own so clicks can be told apart per person
+        let link = null;
+        if (variant) {
+          link = await variantLink({ shop, campaign, variantKey: variant.key, contactId: c.id });
+        } else if (LINK_VAR.test(campaign.bodyText || '')) {
+          link = await recipientLink({ shop, campaign, contactId: c.id });
+        }
+
+        // Discount injection: the recipient's unique code, else the campaign's shared code
         let discountVars = null;
-        if (campaign.discountId) {
+        let discountCode = uniqueCode?.code || null;
+        if (!discountCode && campaign.discountId) {
           const disc = await prisma.discount.findFirst({
             where: { id: campaign.discountId, shopId: shop.id },
           });
-          if (disc?.code) {
-            const { url } = await buildCampaignApplyUrl({
-              shopId: shop.id,
-              shopDomain: shop.domain,
-              code: disc.code,
-              redirect: '/checkout',
-              utm: campaign.utmJson || {},
-              campaignId: campaign.id,
-            });
-            discountVars = { code: disc.code, apply_url: url };
-          }
+          discountCode = disc?.code || null;
+        }
+        if (discountCode) {
+          const { url } = await buildCampaignApplyUrl({
+            shopId: shop.id,
+            shopDomain: shop.domain,
+            code: discountCode,
+            redirect: campaign.discountConfig?.redirectPath || '/checkout',
+            utm: {
+              ...(campaign.utmJson || {}),
+              ...(variant ? { utm_content: variantUtmContent(variant.key) } : {}),
+            },
+            campaignId: campaign.id,
+            contactId: c.id,
+          });
+          discountVars = { code: discountCode, apply_url: url };
         }
 
         const result = await renderGateQueueAndSend({
@@ -68,14 +217,31 @@ export async function sendCampaignBatched({ shop, campaign }) {
           contact: c,
           phoneE164: c.phoneE164,
           templateKey: campaign.templateKey || 'campaign',
+          template: variant?.bodyText ?? campaign.bodyText ?? null,
           vars: {
             campaign: { id: campaign.id, name: campaign.name || 'Campaign' },
-            ...(discountVars ? { discount: discountVars } : {}),
+            ...(discountVars
+              ? {
+                  discount: discountVars,
+                  discount_code: discountVars.code,
+                  discount_url: discountVars.apply_url,
+                }
+              : {}),
+            ...(link ? { link } : {}),
           },
           kind: 'campaign',
-          triggerKey: `campaign:${campaign.id}`,
+          triggerKey,
           dedupeKey: `${campaign.id}:${c.id}`,
-          metadata: { type: 'campaign', campaignId: campaign.id, ...(discountVars || {}) },
+          // Both checked above, before rendering
+          marketingCapChecked: true,
+          circuitChecked: true,
+          metadata: {
+            type: 'campaign',
+            campaignId: campaign.id,
+            ...(variant ? { variant: variant.key } : {}),
+            ...(discountVars || {}),
+            ...(uniqueCode ? { discountCodeId: uniqueCode.id } : {}),
+          },
         });
 
         if (result.sent) {
@@ -86,6 +252,7 @@ export async function sendCampaignBatched({ shop, campaign }) {
           });
         } else {
           skipped++;
+          if (uniqueCode) await releaseCampaignCode(uniqueCode);
           await prisma.campaignRecipient.update({
             where: { id: r.id },
             data: { status: 'skipped', reason: result.reason || 'gated' },
@@ -93,6 +260,7 @@ export async function sendCampaignBatched({ shop, campaign }) {
         }
       } catch (e) {
         failed++;
+        if (uniqueCode) await releaseCampaignCode(uniqueCode).catch(() => {});
         await prisma.campaignRecipient.update({
           where: { id: r.id },
           data: { status: 'failed', reason: String(e?.message || e) },
@@ -100,8 +268,48 @@ export async function sendCampaignBatched({ shop, campaign }) {
       }
     }
 
-    await sleep(THROTTLE_MS);
+    if (THROTTLE_MS > 0) await sleep(THROTTLE_MS);
   }
 
-  return { sent, failed, skipped };
+  // Recipient-local campaigns: come back when the next timezone reaches its send time
+  const deferred = await prisma.campaignRecipient.findFirst({
+    where: {
+      shopId: shop.id,
+      campaignId: campaign.id,
+      status: 'pending',
+      sendAfter: { gt: new Date() },
+    },
+    orderBy: { sendAfter: 'asc' },
+    select: { sendAfter: true },
+  });
+  if (deferred) {
+    const at = deferred.sendAfter.getTime();
+    // Deterministic jobId: every worker that reaches this point enqueues the same job once
+    await enqueueJob(
+      'campaigns',
+      'batch',
+      { campaignId: campaign.id, shopId: shop.id, requestId: `campaign_${campaign.id}_at_${at}` },
+      { delay: Math.max(0, at - Date.now()), jobId: `campaign-${campaign.id}-at-${at}` },
+    );
+    return { sent, failed, skipped, stopped: null, resumeAt: deferred.sendAfter };
+  }
+
+  // A/B test slice is out: start the window; held recipients wait for the winner
+  if (campaign.abTestJson) {
+    const decideAt = await startAbWindow({ shopId: shop.id, campaign });
+    const held = await prisma.campaignRecipient.count({
+      where: { shopId: shop.id, campaignId: campaign.id, status: 'held' },
+    });
+    if (held) {
+      return { sent, failed, skipped, stopped: null, decideAt };
+    }
+  }
+
+  // Only a still-sending campaign completes; a concurrent pause/cancel wins
+  await prisma.campaign.updateMany({
+    where: { id: campaign.id, shopId: shop.id, status: 'sending' },
+    data: { status: 'completed' },
+  });
+
+  return { sent, failed, skipped, stopped: null };
 }
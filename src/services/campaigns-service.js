@@ -1,11 +1,15 @@
 // src/services/campaigns-service.js
 // Campaigns service for SMS campaign management
 
+import { Prisma } from '@prisma/client';
 import { logger } from '../lib/logger.js';
 import { getPrismaClient } from '../db/prismaClient.js';
 import { enqueueJob } from '../queue/queues.js';
 import { computeSmsSegments } from '../lib/sms-segments.js';
 import { buildApplyUrl } from './discounts.js';
+import { segmentContactWhere } from './segments.js';
+import { MAX_UTC_OFFSET_MS, contactTimezone, zonedTimeToUtc } from '../lib/timezones.js';
+import { assignCampaignVariants, normalizeAbTest } from './campaign-ab.js';
 
 const prisma = getPrismaClient();
 
@@ -15,13 +19,17 @@ const prisma = getPrismaClient();
  * @param {string} params.shopId - Shop ID
  * @param {string} params.name - Campaign name
  * @param {string} params.segmentId - Target segment ID
+ * @param {string} params.audienceSource - live | frozen (target the segment's last materialized members)
  * @param {string} params.templateId - Template ID
  * @param {string} params.templateKey - Template key
  * @param {string} params.bodyText - SMS body text
  * @param {string} params.discountId - Optional discount ID
- * @param {Date} params.scheduleAt - Schedule date
+ * @param {Date} params.scheduleAt - Schedule date (fixed mode)
+ * @param {string} params.scheduleMode - fixed | shop_local | recipient_local
+ * @param {string} params.scheduleLocal - Wall-clock "YYYY-MM-DDTHH:mm" for local modes
  * @param {number} params.batchSize - Batch size for processing
  * @param {Object} params.utmJson - UTM parameters
+ * @param {Object} params.abTestJson - Optional A/B test: { variants, testPercent, windowMinutes, metric, linkUrl }
  * @returns {Promise<Object>} Created campaign response
  */
 export async function createCampaign(params) {
@@ -34,13 +42,27 @@ export async function createCampaign(params) {
     bodyText,
     discountId,
     scheduleAt,
+    scheduleMode = 'fixed',
+    scheduleLocal = null,
     batchSize = 100,
     utmJson = {},
+    abTestJson = null,
+    audienceSource,
   } = params;
 
   logger.info({ shopId, name, segmentId }, 'Creating campaign');
 
   try {
+    const abTest = normalizeAbTest(abTestJson);
+    assertAudienceSource(audienceSource);
+
+    const schedule = await resolveCampaignSchedule({
+      shopId,
+      scheduleMode,
+      scheduleLocal,
+      scheduleAt,
+    });
+
     // Validate segment exists
     if (segmentId) {
       const segment = await prisma.segment.findFirst({
@@ -66,13 +88,15 @@ export async function createCampaign(params) {
         shopId,
         name,
         segmentId,
+        ...(audienceSource ? { audienceSource } : {}),
         templateId,
         templateKey,
         bodyText,
         discountId,
-        scheduleAt,
+        ...schedule,
         batchSize,
         utmJson,
+        ...(abTest ? { abTestJson: abTest } : {}),
         status: 'draft',
       },
     });
@@ -89,6 +113,152 @@ export async function createCampaign(params) {
   }
 }
 
+/**
+ * Campaign lifecycle. Keys are the current status, values the statuses it may move to.
+ * draft → scheduled → sending ⇄ paused → completed; any non-terminal status → cancelled.
+ */
+export const CAMPAIGN_TRANSITIONS = {
+  draft: ['scheduled', 'sending', 'cancelled'],
+  scheduled: ['draft', 'scheduled', 'sending', 'cancelled'],
+  sending: ['paused', 'completed', 'cancelled'],
+  paused: ['sending', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+/** Statuses in which campaign content may still be edited */
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+
+/** Fields accepted by updateCampaign / copied by cloneCampaign */
+const EDITABLE_FIELDS = [
+  'name',
+  'segmentId',
+  'audienceSource',
+  'templateId',
+  'templateKey',
+  'bodyText',
+  'discountId',
+  'discountConfig',
+  'scheduleAt',
+  'scheduleMode',
+  'scheduleLocal',
+  'batchSize',
+  'utmJson',
+  'abTestJson',
+];
+
+/**
+ * Check whether a campaign may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+export function canTransitionCampaign(from, to) {
+  return (CAMPAIGN_TRANSITIONS[from] || []).includes(to);
+}
+
+function campaignError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function findCampaignOrThrow(shopId, campaignId) {
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId },
+  });
+  if (!campaign) {
+    throw campaignError('Campaign not found', 404);
+  }
+  return campaign;
+}
+
+export const SCHEDULE_MODES = ['fixed', 'shop_local', 'recipient_local'];
+
+/** live: evaluate the segment filter when sending; frozen: last materialized members */
+export const AUDIENCE_SOURCES = ['live', 'frozen'];
+
+function assertAudienceSource(audienceSource) {
+  if (audienceSource !== undefined && !AUDIENCE_SOURCES.includes(audienceSource)) {
+    throw campaignError(`audienceSource must be one of: ${AUDIENCE_SOURCES.join(', ')}`, 422);
+  }
+}
+
+/**
+ * Resolve the stored schedule fields for a campaign.
+ * - fixed: scheduleAt is an absolute instant
+ * - shop_local: scheduleLocal is wall-clock time in Shop.timezone
+ * - recipient_local: scheduleLocal is wall-clock time in each recipient's timezone; the
+ *   campaign becomes due when the first timezone (UTC+14) reaches it
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.scheduleMode - Schedule mode
+ * @param {string} [params.scheduleLocal] - Wall-clock "YYYY-MM-DDTHH:mm"
+ * @param {Date|string} [params.scheduleAt] - Absolute instant (fixed mode)
+ * @returns {Promise<Object>} { scheduleMode, scheduleLocal, scheduleAt }
+ */
+export async function resolveCampaignSchedule({ shopId, scheduleMode, scheduleLocal, scheduleAt }) {
+  const mode = scheduleMode || 'fixed';
+  if (!SCHEDULE_MODES.includes(mode)) {
+    throw campaignError(`Unknown schedule mode: ${mode}`, 422);
+  }
+
+  if (mode === 'fixed') {
+    const at = scheduleAt ? new Date(scheduleAt) : null;
+    if (at && Number.isNaN(at.getTime())) throw campaignError('Invalid scheduleAt', 422);
+    return { scheduleMode: mode, scheduleLocal: null, scheduleAt: at };
+  }
+
+  if (!scheduleLocal) {
+    return { scheduleMode: mode, scheduleLocal: null, scheduleAt: null };
+  }
+
+  let at;
+  if (mode === 'shop_local') {
+    const shop = await prisma.shop.findUnique({ where: { id: shopId } });
+    at = zonedTimeToUtc(scheduleLocal, shop?.timezone || 'UTC');
+  } else {
+    const wall = zonedTimeToUtc(scheduleLocal, 'UTC');
+    at = wall && new Date(wall.getTime() - MAX_UTC_OFFSET_MS);
+  }
+  if (!at) throw campaignError('scheduleLocal must look like YYYY-MM-DDTHH:mm', 422);
+
+  return { scheduleMode: mode, scheduleLocal, scheduleAt: at };
+}
+
+/**
+ * Move a campaign to a new status.
+ * The update is conditional on the status we read, so two concurrent transitions
+ * (e.g. pause racing the sender's completion) cannot both win.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.campaignId - Campaign ID
+ * @param {string} params.to - Target status
+ * @param {string[]} [params.from] - Restrict the statuses the campaign may currently be in
+ * @param {Object} [params.data] - Extra fields to write with the status change
+ * @returns {Promise<Object>} Updated campaign and its previous status
+ */
+export async function transitionCampaign({ shopId, campaignId, to, from: allowed, data = {} }) {
+  const campaign = await findCampaignOrThrow(shopId, campaignId);
+  const from = campaign.status;
+
+  if (!canTransitionCampaign(from, to) || (allowed && !allowed.includes(from))) {
+    throw campaignError(`Cannot move campaign from ${from} to ${to}`, 409);
+  }
+
+  const { count } = await prisma.campaign.updateMany({
+    where: { id: campaignId, shopId, status: from },
+    data: { ...data, status: to },
+  });
+  if (count === 0) {
+    throw campaignError('Campaign status changed concurrently, retry', 409);
+  }
+
+  logger.info({ shopId, campaignId, from, to }, 'Campaign status changed');
+
+  return { campaign: { ...campaign, ...data, status: to }, from };
+}
+
 /**
  * Update an existing campaign
  * @param {Object} params - Campaign update parameters
@@ -103,26 +273,50 @@ export async function updateCampaign(params) {
   logger.info({ shopId, campaignId }, 'Updating campaign');
 
   try {
-    const campaign = await prisma.campaign.findFirst({
-      where: {
-        id: campaignId,
-        shopId,
-      },
-    });
+    const campaign = await findCampaignOrThrow(shopId, campaignId);
 
-    if (!campaign) {
-      throw new Error('Campaign not found');
+    // Only drafts and scheduled campaigns can be edited
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+      throw campaignError(`Cannot update campaign in ${campaign.status} status`, 409);
     }
 
-    // Prevent updates to campaigns that are already sending
-    if (['sending', 'completed'].includes(campaign.status)) {
-      throw new Error('Cannot update campaign that is already sending or completed');
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (updates?.[field] !== undefined) data[field] = updates[field];
+    }
+
+    if (data.segmentId) {
+      const segment = await prisma.segment.findFirst({
+        where: { id: data.segmentId, shopId },
+      });
+      if (!segment) {
+        throw campaignError('Segment not found', 404);
+      }
+    }
+
+    assertAudienceSource(data.audienceSource);
+
+    if ('abTestJson' in data) {
+      // null switches A/B testing off (Prisma needs DbNull for Json columns)
+      data.abTestJson = normalizeAbTest(data.abTestJson) ?? Prisma.DbNull;
+    }
+
+    if (['scheduleAt', 'scheduleMode', 'scheduleLocal'].some((f) => f in data)) {
+      Object.assign(
+        data,
+        await resolveCampaignSchedule({
+          shopId,
+          scheduleMode: 'scheduleMode' in data ? data.scheduleMode : campaign.scheduleMode,
+          scheduleLocal: 'scheduleLocal' in data ? data.scheduleLocal : campaign.scheduleLocal,
+          scheduleAt: 'scheduleAt' in data ? data.scheduleAt : campaign.scheduleAt,
+        }),
+      );
     }
 
     const updatedCampaign = await prisma.campaign.update({
       where: { id: campaignId },
       data: {
-        ...updates,
+        ...data,
         updatedAt: new Date(),
       },
     });
@@ -139,6 +333,205 @@ export async function updateCampaign(params) {
   }
 }
 
+/**
+ * Delete a draft campaign (recipients cascade)
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.campaignId - Campaign ID
+ * @returns {Promise<Object>} Delete response
+ */
+export async function deleteCampaign(params) {
+  const { shopId, campaignId } = params;
+
+  logger.info({ shopId, campaignId }, 'Deleting campaign');
+
+  try {
+    const campaign = await findCampaignOrThrow(shopId, campaignId);
+
+    if (campaign.status !== 'draft') {
+      throw campaignError('Only draft campaigns can be deleted', 409);
+    }
+
+    const { count } = await prisma.campaign.deleteMany({
+      where: { id: campaignId, shopId, status: 'draft' },
+    });
+    if (count === 0) {
+      throw campaignError('Campaign status changed concurrently, retry', 409);
+    }
+
+    logger.info({ campaignId }, 'Campaign deleted');
+
+    return {
+      ok: true,
+      campaignId,
+    };
+  } catch (error) {
+    logger.error({ error: error.message, shopId, campaignId }, 'Failed to delete campaign');
+    throw error;
+  }
+}
+
+/**
+ * Clone a campaign into a new draft (audience is not copied; snapshot again)
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.campaignId - Source campaign ID
+ * @param {string} [params.name] - Name for the copy
+ * @returns {Promise<Object>} Cloned campaign response
+ */
+export async function cloneCampaign(params) {
+  const { shopId, campaignId, name } = params;
+
+  logger.info({ shopId, campaignId }, 'Cloning campaign');
+
+  try {
+    const source = await findCampaignOrThrow(shopId, campaignId);
+
+    const data = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (source[field] !== null && source[field] !== undefined) data[field] = source[field];
+    }
+
+    const campaign = await prisma.campaign.create({
+      data: {
+        ...data,
+        shopId,
+        name: name || `${source.name} (copy)`,
+        scheduleAt: null,
+        scheduleLocal: null,
+        status: 'draft',
+      },
+    });
+
+    logger.info({ campaignId: campaign.id, sourceId: campaignId }, 'Campaign cloned');
+
+    return {
+      ok: true,
+      campaign,
+    };
+  } catch (error) {
+    logger.error({ error: error.message, shopId, campaignId }, 'Failed to clone campaign');
+    throw error;
+  }
+}
+
+/**
+ * Cancel a campaign; recipients that were not sent yet are skipped
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.campaignId - Campaign ID
+ * @returns {Promise<Object>} Cancel response
+ */
+export async function cancelCampaign(params) {
+  const { shopId, campaignId } = params;
+
+  logger.info({ shopId, campaignId }, 'Cancelling campaign');
+
+  try {
+    const { campaign } = await transitionCampaign({ shopId, campaignId, to: 'cancelled' });
+
+    const { count: skipped } = await prisma.campaignRecipient.updateMany({
+      where: { shopId, campaignId, status: { in: ['pending', 'held'] } },
+      data: { status: 'skipped', reason: 'campaign_cancelled' },
+    });
+
+    logger.info({ campaignId, skipped }, 'Campaign cancelled');
+
+    return {
+      ok: true,
+      campaign,
+      skipped,
+    };
+  } catch (error) {
+    logger.error({ error: error.message, shopId, campaignId }, 'Failed to cancel campaign');
+    throw error;
+  }
+}
+
+/**
+ * Pause a sending campaign. The batched sender checks the status between
+ * batches and stops; pending recipients stay pending.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.campaignId - Campaign ID
+ * @returns {Promise<Object>} Pause response
+ */
+export async function pauseCampaign(params) {
+  const { shopId, campaignId } = params;
+
+  logger.info({ shopId, campaignId }, 'Pausing campaign');
+
+  try {
+    const { campaign } = await transitionCampaign({ shopId, campaignId, to: 'paused' });
+
+    const pending = await prisma.campaignRecipient.count({
+      where: { shopId, campaignId, status: 'pending' },
+    });
+
+    return {
+      ok: true,
+      campaign,
+      pending,
+    };
+  } catch (error) {
+    logger.error({ error: error.message, shopId, campaignId }, 'Failed to pause campaign');
+    throw error;
+  }
+}
+
+/**
+ * Resume a paused campaign from its remaining pending recipients
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.campaignId - Campaign ID
+ * @returns {Promise<Object>} Resume response
+ */
+export async function resumeCampaign(params) {
+  const { shopId, campaignId } = params;
+
+  logger.info({ shopId, campaignId }, 'Resuming campaign');
+
+  try {
+    const { campaign } = await transitionCampaign({
+      shopId,
+      campaignId,
+      to: 'sending',
+      from: ['paused'],
+    });
+
+    const pending = await prisma.campaignRecipient.count({
+      where: { shopId, campaignId, status: 'pending' },
+    });
+
+    // One job per pause (updatedAt is when it was paused). A run still finishing its batch
+    // from before the pause may overlap; recipients are claimed before sending, so it
+    // cannot send to the same recipient twice.
+    const pausedAt = new Date(campaign.updatedAt).getTime();
+    await enqueueJob(
+      'campaigns',
+      'batch',
+      {
+        campaignId,
+        shopId,
+        batchSize: campaign.batchSize || 100,
+        requestId: `campaign_${campaignId}_resume_${pausedAt}`,
+      },
+      { jobId: `campaign-${campaignId}-resume-${pausedAt}` },
+    );
+
+    logger.info({ campaignId, pending }, 'Campaign resumed');
+
+    return {
+      ok: true,
+      campaign,
+      pending,
+    };
+  } catch (error) {
+    logger.error({ error: error.message, shopId, campaignId }, 'Failed to resume campaign');
+    throw error;
+  }
+}
+
 /**
  * Get campaign by ID
  * @param {Object} params - Parameters
@@ -245,48 +638,24 @@ export async function snapshotCampaignAudience(params) {
       throw new Error('Campaign not found');
     }
 
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+      throw campaignError(`Cannot snapshot campaign in ${campaign.status} status`, 409);
+    }
+
     if (!campaign.segmentId) {
       throw new Error('Campaign has no segment assigned');
     }
 
-    // Get contacts from segment
-    const contacts = await getSegmentContacts(campaign.segment, shopId);
-
-    // Create campaign recipients
-    const recipients = await Promise.all(
-      contacts.map((contact) =>
-        prisma.campaignRecipient.upsert({
-          where: {
-            campaignId_contactId: {
-              campaignId,
-              contactId: contact.id,
-            },
-          },
-          update: {
-            status: 'pending',
-            reason: null,
-          },
-          create: {
-            shopId,
-            campaignId,
-            contactId: contact.id,
-            status: 'pending',
-          },
-        }),
-      ),
-    );
+    const recipientCount = await materializeCampaignAudience({ shopId, campaign });
 
     // Update campaign status
-    await prisma.campaign.update({
-      where: { id: campaignId },
-      data: { status: 'scheduled' },
-    });
+    await transitionCampaign({ shopId, campaignId, to: 'scheduled' });
 
-    logger.info({ campaignId, recipientCount: recipients.length }, 'Campaign audience snapshotted');
+    logger.info({ campaignId, recipientCount }, 'Campaign audience snapshotted');
 
     return {
       ok: true,
-      recipientCount: recipients.length,
+      recipientCount,
       campaignId,
     };
   } catch (error) {
@@ -298,6 +667,140 @@ export async function snapshotCampaignAudience(params) {
   }
 }
 
+/**
+ * Earliest instant a recipient may be messaged. Only recipient_local campaigns defer:
+ * scheduleLocal is read in the contact's timezone (explicit, else phone prefix, else shop).
+ * Recipients whose local time has already passed are sendable immediately (null).
+ */
+function recipientSendAfter(campaign, contact, fallbackTz, now) {
+  if (campaign.scheduleMode !== 'recipient_local' || !campaign.scheduleLocal) return null;
+  const at = zonedTimeToUtc(campaign.scheduleLocal, contactTimezone(contact, fallbackTz));
+  return at && at > now ? at : null;
+}
+
+// Recipients written per statement
+const RECIPIENT_CHUNK = 1000;
+
+/**
+ * Write the campaign's segment audience into CampaignRecipient rows (idempotent per contact).
+ * Unsent rows of an earlier snapshot whose contact has left the audience are deleted, so
+ * the campaign goes to the audience as it is at send time. Only rows still 'pending' or
+ * 'held' are reset: a batch job still running may have claimed or sent the others.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {Object} params.campaign - Campaign row (with shop)
+ * @param {Date} [params.now] - Reference time for recipient-local deferral
+ * @returns {Promise<number>} Number of recipients
+ */
+export async function materializeCampaignAudience({ shopId, campaign, now = new Date() }) {
+  const segment = await prisma.segment.findFirst({
+    where: { id: campaign.segmentId, shopId },
+  });
+  if (!segment) {
+    throw campaignError('Segment not found', 404);
+  }
+
+  const contacts = await getSegmentContacts(segment, shopId, campaign.audienceSource);
+  const shopTz = campaign.shop?.timezone || 'UTC';
+  // Every write below bumps updatedAt; unsent rows not touched by this snapshot are stale
+  const snapshotAt = new Date();
+
+  // Contacts grouped by send time, so each group is reset with one statement per chunk
+  const bySendAfter = new Map();
+  const rows = contacts.map((contact) => {
+    const sendAfter = recipientSendAfter(campaign, contact, shopTz, now);
+    const key = sendAfter ? sendAfter.getTime() : null;
+    if (!bySendAfter.has(key)) bySendAfter.set(key, { sendAfter, contactIds: [] });
+    bySendAfter.get(key).contactIds.push(contact.id);
+    return { shopId, campaignId: campaign.id, contactId: contact.id, status: 'pending', sendAfter };
+  });
+
+  for (const { sendAfter, contactIds } of bySendAfter.values()) {
+    for (let i = 0; i < contactIds.length; i += RECIPIENT_CHUNK) {
+      await prisma.campaignRecipient.updateMany({
+        where: {
+          campaignId: campaign.id,
+          contactId: { in: contactIds.slice(i, i + RECIPIENT_CHUNK) },
+          status: { in: ['pending', 'held'] },
+        },
+        data: { status: 'pending', reason: null, sendAfter, variant: null },
+      });
+    }
+  }
+  // New members; rows that already exist, claimed or not, are left as they are
+  for (let i = 0; i < rows.length; i += RECIPIENT_CHUNK) {
+    await prisma.campaignRecipient.createMany({
+      data: rows.slice(i, i + RECIPIENT_CHUNK),
+      skipDuplicates: true,
+    });
+  }
+
+  await prisma.campaignRecipient.deleteMany({
+    where: {
+      shopId,
+      campaignId: campaign.id,
+      status: { in: ['pending', 'held'] },
+      updatedAt: { lt: snapshotAt },
+    },
+  });
+
+  // A/B campaigns: test slice gets variants, the rest waits for the winner
+  await assignCampaignVariants({ shopId, campaign });
+
+  return rows.length;
+}
+
+/**
+ * Schedule a campaign for the dispatcher. The audience is snapshotted again at send time.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.campaignId - Campaign ID
+ * @param {string} [params.scheduleMode] - fixed | shop_local | recipient_local
+ * @param {string} [params.scheduleLocal] - Wall-clock "YYYY-MM-DDTHH:mm" for local modes
+ * @param {Date|string} [params.scheduleAt] - Absolute instant for fixed mode
+ * @returns {Promise<Object>} Scheduled campaign response
+ */
+export async function scheduleCampaign(params) {
+  const { shopId, campaignId } = params;
+
+  logger.info({ shopId, campaignId }, 'Scheduling campaign');
+
+  try {
+    const current = await findCampaignOrThrow(shopId, campaignId);
+    if (!current.segmentId) {
+      throw campaignError('Campaign has no segment assigned', 422);
+    }
+
+    const schedule = await resolveCampaignSchedule({
+      shopId,
+      scheduleMode: params.scheduleMode ?? current.scheduleMode,
+      scheduleLocal: params.scheduleLocal ?? current.scheduleLocal,
+      scheduleAt: params.scheduleAt ?? current.scheduleAt,
+    });
+    if (!schedule.scheduleAt) {
+      throw campaignError('Campaign has no schedule time', 422);
+    }
+
+    const { campaign } = await transitionCampaign({
+      shopId,
+      campaignId,
+      to: 'scheduled',
+      from: EDITABLE_STATUSES,
+      data: { ...schedule, dispatchedAt: null },
+    });
+
+    logger.info({ campaignId, scheduleAt: schedule.scheduleAt }, 'Campaign scheduled');
+
+    return {
+      ok: true,
+      campaign,
+    };
+  } catch (error) {
+    logger.error({ error: error.message, shopId, campaignId }, 'Failed to schedule campaign');
+    throw error;
+  }
+}
+
 /**
  * Estimate campaign cost and recipient count
  * @param {Object} params - Parameters
@@ -450,18 +953,11 @@ export async function sendCampaign(params) {
   logger.info({ shopId, campaignId }, 'Sending campaign');
 
   try {
-    const campaign = await prisma.campaign.findFirst({
-      where: { id: campaignId, shopId },
-    });
-
-    if (!campaign) {
-      throw new Error('Campaign not found');
-    }
-
-    // Update campaign status
-    await prisma.campaign.update({
-      where: { id: campaignId },
-      data: { status: 'sending' },
+    const { campaign } = await transitionCampaign({
+      shopId,
+      campaignId,
+      to: 'sending',
+      from: EDITABLE_STATUSES,
     });
 
     // Enqueue campaign batch job
@@ -648,39 +1144,27 @@ export async function getCampaignApplyUrl(params) {
  * Get contacts from segment
  * @param {Object} segment - Segment configuration
  * @param {string} shopId - Shop ID
+ * @param {string} [audienceSource] - live (evaluate filter now) | frozen (last materialized members)
  * @returns {Promise<Array>} Contacts array
  */
-async function getSegmentContacts(segment, shopId) {
-  try {
-    // Simple segment filtering - can be extended with DSL
-    const whereClause = {
-      shopId,
-      optedOut: false, // Only opted-in contacts
-    };
+async function getSegmentContacts(segment, shopId, audienceSource = 'live') {
+  let where = segmentContactWhere(shopId, segment.filterJson);
 
-    if (segment.filterJson) {
-      const filter = JSON.parse(segment.filterJson);
-
-      if (filter.consent === 'opted_in') {
-        whereClause.smsConsentState = 'opted_in';
-      }
-
-      if (filter.tags && filter.tags.has) {
-        whereClause.tagsJson = {
-          array_contains: [filter.tags.has],
-        };
-      }
+  if (audienceSource === 'frozen') {
+    if (!segment.lastMaterializedAt) {
+      throw campaignError('Segment has not been materialized yet', 422);
     }
-
-    return await prisma.contact.findMany({
-      where: whereClause,
-      take: 1000, // Limit for performance
-    });
-  } catch (error) {
-    logger.error(
-      { error: error.message, segmentId: segment.id, shopId },
-      'Failed to get segment contacts',
-    );
-    return [];
+    // Members as of the last materialization; consent is still checked as of now
+    where = {
+      shopId,
+      segmentMemberships: { some: { segmentId: segment.id, leftAt: null } },
+      smsConsentState: 'opted_in',
+      optedOut: false,
+    };
   }
+
+  return prisma.contact.findMany({
+    where,
+    select: { id: true, phoneE164: true, timezone: true },
+  });
 }
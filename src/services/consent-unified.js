@@ -48,6 +48,54 @@ export async function pushShopifySmsConsent({
   return true;
 }
 
+export const CONSENT_PUSH_JOB_TYPE = 'consent:shopify_push';
+
+/**
+ * Scheduler job: push a batch of local opt-outs (bulk opt-out) to Shopify.
+ * Best-effort per customer, like updateLocalAndRemoteConsent; failures are audited.
+ * Payload: { contactIds, consentUpdatedAt }.
+ */
+export async function executeConsentPushJob(job) {
+  const { shopId, payload } = job;
+  const shop = await prisma.shop.findUnique({ where: { id: shopId } });
+  if (!shop) throw new Error('shop_missing');
+
+  const contacts = await prisma.contact.findMany({
+    where: { shopId, id: { in: payload.contactIds || [] }, customerId: { not: null } },
+    select: { id: true, customerId: true, optedOut: true },
+  });
+  let pushed = 0;
+  let failed = 0;
+  for (const contact of contacts) {
+    // Opted back in since the bulk action: that change pushed its own state
+    if (!contact.optedOut) continue;
+    try {
+      await pushShopifySmsConsent({
+        shopDomain: shop.domain,
+        customerId: contact.customerId,
+        marketingState: 'UNSUBSCRIBED',
+        consentUpdatedAt: payload.consentUpdatedAt,
+      });
+      pushed++;
+    } catch (e) {
+      failed++;
+      await logAudit({
+        shopId,
+        actor: 'system',
+        action: 'consent.shopify_push_failed',
+        entity: 'contact',
+        entityId: contact.id,
+        diff: { error: String(e?.message || e), details: e?.details || null },
+      });
+    }
+  }
+
+  await prisma.job.update({
+    where: { id: job.id },
+    data: { status: 'done', payload: { ...payload, result: { pushed, failed } } },
+  });
+}
+
 /**
  * Update local contact consent atomically and optionally push to Shopify.
  * This function is safe if PCD is not approved (Shopify push may fail; we swallow or surface per caller).
@@ -57,6 +105,7 @@ export async function updateLocalAndRemoteConsent({
   contact, // Contact row (must belong to shop)
   nextState, // "opted_in" | "opted_out"
   source = 'manual',
+  optInLevel = 'SINGLE_OPT_IN', // "CONFIRMED_OPT_IN" once a double opt-in is confirmed
   pushToShopify = true,
   now = new Date(),
   reqMeta = {},
@@ -103,7 +152,7 @@ export async function updateLocalAndRemoteConsent({
         shopDomain: shop.domain || shop.shopDomain,
         customerId,
         marketingState,
-        marketingOptInLevel: 'SINGLE_OPT_IN',
+        marketingOptInLevel: optInLevel,
         consentUpdatedAt: now.toISOString(),
       });
     } catch (e) {
@@ -0,0 +1,485 @@
+// src/services/contacts-csv.js
+// CSV contact import (async, via the scheduler job table) and streaming segment export
+
+import { nanoid } from 'nanoid';
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+import { parseCsv, toCsvLine } from '../lib/csv.js';
+import { toE164Loose } from '../lib/phone.js';
+import { normalizeEmail } from '../lib/normalization.js';
+import { encryptPII, decryptPII, hashDeterministic } from '../lib/encryption.js';
+import { logAudit } from './audit.js';
+import { scheduleJob } from './scheduler.js';
+import { segmentContactWhere } from './segments.js';
+
+const prisma = getPrismaClient();
+
+export const IMPORT_JOB_TYPE = 'contacts:import';
+export const IMPORT_MAX_ROWS = Number(process.env.CONTACT_IMPORT_MAX_ROWS || 50000);
+const IMPORT_BATCH = 500;
+// A batch runs up to IMPORT_BATCH sequential reads and writes in one transaction;
+// Prisma's 5s default would roll the whole batch back
+const IMPORT_TX_OPTIONS = { timeout: 60000, maxWait: 10000 };
+const EXPORT_CHUNK = 1000;
+const MAX_REPORTED_ERRORS = 1000;
+
+/** JWT scope that allows exports with decrypted phone and email */
+export const PII_SCOPE = 'contacts:read_pii';
+
+function csvError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Header names are matched case- and punctuation-insensitively
+const COLUMN_ALIASES = {
+  phone: ['phone', 'phonenumber', 'phonee164', 'mobile', 'mobilephone', 'msisdn'],
+  firstName: ['firstname', 'first', 'givenname'],
+  lastName: ['lastname', 'last', 'surname', 'familyname'],
+  email: ['email', 'emailaddress'],
+  tags: ['tags', 'tag'],
+  consent: ['consent', 'smsconsent', 'smsconsentstate', 'subscribed', 'optin'],
+  consentAt: ['consentat', 'consentedat', 'smsconsentat', 'optinat', 'subscribedat'],
+  locale: ['locale', 'language'],
+};
+
+const CONSENT_VALUES = {
+  opted_in: ['optedin', 'yes', 'y', 'true', '1', 'subscribed', 'in'],
+  opted_out: ['optedout', 'no', 'n', 'false', '0', 'unsubscribed', 'out'],
+};
+
+function squash(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function mapColumns(header) {
+  const columns = {};
+  header.forEach((name, index) => {
+    const key = squash(name);
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+      if (aliases.includes(key) && columns[field] === undefined) columns[field] = index;
+    }
+  });
+  if (columns.phone === undefined) throw csvError('CSV header must include a phone column');
+  return columns;
+}
+
+function parseImport(csv) {
+  let records;
+  try {
+    records = parseCsv(csv);
+  } catch (err) {
+    throw csvError(`Invalid CSV: ${err.message}`);
+  }
+  if (records.length < 2) throw csvError('CSV has no data rows');
+  if (records.length - 1 > IMPORT_MAX_ROWS) {
+    throw csvError(`CSV has more than ${IMPORT_MAX_ROWS} rows`);
+  }
+  const [header, ...rows] = records;
+  return { columns: mapColumns(header), rows };
+}
+
+function splitTags(raw) {
+  const tags = (raw || '').split(/[;|,]/).map((t) => t.trim());
+  return [...new Set(tags.filter(Boolean))];
+}
+
+function parseConsent(raw) {
+  const value = squash(raw || '');
+  if (!value || value === 'unknown') return null;
+  for (const [state, values] of Object.entries(CONSENT_VALUES)) {
+    if (values.includes(value)) return state;
+  }
+  return undefined;
+}
+
+/**
+ * Validate one CSV record into a contact patch.
+ * Row numbers count the header as row 1, like a spreadsheet.
+ */
+function readRow(record, columns, row, { defaultRegion, now }) {
+  const cell = (field) => {
+    const index = columns[field];
+    const value = index === undefined ? '' : String(record[index] ?? '').trim();
+    return value || null;
+  };
+  const fail = (field, code) => ({ error: { row, field, code } });
+
+  const phoneE164 = toE164Loose(cell('phone'), defaultRegion);
+  if (!phoneE164) return fail('phone', cell('phone') ? 'invalid_phone' : 'missing_phone');
+
+  const email = cell('email') ? normalizeEmail(cell('email')) : null;
+  if (cell('email') && !email) return fail('email', 'invalid_email');
+
+  const consent = parseConsent(cell('consent'));
+  if (consent === undefined) return fail('consent', 'invalid_consent');
+
+  let consentAt = null;
+  if (cell('consentAt')) {
+    consentAt = new Date(cell('consentAt'));
+    if (Number.isNaN(consentAt.getTime()) || consentAt > now) {
+      return fail('consentAt', 'invalid_consent_at');
+    }
+  }
+
+  return {
+    value: {
+      row,
+      phoneE164,
+      phoneHash: hashDeterministic(phoneE164),
+      email,
+      firstName: cell('firstName'),
+      lastName: cell('lastName'),
+      locale: cell('locale'),
+      tags: splitTags(cell('tags')),
+      consent,
+      consentAt,
+    },
+  };
+}
+
+/**
+ * Consent fields for an imported row. Opt-outs always apply; an opt-in needs its
+ * original timestamp as evidence and never overrides a more recent local change.
+ * @returns {{ data?: Object, warning?: string }}
+ */
+function consentUpdate(entry, existing) {
+  if (!entry.consent || existing?.smsConsentState === entry.consent) return {};
+  if (entry.consent === 'opted_in') {
+    if (!entry.consentAt) return { warning: 'missing_consent_at' };
+    const lastChange = existing?.smsConsentAt || existing?.unsubscribedAt || null;
+    if (lastChange && entry.consentAt <= lastChange) return { warning: 'stale_consent' };
+  }
+
+  const at = entry.consentAt || new Date();
+  return {
+    data: {
+      smsConsentState: entry.consent,
+      smsConsentSource: 'import',
+      smsConsentAt: at,
+      optedOut: entry.consent === 'opted_out',
+      unsubscribedAt: entry.consent === 'opted_out' ? at : null,
+    },
+  };
+}
+
+async function importBatch({ shopId, importId, entries, actor }) {
+  const hashes = entries.map((e) => e.phoneHash);
+  const phones = entries.map((e) => e.phoneE164);
+
+  return prisma.$transaction(async (tx) => {
+    // Rows written before PII encryption only have phoneE164
+    const existing = await tx.contact.findMany({
+      where: {
+        shopId,
+        OR: [{ phone_hash: { in: hashes } }, { phone_hash: null, phoneE164: { in: phones } }],
+      },
+      select: {
+        id: true,
+        phone_hash: true,
+        phoneE164: true,
+        tagsJson: true,
+        smsConsentState: true,
+        smsConsentAt: true,
+        unsubscribedAt: true,
+      },
+    });
+    const byHash = new Map(
+      existing.map((c) => [c.phone_hash || hashDeterministic(c.phoneE164), c]),
+    );
+
+    const result = { created: 0, updated: 0, warnings: [], consent: [] };
+    for (const entry of entries) {
+      const current = byHash.get(entry.phoneHash);
+      const { data: consent, warning } = consentUpdate(entry, current);
+      if (warning) result.warnings.push({ row: entry.row, field: 'consent', code: warning });
+
+      const profile = {
+        ...encryptPII(entry.phoneE164, entry.email),
+        ...(entry.firstName ? { firstName: entry.firstName } : {}),
+        ...(entry.lastName ? { lastName: entry.lastName } : {}),
+        ...(entry.locale ? { locale: entry.locale } : {}),
+        ...consent,
+      };
+
+      let contactId;
+      if (current) {
+        const tags = Array.isArray(current.tagsJson) ? current.tagsJson : [];
+        const merged = [...new Set([...tags, ...entry.tags])];
+        await tx.contact.update({
+          where: { id: current.id },
+          data: { ...profile, ...(merged.length !== tags.length ? { tagsJson: merged } : {}) },
+        });
+        contactId = current.id;
+        result.updated++;
+      } else {
+        const created = await tx.contact.create({
+          data: {
+            shopId,
+            phoneE164: entry.phoneE164,
+            tagsJson: entry.tags,
+            ...profile,
+          },
+          select: { id: true },
+        });
+        contactId = created.id;
+        result.created++;
+      }
+
+      if (consent) {
+        result.consent.push({
+          contactId,
+          row: entry.row,
+          state: consent.smsConsentState,
+          at: consent.smsConsentAt,
+        });
+      }
+    }
+
+    await tx.auditLog.create({
+      data: {
+        shopId,
+        actor,
+        action: 'contacts.import.batch',
+        entity: 'contact_import',
+        entityId: importId,
+        diffJson: {
+          rows: [entries[0].row, entries[entries.length - 1].row],
+          created: result.created,
+          updated: result.updated,
+          // Consent evidence: who changed, to what, when it was originally given
+          consent: result.consent,
+        },
+      },
+    });
+    return result;
+  }, IMPORT_TX_OPTIONS);
+}
+
+/**
+ * Validate a CSV upload and queue it for import.
+ * @param {Object} params
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.csv - CSV text with a header row; a phone column is required
+ * @param {string} [params.defaultRegion] - Region for numbers without a country code
+ * @param {string} [params.actor] - Audit actor
+ * @returns {Promise<Object>} { importId, status, rows }
+ */
+export async function startContactImport({ shopId, csv, defaultRegion = 'GR', actor = 'user' }) {
+  const { rows } = parseImport(csv);
+  const importId = await scheduleJob({
+    shopId,
+    kind: IMPORT_JOB_TYPE,
+    key: `${IMPORT_JOB_TYPE}:${shopId}:${nanoid()}`,
+    runAt: new Date(),
+    payload: { csv, defaultRegion, actor, rows: rows.length },
+  });
+  logger.info({ shopId, importId, rows: rows.length }, 'Contact import queued');
+  return { importId, status: 'pending', rows: rows.length };
+}
+
+/**
+ * Import contacts from CSV: normalize phones, dedupe on phone_hash, encrypt PII,
+ * record consent with source 'import', one audit entry per batch.
+ * @returns {Promise<Object>} { rows, created, updated, failed, errors, errorsTruncated }
+ */
+export async function runContactImport({
+  shopId,
+  importId,
+  csv,
+  defaultRegion = 'GR',
+  actor = 'system',
+  now = new Date(),
+}) {
+  const { columns, rows } = parseImport(csv);
+  const errors = [];
+  const valid = [];
+  const seen = new Set();
+
+  rows.forEach((record, i) => {
+    const { value, error } = readRow(record, columns, i + 2, { defaultRegion, now });
+    if (error) errors.push(error);
+    else if (seen.has(value.phoneHash)) {
+      errors.push({ row: value.row, field: 'phone', code: 'duplicate_in_file' });
+    } else {
+      seen.add(value.phoneHash);
+      valid.push(value);
+    }
+  });
+  const failed = errors.length;
+
+  let created = 0;
+  let updated = 0;
+  for (let i = 0; i < valid.length; i += IMPORT_BATCH) {
+    const batch = await importBatch({
+      shopId,
+      importId,
+      entries: valid.slice(i, i + IMPORT_BATCH),
+      actor,
+    });
+    created += batch.created;
+    updated += batch.updated;
+    errors.push(...batch.warnings);
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  logger.info(
+    { shopId, importId, rows: rows.length, created, updated, failed },
+    'Contacts imported',
+  );
+  return {
+    rows: rows.length,
+    created,
+    updated,
+    failed,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+    errorsTruncated: errors.length > MAX_REPORTED_ERRORS,
+  };
+}
+
+/**
+ * Scheduler executor: runs the import and replaces the uploaded CSV in the job
+ * payload with the report, so no plaintext PII stays behind.
+ */
+export async function executeContactImportJob(job) {
+  const { csv, defaultRegion, actor, rows } = job.payload;
+  try {
+    const result = await runContactImport({
+      shopId: job.shopId,
+      importId: job.id,
+      csv,
+      defaultRegion,
+      actor,
+    });
+    await prisma.job.update({
+      where: { id: job.id },
+      data: { status: 'done', payload: { defaultRegion, actor, rows, result } },
+    });
+  } catch (error) {
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: 'failed',
+        lastError: String(error?.message || error),
+        payload: { defaultRegion, actor, rows },
+      },
+    });
+    throw error;
+  }
+}
+
+/** Import status and, once finished, its per-row error report */
+export async function getContactImport({ shopId, importId }) {
+  const job = await prisma.job.findFirst({
+    where: { id: importId, shopId, type: IMPORT_JOB_TYPE },
+  });
+  if (!job) throw csvError('Import not found', 404);
+  return {
+    importId: job.id,
+    status: job.status,
+    rows: job.payload?.rows ?? null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    error: job.lastError || null,
+    result: job.payload?.result || null,
+  };
+}
+
+export const EXPORT_COLUMNS = [
+  'id',
+  'phone',
+  'phone_last4',
+  'email',
+  'email_domain',
+  'first_name',
+  'last_name',
+  'tags',
+  'consent',
+  'consent_source',
+  'consent_at',
+  'locale',
+  'created_at',
+];
+
+/**
+ * Stream a segment's contacts as CSV lines, header first. Phone and email are
+ * decrypted only when includePII is set; otherwise those cells stay empty.
+ * @param {Object} params
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.segmentId - Segment ID
+ * @param {boolean} [params.includePII] - Caller is authorized to read PII
+ * @param {Object} [params.meta] - Audit actor/ip/ua
+ * @returns {Promise<AsyncGenerator<string>>} CSV lines
+ */
+export async function exportSegmentCsv({ shopId, segmentId, includePII = false, meta = {} }) {
+  const segment = await prisma.segment.findFirst({ where: { id: segmentId, shopId } });
+  if (!segment) throw csvError('Segment not found', 404);
+  const where = segmentContactWhere(shopId, segment.filterJson);
+
+  async function* lines() {
+    yield toCsvLine(EXPORT_COLUMNS);
+    let exported = 0;
+    let cursor = null;
+    for (;;) {
+      const rows = await prisma.contact.findMany({
+        where: cursor ? { ...where, id: { gt: cursor } } : where,
+        orderBy: { id: 'asc' },
+        take: EXPORT_CHUNK,
+        select: {
+          id: true,
+          createdAt: true,
+          firstName: true,
+          lastName: true,
+          phone_last4: true,
+          email_domain: true,
+          tagsJson: true,
+          smsConsentState: true,
+          smsConsentSource: true,
+          smsConsentAt: true,
+          locale: true,
+          ...(includePII
+            ? { phone_ciphertext: true, email_ciphertext: true, phoneE164: true }
+            : {}),
+        },
+      });
+      if (rows.length === 0) break;
+
+      for (const c of rows) {
+        const pii = includePII ? decryptPII(c) : {};
+        yield toCsvLine([
+          c.id,
+          includePII ? pii.phoneE164 || c.phoneE164 : null,
+          c.phone_last4,
+          pii.email,
+          c.email_domain,
+          c.firstName,
+          c.lastName,
+          Array.isArray(c.tagsJson) ? c.tagsJson.join(';') : '',
+          c.smsConsentState,
+          c.smsConsentSource,
+          c.smsConsentAt,
+          c.locale,
+          c.createdAt,
+        ]);
+      }
+      exported += rows.length;
+      cursor = rows[rows.length - 1].id;
+    }
+
+    await logAudit({
+      shopId,
+      actor: meta.actor || 'user',
+      action: 'contacts.export',
+      entity: 'segment',
+      entityId: segmentId,
+      ip: meta.ip,
+      ua: meta.ua,
+      diff: { rows: exported, includePII },
+    });
+  }
+
+  return lines();
+}
@@ -1,9 +1,10 @@
 // src/services/contacts-denormalize.js
-// Contact denormalization service for age updates
+// Contact denormalization service for age updates, conversions and order history
 
 import { getPrismaClient } from '../db/prismaClient.js';
 import { deriveAgeYears } from '../lib/age-utils.js';
 import { logger } from '../lib/logger.js';
+import { resolveProductCollections } from './shopify-products.js';
 
 const prisma = getPrismaClient();
 
@@ -145,3 +146,80 @@ export async function updateContactConversion(contactId, orderSubtotalCents = 0)
     throw error;
   }
 }
+
+/** Numeric id from a Shopify GID or plain id */
+function numericId(id) {
+  return id == null ? null : String(id).split('/').pop();
+}
+
+/**
+ * Record a paid order in the contact's order history and refresh recency ranks
+ * (1 = most recent). Idempotent per Shopify order id. Collections are resolved
+ * best-effort: without read_products the order is kept with product ids only.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.shopDomain - Shop domain (for the collections lookup)
+ * @param {string} params.contactId - Contact ID
+ * @param {Object} params.payload - orders/paid webhook payload
+ * @returns {Promise<Object|null>} The ContactOrder row, or null without an order id
+ */
+export async function recordContactOrder({ shopId, shopDomain, contactId, payload }) {
+  const orderId = numericId(payload?.id || payload?.admin_graphql_api_id);
+  if (!orderId) return null;
+
+  const productIds = [
+    ...new Set((payload?.line_items || []).map((li) => numericId(li?.product_id)).filter(Boolean)),
+  ];
+  let collectionIds = [];
+  try {
+    collectionIds = await resolveProductCollections({ shopDomain, productIds });
+  } catch (error) {
+    logger.warn(
+      { error: error.message, shopId, orderId },
+      'Could not resolve order collections; storing products only',
+    );
+  }
+
+  const placedAt = new Date(payload?.processed_at || payload?.created_at || Date.now());
+  const data = {
+    contactId,
+    placedAt,
+    totalCents: Math.round(Number(payload?.total_price || 0) * 100),
+    productIds,
+    collectionIds,
+  };
+  const order = await prisma.contactOrder.upsert({
+    where: { shopId_orderId: { shopId, orderId } },
+    create: { shopId, orderId, ...data },
+    update: data,
+  });
+
+  // Orders can arrive out of order, so re-rank the whole (short) history
+  const history = await prisma.contactOrder.findMany({
+    where: { contactId },
+    select: { id: true, recencyRank: true },
+    orderBy: [{ placedAt: 'desc' }, { id: 'desc' }],
+  });
+  for (const [i, row] of history.entries()) {
+    if (row.recencyRank !== i + 1) {
+      await prisma.contactOrder.update({ where: { id: row.id }, data: { recencyRank: i + 1 } });
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Stamp the first delivery of an order (fulfillment shipment_status "delivered").
+ * Later deliveries of a split shipment keep the first timestamp.
+ * @returns {Promise<number>} Orders updated (0 when unknown or already delivered)
+ */
+export async function markOrderDelivered({ shopId, orderId, deliveredAt = new Date() }) {
+  const id = numericId(orderId);
+  if (!id) return 0;
+  const { count } = await prisma.contactOrder.updateMany({
+    where: { shopId, orderId: id, deliveredAt: null },
+    data: { deliveredAt },
+  });
+  return count;
+}
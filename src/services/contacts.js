@@ -1,6 +1,12 @@
+import { nanoid } from 'nanoid';
 import { getPrismaClient } from '../db/prismaClient.js';
-import { encryptPII, decryptPII } from '../lib/encryption.js';
+import { encryptPII, decryptPII, hashDeterministic, extractLast4 } from '../lib/encryption.js';
 import { normalizePhone, normalizeEmail } from '../lib/normalization.js';
+import { deriveAgeYears } from '../lib/age-utils.js';
+import { logAudit } from './audit.js';
+import { dslToWhere } from './segment-dsl.js';
+import { CONSENT_PUSH_JOB_TYPE, updateLocalAndRemoteConsent } from './consent-unified.js';
+import { scheduleJob } from './scheduler.js';
 
 export async function upsertContact({ shopId, phoneE164, data }) {
   const prisma = getPrismaClient();
@@ -16,7 +22,7 @@ export async function upsertContactByPhone({
   phoneE164,
   customerId,
   state,
-  source: _source,
+  source = null,
   email = null,
 }) {
   const prisma = getPrismaClient();
@@ -30,6 +36,14 @@ export async function upsertContactByPhone({
   }
 
   const encryptedData = encryptPII(normalizedPhone, normalizedEmail);
+  // Record where consent came from; other states leave the consent fields untouched
+  const now = new Date();
+  const consent =
+    state === 'SUBSCRIBED'
+      ? { smsConsentState: 'opted_in', smsConsentSource: source, smsConsentAt: now }
+      : state === 'UNSUBSCRIBED'
+        ? { smsConsentState: 'opted_out', smsConsentSource: source, unsubscribedAt: now }
+        : {};
 
   return prisma.contact.upsert({
     where: { shopId_phoneE164: { shopId, phoneE164 } },
@@ -38,11 +52,13 @@ export async function upsertContactByPhone({
       phoneE164, // Keep for backward compatibility during transition
       ...encryptedData,
       // Map to existing schema fields: optedOut boolean
+      ...consent,
       optedOut: state !== 'SUBSCRIBED',
       customerId: customerId || null,
     },
     update: {
       ...encryptedData,
+      ...consent,
       optedOut: state !== 'SUBSCRIBED',
       customerId: customerId || undefined,
     },
@@ -69,7 +85,7 @@ export async function findContactByPhoneHash(shopId, phoneE164) {
   }
 
   // Generate hash for lookup
-  const phoneHash = require('../lib/encryption.js').hashDeterministic(normalizedPhone);
+  const phoneHash = hashDeterministic(normalizedPhone);
 
   return prisma.contact.findFirst({
     where: {
@@ -108,3 +124,418 @@ export function decryptContactPII(contact) {
 
   return decrypted;
 }
+
+// Contact management (support tooling). Responses never carry the phone number or
+// email: only phone_last4 and the email domain leave the service.
+
+const MAX_PAGE_SIZE = 200;
+const BULK_CHUNK = 500;
+const CONSENT_STATES = ['opted_in', 'opted_out'];
+
+function contactError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const CONTACT_SELECT = {
+  id: true,
+  createdAt: true,
+  updatedAt: true,
+  customerId: true,
+  firstName: true,
+  lastName: true,
+  phoneE164: true, // only for legacy rows without phone_last4; never returned
+  phone_last4: true,
+  email_domain: true,
+  smsConsentState: true,
+  smsConsentSource: true,
+  smsConsentAt: true,
+  unsubscribedAt: true,
+  optedOut: true,
+  tagsJson: true,
+  gender: true,
+  birthdate: true,
+  ageYears: true,
+  locale: true,
+  timezone: true,
+  conversionCount: true,
+  conversionLtvCents: true,
+  lastConvertedAt: true,
+  lastClickedAt: true,
+};
+
+/** Contact row → API shape without phone/email plaintext */
+export function serializeContact(contact) {
+  const {
+    phoneE164,
+    phone_last4: phoneLast4,
+    email_domain: emailDomain,
+    tagsJson,
+    ...rest
+  } = contact;
+  return {
+    ...rest,
+    phoneLast4: phoneLast4 || (phoneE164?.startsWith('+') ? extractLast4(phoneE164) : null),
+    emailDomain: emailDomain || null,
+    tags: Array.isArray(tagsJson) ? tagsJson : [],
+  };
+}
+
+function normalizeTags(tags) {
+  return [...new Set((tags || []).map((t) => String(t).trim()).filter(Boolean))];
+}
+
+/** Lookup by phone_hash; rows written before encryption only have phoneE164 */
+function phoneWhere(phone) {
+  const normalized = normalizePhone(String(phone));
+  if (!normalized) throw contactError('Invalid phone number');
+  return {
+    OR: [
+      { phone_hash: hashDeterministic(normalized) },
+      { phone_hash: null, phoneE164: normalized },
+    ],
+  };
+}
+
+/** Free-text search: name, or an exact email/phone match through their hashes */
+function searchWhere(q) {
+  const term = String(q).trim();
+  const OR = [
+    { firstName: { contains: term, mode: 'insensitive' } },
+    { lastName: { contains: term, mode: 'insensitive' } },
+  ];
+  const email = normalizeEmail(term);
+  if (email) OR.push({ email_hash: hashDeterministic(email) });
+  if (term.replace(/\D/g, '').length >= 7 && normalizePhone(term)) {
+    OR.push(...phoneWhere(term).OR);
+  }
+  return { OR };
+}
+
+async function findContact(shopId, contactId, select = CONTACT_SELECT) {
+  const prisma = getPrismaClient();
+  const contact = await prisma.contact.findFirst({ where: { id: contactId, shopId }, select });
+  if (!contact) throw contactError('Contact not found', 404);
+  return contact;
+}
+
+/**
+ * List and search a shop's contacts.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} [params.q] - Name search, or an exact email/phone
+ * @param {string} [params.phone] - Exact phone lookup (via phone_hash)
+ * @param {string} [params.tag] - Contacts carrying this tag
+ * @param {string} [params.consent] - smsConsentState
+ * @param {Object} [params.filter] - Segment DSL
+ * @param {number} [params.limit] - Page size (max 200)
+ * @param {number} [params.offset] - Offset
+ * @returns {Promise<Object>} { contacts, pagination }
+ */
+export async function listContacts({
+  shopId,
+  q,
+  phone,
+  tag,
+  consent,
+  filter,
+  limit = 50,
+  offset = 0,
+}) {
+  const prisma = getPrismaClient();
+  const AND = [];
+  if (phone) AND.push(phoneWhere(phone));
+  if (q) AND.push(searchWhere(q));
+  if (tag) AND.push({ tagsJson: { array_contains: [String(tag)] } });
+  if (consent) AND.push({ smsConsentState: String(consent) });
+  if (filter) AND.push(dslToWhere(filter));
+  const where = { shopId, ...(AND.length ? { AND } : {}) };
+
+  const take = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const [rows, total] = await Promise.all([
+    prisma.contact.findMany({
+      where,
+      select: CONTACT_SELECT,
+      orderBy: { createdAt: 'desc' },
+      take,
+      skip: offset,
+    }),
+    prisma.contact.count({ where }),
+  ]);
+
+  return {
+    contacts: rows.map(serializeContact),
+    pagination: { total, limit: take, offset, hasMore: offset + rows.length < total },
+  };
+}
+
+export async function getContact({ shopId, contactId }) {
+  return serializeContact(await findContact(shopId, contactId));
+}
+
+/**
+ * Edit profile fields. Setting birthdate recomputes ageYears.
+ * @param {Object} params - Parameters
+ * @param {Object} params.patch - { firstName, lastName, tags, birthdate, gender }
+ * @param {Object} [params.meta] - { actor, ip, ua } for the audit trail
+ * @returns {Promise<Object>} Updated contact
+ */
+export async function updateContact({ shopId, contactId, patch, meta = {} }) {
+  const prisma = getPrismaClient();
+  await findContact(shopId, contactId, { id: true });
+
+  const data = {};
+  if (patch.firstName !== undefined) data.firstName = patch.firstName;
+  if (patch.lastName !== undefined) data.lastName = patch.lastName;
+  if (patch.gender !== undefined) data.gender = patch.gender;
+  if (patch.tags !== undefined) data.tagsJson = normalizeTags(patch.tags);
+  if (patch.birthdate !== undefined) {
+    const birthdate = patch.birthdate === null ? null : new Date(patch.birthdate);
+    if (birthdate && Number.isNaN(birthdate.getTime())) throw contactError('Invalid birthdate');
+    data.birthdate = birthdate;
+    data.ageYears = birthdate ? deriveAgeYears(birthdate) : null;
+  }
+
+  const updated = await prisma.contact.update({
+    where: { id: contactId },
+    data,
+    select: CONTACT_SELECT,
+  });
+
+  await logAudit({
+    shopId,
+    actor: meta.actor || 'user',
+    action: 'contact.update',
+    entity: 'contact',
+    entityId: contactId,
+    ip: meta.ip,
+    ua: meta.ua,
+    diff: { fields: Object.keys(data) },
+  });
+
+  return serializeContact(updated);
+}
+
+/**
+ * Manual consent change by support staff: updates the contact, writes a consent.update
+ * AuditLog entry and pushes the state to Shopify when the contact is a customer.
+ * @param {Object} params - Parameters
+ * @param {Object} params.shop - Shop row
+ * @param {string} params.contactId - Contact ID
+ * @param {string} params.state - opted_in | opted_out
+ * @param {Object} [params.meta] - { actor, ip, ua }
+ * @returns {Promise<Object>} Updated contact
+ */
+export async function setContactConsent({ shop, contactId, state, meta = {} }) {
+  if (!CONSENT_STATES.includes(state)) {
+    throw contactError(`state must be one of: ${CONSENT_STATES.join(', ')}`);
+  }
+  const prisma = getPrismaClient();
+  const contact = await prisma.contact.findFirst({ where: { id: contactId, shopId: shop.id } });
+  if (!contact) throw contactError('Contact not found', 404);
+
+  await updateLocalAndRemoteConsent({
+    shop,
+    contact,
+    nextState: state,
+    source: 'manual',
+    reqMeta: { actor: meta.actor || 'user', ip: meta.ip, ua: meta.ua },
+  });
+
+  return getContact({ shopId: shop.id, contactId });
+}
+
+/**
+ * Delete a contact. Its messages stay for reporting, detached from the contact.
+ * Opted-out contacts are kept: the row is the only record of the STOP, and without
+ * it a later import or signup would make the number sendable again (409).
+ */
+export async function deleteContact({ shopId, contactId, meta = {} }) {
+  const prisma = getPrismaClient();
+  const contact = await findContact(shopId, contactId);
+  if (contact.optedOut || contact.smsConsentState === 'opted_out') {
+    throw contactError('Opted-out contacts are kept to honour the opt-out', 409);
+  }
+  await prisma.contact.delete({ where: { id: contactId } });
+
+  await logAudit({
+    shopId,
+    actor: meta.actor || 'user',
+    action: 'contact.delete',
+    entity: 'contact',
+    entityId: contactId,
+    ip: meta.ip,
+    ua: meta.ua,
+    diff: {
+      phoneLast4: serializeContact(contact).phoneLast4,
+      smsConsentState: contact.smsConsentState,
+    },
+  });
+
+  return { contactId };
+}
+
+/**
+ * A contact's messages, newest first. Page backwards with `before`.
+ * @returns {Promise<Object>} { messages, nextBefore }
+ */
+export async function contactTimeline({ shopId, contactId, limit = 50, before = null }) {
+  const prisma = getPrismaClient();
+  await findContact(shopId, contactId, { id: true });
+
+  const take = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const rows = await prisma.message.findMany({
+    where: { shopId, contactId, ...(before ? { createdAt: { lt: before } } : {}) },
+    orderBy: { createdAt: 'desc' },
+    take: take + 1,
+    select: {
+      id: true,
+      createdAt: true,
+      kind: true,
+      triggerKey: true,
+      status: true,
+      body: true,
+      metadata: true,
+      sentAt: true,
+      deliveredAt: true,
+      failedAt: true,
+    },
+  });
+
+  const page = rows.slice(0, take);
+  return {
+    messages: page.map(({ metadata, ...m }) => ({
+      ...m,
+      campaignId: metadata?.campaignId ?? null,
+    })),
+    nextBefore: rows.length > take ? page[page.length - 1].createdAt : null,
+  };
+}
+
+/** Contacts targeted by a bulk action: explicit ids or a segment filter, never both */
+function bulkWhere(shopId, { ids, filter }) {
+  if (!!ids === !!filter) throw contactError('Provide either ids or filter');
+  if (ids) return { shopId, id: { in: ids } };
+  return { shopId, ...dslToWhere(filter) };
+}
+
+async function forEachChunk(where, select, fn) {
+  const prisma = getPrismaClient();
+  let cursor = null;
+  for (;;) {
+    const rows = await prisma.contact.findMany({
+      where: cursor ? { AND: [where, { id: { gt: cursor } }] } : where,
+      select: { id: true, ...select },
+      orderBy: { id: 'asc' },
+      take: BULK_CHUNK,
+    });
+    if (!rows.length) return;
+    await fn(rows);
+    cursor = rows[rows.length - 1].id;
+  }
+}
+
+/**
+ * Add and/or remove tags on many contacts.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string[]} [params.ids] - Contact IDs
+ * @param {Object} [params.filter] - Segment DSL
+ * @param {string[]} [params.add] - Tags to add
+ * @param {string[]} [params.remove] - Tags to remove
+ * @param {Object} [params.meta] - { actor, ip, ua }
+ * @returns {Promise<Object>} { matched, updated }
+ */
+export async function bulkTagContacts({ shopId, ids, filter, add = [], remove = [], meta = {} }) {
+  const toAdd = normalizeTags(add);
+  const toRemove = new Set(normalizeTags(remove));
+  if (!toAdd.length && !toRemove.size) throw contactError('Nothing to add or remove');
+
+  const prisma = getPrismaClient();
+  let matched = 0;
+  let updated = 0;
+
+  await forEachChunk(bulkWhere(shopId, { ids, filter }), { tagsJson: true }, async (rows) => {
+    matched += rows.length;
+    for (const row of rows) {
+      const current = Array.isArray(row.tagsJson) ? row.tagsJson : [];
+      const next = normalizeTags([...current, ...toAdd]).filter((t) => !toRemove.has(t));
+      if (next.length === current.length && next.every((t, i) => t === current[i])) continue;
+      await prisma.contact.update({ where: { id: row.id }, data: { tagsJson: next } });
+      updated++;
+    }
+  });
+
+  await logAudit({
+    shopId,
+    actor: meta.actor || 'user',
+    action: 'contact.bulk_tags',
+    entity: 'contact',
+    ip: meta.ip,
+    ua: meta.ua,
+    diff: { add: toAdd, remove: [...toRemove], ids: ids || null, filter: filter || null, updated },
+  });
+
+  return { matched, updated };
+}
+
+/**
+ * Opt out many contacts at once. Writes one consent AuditLog entry per batch listing the
+ * contacts it changed. Shopify customers among them are pushed as unsubscribed by a
+ * scheduler job per batch, so large batches stay within the request.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string[]} [params.ids] - Contact IDs
+ * @param {Object} [params.filter] - Segment DSL
+ * @param {Object} [params.meta] - { actor, ip, ua }
+ * @param {Date} [params.now] - Reference time
+ * @returns {Promise<Object>} { optedOut }
+ */
+export async function bulkOptOut({ shopId, ids, filter, meta = {}, now = new Date() }) {
+  const prisma = getPrismaClient();
+  const where = {
+    AND: [
+      bulkWhere(shopId, { ids, filter }),
+      { OR: [{ optedOut: false }, { smsConsentState: { not: 'opted_out' } }] },
+    ],
+  };
+  let optedOut = 0;
+
+  await forEachChunk(where, { customerId: true }, async (rows) => {
+    const contactIds = rows.map((r) => r.id);
+    const { count } = await prisma.contact.updateMany({
+      where: { shopId, id: { in: contactIds } },
+      data: {
+        smsConsentState: 'opted_out',
+        smsConsentSource: 'manual',
+        optedOut: true,
+        unsubscribedAt: now,
+      },
+    });
+    optedOut += count;
+
+    await logAudit({
+      shopId,
+      actor: meta.actor || 'user',
+      action: 'consent.bulk_opt_out',
+      entity: 'contact',
+      ip: meta.ip,
+      ua: meta.ua,
+      diff: { contactIds, after: { smsConsentState: 'opted_out', optedOut: true } },
+    });
+
+    const customers = rows.filter((r) => r.customerId).map((r) => r.id);
+    if (customers.length) {
+      await scheduleJob({
+        shopId,
+        kind: CONSENT_PUSH_JOB_TYPE,
+        key: `${CONSENT_PUSH_JOB_TYPE}:${shopId}:${nanoid()}`,
+        runAt: now,
+        payload: { contactIds: customers, consentUpdatedAt: now.toISOString() },
+      });
+    }
+  });
+
+  return { optedOut };
+}
@@ -0,0 +1,293 @@
+// src/services/conversations.js
+// Two-way SMS inbox: inbound messages are threaded per contact, replies go out via the provider
+
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+import { toE164Loose } from '../lib/phone.js';
+import { hashDeterministic } from '../lib/encryption.js';
+import { sendAndMark } from './messages.js';
+import { hasSmsConsent } from './rules.js';
+
+const prisma = getPrismaClient();
+
+const MAX_PAGE_SIZE = 200;
+const PREVIEW_LENGTH = 160;
+
+function conversationError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const CONTACT_SUMMARY = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+    phone_last4: true,
+    smsConsentState: true,
+    optedOut: true,
+  },
+};
+
+/** Provider MSISDNs are international, with or without the leading '+' */
+function inboundPhone(from) {
+  const raw = String(from || '').trim();
+  return toE164Loose(raw.startsWith('+') ? raw : `+${raw.replace(/\D/g, '')}`);
+}
+
+/** Every contact, across shops, that an inbound number belongs to */
+export async function findPhoneContacts(from) {
+  const phoneE164 = inboundPhone(from);
+  if (!phoneE164) return [];
+
+  return prisma.contact.findMany({
+    where: {
+      OR: [
+        { phone_hash: hashDeterministic(phoneE164) },
+        { phone_hash: null, phoneE164 }, // rows written before PII encryption
+      ],
+    },
+    select: { id: true, shopId: true, updatedAt: true },
+    orderBy: { updatedAt: 'desc' },
+  });
+}
+
+/**
+ * Of the contacts sharing a number, the one an inbound message answers:
+ * whichever shop texted the number last.
+ */
+export async function pickReplyingContact(contacts) {
+  if (contacts.length <= 1) return contacts[0] || null;
+
+  const last = await prisma.message.findFirst({
+    where: { contactId: { in: contacts.map((c) => c.id) } },
+    orderBy: { createdAt: 'desc' },
+    select: { contactId: true },
+  });
+  return contacts.find((c) => c.id === last?.contactId) || contacts[0];
+}
+
+/**
+ * The contact an inbound number belongs to. When several shops know the number,
+ * the message is a reply to whichever shop texted it last.
+ */
+export async function findInboundContact(from) {
+  return pickReplyingContact(await findPhoneContacts(from));
+}
+
+function preview(body) {
+  return body.length > PREVIEW_LENGTH ? `${body.slice(0, PREVIEW_LENGTH - 1)}…` : body;
+}
+
+/**
+ * Store an inbound SMS in the sender's thread, opening the thread if needed.
+ * Provider retries with the same message id are ignored.
+ * @param {Object} params
+ * @param {string} params.from - Sender MSISDN
+ * @param {string} params.text - Message text as received
+ * @param {string} [params.providerMessageId] - Provider's message id
+ * @param {Date} [params.receivedAt]
+ * @returns {Promise<Object|null>} { shopId, contactId, conversationId, duplicate } or null for unknown senders
+ */
+export async function recordInboundMessage({
+  from,
+  text,
+  providerMessageId = null,
+  receivedAt = new Date(),
+}) {
+  const contact = await findInboundContact(from);
+  if (!contact) {
+    logger.info({ providerMessageId }, 'Inbound SMS from unknown number, not stored');
+    return null;
+  }
+  const { shopId } = contact;
+
+  if (providerMessageId) {
+    const seen = await prisma.conversationMessage.findUnique({
+      where: { shopId_providerMessageId: { shopId, providerMessageId } },
+      select: { conversationId: true },
+    });
+    if (seen) {
+      return {
+        shopId,
+        contactId: contact.id,
+        conversationId: seen.conversationId,
+        duplicate: true,
+      };
+    }
+  }
+
+  let conversationId;
+  try {
+    conversationId = await storeInbound({
+      shopId,
+      contactId: contact.id,
+      text,
+      providerMessageId,
+      receivedAt,
+    });
+  } catch (err) {
+    // A concurrent retry of the same provider message won the unique index
+    if (err?.code !== 'P2002') throw err;
+    return { shopId, contactId: contact.id, conversationId: null, duplicate: true };
+  }
+
+  return { shopId, contactId: contact.id, conversationId, duplicate: false };
+}
+
+async function storeInbound({ shopId, contactId, text, providerMessageId, receivedAt }) {
+  return prisma.$transaction(async (tx) => {
+    const thread = { lastMessageAt: receivedAt, lastMessagePreview: preview(text) };
+    const conversation = await tx.conversation.upsert({
+      where: { contactId },
+      create: { shopId, contactId, lastDirection: 'inbound', unreadCount: 1, ...thread },
+      update: { lastDirection: 'inbound', unreadCount: { increment: 1 }, ...thread },
+      select: { id: true },
+    });
+    await tx.conversationMessage.create({
+      data: {
+        shopId,
+        conversationId: conversation.id,
+        direction: 'inbound',
+        body: text,
+        providerMessageId,
+        createdAt: receivedAt,
+      },
+    });
+    return conversation.id;
+  });
+}
+
+/**
+ * List threads, most recent activity first.
+ * @returns {Promise<Object>} { conversations, pagination }
+ */
+export async function listConversations({ shopId, unread = false, limit = 50, offset = 0 }) {
+  const take = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const where = { shopId, ...(unread ? { unreadCount: { gt: 0 } } : {}) };
+  const [conversations, total] = await Promise.all([
+    prisma.conversation.findMany({
+      where,
+      orderBy: { lastMessageAt: 'desc' },
+      skip: offset,
+      take,
+      include: { contact: CONTACT_SUMMARY },
+    }),
+    prisma.conversation.count({ where }),
+  ]);
+  return {
+    conversations,
+    pagination: { total, limit: take, offset, hasMore: offset + conversations.length < total },
+  };
+}
+
+async function findConversation(shopId, conversationId) {
+  const conversation = await prisma.conversation.findFirst({
+    where: { id: conversationId, shopId },
+    include: { contact: CONTACT_SUMMARY },
+  });
+  if (!conversation) throw conversationError('Conversation not found', 404);
+  return conversation;
+}
+
+/**
+ * A thread with its messages, newest first; page back with `before`.
+ * Outbound messages carry their delivery status.
+ * @returns {Promise<Object>} { conversation, messages, nextBefore }
+ */
+export async function getConversation({ shopId, conversationId, limit = 50, before = null }) {
+  const conversation = await findConversation(shopId, conversationId);
+  const take = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const rows = await prisma.conversationMessage.findMany({
+    where: { conversationId, ...(before ? { createdAt: { lt: before } } : {}) },
+    orderBy: { createdAt: 'desc' },
+    take: take + 1,
+    include: { message: { select: { status: true, deliveredAt: true, failedAt: true } } },
+  });
+
+  const page = rows.slice(0, take);
+  return {
+    conversation,
+    messages: page.map(({ message, ...m }) => ({
+      ...m,
+      status: m.direction === 'inbound' ? 'received' : message?.status || null,
+      deliveredAt: message?.deliveredAt || null,
+      failedAt: message?.failedAt || null,
+    })),
+    nextBefore: rows.length > take ? page[page.length - 1].createdAt : null,
+  };
+}
+
+/** Clear the unread counter */
+export async function markConversationRead({ shopId, conversationId, now = new Date() }) {
+  await findConversation(shopId, conversationId);
+  return prisma.conversation.update({
+    where: { id: conversationId },
+    data: { unreadCount: 0, lastReadAt: now },
+  });
+}
+
+/**
+ * Send a manual reply through the SMS provider. The contact must have SMS consent.
+ * Replying marks the thread read.
+ * @param {Object} params
+ * @param {Object} params.shop - Shop row
+ * @param {string} params.conversationId
+ * @param {string} params.body - Reply text, sent as-is
+ * @param {string} [params.authorId] - Replying user (JWT subject)
+ * @returns {Promise<Object>} The stored outbound message with its send status
+ */
+export async function replyToConversation({ shop, conversationId, body, authorId = null }) {
+  const conversation = await findConversation(shop.id, conversationId);
+  const contact = await prisma.contact.findUnique({ where: { id: conversation.contactId } });
+  if (!hasSmsConsent(contact)) {
+    throw conversationError('Contact has not consented to SMS', 409);
+  }
+
+  const now = new Date();
+  const message = await prisma.message.create({
+    data: {
+      shopId: shop.id,
+      contactId: contact.id,
+      body,
+      provider: 'mitto',
+      status: 'queued',
+      kind: 'conversation',
+      metadata: { phoneE164: contact.phoneE164, conversationId },
+    },
+  });
+  const reply = await prisma.conversationMessage.create({
+    data: {
+      shopId: shop.id,
+      conversationId,
+      direction: 'outbound',
+      body,
+      messageId: message.id,
+      authorId,
+      createdAt: now,
+    },
+  });
+  await prisma.conversation.update({
+    where: { id: conversationId },
+    data: {
+      lastMessageAt: now,
+      lastMessagePreview: preview(body),
+      lastDirection: 'outbound',
+      unreadCount: 0,
+      lastReadAt: now,
+    },
+  });
+
+  await sendAndMark({ messageId: message.id });
+  const sent = await prisma.message.findUnique({
+    where: { id: message.id },
+    select: { status: true },
+  });
+
+  logger.info(
+    { shopId: shop.id, conversationId, messageId: message.id, status: sent?.status },
+    'Conversation reply sent',
+  );
+  return { ...reply, status: sent?.status || 'queued' };
+}
@@ -0,0 +1,119 @@
+// src/services/discount-assignment.js
+// Unique pool codes handed out one per recipient at send time (discountConfig.codeStrategy 'unique')
+
+import { getPrismaClient } from '../db/prismaClient.js';
+
+const prisma = getPrismaClient();
+
+export const CODE_STRATEGIES = ['shared', 'unique'];
+
+export function isUniqueCodeStrategy(discountConfig) {
+  return discountConfig?.codeStrategy === 'unique';
+}
+
+/**
+ * Take one code of the campaign's active reservations for a recipient.
+ * The row is claimed with FOR UPDATE SKIP LOCKED, so concurrent batches never
+ * hand out the same code. A recipient that already holds a code (re-run after
+ * a crash) gets it back instead of a new one (`fresh: false`).
+ * @returns {Promise<{ id: string, code: string, poolId: string, fresh: boolean } | null>}
+ *   null when the pool ran dry
+ */
+export async function takeCampaignCode({ campaignId, recipientId }) {
+  const held = await prisma.discountCode.findFirst({
+    where: { assignedTo: recipientId, status: 'assigned' },
+    select: { id: true, code: true, poolId: true },
+  });
+  if (held) return { ...held, fresh: false };
+
+  const rows = await prisma.$queryRaw`
+    UPDATE "DiscountCode"
+    SET "status" = 'assigned', "assignedTo" = ${recipientId}, "updatedAt" = NOW()
+    WHERE "id" = (
+      SELECT c."id" FROM "DiscountCode" c
+      JOIN "DiscountCodeReservation" r ON r."id" = c."reservationId"
+      WHERE r."campaignId" = ${campaignId}
+        AND r."status" = 'active'
+        AND (r."expiresAt" IS NULL OR r."expiresAt" > NOW())
+        AND c."status" = 'reserved'
+        AND c."assignedTo" IS NULL
+        AND c."syncStatus" = 'synced'
+      ORDER BY c."createdAt"
+      LIMIT 1
+      FOR UPDATE OF c SKIP LOCKED
+    )
+    RETURNING "id", "code", "poolId"
+  `;
+  return rows[0] ? { ...rows[0], fresh: true } : null;
+}
+
+/**
+ * Return a campaign code that was not sent (gated or failed) to its reservation.
+ */
+export async function releaseCampaignCode(code) {
+  await prisma.discountCode.updateMany({
+    where: { id: code.id, status: 'assigned' },
+    data: { status: 'reserved', assignedTo: null },
+  });
+}
+
+/**
+ * Take one available code from the pool of an automation's discount.
+ * Automations have no reservation, so the code moves straight from `available`
+ * to `assigned` and counts toward the pool's reservedCodes. `assignee` is the
+ * enrollment id; every send step of one enrollment renders the same code.
+ * @returns {Promise<{ id: string, code: string, poolId: string, fresh: boolean } | null>}
+ *   null when the pool ran dry
+ */
+export async function takePoolCode({ shopId, discountId, assignee }) {
+  const held = await prisma.discountCode.findFirst({
+    where: { shopId, discountId, assignedTo: assignee, status: 'assigned' },
+    select: { id: true, code: true, poolId: true },
+  });
+  if (held) return { ...held, fresh: false };
+
+  return prisma.$transaction(async (tx) => {
+    const rows = await tx.$queryRaw`
+      UPDATE "DiscountCode"
+      SET "status" = 'assigned', "assignedTo" = ${assignee}, "reservedAt" = NOW(),
+        "updatedAt" = NOW()
+      WHERE "id" = (
+        SELECT c."id" FROM "DiscountCode" c
+        JOIN "DiscountCodePool" p ON p."id" = c."poolId"
+        WHERE p."shopId" = ${shopId}
+          AND p."discountId" = ${discountId}
+          AND p."status" = 'active'
+          AND c."status" = 'available'
+          AND c."syncStatus" = 'synced'
+        ORDER BY c."createdAt"
+        LIMIT 1
+        FOR UPDATE OF c SKIP LOCKED
+      )
+      RETURNING "id", "code", "poolId"
+    `;
+    if (!rows[0]) return null;
+    await tx.discountCodePool.update({
+      where: { id: rows[0].poolId },
+      data: { reservedCodes: { increment: 1 } },
+    });
+    return { ...rows[0], fresh: true };
+  });
+}
+
+/**
+ * Put an automation code that was not sent back into its pool.
+ */
+export async function releasePoolCode(code) {
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.discountCode.updateMany({
+      where: { id: code.id, status: 'assigned' },
+      data: { status: 'available', assignedTo: null, reservedAt: null },
+    });
+    if (count > 0) {
+      await tx.discountCodePool.update({
+        where: { id: code.poolId },
+        data: { reservedCodes: { decrement: 1 } },
+      });
+    }
+  });
+}
@@ -0,0 +1,250 @@
+// src/services/discount-code-generator.js
+// Generate pool codes with crypto.randomInt from templates like SPRING-####-XX and insert them in bulk
+
+import { randomInt } from 'node:crypto';
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+import { enqueueJob } from '../queue/queues.js';
+import { enqueuePoolSync } from './discount-pool-sync.js';
+
+const prisma = getPrismaClient();
+
+// No 0/O or 1/I, so codes survive being read out or typed from an SMS
+export const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const DIGITS = '23456789';
+const LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+// Template placeholders; `\` makes the next character literal
+const PLACEHOLDERS = { '#': DIGITS, X: LETTERS, '*': CODE_ALPHABET };
+
+export const GENERATE_MAX = 100000;
+// Larger requests are generated by a discount-sync job instead of in the request
+export const GENERATE_INLINE_MAX = parseInt(process.env.POOL_GENERATE_INLINE_MAX || '5000');
+const INSERT_CHUNK = 1000;
+// Rounds of regenerating codes that hit an existing code in the pool
+const MAX_ROUNDS = 5;
+const MIN_RANDOM_CHARS = 4;
+const MAX_CODE_LENGTH = 64;
+// Refuse requests that would use more than this share of the code space
+const MAX_SPACE_SHARE = 0.1;
+
+function generatorError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Luhn mod 32 check character over the alphabet characters of `body`.
+ * Catches any single mistyped character and most swaps of neighbours.
+ */
+export function checksumChar(body) {
+  const n = CODE_ALPHABET.length;
+  const chars = [...String(body).toUpperCase()].filter((c) => CODE_ALPHABET.includes(c));
+  let factor = 2;
+  let sum = 0;
+  for (let i = chars.length - 1; i >= 0; i--) {
+    const addend = factor * CODE_ALPHABET.indexOf(chars[i]);
+    sum += Math.floor(addend / n) + (addend % n);
+    factor = factor === 2 ? 1 : 2;
+  }
+  return CODE_ALPHABET[(n - (sum % n)) % n];
+}
+
+/** Whether the last character of a generated code is its check character */
+export function hasValidChecksum(code) {
+  const value = String(code || '').toUpperCase();
+  return value.length > 1 && checksumChar(value.slice(0, -1)) === value.at(-1);
+}
+
+/**
+ * Validate generator options and compile them into slots.
+ * With a template, `#` is a digit, `X` a letter and `*` any alphabet character
+ * (`SPRING-####-XX`). Without one, codes are `prefix` plus `length` random characters.
+ * @param {Object} options
+ * @param {string} [options.template]
+ * @param {string} [options.prefix]
+ * @param {number} [options.length] - Random characters when there is no template (default 8)
+ * @param {boolean} [options.checksum] - Append a check character
+ * @returns {{ slots: Array<string|{ chars: string }>, checksum: boolean, space: number }}
+ */
+export function compileCodeTemplate({
+  template = null,
+  prefix = '',
+  length = 8,
+  checksum = false,
+}) {
+  const slots = [];
+  if (template) {
+    const source = String(template);
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i].toUpperCase();
+      if (ch === '\\' && i + 1 < source.length) {
+        slots.push(source[++i].toUpperCase());
+      } else {
+        slots.push(PLACEHOLDERS[ch] ? { chars: PLACEHOLDERS[ch] } : ch);
+      }
+    }
+  } else {
+    const size = Number(length);
+    if (!Number.isInteger(size) || size < MIN_RANDOM_CHARS || size > 32) {
+      throw generatorError(`length must be an integer between ${MIN_RANDOM_CHARS} and 32`);
+    }
+    slots.push(...String(prefix).toUpperCase());
+    for (let i = 0; i < size; i++) slots.push({ chars: CODE_ALPHABET });
+  }
+
+  const random = slots.filter((s) => typeof s !== 'string');
+  if (random.length < MIN_RANDOM_CHARS) {
+    throw generatorError(`A code needs at least ${MIN_RANDOM_CHARS} random characters`);
+  }
+  if (slots.length + (checksum ? 1 : 0) > MAX_CODE_LENGTH) {
+    throw generatorError(`Codes are at most ${MAX_CODE_LENGTH} characters`);
+  }
+  if (slots.some((s) => typeof s === 'string' && !/^[A-Z0-9_-]$/.test(s))) {
+    throw generatorError('Codes may only contain letters, digits, - and _');
+  }
+  const space = random.reduce((total, s) => total * s.chars.length, 1);
+  return { slots, checksum: Boolean(checksum), space };
+}
+
+/**
+ * Chance that `quantity` codes drawn from `space` contain at least one
+ * duplicate (birthday bound). Duplicates are redrawn, so this is the chance
+ * that generation needs a retry, not that codes repeat.
+ */
+export function collisionProbability(quantity, space) {
+  if (quantity < 2) return 0;
+  if (quantity > space) return 1;
+  return -Math.expm1(-(quantity * (quantity - 1)) / (2 * space));
+}
+
+function drawCode({ slots, checksum }) {
+  let code = '';
+  for (const slot of slots) {
+    code += typeof slot === 'string' ? slot : slot.chars[randomInt(slot.chars.length)];
+  }
+  return checksum ? code + checksumChar(code) : code;
+}
+
+/**
+ * Draw `quantity` distinct codes.
+ * @returns {string[]}
+ */
+export function generateCodes(compiled, quantity) {
+  const codes = new Set();
+  // The space check keeps this bounded; the cap guards against a bad compile
+  const maxDraws = quantity * 20;
+  for (let draws = 0; codes.size < quantity && draws < maxDraws; draws++) {
+    codes.add(drawCode(compiled));
+  }
+  return [...codes];
+}
+
+/**
+ * Check a generate request before any code is written.
+ * @returns {{ compiled: Object, collision: { space: number, probability: number } }}
+ */
+export function planCodeGeneration({ quantity, options = {} }) {
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > GENERATE_MAX) {
+    throw generatorError(`quantity must be an integer between 1 and ${GENERATE_MAX}`);
+  }
+  const compiled = compileCodeTemplate(options);
+  if (quantity > compiled.space * MAX_SPACE_SHARE) {
+    throw generatorError(
+      `The template allows ${compiled.space} codes; use more random characters for ${quantity}`,
+    );
+  }
+  return {
+    compiled,
+    collision: {
+      space: compiled.space,
+      probability: collisionProbability(quantity, compiled.space),
+    },
+  };
+}
+
+/**
+ * Generate codes into a pool with createMany skipDuplicates, 1000 rows per insert.
+ * Codes that already exist in the pool are skipped and redrawn in the next round.
+ * The pool's totalCodes grows per chunk, so /pool/status shows progress of large runs.
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.poolId
+ * @param {string} params.discountId
+ * @param {number} params.quantity
+ * @param {Object} params.options - compileCodeTemplate options
+ * @param {boolean} [params.collect] - Return the inserted codes
+ * @returns {Promise<{ generated: number, codes: string[]|null }>}
+ */
+export async function generatePoolCodes({
+  shopId,
+  poolId,
+  discountId,
+  quantity,
+  options = {},
+  collect = false,
+}) {
+  const { compiled } = planCodeGeneration({ quantity, options });
+  const codes = collect ? [] : null;
+  let generated = 0;
+
+  for (let round = 0; round < MAX_ROUNDS && generated < quantity; round++) {
+    const batch = generateCodes(compiled, quantity - generated);
+    for (let i = 0; i < batch.length; i += INSERT_CHUNK) {
+      const chunk = batch.slice(i, i + INSERT_CHUNK);
+      const startedAt = new Date();
+      const { count } = await prisma.discountCode.createMany({
+        data: chunk.map((code) => ({ shopId, poolId, discountId, code, status: 'available' })),
+        skipDuplicates: true,
+      });
+      if (count === 0) continue;
+      generated += count;
+      await prisma.discountCodePool.update({
+        where: { id: poolId },
+        data: { totalCodes: { increment: count } },
+      });
+
+      if (!collect) continue;
+      if (count === chunk.length) {
+        codes.push(...chunk);
+      } else {
+        const inserted = await prisma.discountCode.findMany({
+          where: { poolId, code: { in: chunk }, createdAt: { gte: startedAt } },
+          select: { code: true },
+        });
+        codes.push(...inserted.map((c) => c.code));
+      }
+    }
+  }
+
+  if (generated < quantity) {
+    logger.warn({ shopId, poolId, quantity, generated }, 'Pool code generation fell short');
+  }
+  logger.info({ shopId, poolId, discountId, generated }, 'Generated discount codes for pool');
+  return { generated, codes };
+}
+
+/**
+ * Generate a large batch in the background: a discount-sync job with the
+ * Redis queue, otherwise in this process. The Shopify sync is queued when done.
+ * The job runs once: a retry would draw the full quantity again on top of the
+ * chunks already inserted, so a failed run keeps what it generated (see totalCodes).
+ */
+export async function enqueuePoolGenerate({ shopId, poolId, discountId, quantity, options }) {
+  const data = { shopId, poolId, discountId, quantity, options };
+  if ((process.env.QUEUE_DRIVER || 'memory') !== 'redis') {
+    generatePoolCodes(data)
+      .then(({ generated }) => generated > 0 && enqueuePoolSync({ shopId, poolId }))
+      .catch((error) =>
+        logger.error({ error: error.message, shopId, poolId }, 'Pool code generation failed'),
+      );
+    return;
+  }
+  const at = Date.now();
+  await enqueueJob(
+    'discount-sync',
+    'pool-generate',
+    { ...data, requestId: `pool_generate_${poolId}_${at}` },
+    { jobId: `pool-generate-${poolId}-${at}`, attempts: 1 },
+  );
+}
@@ -0,0 +1,291 @@
+// src/services/discount-pool-sync.js
+// Push pool codes to their parent Shopify discount with the redeem-code bulk mutation
+
+import { nanoid } from 'nanoid';
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+import { enqueueJob } from '../queue/queues.js';
+import { bulkAddRedeemCodes, fetchRedeemCodeBulkCreation } from './shopify-graphql.js';
+
+const prisma = getPrismaClient();
+
+// Shopify accepts at most 250 codes per discountRedeemCodeBulkAdd call
+export const POOL_SYNC_CHUNK = 250;
+// Chunks pushed per run; the rest goes out on the next run
+const CHUNKS_PER_RUN = parseInt(process.env.POOL_SYNC_CHUNKS_PER_RUN || '10');
+// Delay between runs while Shopify is still creating codes
+export const POOL_SYNC_POLL_MS = parseInt(process.env.POOL_SYNC_POLL_MS || '5000');
+// Inline runs (no Redis queue) before giving up on a bulk creation that never finishes
+const INLINE_MAX_RUNS = 60;
+// syncJobId of codes a run has claimed but not pushed yet (Shopify's bulk ids are GIDs)
+const CLAIM_PREFIX = 'claim:';
+// Claimed codes a crashed run never pushed go back to pending after this long
+const STALE_CLAIM_MS = parseInt(process.env.POOL_SYNC_STALE_CLAIM_MS || String(10 * 60 * 1000));
+
+// Pools with an inline run in this process
+const inlineRuns = new Set();
+
+function poolSyncError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function formatErrors(errors = []) {
+  return errors.map((e) => e.message || e.code).join('; ') || 'Rejected by Shopify';
+}
+
+/**
+ * The Shopify CodeDiscountNode GID the pool's codes are added to.
+ * @returns {string|null}
+ */
+export function shopifyDiscountGid(discount) {
+  if (discount?.shopifyGid) return discount.shopifyGid;
+  return discount?.providerId?.startsWith('gid://') ? discount.providerId : null;
+}
+
+async function pushChunk({ shopDomain, discountGid, codes }) {
+  const data = await bulkAddRedeemCodes({
+    shopDomain,
+    discountId: discountGid,
+    codes: codes.map((c) => c.code),
+  });
+  const result = data?.discountRedeemCodeBulkAdd;
+  const ids = codes.map((c) => c.id);
+
+  if (result?.userErrors?.length || !result?.bulkCreation?.id) {
+    const syncError = formatErrors(result?.userErrors);
+    await prisma.discountCode.updateMany({
+      where: { id: { in: ids } },
+      data: { syncStatus: 'failed', syncError, syncJobId: null },
+    });
+    logger.warn({ discountGid, count: ids.length, syncError }, 'Shopify rejected pool code chunk');
+    return { pushed: 0, failed: ids.length };
+  }
+
+  await prisma.discountCode.updateMany({
+    where: { id: { in: ids } },
+    data: { syncStatus: 'syncing', syncError: null, syncJobId: result.bulkCreation.id },
+  });
+  return { pushed: ids.length, failed: 0 };
+}
+
+/**
+ * Apply a finished bulk creation to its codes: imported codes get their
+ * DiscountRedeemCode GID, rejected ones keep Shopify's reason.
+ * @returns {Promise<{ done: boolean, synced: number, failed: number }>}
+ */
+async function applyBulkCreation({ shopDomain, poolId, bulkId }) {
+  let after = null;
+  let synced = 0;
+  let failed = 0;
+  const seen = new Set();
+
+  for (;;) {
+    const data = await fetchRedeemCodeBulkCreation({ shopDomain, id: bulkId, after });
+    const creation = data?.discountRedeemCodeBulkCreation;
+    if (!creation) throw poolSyncError(`Bulk creation ${bulkId} not found`, 502);
+    if (!creation.done) return { done: false, synced, failed };
+
+    for (const node of creation.codes?.nodes || []) {
+      seen.add(node.code);
+      const gid = node.discountRedeemCode?.id;
+      await prisma.discountCode.updateMany({
+        where: { poolId, syncJobId: bulkId, code: node.code },
+        data: gid
+          ? { syncStatus: 'synced', shopifyGid: gid, syncError: null, syncJobId: null }
+          : { syncStatus: 'failed', syncError: formatErrors(node.errors), syncJobId: null },
+      });
+      if (gid) synced++;
+      else failed++;
+    }
+
+    const page = creation.codes?.pageInfo;
+    if (!page?.hasNextPage) break;
+    after = page.endCursor;
+  }
+
+  // Codes Shopify did not report on were not created
+  const missing = await prisma.discountCode.updateMany({
+    where: { poolId, syncJobId: bulkId, code: { notIn: [...seen] } },
+    data: { syncStatus: 'failed', syncError: 'Not created by Shopify', syncJobId: null },
+  });
+  failed += missing.count;
+  return { done: true, synced, failed };
+}
+
+/**
+ * Claim the next chunk of pending codes for this run: pending -> syncing under a
+ * run token, so overlapping runs never push the same code twice.
+ * @returns {Promise<Array<{ id: string, code: string }>|null>} null when nothing is pending
+ */
+async function claimChunk(poolId) {
+  const candidates = await prisma.discountCode.findMany({
+    where: { poolId, syncStatus: 'pending' },
+    select: { id: true },
+    orderBy: { createdAt: 'asc' },
+    take: POOL_SYNC_CHUNK,
+  });
+  if (candidates.length === 0) return null;
+
+  const token = `${CLAIM_PREFIX}${nanoid()}`;
+  await prisma.discountCode.updateMany({
+    where: { id: { in: candidates.map((c) => c.id) }, syncStatus: 'pending' },
+    data: { syncStatus: 'syncing', syncJobId: token },
+  });
+  return prisma.discountCode.findMany({
+    where: { poolId, syncJobId: token },
+    select: { id: true, code: true },
+  });
+}
+
+/**
+ * One sync run for a pool: claim pending codes and push them to the parent Shopify
+ * discount in chunks of POOL_SYNC_CHUNK, then collect the results of bulk creations
+ * Shopify has finished. Codes move pending -> syncing -> synced|failed.
+ * @param {Object} params
+ * @param {string} params.poolId
+ * @returns {Promise<{ pushed: number, synced: number, failed: number, pending: number,
+ *   inFlight: number }>} inFlight counts codes Shopify is still creating
+ */
+export async function syncPoolCodes({ poolId }) {
+  const pool = await prisma.discountCodePool.findUnique({
+    where: { id: poolId },
+    include: { discount: true },
+  });
+  if (!pool) throw poolSyncError('Pool not found', 404);
+
+  const shop = await prisma.shop.findUnique({ where: { id: pool.shopId } });
+  if (!shop) throw poolSyncError('Shop not found', 404);
+
+  const totals = { pushed: 0, synced: 0, failed: 0 };
+  const discountGid = shopifyDiscountGid(pool.discount);
+
+  await prisma.discountCode.updateMany({
+    where: {
+      poolId,
+      syncStatus: 'syncing',
+      syncJobId: { startsWith: CLAIM_PREFIX },
+      updatedAt: { lt: new Date(Date.now() - STALE_CLAIM_MS) },
+    },
+    data: { syncStatus: 'pending', syncJobId: null },
+  });
+
+  if (!discountGid) {
+    const { count } = await prisma.discountCode.updateMany({
+      where: { poolId, syncStatus: 'pending' },
+      data: { syncStatus: 'failed', syncError: 'Discount has no Shopify discount to add codes to' },
+    });
+    totals.failed += count;
+  } else {
+    for (let i = 0; i < CHUNKS_PER_RUN; i++) {
+      const codes = await claimChunk(poolId);
+      if (!codes) break;
+      if (codes.length === 0) continue; // another run claimed them first
+      const result = await pushChunk({ shopDomain: shop.domain, discountGid, codes });
+      totals.pushed += result.pushed;
+      totals.failed += result.failed;
+    }
+  }
+
+  const inFlight = await prisma.discountCode.findMany({
+    where: { poolId, syncStatus: 'syncing', NOT: { syncJobId: { startsWith: CLAIM_PREFIX } } },
+    select: { syncJobId: true },
+    distinct: ['syncJobId'],
+  });
+  for (const { syncJobId } of inFlight) {
+    const result = await applyBulkCreation({ shopDomain: shop.domain, poolId, bulkId: syncJobId });
+    totals.synced += result.synced;
+    totals.failed += result.failed;
+  }
+
+  const [pending, syncing] = await Promise.all([
+    prisma.discountCode.count({ where: { poolId, syncStatus: 'pending' } }),
+    prisma.discountCode.count({ where: { poolId, syncStatus: 'syncing' } }),
+  ]);
+
+  logger.info({ shopId: pool.shopId, poolId, ...totals, pending, syncing }, 'Pool code sync run');
+  return { ...totals, pending, inFlight: syncing };
+}
+
+async function runInline({ shopId, poolId }) {
+  if (inlineRuns.has(poolId)) return; // the running loop picks up new codes
+  inlineRuns.add(poolId);
+  try {
+    for (let run = 0; run < INLINE_MAX_RUNS; run++) {
+      const result = await syncPoolCodes({ poolId });
+      if (result.pending === 0 && result.inFlight === 0) return;
+      await new Promise((r) => setTimeout(r, POOL_SYNC_POLL_MS));
+    }
+    logger.warn({ shopId, poolId }, 'Pool code sync still running after inline retries');
+  } finally {
+    inlineRuns.delete(poolId);
+  }
+}
+
+/**
+ * Schedule a sync run for a pool. With the Redis queue the run goes to the
+ * discount-sync worker; otherwise it runs in this process in the background.
+ * Requests for the same pool within one POOL_SYNC_POLL_MS window share a jobId, so
+ * a burst of imports queues one run; the follow-up a run schedules falls in a later window.
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.poolId
+ * @param {number} [params.delay] - Milliseconds before the run
+ */
+export async function enqueuePoolSync({ shopId, poolId, delay = 0 }) {
+  if ((process.env.QUEUE_DRIVER || 'memory') !== 'redis') {
+    runInline({ shopId, poolId }).catch((error) =>
+      logger.error({ error: error.message, shopId, poolId }, 'Pool code sync failed'),
+    );
+    return;
+  }
+  const slot = Math.ceil((Date.now() + delay) / POOL_SYNC_POLL_MS);
+  await enqueueJob(
+    'discount-sync',
+    'pool-sync',
+    { shopId, poolId, requestId: `pool_sync_${poolId}_${slot}` },
+    { delay, jobId: `pool-sync-${poolId}-${slot}` },
+  );
+}
+
+/**
+ * Put failed codes back in line for the next sync run (e.g. after the
+ * discount got its Shopify GID).
+ * @returns {Promise<number>} Codes re-queued
+ */
+export async function retryFailedPoolCodes({ poolId }) {
+  const { count } = await prisma.discountCode.updateMany({
+    where: { poolId, syncStatus: 'failed' },
+    data: { syncStatus: 'pending', syncError: null },
+  });
+  return count;
+}
+
+/**
+ * Sync counts and the most recent per-code errors for /pool/status.
+ * @returns {Promise<{ pending: number, syncing: number, synced: number, failed: number,
+ *   errors: Array<{ id: string, code: string, error: string }> }>}
+ */
+export async function poolSyncStatus({ poolId, errorLimit = 50 }) {
+  const [groups, failed] = await Promise.all([
+    prisma.discountCode.groupBy({
+      by: ['syncStatus'],
+      where: { poolId },
+      _count: { _all: true },
+    }),
+    prisma.discountCode.findMany({
+      where: { poolId, syncStatus: 'failed' },
+      select: { id: true, code: true, syncError: true },
+      orderBy: { updatedAt: 'desc' },
+      take: errorLimit,
+    }),
+  ]);
+
+  const counts = { pending: 0, syncing: 0, synced: 0, failed: 0 };
+  for (const g of groups) counts[g.syncStatus] = g._count._all;
+  return {
+    ...counts,
+    errors: failed.map((c) => ({ id: c.id, code: c.code, error: c.syncError })),
+  };
+}
@@ -0,0 +1,158 @@
+// src/services/discount-redemption.js
+// Unique pool code lifecycle after sending: redemption from order webhooks, reservation expiry
+
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+
+const prisma = getPrismaClient();
+
+// Statuses counted in DiscountCodePool.reservedCodes
+const RESERVED_STATUSES = ['reserved', 'assigned'];
+// A code whose row changed under us is re-read and retried this many times
+const REDEEM_ATTEMPTS = 3;
+
+/**
+ * Mark one pool code used. The status guard makes the update happen once even
+ * when orders/create and orders/paid (or two workers) race; pool counters move
+ * in the same transaction.
+ * @returns {Promise<boolean>} Whether this call redeemed the code
+ */
+async function redeemCode(code, { orderId, now }) {
+  let current = code;
+  for (let attempt = 0; attempt < REDEEM_ATTEMPTS; attempt++) {
+    if (current.status === 'used') return false;
+
+    const redeemed = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.discountCode.updateMany({
+        where: { id: current.id, status: current.status },
+        data: { status: 'used', usedAt: now, orderId },
+      });
+      if (count === 0) return false;
+
+      await tx.discountCodePool.update({
+        where: { id: current.poolId },
+        data: {
+          usedCodes: { increment: 1 },
+          ...(RESERVED_STATUSES.includes(current.status) && { reservedCodes: { decrement: 1 } }),
+        },
+      });
+      if (current.assignedTo) {
+        await tx.campaignRecipient.updateMany({
+          where: { id: current.assignedTo, redeemedAt: null },
+          data: { redeemedAt: now, redeemedOrderId: orderId },
+        });
+      }
+      return true;
+    });
+    if (redeemed) return true;
+
+    current = await prisma.discountCode.findUnique({ where: { id: current.id } });
+    if (!current) return false;
+  }
+  return false;
+}
+
+/**
+ * Match an order's discount_codes against the shop's pool codes and mark them used.
+ * Codes assigned to a campaign recipient record the redemption on that recipient.
+ * Idempotent: a code already used is left alone.
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {Object} params.payload - Shopify order webhook payload
+ * @param {Date} [params.now]
+ * @returns {Promise<{ redeemed: number, recipients: string[] }>}
+ */
+export async function redeemOrderDiscountCodes({ shopId, payload, now = new Date() }) {
+  const typed = (payload?.discount_codes || []).map((d) => d?.code).filter(Boolean);
+  if (typed.length === 0) return { redeemed: 0, recipients: [] };
+
+  // Shopify codes are case-insensitive; pool codes are stored upper-case when generated
+  const candidates = [...new Set(typed.flatMap((c) => [String(c), String(c).toUpperCase()]))];
+  const codes = await prisma.discountCode.findMany({
+    where: { shopId, code: { in: candidates }, status: { not: 'used' } },
+  });
+
+  const orderId = String(payload?.id || payload?.admin_graphql_api_id || '') || null;
+  const recipients = [];
+  let redeemed = 0;
+  for (const code of codes) {
+    if (!(await redeemCode(code, { orderId, now }))) continue;
+    redeemed++;
+    if (code.assignedTo) recipients.push(code.assignedTo);
+  }
+
+  if (redeemed > 0) {
+    logger.info({ shopId, orderId, redeemed, recipients }, 'Pool discount codes redeemed');
+  }
+  return { redeemed, recipients };
+}
+
+/**
+ * Expire active reservations past expiresAt. Codes never handed to a recipient
+ * go back to `available`; assigned codes stay with their recipient.
+ * @param {Object} [params]
+ * @param {string|null} [params.shopId] - Limit to one shop; all shops when omitted
+ * @param {Date} [params.now]
+ * @returns {Promise<{ expired: number, released: number }>}
+ */
+export async function expireDiscountReservations({ shopId = null, now = new Date() } = {}) {
+  const stale = await prisma.discountCodeReservation.findMany({
+    where: { ...(shopId && { shopId }), status: 'active', expiresAt: { lt: now } },
+    select: { id: true, shopId: true, poolId: true },
+    take: 500,
+  });
+
+  let expired = 0;
+  let released = 0;
+  for (const reservation of stale) {
+    const count = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.discountCodeReservation.updateMany({
+        where: { id: reservation.id, status: 'active' },
+        data: { status: 'expired' },
+      });
+      if (claimed.count === 0) return null;
+
+      const freed = await tx.discountCode.updateMany({
+        where: { reservationId: reservation.id, status: 'reserved', assignedTo: null },
+        data: { status: 'available', reservedAt: null, reservationId: null },
+      });
+      if (freed.count > 0) {
+        await tx.discountCodePool.update({
+          where: { id: reservation.poolId },
+          data: { reservedCodes: { decrement: freed.count } },
+        });
+      }
+      return freed.count;
+    });
+    if (count === null) continue;
+    expired++;
+    released += count;
+  }
+
+  if (expired > 0) {
+    logger.info({ shopId, expired, released }, 'Expired discount code reservations');
+  }
+  return { expired, released };
+}
+
+/**
+ * Poller that expires stale reservations; the housekeeping queue task
+ * `expire_discount_reservations` runs the same thing on demand.
+ * Fail-safe: errors are logged, never thrown.
+ */
+let _timer = null;
+export function startReservationExpiry({ intervalMs = 5 * 60 * 1000 } = {}) {
+  if (_timer) return;
+  _timer = setInterval(async () => {
+    try {
+      await expireDiscountReservations();
+    } catch (error) {
+      logger.error({ error: error.message }, 'Reservation expiry tick failed');
+    }
+  }, intervalMs);
+}
+
+export function stopReservationExpiry() {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+}
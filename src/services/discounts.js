@@ -166,6 +166,7 @@ export async function createBasicCodeDiscount({
 
 /**
  * Build campaign-friendly URL: add utm and optional shortlink.
+ * Pass contactId for a recipient's own shortlink, so its clicks are attributed.
  */
 export async function buildCampaignApplyUrl({
   shopId = null,
@@ -175,6 +176,7 @@ export async function buildCampaignApplyUrl({
   utm = {},
   short = !!process.env.SHORTLINKS_ENABLED,
   campaignId = null,
+  contactId = null,
 }) {
   let url = buildApplyUrl({ shopDomain, code, redirect });
   url = appendUtm(url, {
@@ -182,7 +184,7 @@ export async function buildCampaignApplyUrl({
     utm_campaign: utm?.utm_campaign || (campaignId ? String(campaignId) : undefined),
   });
   if (!short) return { url, short: null };
-  const s = await createShortlink({ shopId, url, campaignId }).catch(() => null);
+  const s = await createShortlink({ shopId, url, campaignId, contactId }).catch(() => null);
   return { url: s?.url || url, short: s?.slug || null };
 }
 
@@ -0,0 +1,231 @@
+// src/services/double-opt-in.js
+// Double opt-in (CONFIRMED_OPT_IN): consent is recorded only after the contact replies YES
+
+import { getPrismaClient } from '../db/prismaClient.js';
+import { encryptPII, hashDeterministic } from '../lib/encryption.js';
+import { logger } from '../lib/logger.js';
+import { logAudit } from './audit.js';
+import { updateLocalAndRemoteConsent } from './consent-unified.js';
+import { sendAndMark } from './messages.js';
+import { scheduleJob } from './scheduler.js';
+import { renderTemplate, templateDefaults } from './templates.js';
+
+const prisma = getPrismaClient();
+
+export const EXPIRE_JOB_TYPE = 'consent:confirmation:expire';
+export const DEFAULT_EXPIRY_HOURS = Number(process.env.DOUBLE_OPT_IN_EXPIRY_HOURS || 24);
+
+// A repeated sign-up re-sends the request at most this often
+const RESEND_COOLDOWN_MS = 5 * 60 * 1000;
+
+/** Pending window for a shop: settingsJson.doubleOptIn.expiryHours or the default */
+export function confirmationExpiryHours(shop) {
+  return Number(shop?.settingsJson?.doubleOptIn?.expiryHours) || DEFAULT_EXPIRY_HOURS;
+}
+
+async function findOrCreateContact({ shopId, phoneE164, email, customerId }) {
+  const contact = await prisma.contact.findFirst({
+    where: {
+      shopId,
+      OR: [
+        { phone_hash: hashDeterministic(phoneE164) },
+        { phone_hash: null, phoneE164 }, // rows written before PII encryption
+      ],
+    },
+  });
+  if (!contact) {
+    // No consent yet: the contact only becomes reachable for marketing once confirmed
+    return prisma.contact.create({
+      data: {
+        shopId,
+        phoneE164,
+        ...encryptPII(phoneE164, email || null),
+        customerId: customerId || null,
+      },
+    });
+  }
+  if (customerId && !contact.customerId) {
+    return prisma.contact.update({ where: { id: contact.id }, data: { customerId } });
+  }
+  return contact;
+}
+
+async function sendConfirmationRequest({ shop, contact, confirmation, now }) {
+  const { text: body } = await renderTemplate({
+    body: templateDefaults.consent_confirm,
+    vars: { shop_name: shop.name || shop.domain },
+  });
+  // Transactional: the contact has no marketing consent yet, so this bypasses the send gate
+  const message = await prisma.message.create({
+    data: {
+      shopId: shop.id,
+      contactId: contact.id,
+      body,
+      provider: 'mitto',
+      status: 'queued',
+      kind: 'consent_confirmation',
+      triggerKey: 'consent_confirm',
+      metadata: { phoneE164: contact.phoneE164, confirmationId: confirmation.id },
+    },
+  });
+  await prisma.consentConfirmation.update({
+    where: { id: confirmation.id },
+    data: { lastSentAt: now, sendCount: { increment: 1 } },
+  });
+  await sendAndMark({ messageId: message.id });
+  return message.id;
+}
+
+/**
+ * Start a double opt-in: store a pending confirmation and text the contact
+ * "reply YES". The contact's consent is left untouched until they confirm.
+ * @param {Object} params
+ * @param {Object} params.shop - Shop row
+ * @param {string} params.phoneE164
+ * @param {string} [params.email]
+ * @param {string} [params.customerId] - Linked Shopify customer
+ * @param {string} [params.source] - Where consent was collected
+ * @param {Object} [params.reqMeta] - { ip, ua } kept as evidence
+ * @returns {Promise<Object>} { status: 'pending'|'already_opted_in', confirmationId, expiresAt, sent }
+ */
+export async function requestOptInConfirmation({
+  shop,
+  phoneE164,
+  email = null,
+  customerId = null,
+  source = 'storefront_proxy',
+  reqMeta = {},
+  now = new Date(),
+}) {
+  const contact = await findOrCreateContact({ shopId: shop.id, phoneE164, email, customerId });
+  if (contact.smsConsentState === 'opted_in' && !contact.optedOut) {
+    return { status: 'already_opted_in', contactId: contact.id, sent: false };
+  }
+
+  const pending = await prisma.consentConfirmation.findFirst({
+    where: { contactId: contact.id, status: 'pending', expiresAt: { gt: now } },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (pending) {
+    const resend = !pending.lastSentAt || now - pending.lastSentAt >= RESEND_COOLDOWN_MS;
+    if (resend) await sendConfirmationRequest({ shop, contact, confirmation: pending, now });
+    return {
+      status: 'pending',
+      contactId: contact.id,
+      confirmationId: pending.id,
+      expiresAt: pending.expiresAt,
+      sent: resend,
+    };
+  }
+
+  const expiresAt = new Date(now.getTime() + confirmationExpiryHours(shop) * 3600 * 1000);
+  const confirmation = await prisma.consentConfirmation.create({
+    data: {
+      shopId: shop.id,
+      contactId: contact.id,
+      source,
+      expiresAt,
+      ip: reqMeta.ip || null,
+      ua: reqMeta.ua || null,
+    },
+  });
+  await scheduleJob({
+    shopId: shop.id,
+    kind: EXPIRE_JOB_TYPE,
+    key: `${EXPIRE_JOB_TYPE}:${confirmation.id}`,
+    runAt: expiresAt,
+    payload: { confirmationId: confirmation.id },
+  });
+  await sendConfirmationRequest({ shop, contact, confirmation, now });
+
+  await logAudit({
+    shopId: shop.id,
+    actor: 'contact',
+    action: 'consent.confirmation_requested',
+    entity: 'contact',
+    entityId: contact.id,
+    ip: reqMeta.ip || null,
+    ua: reqMeta.ua || null,
+    diff: { confirmationId: confirmation.id, source, expiresAt },
+  });
+  return {
+    status: 'pending',
+    contactId: contact.id,
+    confirmationId: confirmation.id,
+    expiresAt,
+    sent: true,
+  };
+}
+
+/**
+ * Complete a pending double opt-in after the contact replied YES: record consent,
+ * push CONFIRMED_OPT_IN to Shopify and audit with the original request evidence.
+ * @returns {Promise<Object|null>} The confirmation, or null when nothing was pending
+ */
+export async function confirmPendingOptIn({ shop, contact, now = new Date() }) {
+  const pending = await prisma.consentConfirmation.findFirst({
+    where: { contactId: contact.id, status: 'pending', expiresAt: { gt: now } },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!pending) return null;
+
+  // Claim it first so a duplicate YES cannot confirm twice
+  const claimed = await prisma.consentConfirmation.updateMany({
+    where: { id: pending.id, status: 'pending' },
+    data: { status: 'confirmed', confirmedAt: now },
+  });
+  if (!claimed.count) return null;
+
+  await updateLocalAndRemoteConsent({
+    shop,
+    contact,
+    nextState: 'opted_in',
+    source: pending.source,
+    optInLevel: pending.optInLevel,
+    now,
+    reqMeta: { actor: 'contact', ip: pending.ip, ua: pending.ua },
+  });
+  await logAudit({
+    shopId: shop.id,
+    actor: 'contact',
+    action: 'consent.confirmed',
+    entity: 'contact',
+    entityId: contact.id,
+    ip: pending.ip,
+    ua: pending.ua,
+    diff: {
+      confirmationId: pending.id,
+      source: pending.source,
+      optInLevel: pending.optInLevel,
+      requestedAt: pending.createdAt,
+      confirmedAt: now,
+    },
+  });
+  logger.info({ shopId: shop.id, contactId: contact.id }, 'Double opt-in confirmed');
+  return { ...pending, status: 'confirmed', confirmedAt: now };
+}
+
+/** Scheduler executor: expire a confirmation nobody answered */
+export async function executeConfirmationExpiryJob(job) {
+  const { confirmationId } = job.payload || {};
+  const pending = await prisma.consentConfirmation.findUnique({ where: { id: confirmationId } });
+  const expired =
+    pending?.status === 'pending'
+      ? await prisma.consentConfirmation.updateMany({
+          where: { id: confirmationId, status: 'pending' },
+          data: { status: 'expired' },
+        })
+      : { count: 0 };
+
+  if (expired.count) {
+    await logAudit({
+      shopId: pending.shopId,
+      actor: 'system',
+      action: 'consent.confirmation_expired',
+      entity: 'contact',
+      entityId: pending.contactId,
+      diff: { confirmationId, requestedAt: pending.createdAt, expiresAt: pending.expiresAt },
+    });
+  }
+  await prisma.job.update({ where: { id: job.id }, data: { status: 'done' } });
+}
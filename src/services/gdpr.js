@@ -102,6 +102,11 @@ export async function redactCustomer({ shopId, customerId, email, phone }) {
         where: { shopId, contactId: c.id },
         data: { body: '[redacted]' },
       });
+      // Click events keep their counts but lose the IP hash
+      await prisma.shortlinkClick.updateMany({
+        where: { shopId, contactId: c.id },
+        data: { ipHash: null },
+      });
     } catch {}
   }
 }
@@ -113,6 +118,7 @@ export async function purgeShop({ shopId }) {
     await prisma.event.deleteMany({ where: { shopId } });
     await prisma.job.deleteMany({ where: { shopId } });
     await prisma.discount.deleteMany({ where: { shopId } });
+    await prisma.shortlinkClick.deleteMany({ where: { shopId } });
     // Contacts → anonymize (keep counts but no PII)
     const contacts = await prisma.contact.findMany({ where: { shopId } });
     for (const c of contacts) {
@@ -0,0 +1,333 @@
+// src/services/keywords.js
+// Inbound SMS keyword engine: STOP / START / HELP / YES plus per-shop custom keywords
+
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+import { logAudit } from './audit.js';
+import { updateLocalAndRemoteConsent } from './consent-unified.js';
+import { findPhoneContacts, pickReplyingContact } from './conversations.js';
+import { confirmPendingOptIn } from './double-opt-in.js';
+import { renderGateQueueAndSend, sendAndMark } from './messages.js';
+import { scheduleJob } from './scheduler.js';
+import { renderTemplate, templateDefaults } from './templates.js';
+
+const prisma = getPrismaClient();
+
+export const KEYWORD_JOB_TYPE = 'automation:keyword';
+
+// Repeated HELP texts (or an auto-responder on the other end) get one reply per window
+const REPLY_COOLDOWN_MS = 10 * 60 * 1000;
+
+/**
+ * Built-in keywords, always active for every shop. Shops can add words per action
+ * but cannot remove these: STOP in particular must always opt out.
+ */
+export const DEFAULT_KEYWORDS = {
+  stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'ΔΙΑΚΟΠΗ', 'ΣΤΟΠ', 'ΑΠΕΓΓΡΑΦΗ'],
+  start: ['START', 'UNSTOP', 'SUBSCRIBE', 'ΕΝΑΡΞΗ', 'ΕΓΓΡΑΦΗ'],
+  help: ['HELP', 'INFO', 'ΒΟΗΘΕΙΑ', 'ΠΛΗΡΟΦΟΡΙΕΣ'],
+  // Only meaningful while a double opt-in is pending; otherwise an ordinary message
+  confirm: ['YES', 'ΝΑΙ', 'NAI'],
+};
+
+const ACTIONS = ['stop', 'start', 'help', 'confirm'];
+
+function keywordError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Canonical form used for matching: accents and punctuation stripped, upper case.
+ * "διακοπή!" and "ΔΙΑΚΟΠΗ" both become "ΔΙΑΚΟΠΗ".
+ */
+export function normalizeKeyword(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[\p{P}\p{S}]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toUpperCase();
+}
+
+function normalizeList(words) {
+  return [...new Set((words || []).map(normalizeKeyword).filter(Boolean))];
+}
+
+/**
+ * Validate and normalize a shop's keyword settings before they are stored.
+ * Custom keywords must not shadow STOP/START/HELP words or each other, and
+ * automations they enroll into must belong to the shop.
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {Object} params.keywords - { stop, start, help, confirm, helpReply, custom: [{ keyword, tags, automationId }] }
+ * @returns {Promise<Object>} Settings ready for shop.settingsJson.keywords
+ */
+export async function prepareKeywordSettings({ shopId, keywords }) {
+  const lists = Object.fromEntries(ACTIONS.map((a) => [a, normalizeList(keywords[a])]));
+
+  const claimed = new Map();
+  for (const action of ACTIONS) {
+    for (const word of [...normalizeList(DEFAULT_KEYWORDS[action]), ...lists[action]]) {
+      if (claimed.has(word) && claimed.get(word) !== action) {
+        throw keywordError(`Keyword "${word}" is used for both ${claimed.get(word)} and ${action}`);
+      }
+      claimed.set(word, action);
+    }
+  }
+
+  const custom = [];
+  for (const entry of keywords.custom || []) {
+    const keyword = normalizeKeyword(entry.keyword);
+    if (!keyword) throw keywordError(`Custom keyword "${entry.keyword}" is empty once normalized`);
+    if (claimed.has(keyword)) {
+      throw keywordError(`Keyword "${keyword}" is already used for ${claimed.get(keyword)}`);
+    }
+    const tags = [...new Set((entry.tags || []).map((t) => String(t).trim()).filter(Boolean))];
+    const automationId = entry.automationId || null;
+    if (!tags.length && !automationId) {
+      throw keywordError(`Custom keyword "${keyword}" needs tags or an automation`);
+    }
+    claimed.set(keyword, 'custom');
+    custom.push({ keyword, tags, automationId });
+  }
+
+  const automationIds = [...new Set(custom.map((c) => c.automationId).filter(Boolean))];
+  if (automationIds.length) {
+    const found = await prisma.automation.findMany({
+      where: { id: { in: automationIds }, shopId },
+      select: { id: true },
+    });
+    const known = new Set(found.map((a) => a.id));
+    const missing = automationIds.find((id) => !known.has(id));
+    if (missing) throw keywordError(`Automation ${missing} not found`);
+  }
+
+  return { ...lists, helpReply: keywords.helpReply || null, custom };
+}
+
+/**
+ * Resolve what a (normalized) inbound text means for a shop.
+ * @returns {Object|null} { action: 'stop'|'start'|'help'|'confirm'|'custom', keyword, tags?, automationId? }
+ */
+export function matchKeyword(shop, normalizedText) {
+  if (!normalizedText) return null;
+  const cfg = shop?.settingsJson?.keywords || {};
+
+  for (const action of ACTIONS) {
+    const words = normalizeList([...DEFAULT_KEYWORDS[action], ...(cfg[action] || [])]);
+    if (words.includes(normalizedText)) return { action, keyword: normalizedText };
+  }
+  const custom = (cfg.custom || []).find((c) => normalizeKeyword(c.keyword) === normalizedText);
+  if (custom) {
+    return {
+      action: 'custom',
+      keyword: normalizedText,
+      tags: custom.tags || [],
+      automationId: custom.automationId || null,
+    };
+  }
+  return null;
+}
+
+/**
+ * Act on the keywords in an inbound SMS. STOP opts the number out of every shop
+ * that recognizes the word; START, HELP, YES (double opt-in) and custom keywords apply
+ * only to the shop the message answers (see pickReplyingContact).
+ * @param {Object} params
+ * @param {string} params.from - Sender MSISDN
+ * @param {string} params.text - Message text as received
+ * @param {Date} [params.now]
+ * @returns {Promise<Object|null>} { action, keyword, contactIds } or null when no keyword matched
+ */
+export async function handleInboundKeyword({ from, text, now = new Date() }) {
+  const normalized = normalizeKeyword(text);
+  if (!normalized) return null;
+
+  const contacts = await findPhoneContacts(from);
+  if (!contacts.length) return null;
+
+  const shops = new Map();
+  const loadShop = async (shopId) => {
+    if (!shops.has(shopId)) {
+      shops.set(shopId, await prisma.shop.findUnique({ where: { id: shopId } }));
+    }
+    return shops.get(shopId);
+  };
+
+  const stopped = [];
+  for (const c of contacts) {
+    const shop = await loadShop(c.shopId);
+    if (matchKeyword(shop, normalized)?.action !== 'stop') continue;
+    try {
+      const contact = await prisma.contact.findUnique({ where: { id: c.id } });
+      if (!contact || contact.optedOut) continue;
+      await updateLocalAndRemoteConsent({
+        shop,
+        contact,
+        nextState: 'opted_out',
+        source: 'inbound_stop',
+        now,
+      });
+      stopped.push(c.id);
+      logger.info({ contactId: c.id, shopId: c.shopId }, 'Contact unsubscribed via STOP keyword');
+    } catch (error) {
+      logger.error(
+        { error: error.message, contactId: c.id, shopId: c.shopId },
+        'Failed to process STOP keyword for contact',
+      );
+    }
+  }
+  if (stopped.length) return { action: 'stop', keyword: normalized, contactIds: stopped };
+
+  const owner = await pickReplyingContact(contacts);
+  const shop = await loadShop(owner.shopId);
+  const match = matchKeyword(shop, normalized);
+  if (!match || match.action === 'stop') return match && { ...match, contactIds: [] };
+
+  const contact = await prisma.contact.findUnique({ where: { id: owner.id } });
+  if (match.action === 'confirm') {
+    const confirmed = await confirmPendingOptIn({ shop, contact, now });
+    return confirmed ? { ...match, contactIds: [contact.id] } : null;
+  }
+  if (match.action === 'start') {
+    if (contact.smsConsentState !== 'opted_in' || contact.optedOut) {
+      await updateLocalAndRemoteConsent({
+        shop,
+        contact,
+        nextState: 'opted_in',
+        source: 'inbound_start',
+        now,
+      });
+      logger.info({ contactId: contact.id, shopId: shop.id }, 'Contact resubscribed via START');
+    }
+  } else if (match.action === 'help') {
+    await sendHelpReply({ shop, contact, now });
+  } else {
+    await applyCustomKeyword({ shop, contact, match, now });
+  }
+  return { ...match, contactIds: [contact.id] };
+}
+
+/**
+ * HELP is answered regardless of marketing consent (carrier requirement),
+ * at most once per cooldown window.
+ */
+async function sendHelpReply({ shop, contact, now }) {
+  const recent = await prisma.message.count({
+    where: {
+      shopId: shop.id,
+      contactId: contact.id,
+      triggerKey: 'help',
+      createdAt: { gt: new Date(now.getTime() - REPLY_COOLDOWN_MS) },
+    },
+  });
+  if (recent) return { sent: false, reason: 'deduped' };
+
+  const { text: body } = await renderTemplate({
+    body: shop.settingsJson?.keywords?.helpReply || templateDefaults.help,
+    vars: { shop_name: shop.name || shop.domain, shop_domain: shop.domain },
+  });
+  const message = await prisma.message.create({
+    data: {
+      shopId: shop.id,
+      contactId: contact.id,
+      body,
+      provider: 'mitto',
+      status: 'queued',
+      kind: 'keyword_reply',
+      triggerKey: 'help',
+      metadata: { phoneE164: contact.phoneE164 },
+    },
+  });
+  await sendAndMark({ messageId: message.id });
+  return { sent: true, messageId: message.id };
+}
+
+async function applyCustomKeyword({ shop, contact, match, now }) {
+  if (match.tags.length) {
+    const current = Array.isArray(contact.tagsJson) ? contact.tagsJson : [];
+    const tags = [...new Set([...current, ...match.tags])];
+    if (tags.length !== current.length) {
+      await prisma.contact.update({ where: { id: contact.id }, data: { tagsJson: tags } });
+    }
+  }
+
+  let jobId = null;
+  if (match.automationId) {
+    const automation = await prisma.automation.findFirst({
+      where: { id: match.automationId, shopId: shop.id, enabled: true },
+    });
+    if (automation) {
+      try {
+        jobId = await scheduleJob({
+          shopId: shop.id,
+          kind: KEYWORD_JOB_TYPE,
+          // one enrollment per contact, automation and day
+          key: `${KEYWORD_JOB_TYPE}:${automation.id}:${contact.id}:${now.toISOString().slice(0, 10)}`,
+          runAt: new Date(now.getTime() + (automation.delayMinutes || 0) * 60 * 1000),
+          payload: { automationId: automation.id, contactId: contact.id, keyword: match.keyword },
+        });
+      } catch (err) {
+        if (err?.code !== 'P2002') throw err;
+      }
+    } else {
+      logger.warn(
+        { shopId: shop.id, automationId: match.automationId, keyword: match.keyword },
+        'Keyword automation missing or disabled, not enrolled',
+      );
+    }
+  }
+
+  await logAudit({
+    shopId: shop.id,
+    actor: 'system',
+    action: 'keyword.applied',
+    entity: 'contact',
+    entityId: contact.id,
+    diff: { keyword: match.keyword, tags: match.tags, automationId: match.automationId, jobId },
+  });
+}
+
+/**
+ * Scheduler executor: send the automation a contact enrolled in by keyword.
+ * The automation is re-checked at send time and the usual gate (consent, caps) applies.
+ */
+export async function executeKeywordAutomationJob(job) {
+  const { shopId, payload } = job;
+  const [shop, automation, contact] = await Promise.all([
+    prisma.shop.findUnique({ where: { id: shopId } }),
+    prisma.automation.findFirst({ where: { id: payload.automationId, shopId } }),
+    prisma.contact.findUnique({ where: { id: payload.contactId } }),
+  ]);
+  if (!shop) throw new Error('shop_missing');
+  if (!contact) throw new Error('contact_missing');
+
+  const result = automation?.enabled
+    ? await renderGateQueueAndSend({
+        shop,
+        contact,
+        phoneE164: contact.phoneE164,
+        template: automation.template,
+        vars: {
+          shop_name: shop.name || shop.domain,
+          customer_name: contact.firstName || '',
+          keyword: payload.keyword,
+        },
+        triggerKey: 'keyword',
+        dedupeKey: automation.id,
+        metadata: { automationId: automation.id, keyword: payload.keyword },
+      })
+    : { sent: false, reason: 'automation_disabled' };
+
+  await prisma.job.update({
+    where: { id: job.id },
+    data: {
+      status: result.sent ? 'done' : 'canceled',
+      lastError: result.sent ? null : result.reason || null,
+    },
+  });
+  return result;
+}
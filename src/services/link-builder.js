@@ -68,6 +68,7 @@ export class LinkBuilder {
           url: discountUrl,
           shopId: this.shopDomain, // This should be the shop ID, not domain
           campaignId,
+          contactId: metadata.contactId || null,
           expiresAt: metadata.expiresAt || null,
         }
       });
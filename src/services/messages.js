@@ -2,12 +2,21 @@
 // Message creation, sending, and status updates
 
 import { getPrismaClient } from '../db/prismaClient.js';
-import { renderTemplate } from './templates.js';
+import { renderTemplate, templateDefaults } from './templates.js';
 import { sendSms } from './mitto.js';
-import { canSend } from './rules.js';
+import { chooseSender } from './sender.js';
+import { canSend, recordSendDenial } from './rules.js';
+import { scheduleJob } from './scheduler.js';
+import { shopSendBlockedUntil } from '../providers/index.js';
 
 const prisma = getPrismaClient();
 
+export const DEFERRED_JOB_TYPE = 'message:deferred';
+// A queued message refused by an open circuit at send time, sent again once it closes
+export const RESEND_JOB_TYPE = 'message:send';
+// Retry delay when no circuit reports when it lets sends through again
+const RESEND_FALLBACK_MS = 60 * 1000;
+
 /**
  * Persist a message row in 'queued' state.
  */
@@ -25,8 +34,10 @@ export async function createQueuedMessage({ shopId, contactId, phoneE164: _phone
 }
 
 /**
- * Send an SMS via Mitto and update Message row accordingly.
+ * Send an SMS via the shop's provider and update Message row accordingly.
  * We attach our Message.id as 'mid' in the callback_url query so DLR can map without schema changes.
+ * A send refused by open circuits leaves the message 'queued' with a resend job for when
+ * they close.
  */
 export async function sendAndMark({ messageId, metadata = null }) {
   const msg = await prisma.message.findUnique({ where: { id: messageId } });
@@ -49,18 +60,37 @@ export async function sendAndMark({ messageId, metadata = null }) {
   }
 
   try {
-    const callback = `${process.env.APP_URL.replace(/\/$/, '')}/webhooks/mitto/dlr?mid=${encodeURIComponent(messageId)}`;
-    const { providerMsgId } = await sendSms({
+    const appUrl = process.env.APP_URL.replace(/\/$/, '');
+    const shop = await prisma.shop.findUnique({ where: { id: msg.shopId } });
+    const { provider, providerMsgId, from } = await sendSms({
+      shop,
       to,
+      // Picked per provider: pool numbers and sender IDs belong to one provider account
+      from: (name) =>
+        chooseSender({ shop, contact, phoneE164: to, kind: msg.kind, provider: name }),
       text: msg.body,
       meta: { mid: messageId },
-      callbackUrl: callback,
+      callbackUrl: (name) => `${appUrl}/webhooks/${name}/dlr?mid=${encodeURIComponent(messageId)}`,
     });
     await prisma.message.update({
       where: { id: messageId },
-      data: { status: 'sent', metadata: { ...msg.metadata, providerMsgId, ...(metadata || {}) } },
+      data: {
+        status: 'sent',
+        ...(provider ? { provider } : {}),
+        metadata: {
+          ...msg.metadata,
+          providerMsgId,
+          ...(from ? { from } : {}),
+          ...(metadata || {}),
+        },
+      },
     });
   } catch (e) {
+    // Every provider refused because its circuit is open: nothing was sent, try again later
+    if (e?.code === 'circuit_open') {
+      await scheduleResend({ msg, metadata });
+      return;
+    }
     await prisma.message.update({
       where: { id: messageId },
       data: {
@@ -71,6 +101,36 @@ export async function sendAndMark({ messageId, metadata = null }) {
   }
 }
 
+/** Keep a message queued and send it again when the shop's circuits let sends through */
+async function scheduleResend({ msg, metadata }) {
+  const shop = await prisma.shop.findUnique({ where: { id: msg.shopId } });
+  const runAt = (await shopSendBlockedUntil(shop)) || new Date(Date.now() + RESEND_FALLBACK_MS);
+  await scheduleJob({
+    shopId: msg.shopId,
+    kind: RESEND_JOB_TYPE,
+    key: `${RESEND_JOB_TYPE}:${msg.id}:${runAt.getTime()}`,
+    runAt,
+    payload: { messageId: msg.id, metadata },
+  });
+}
+
+/**
+ * Scheduler executor: send a message that an open circuit held back. Messages
+ * that left 'queued' in the meantime are not sent again.
+ */
+export async function executeResendMessageJob(job) {
+  const { messageId, metadata = null } = job.payload || {};
+  const msg = await prisma.message.findUnique({ where: { id: messageId } });
+  if (msg?.status === 'queued') await sendAndMark({ messageId, metadata });
+  await prisma.job.update({
+    where: { id: job.id },
+    data: {
+      status: msg?.status === 'queued' ? 'done' : 'canceled',
+      lastError: msg?.status === 'queued' ? null : 'not_queued',
+    },
+  });
+}
+
 /**
  * Convenience: build body via Liquid, create queued message, then send.
  */
@@ -91,25 +151,141 @@ export async function renderQueueAndSend({ shopId, contactId, phoneE164, templat
   return queued.id;
 }
 
+/**
+ * Park a message blocked by quiet hours (or open circuits) in the Job table until the window ends.
+ * The job key folds repeats of the same trigger/object into one pending job, and
+ * starts with trigger and subject so cancelDeferredMessages can find it.
+ * The phone is not stored; it is read from the contact when the job is released.
+ */
+async function deferMessage({ shop, contact, deferUntil, ...message }) {
+  const { triggerKey, dedupeKey } = message;
+  const key = [
+    DEFERRED_JOB_TYPE,
+    triggerKey,
+    dedupeKey ?? Date.now(),
+    contact.id,
+    deferUntil.getTime(),
+  ].join(':');
+  try {
+    return await scheduleJob({
+      shopId: shop.id,
+      kind: DEFERRED_JOB_TYPE,
+      key,
+      runAt: deferUntil,
+      payload: { contactId: contact.id, ...message },
+    });
+  } catch (e) {
+    // Already deferred and released under this key
+    if (e?.code === 'P2002') return null;
+    throw e;
+  }
+}
+
+/**
+ * Cancel pending deferred messages about a subject that closed in the meantime,
+ * e.g. a checkout that was completed or a back-in-stock interest the contact removed.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.triggerKey - Trigger the messages were sent for
+ * @param {string} params.dedupeKey - Subject, as passed to renderGateQueueAndSend
+ * @param {string} [params.contactId] - Only this contact's messages
+ * @returns {Promise<number>} Jobs canceled
+ */
+export async function cancelDeferredMessages({ shopId, triggerKey, dedupeKey, contactId = null }) {
+  const prefix = [DEFERRED_JOB_TYPE, triggerKey, dedupeKey, ...(contactId ? [contactId] : [])];
+  const { count } = await prisma.job.updateMany({
+    where: {
+      shopId,
+      type: DEFERRED_JOB_TYPE,
+      status: 'pending',
+      dedupeKey: { startsWith: `${prefix.join(':')}:` },
+    },
+    data: { status: 'canceled', lastError: 'subject_closed' },
+  });
+  return count;
+}
+
 /**
  * Render → gate (rules.canSend) → queue → send.
  * Saves triggerKey & dedupeKey in Message for future caps/dedupe checks.
+ * `template` is the Liquid source to render (e.g. a campaign body); when omitted
+ * the default template for `templateKey` is used.
+ * A trigger with the quiet-hours 'defer' policy is rescheduled instead of dropped:
+ * the result is { sent: false, deferred: true, deferUntil, jobId }.
+ * While all of the shop's providers have an open circuit the message is deferred the
+ * same way (reason 'circuit_open'); `circuitChecked` skips that check for callers that just
+ * ran shopSendBlockedUntil. A circuit that opens after the message was queued holds it
+ * in 'queued' for a resend job (see sendAndMark).
+ * `marketingCapChecked` and `frequencyCapChecked` are passed to canSend (see there); the
+ * latter is kept with a deferred message so its release is gated the same way.
  */
 export async function renderGateQueueAndSend({
   shop,
   contact,
   phoneE164,
   templateKey,
+  template = null,
   vars,
   triggerKey,
   dedupeKey = null,
   kind = 'automation',
   metadata = null,
+  marketingCapChecked = false,
+  frequencyCapChecked = false,
+  circuitChecked = false,
 }) {
-  const gate = await canSend({ shop, contact, triggerKey, dedupeKey });
-  if (!gate.allowed) return { sent: false, reason: gate.reason };
+  const gate = await canSend({
+    shop,
+    contact,
+    triggerKey,
+    dedupeKey,
+    marketingCapChecked,
+    frequencyCapChecked,
+  });
+  if (gate.deferUntil) {
+    const jobId = await deferMessage({
+      shop,
+      contact,
+      deferUntil: gate.deferUntil,
+      templateKey,
+      template,
+      vars,
+      triggerKey,
+      dedupeKey,
+      kind,
+      metadata,
+      ...(frequencyCapChecked ? { frequencyCapChecked } : {}),
+    });
+    return { sent: false, deferred: true, reason: gate.reason, deferUntil: gate.deferUntil, jobId };
+  }
+  if (!gate.allowed) {
+    await recordSendDenial({ shop, contact, triggerKey, kind, reason: gate.reason });
+    return { sent: false, reason: gate.reason };
+  }
 
-  const body = await renderTemplate(templateKey, vars);
+  // Every provider's circuit is open: park the message until a trial send is allowed
+  const blockedUntil = circuitChecked ? null : await shopSendBlockedUntil(shop);
+  if (blockedUntil) {
+    const jobId = await deferMessage({
+      shop,
+      contact,
+      deferUntil: blockedUntil,
+      templateKey,
+      template,
+      vars,
+      triggerKey,
+      dedupeKey,
+      kind,
+      metadata,
+      ...(frequencyCapChecked ? { frequencyCapChecked } : {}),
+    });
+    return { sent: false, deferred: true, reason: 'circuit_open', deferUntil: blockedUntil, jobId };
+  }
+
+  const { text: body } = await renderTemplate({
+    body: template ?? templateDefaults[templateKey] ?? '',
+    vars,
+  });
   const queued = await prisma.message.create({
     data: {
       shopId: shop.id,
@@ -125,3 +301,27 @@ export async function renderGateQueueAndSend({
   await sendAndMark({ messageId: queued.id, metadata });
   return { sent: true, messageId: queued.id };
 }
+
+/**
+ * Scheduler executor: release a message deferred by quiet hours or an open circuit. It goes
+ * through the full gate again, so an opt-out, a dedupe hit or a cap in the meantime drops it.
+ */
+export async function executeDeferredMessageJob(job) {
+  const { contactId, ...message } = job.payload || {};
+  const shop = await prisma.shop.findUnique({ where: { id: job.shopId } });
+  const contact = shop && (await prisma.contact.findUnique({ where: { id: contactId } }));
+
+  const result = contact
+    ? await renderGateQueueAndSend({ shop, contact, phoneE164: contact.phoneE164, ...message })
+    : { sent: false, reason: shop ? 'contact_missing' : 'shop_missing' };
+
+  const released = result.sent || result.deferred;
+  await prisma.job.update({
+    where: { id: job.id },
+    data: {
+      status: released ? 'done' : 'canceled',
+      lastError: released ? null : result.reason || null,
+    },
+  });
+  return result;
+}
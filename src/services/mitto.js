@@ -1,30 +1,42 @@
-export async function sendSms({ to, text, meta, callbackUrl }) {
-  const url = process.env.MITTO_API_URL || 'https://rest.mittoapi.com/sms';
-  const key = process.env.MITTO_API_KEY;
-  const callback = callbackUrl || `${process.env.APP_URL}/webhooks/mitto/dlr`;
+// src/services/mitto.js
+// Outbound SMS entry point; picks the shop's provider (Mitto by default) with failover
 
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${key}`,
-      'Content-Type': 'application/json',
+import { sendSms as sendViaProvider } from '../providers/index.js';
+
+function appUrl() {
+  return String(process.env.APP_URL || '').replace(/\/$/, '');
+}
+
+/**
+ * Send one SMS for a shop. `from` is the sender picked by services/sender.js
+ * (null for the provider account default). `from` and `callbackUrl` may be functions
+ * of the provider name, since the provider is only known once failover has been decided.
+ * @returns {Promise<{ id: string, provider: string, providerMsgId: string, to: string,
+ *   text: string, from: string|null, callback: string|null }>}
+ */
+export async function sendSms({ shop = null, to, text, from = null, meta, callbackUrl }) {
+  let callback = null;
+  const result = await sendViaProvider({
+    shop,
+    to,
+    text,
+    from,
+    meta,
+    callbackUrl: (provider) => {
+      callback =
+        (typeof callbackUrl === 'function' ? callbackUrl(provider) : callbackUrl) ||
+        `${appUrl()}/webhooks/${provider}/dlr`;
+      return callback;
     },
-    body: JSON.stringify({ to, text, callback_url: callback, meta }),
   });
 
-  if (!res.ok) {
-    const error = await res.text().catch(() => 'Unknown error');
-    throw new Error(`Mitto API error: ${res.status} ${error}`);
-  }
-
-  const data = await res.json().catch(() => ({}));
   return {
-    id: data.id || `mitto_${Date.now()}`,
-    providerMsgId: data.id,
+    id: result.providerMsgId || `${result.provider}_${Date.now()}`,
+    provider: result.provider,
+    providerMsgId: result.providerMsgId,
     to,
     text,
+    from: result.from,
     callback,
-    url,
-    keySet: Boolean(key),
   };
 }
@@ -0,0 +1,82 @@
+// src/services/price-drop.js
+// Price-drop notifications for contacts waiting on a variant (back-in-stock interest)
+
+import { getPrismaClient } from '../db/prismaClient.js';
+import { renderGateQueueAndSend } from './messages.js';
+import { mergeRules } from './rules.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Record the variant prices of a products/update payload and, when price_drop is
+ * enabled, text contacts interested in a variant whose price fell by at least
+ * `minPercent`. The first price seen for a variant only sets the baseline.
+ * @param {Object} params
+ * @param {Object} params.shop - Shop row
+ * @param {Object} params.payload - Shopify product webhook payload
+ * @returns {Promise<{ drops: number, sent: number }>}
+ */
+export async function processProductPriceChanges({ shop, payload }) {
+  const config = mergeRules(shop, 'price_drop');
+  const productId = String(payload?.id ?? '');
+  const variants = Array.isArray(payload?.variants) ? payload.variants : [];
+  let drops = 0;
+  let sent = 0;
+
+  for (const v of variants) {
+    const price = Number(v?.price);
+    if (v?.id == null || !Number.isFinite(price)) continue;
+    const variantId = String(v.id);
+    const inventoryItemId = v.inventory_item_id != null ? String(v.inventory_item_id) : null;
+
+    const previous = await prisma.productVariantPrice.findUnique({
+      where: { shopId_variantId: { shopId: shop.id, variantId } },
+    });
+    await prisma.productVariantPrice.upsert({
+      where: { shopId_variantId: { shopId: shop.id, variantId } },
+      create: { shopId: shop.id, variantId, productId, inventoryItemId, price },
+      update: { productId, inventoryItemId, price },
+    });
+
+    const oldPrice = previous ? Number(previous.price) : null;
+    if (!config.enabled || !inventoryItemId || !oldPrice || price >= oldPrice) continue;
+    const percentOff = Math.round(((oldPrice - price) / oldPrice) * 100);
+    if (percentOff < (Number(config.minPercent) || 0)) continue;
+    drops++;
+
+    const title =
+      v.title && v.title !== 'Default Title' ? `${payload.title} - ${v.title}` : payload.title;
+    const vars = {
+      shop_name: shop.name || shop.domain,
+      product_name: title,
+      product_url: payload.handle
+        ? `https://${shop.domain}/products/${payload.handle}`
+        : `https://${shop.domain}`,
+      new_price: price,
+      old_price: oldPrice,
+      percent_off: percentOff,
+      currency: shop.settingsJson?.currency || 'USD',
+    };
+
+    const interests = await prisma.backInStockInterest.findMany({
+      where: { shopId: shop.id, inventoryItemId, status: 'active' },
+      include: { contact: true },
+    });
+    for (const { contact } of interests) {
+      if (!contact || contact.optedOut || contact.smsConsentState !== 'opted_in') continue;
+      const result = await renderGateQueueAndSend({
+        shop,
+        contact,
+        phoneE164: contact.phoneE164,
+        templateKey: 'price_drop',
+        template: config.template || null,
+        vars: { ...vars, customer_name: contact.firstName || '' },
+        triggerKey: 'price_drop',
+        // one message per variant and price, even if Shopify repeats the webhook
+        dedupeKey: `${variantId}:${price}`,
+      });
+      if (result.sent || result.deferred) sent++;
+    }
+  }
+  return { drops, sent };
+}
@@ -4,6 +4,7 @@
 import { getPrismaClient } from '../db/prismaClient.js';
 // import { parseRange } from '../lib/dates.js';
 import { parseUtmFromUrl } from '../lib/url.js';
+import { variantUtmContent } from './utm.js';
 
 const prisma = getPrismaClient();
 
@@ -141,7 +142,32 @@ export async function getCampaignAttribution({ shopId, from, to }) {
     if (m.status === 'failed') sentMap[id].failed += 1;
   }
 
-  // Shortlink clicks (lifetime; cannot time-slice without per-click timestamps)
+  // Click events in range: unique = distinct recipients (per-recipient links) or hashed
+  // IPs (shared links); link previews and scanners are counted apart as bots
+  const clickRows = await prisma.$queryRaw`
+    SELECT "campaignId",
+      COUNT(*) FILTER (WHERE NOT "isBot")::int AS "total",
+      COUNT(DISTINCT COALESCE("contactId", "ipHash")) FILTER (WHERE NOT "isBot")::int AS "unique",
+      COUNT(*) FILTER (WHERE "isBot")::int AS "bots"
+    FROM "ShortlinkClick"
+    WHERE "shopId" = ${shopId}
+      AND "campaignId" IS NOT NULL
+      AND "createdAt" >= ${from}
+      AND "createdAt" < ${to}
+    GROUP BY "campaignId"
+  `;
+  const clicksByCamp = new Map();
+  for (const r of clickRows) {
+    clicksByCamp.set(String(r.campaignId), { total: r.total, unique: r.unique, bots: r.bots });
+  }
+  // Campaigns that drew clicks but no orders are listed too
+  for (const id of clicksByCamp.keys()) {
+    if (campById.has(id) && !perCampaign.has(id)) {
+      perCampaign.set(id, { revenue: 0, orders: 0, via: { discount: 0, utm: 0 } });
+    }
+  }
+
+  // Shortlink clicks (lifetime human clicks, from the per-link counter)
   const shortByCamp = {};
   const shorts = await prisma.shortlink.findMany({ where: { shopId } });
   for (const s of shorts) {
@@ -152,6 +178,8 @@ export async function getCampaignAttribution({ shopId, from, to }) {
 
   const out = [];
   for (const [id, stats] of perCampaign.entries()) {
+    const clicks = clicksByCamp.get(id) || { total: 0, unique: 0, bots: 0 };
+    const messaging = sentMap[id] || { sent: 0, delivered: 0, failed: 0 };
     out.push({
       campaignId: id,
       name: campById.get(id)?.name || '',
@@ -159,12 +187,105 @@ export async function getCampaignAttribution({ shopId, from, to }) {
       orders: stats.orders,
       via: stats.via,
       clicks_lifetime: shortByCamp[id] || 0,
-      messaging: sentMap[id] || { sent: 0, delivered: 0, failed: 0 },
+      clicks,
+      uniqueClickRate: messaging.sent ? clicks.unique / messaging.sent : 0,
+      messaging,
     });
   }
   return out.sort((a, b) => b.revenue - a.revenue);
 }
 
+/**
+ * A/B campaign breakdown per variant: sent, delivered, clicks and attributed revenue.
+ * Revenue comes from orders landing with utm_campaign=<campaign.id> and
+ * utm_content=variant_<key>; a discount code shared by all variants cannot tell
+ * them apart, so code attribution is not used here.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {Object} params.campaign - Campaign row with abTestJson
+ * @param {Date} [params.to] - End of the attribution window
+ * @returns {Promise<Object>} { campaignId, phase, metric, winner, decideAt, variants }
+ */
+export async function getCampaignVariantReport({ shopId, campaign, to = new Date() }) {
+  const config = campaign.abTestJson || {};
+  const rows = new Map();
+  for (const v of config.variants || []) {
+    rows.set(v.key, {
+      variant: v.key,
+      percent: v.percent,
+      sent: 0,
+      delivered: 0,
+      failed: 0,
+      clicks: 0,
+      orders: 0,
+      revenue: 0,
+      winner: campaign.abWinner === v.key,
+    });
+  }
+
+  const recipients = await prisma.campaignRecipient.findMany({
+    where: { shopId, campaignId: campaign.id, variant: { not: null }, messageId: { not: null } },
+    select: { variant: true, messageId: true },
+  });
+  const variantByMessage = new Map(recipients.map((r) => [r.messageId, r.variant]));
+  const messages = variantByMessage.size
+    ? await prisma.message.findMany({
+        where: { shopId, id: { in: [...variantByMessage.keys()] } },
+        select: { id: true, status: true, deliveredAt: true },
+      })
+    : [];
+  for (const m of messages) {
+    const row = rows.get(variantByMessage.get(m.id));
+    if (!row) continue;
+    if (m.status === 'failed') {
+      row.failed += 1;
+      continue;
+    }
+    row.sent += 1;
+    if (m.status === 'delivered' || m.deliveredAt) row.delivered += 1;
+  }
+
+  const links = await prisma.shortlink.findMany({
+    where: { shopId, campaignId: campaign.id, variant: { not: null } },
+    select: { variant: true, clicks: true },
+  });
+  for (const l of links) {
+    const row = rows.get(l.variant);
+    if (row) row.clicks += l.clicks || 0;
+  }
+
+  const byContent = new Map([...rows.keys()].map((key) => [variantUtmContent(key), key]));
+  const orders = await fetchOrdersFromEvents({
+    shopId,
+    from: campaign.dispatchedAt || campaign.createdAt,
+    to,
+  });
+  const seen = new Set(); // orders/create and orders/paid carry the same order
+  for (const o of orders) {
+    if (String(o.utm?.utm_campaign || '') !== String(campaign.id)) continue;
+    const row = rows.get(byContent.get(o.utm?.utm_content));
+    if (!row || seen.has(o.id)) continue;
+    seen.add(o.id);
+    row.orders += 1;
+    row.revenue += o.totalPrice;
+  }
+
+  const variants = [...rows.values()].map((row) => ({
+    ...row,
+    clickRate: row.sent ? row.clicks / row.sent : 0,
+    revenuePerSent: row.sent ? row.revenue / row.sent : 0,
+  }));
+
+  return {
+    campaignId: campaign.id,
+    phase: campaign.abPhase || null,
+    metric: config.metric || 'clicks',
+    winner: campaign.abWinner || null,
+    decideAt: campaign.abDecideAt || null,
+    variants,
+  };
+}
+
 /** Automation attribution (focus: Abandoned Checkout) */
 export async function getAutomationAttribution({ shopId, from, to }) {
   const [orders, messages] = await Promise.all([
@@ -198,6 +319,96 @@ export async function getAutomationAttribution({ shopId, from, to }) {
   return { automation: 'abandoned_checkout', orders: ordersCount, revenue };
 }
 
+/**
+ * Double opt-in funnel for confirmations requested in range: how many were confirmed,
+ * expired or are still pending, and how long confirming took.
+ */
+export async function getConsentConfirmationReport({ shopId, from, to }) {
+  const where = { shopId, createdAt: { gte: from, lt: to } };
+  const [byStatus, confirmed] = await Promise.all([
+    prisma.consentConfirmation.groupBy({ by: ['status'], where, _count: { _all: true } }),
+    prisma.consentConfirmation.findMany({
+      where: { ...where, status: 'confirmed' },
+      select: { createdAt: true, confirmedAt: true },
+    }),
+  ]);
+  const counts = { pending: 0, confirmed: 0, expired: 0 };
+  for (const row of byStatus) counts[row.status] = row._count._all;
+  const requested = counts.pending + counts.confirmed + counts.expired;
+  // Pending requests may still confirm, so the rate is over decided requests only
+  const decided = counts.confirmed + counts.expired;
+
+  const seconds = confirmed.map((c) => (c.confirmedAt - c.createdAt) / 1000).sort((a, b) => a - b);
+  return {
+    requested,
+    ...counts,
+    confirmationRate: decided ? counts.confirmed / decided : 0,
+    medianSecondsToConfirm: seconds.length ? seconds[Math.floor((seconds.length - 1) / 2)] : null,
+  };
+}
+
+/**
+ * Sends the rules gate refused in range, by reason and by trigger.
+ * Campaign triggers ('campaign:<id>') are reported per campaign.
+ */
+export async function getSendDenialReport({ shopId, from, to }) {
+  const rows = await prisma.sendDenial.groupBy({
+    by: ['reason', 'triggerKey'],
+    where: { shopId, createdAt: { gte: from, lt: to } },
+    _count: { _all: true },
+  });
+  const byReason = {};
+  let total = 0;
+  for (const row of rows) {
+    byReason[row.reason] = (byReason[row.reason] || 0) + row._count._all;
+    total += row._count._all;
+  }
+  const byTrigger = rows
+    .map((row) => ({ trigger: row.triggerKey, reason: row.reason, count: row._count._all }))
+    .sort((a, b) => b.count - a.count);
+  return { total, byReason, byTrigger };
+}
+
+/**
+ * Back-in-stock demand per product from interests registered in range: how many are still waiting,
+ * were notified, expired or canceled. Sorted by contacts waiting.
+ */
+export async function getBackInStockDemandReport({ shopId, from, to }) {
+  const rows = await prisma.backInStockInterest.groupBy({
+    by: ['inventoryItemId', 'variantId', 'productHandle', 'status'],
+    where: { shopId, subscribedAt: { gte: from, lt: to } },
+    _count: { _all: true },
+  });
+  const byItem = new Map();
+  for (const row of rows) {
+    let item = byItem.get(row.inventoryItemId);
+    if (!item) {
+      item = {
+        inventoryItemId: row.inventoryItemId,
+        variantId: row.variantId,
+        productHandle: row.productHandle,
+        total: 0,
+        active: 0,
+        notified: 0,
+        expired: 0,
+        canceled: 0,
+      };
+      byItem.set(row.inventoryItemId, item);
+    }
+    // rows registered before product meta resolved carry nulls
+    item.variantId ||= row.variantId;
+    item.productHandle ||= row.productHandle;
+    item[row.status] = (item[row.status] || 0) + row._count._all;
+    item.total += row._count._all;
+  }
+  const products = [...byItem.values()].sort((a, b) => b.active - a.active || b.total - a.total);
+  return {
+    total: products.reduce((sum, p) => sum + p.total, 0),
+    waiting: products.reduce((sum, p) => sum + p.active, 0),
+    products,
+  };
+}
+
 /** Messaging time series (daily) */
 export async function getMessagingTimeseries({ shopId, from, to }) {
   const rows = await prisma.$queryRaw`
@@ -2,12 +2,15 @@
 // Production-grade rules engine for consent, quiet hours, frequency caps, and dedupe
 
 import { getPrismaClient } from '../db/prismaClient.js';
+import { contactTimezone } from '../lib/timezones.js';
 
 const prisma = getPrismaClient();
 
 /**
  * Default automations config per trigger.
  * All values are safe defaults and can be overridden via Admin /automations.
+ * quietHours.policy: 'drop' (default) discards a message blocked by quiet hours,
+ * 'defer' reschedules it to the end of the quiet window.
  */
 export function defaultAutomationRules() {
   return {
@@ -31,7 +34,7 @@ export function defaultAutomationRules() {
       enabled: true,
       delayMinutes: 30,
       rules: {
-        quietHours: { enabled: true, start: 22, end: 8, zone: null },
+        quietHours: { enabled: true, start: 22, end: 8, zone: null, policy: 'defer' },
         frequencyCap: { enabled: true, per: 'day', max: 2 },
         dedupeWindowMin: 240,
       },
@@ -54,15 +57,100 @@ export function defaultAutomationRules() {
     },
     back_in_stock: {
       enabled: true,
+      interestTtlDays: 90, // null keeps interests until notified or canceled
+      batchRatio: 1, // notifications released per available unit on a restock
+      batchIntervalMinutes: 60, // wait between batches while stock is low
       rules: {
-        quietHours: { enabled: true, start: 9, end: 21, zone: null },
+        quietHours: { enabled: true, start: 9, end: 21, zone: null, policy: 'defer' },
         frequencyCap: { enabled: true, per: 'day', max: 1 },
         dedupeWindowMin: 720,
       },
     },
+    // Time-based triggers below are evaluated by the daily sweep (automation-sweep.js)
+    // at SWEEP_HOUR in the shop's timezone. Off until the merchant enables them.
+    win_back: {
+      enabled: false,
+      days: 60, // no order for this many days
+      rules: {
+        quietHours: { enabled: true, start: 22, end: 8, zone: null, policy: 'defer' },
+        frequencyCap: { enabled: true, per: 'week', max: 1 },
+        dedupeWindowMin: 20160,
+      },
+    },
+    birthday: {
+      enabled: false,
+      rules: {
+        quietHours: { enabled: true, start: 22, end: 8, zone: null, policy: 'defer' },
+        frequencyCap: { enabled: true, per: 'day', max: 1 },
+        dedupeWindowMin: 2880,
+      },
+    },
+    post_purchase_review: {
+      enabled: false,
+      days: 7, // after the order was delivered
+      reviewUrl: null, // defaults to the storefront
+      rules: {
+        quietHours: { enabled: true, start: 22, end: 8, zone: null, policy: 'defer' },
+        frequencyCap: { enabled: true, per: 'week', max: 1 },
+        dedupeWindowMin: 20160,
+      },
+    },
+    // Fed by products/update: contacts waiting on a variant hear when its price drops
+    price_drop: {
+      enabled: false,
+      minPercent: 10,
+      rules: {
+        quietHours: { enabled: true, start: 22, end: 8, zone: null, policy: 'defer' },
+        frequencyCap: { enabled: true, per: 'day', max: 1 },
+        dedupeWindowMin: 10080,
+      },
+    },
+    // Automations a contact enrolls in by texting a custom keyword (e.g. "VIP").
+    // The contact asked for it, so quiet hours do not apply.
+    keyword: {
+      enabled: true,
+      rules: {
+        quietHours: { enabled: false, start: 22, end: 8, zone: null },
+        frequencyCap: { enabled: true, per: 'day', max: 3 },
+        dedupeWindowMin: 1440,
+      },
+    },
   };
 }
 
+/**
+ * Campaign sends use triggerKey 'campaign:<id>'; they all share these rules.
+ * Campaigns go out at a scheduled time and each recipient once, so only dedupe applies.
+ */
+const CAMPAIGN_RULES = {
+  enabled: true,
+  rules: {
+    quietHours: { enabled: false, start: 22, end: 8, zone: null },
+    frequencyCap: { enabled: false, per: 'day', max: 1 },
+    dedupeWindowMin: 10080,
+  },
+};
+
+/**
+ * Transactional triggers: exempt from the shop-wide marketing cap and not counted by it.
+ */
+export const TRANSACTIONAL_TRIGGERS = ['order_paid', 'fulfillment_update'];
+
+/**
+ * Shop-wide cap on marketing messages (campaigns and non-transactional automations)
+ * per contact, configured via /settings as settingsJson.marketingCap.
+ * Returns null when the shop has no cap.
+ */
+export function marketingCapPolicy(shop) {
+  const cap = shop?.settingsJson?.marketingCap;
+  if (!cap || cap.enabled === false || !cap.max) return null;
+  return { max: cap.max, per: cap.per === 'week' ? 'week' : 'day' };
+}
+
+export function isTransactionalTrigger(triggerKey) {
+  return TRANSACTIONAL_TRIGGERS.includes(triggerKey);
+}
+
 export function defaultSettings() {
   return { automations: defaultAutomationRules() };
 }
@@ -87,6 +175,22 @@ export function isQuietHours(now, { enabled, start, end, zone }, tzFallback) {
   return start < end ? h >= start && h < end : h >= start || h < end;
 }
 
+// Quiet windows are whole hours and every UTC offset is a multiple of 15 minutes
+const QUIET_STEP_MS = 15 * 60 * 1000;
+
+/**
+ * First instant at or after `now` outside the quiet window, or null when the
+ * window never ends (start === end) or quiet hours are off.
+ */
+export function quietHoursEnd(now, quietHours, tzFallback) {
+  if (!isQuietHours(now, quietHours, tzFallback)) return null;
+  let t = Math.ceil(now.getTime() / QUIET_STEP_MS) * QUIET_STEP_MS;
+  for (const limit = now.getTime() + 24 * 3600 * 1000; t <= limit; t += QUIET_STEP_MS) {
+    if (!isQuietHours(new Date(t), quietHours, tzFallback)) return new Date(t);
+  }
+  return null;
+}
+
 /**
  * Count messages in a time window for caps & dedupe.
  */
@@ -101,6 +205,39 @@ async function countMessages({ shopId, contactId, triggerKey, since }) {
   });
 }
 
+/**
+ * Marketing messages a contact got since a point in time (any trigger, any campaign).
+ * Failed sends do not count.
+ */
+async function countMarketingMessages({ shopId, contactId, since }) {
+  return prisma.message.count({
+    where: {
+      shopId,
+      contactId,
+      kind: { in: ['automation', 'campaign'] },
+      triggerKey: { notIn: TRANSACTIONAL_TRIGGERS },
+      status: { not: 'failed' },
+      createdAt: { gt: since },
+    },
+  });
+}
+
+/**
+ * Shop-wide marketing cap check for one contact.
+ * Returns { allowed: boolean, reason?: 'marketing_capped' }.
+ */
+export async function checkMarketingCap({ shop, contactId, triggerKey, now = new Date() }) {
+  const policy = marketingCapPolicy(shop);
+  if (!policy || isTransactionalTrigger(triggerKey)) return { allowed: true };
+
+  const count = await countMarketingMessages({
+    shopId: shop.id,
+    contactId,
+    since: windowStart(now, policy.per),
+  });
+  return count >= policy.max ? { allowed: false, reason: 'marketing_capped' } : { allowed: true };
+}
+
 function windowStart(now, per) {
   const d = new Date(now);
   if (per === 'hour') d.setHours(d.getHours() - 1);
@@ -123,44 +260,113 @@ async function existsDedupe({ shopId, contactId, triggerKey, dedupeKey, since })
   return recent.some((m) => (m.metadata && m.metadata.dedupeKey) === dedupeKey);
 }
 
+// Admin /automations stores triggers under camelCase keys
+const ADMIN_AUTOMATION_KEYS = {
+  order_paid: 'orderPaid',
+  abandoned_checkout: 'abandoned',
+  fulfillment_update: 'fulfillmentUpdate',
+  welcome: 'welcome',
+  back_in_stock: 'backInStock',
+  win_back: 'winBack',
+  birthday: 'birthday',
+  post_purchase_review: 'postPurchaseReview',
+  price_drop: 'priceDrop',
+};
+
 /**
  * Resolve effective rules for a trigger by merging defaults with shop.settingsJson.
+ * Also carries trigger settings such as `days` or `template`.
  */
-function mergeRules(shop, triggerKey) {
+export function mergeRules(shop, triggerKey) {
   const base = defaultAutomationRules();
   const cfg = (shop?.settingsJson && shop.settingsJson.automations) || {};
-  const merged = { ...base[triggerKey], ...(cfg[triggerKey] || {}) };
+  // 'campaign:<id>' and triggers without defaults fall back to the campaign rules
+  const defaults = base[triggerKey] || CAMPAIGN_RULES;
+  const merged = {
+    ...defaults,
+    ...(cfg[triggerKey] || cfg[ADMIN_AUTOMATION_KEYS[triggerKey]] || {}),
+  };
   // ensure shape
-  merged.rules = { ...base[triggerKey].rules, ...(merged.rules || {}) };
+  merged.rules = { ...defaults.rules, ...(merged.rules || {}) };
+  merged.rules.quietHours = { ...defaults.rules.quietHours, ...merged.rules.quietHours };
   return merged;
 }
 
+/**
+ * Persist a gate denial so reports can break sends down by reason.
+ * Best-effort: a failed write never blocks the send path.
+ */
+export async function recordSendDenial({ shop, contact, triggerKey, kind, reason }) {
+  try {
+    await prisma.sendDenial.create({
+      data: {
+        shopId: shop.id,
+        contactId: contact?.id || null,
+        triggerKey: triggerKey || null,
+        kind: kind || null,
+        reason,
+      },
+    });
+  } catch {
+    // swallow; denials are reporting data
+  }
+}
+
+/**
+ * Consent gate (local only; do not read PCD). Every outbound SMS passes it.
+ */
+export function hasSmsConsent(contact) {
+  return Boolean(
+    contact &&
+      !contact.optedOut &&
+      contact.smsConsentState !== 'opted_out' &&
+      contact.smsConsentState !== 'unknown',
+  );
+}
+
 /**
  * Main guard.
- * Returns { allowed: boolean, reason?: string }
+ * Returns { allowed: boolean, reason?: string, deferUntil?: Date }; deferUntil is set
+ * when quiet hours blocked a trigger whose policy is 'defer'.
+ * `marketingCapChecked` skips the shop-wide marketing cap for callers that just ran
+ * checkMarketingCap themselves (the campaign sender checks it before rendering).
+ * `frequencyCapChecked` skips the trigger's frequency cap for sends already counted
+ * against it, i.e. the later steps of a flow series.
  */
-export async function canSend({ shop, contact, triggerKey, dedupeKey = null, now = new Date() }) {
-  // Consent gate (local only; do not read PCD)
-  if (
-    !contact ||
-    contact.optedOut ||
-    contact.smsConsentState === 'opted_out' ||
-    contact.smsConsentState === 'unknown'
-  ) {
+export async function canSend({
+  shop,
+  contact,
+  triggerKey,
+  dedupeKey = null,
+  marketingCapChecked = false,
+  frequencyCapChecked = false,
+  now = new Date(),
+}) {
+  if (!hasSmsConsent(contact)) {
     return { allowed: false, reason: 'no_consent' };
   }
 
   const rules = mergeRules(shop, triggerKey);
   if (!rules.enabled) return { allowed: false, reason: 'automation_disabled' };
 
-  // Quiet hours
-  const tz = getShopTimezone(shop);
-  if (isQuietHours(now, rules.rules.quietHours, tz)) {
-    return { allowed: false, reason: 'quiet_hours' };
+  // Quiet hours in the contact's local time, falling back to the shop's timezone
+  const { quietHours } = rules.rules;
+  const tz = contactTimezone(contact, getShopTimezone(shop));
+  if (isQuietHours(now, quietHours, tz)) {
+    const deferUntil = quietHours.policy === 'defer' ? quietHoursEnd(now, quietHours, tz) : null;
+    return deferUntil
+      ? { allowed: false, reason: 'quiet_hours', deferUntil }
+      : { allowed: false, reason: 'quiet_hours' };
+  }
+
+  // Shop-wide marketing cap across triggers and campaigns
+  if (!marketingCapChecked) {
+    const marketing = await checkMarketingCap({ shop, contactId: contact.id, triggerKey, now });
+    if (!marketing.allowed) return marketing;
   }
 
   // Frequency cap per trigger
-  if (rules.rules.frequencyCap?.enabled) {
+  if (rules.rules.frequencyCap?.enabled && !frequencyCapChecked) {
     const since = windowStart(now, rules.rules.frequencyCap.per || 'day');
     const count = await countMessages({
       shopId: shop.id,
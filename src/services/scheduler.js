@@ -2,7 +2,12 @@
 // Persistent scheduler service for abandoned checkout jobs
 
 import { getPrismaClient } from '../db/prismaClient.js';
-import { renderGateQueueAndSend } from './messages.js';
+import {
+  cancelDeferredMessages,
+  executeDeferredMessageJob,
+  executeResendMessageJob,
+  renderGateQueueAndSend,
+} from './messages.js';
 import { logAudit } from './audit.js';
 import { denormalizeContactAges } from './contacts-denormalize.js';
 
@@ -46,11 +51,16 @@ export async function upsertAbandonedCheckoutJob({
   return row.id;
 }
 
+/** Cancel the pending reminder for a checkout, and the reminder it deferred to after quiet hours */
 export async function cancelAbandonedCheckoutJobs({ shopId, checkoutId }) {
+  const deferred = await cancelDeferredMessages({
+    shopId,
+    triggerKey: 'abandoned_checkout',
+    dedupeKey: String(checkoutId),
+  });
   const dedupeKey = `abandoned:${shopId}:${checkoutId}`;
   const job = await prisma.job.findUnique({ where: { dedupeKey } }).catch(() => null);
-  if (!job) return false;
-  if (job.status !== 'pending') return false;
+  if (!job || job.status !== 'pending') return deferred > 0;
   await prisma.job.update({ where: { id: job.id }, data: { status: 'canceled' } });
   return true;
 }
@@ -91,6 +101,31 @@ async function executeAbandonedJob(job) {
   const contact = await prisma.contact.findUnique({ where: { id: payload.contactId } });
   if (!contact) throw new Error('contact_missing');
 
+  // A multi-step flow for abandoned checkouts replaces the single reminder
+  const { findFlowForTrigger, enrollInFlow } = await import('./automation-flows.js');
+  const flow = await findFlowForTrigger({ shopId, trigger: 'abandoned_checkout' });
+  if (flow) {
+    const enrollment = await enrollInFlow({
+      automation: flow,
+      contact,
+      subjectKey: payload.checkoutId,
+      context: { checkout: { id: payload.checkoutId, recovery_url: payload.recoveryUrl } },
+    });
+    await prisma.job.update({
+      where: { id: job.id },
+      data: { status: 'done', attempts: { increment: 1 }, lastError: null },
+    });
+    await logAudit({
+      shopId,
+      actor: 'system',
+      action: 'automation.abandoned_checkout.enrolled',
+      entity: 'job',
+      entityId: job.id,
+      diff: { automationId: flow.id, enrollmentId: enrollment?.id || null, payload },
+    });
+    return;
+  }
+
   // Final guard & send
   const result = await renderGateQueueAndSend({
     shop,
@@ -107,13 +142,14 @@ async function executeAbandonedJob(job) {
     },
   });
 
-  // mark job
+  // mark job; a deferred send lives on as its own message:deferred job
+  const handled = result.sent || result.deferred;
   await prisma.job.update({
     where: { id: job.id },
     data: {
-      status: result.sent ? 'done' : 'canceled',
+      status: handled ? 'done' : 'canceled',
       attempts: { increment: 1 },
-      lastError: result.sent ? null : result.reason || null,
+      lastError: handled ? null : result.reason || null,
     },
   });
 
@@ -215,6 +251,28 @@ export function startScheduler({ intervalMs = 15000 } = {}) {
             await executeGDPRShopRedactJob(job);
           } else if (job.type === 'contacts:denormalize:age') {
             await executeContactsDenormalizeAgeJob(job);
+          } else if (job.type === 'contacts:import') {
+            const { executeContactImportJob } = await import('./contacts-csv.js');
+            await executeContactImportJob(job);
+          } else if (job.type === 'automation:keyword') {
+            const { executeKeywordAutomationJob } = await import('./keywords.js');
+            await executeKeywordAutomationJob(job);
+          } else if (job.type === 'automation:flow') {
+            const { processAutomationFlowStep } = await import('../queue/processors/automation.js');
+            await processAutomationFlowStep(job);
+          } else if (job.type === 'message:deferred') {
+            await executeDeferredMessageJob(job);
+          } else if (job.type === 'message:send') {
+            await executeResendMessageJob(job);
+          } else if (job.type === 'consent:confirmation:expire') {
+            const { executeConfirmationExpiryJob } = await import('./double-opt-in.js');
+            await executeConfirmationExpiryJob(job);
+          } else if (job.type === 'consent:shopify_push') {
+            const { executeConsentPushJob } = await import('./consent-unified.js');
+            await executeConsentPushJob(job);
+          } else if (job.type === 'automation:sweep') {
+            const { executeSweepJob } = await import('./automation-sweep.js');
+            await executeSweepJob(job);
           } else {
             // unknown job type → cancel
             await prisma.job.update({
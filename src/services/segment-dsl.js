@@ -6,6 +6,53 @@ import { logger } from '../lib/logger.js';
 
 const prisma = getPrismaClient();
 
+// Message statuses that count as "received" for message-history filters
+const RECEIVED_STATUSES = ['sent', 'delivered'];
+
+function dslError(message) {
+  const err = new Error(message);
+  err.status = 422;
+  return err;
+}
+
+function isObject(v) {
+  return typeof v === 'object' && v !== null && !Array.isArray(v);
+}
+
+function daysBefore(now, days) {
+  const n = Number(days);
+  if (!Number.isFinite(n) || n < 0) throw dslError(`Invalid number of days: ${days}`);
+  const cutoffDate = new Date(now);
+  cutoffDate.setDate(cutoffDate.getDate() - n);
+  return cutoffDate;
+}
+
+function toDate(value, field) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw dslError(`Invalid date for ${field}: ${value}`);
+  return date;
+}
+
+/** Numeric id from a Shopify GID or plain id */
+function numericId(id) {
+  return String(id).split('/').pop();
+}
+
+function normalizeDomain(domain) {
+  return String(domain).trim().toLowerCase().replace(/^@/, '');
+}
+
+/** { gte, lte, gt, lt, equals } → Prisma number filter, values mapped through `scale` */
+function rangeCondition(v, scale = Number) {
+  const condition = {};
+  for (const op of ['gte', 'lte', 'gt', 'lt', 'equals']) {
+    if (v[op] !== undefined) condition[op] = scale(v[op]);
+  }
+  return condition;
+}
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
 /**
  * Minimal, safe DSL → Prisma.where translator for Contact.
  * Supported:
@@ -15,20 +62,35 @@ const prisma = getPrismaClient();
  *  { gender: 'male'|'female'|'unknown' }
  *  { ageYears: { gte: 18, lte: 65 } }
  *  { conversion: { minCount: 1, lastNDays: 90 } }
+ * Message history:
+ *  { receivedCampaign: '<campaignId>' }
+ *  { clicked: { lastNDays: 30 } }  (per-recipient links only; {} = ever clicked)
+ *  { noMessageInDays: 14 }
+ * Orders (paid orders recorded since install, no backfill; amounts in shop currency):
+ *  { totalSpent: { gte: 100 } }
+ *  { orders: { minCount: 2, maxCount: 5, lastNDays: 90 } }
+ *  { bought: { productId: '123' } } / { bought: { collectionId: '456', lastNDays: 30 } }
+ * Contact fields:
+ *  { createdBetween: { from: '2025-01-01', to: '2025-02-01' } }
+ *  { emailDomain: 'gmail.com' } / { emailDomain: { in: ['gmail.com','yahoo.com'] } }
+ *  { hasCustomerId: true }
  *  { not: {...} }, { and:[...]} , { or:[...] }
+ * @param {Object} dsl - Segment filter
+ * @param {Object} [options] - { now } reference time for day windows
  */
-export function dslToWhere(dsl) {
+export function dslToWhere(dsl, { now = new Date() } = {}) {
   if (!dsl || typeof dsl !== 'object') return {};
-  if (Array.isArray(dsl)) return { AND: dsl.map(dslToWhere) };
+  const recurse = (d) => dslToWhere(d, { now });
+  if (Array.isArray(dsl)) return { AND: dsl.map(recurse) };
 
   const out = {};
   const AND = [];
   const OR = [];
 
   for (const [k, v] of Object.entries(dsl)) {
-    if (k === 'and' && Array.isArray(v)) AND.push(...v.map(dslToWhere));
-    else if (k === 'or' && Array.isArray(v)) OR.push(...v.map(dslToWhere));
-    else if (k === 'not' && typeof v === 'object') AND.push({ NOT: dslToWhere(v) });
+    if (k === 'and' && Array.isArray(v)) AND.push(...v.map(recurse));
+    else if (k === 'or' && Array.isArray(v)) OR.push(...v.map(recurse));
+    else if (k === 'not' && v && typeof v === 'object') AND.push({ NOT: recurse(v) });
     else if (k === 'consent') {
       AND.push({ smsConsentState: String(v) });
     } else if (k === 'tag') {
@@ -36,7 +98,7 @@ export function dslToWhere(dsl) {
     } else if (k === 'tags' && v && typeof v === 'object' && v.has) {
       AND.push({ tagsJson: { array_contains: [String(v.has)] } });
     } else if (k === 'locale') {
-      if (typeof v === 'object' && Array.isArray(v.in)) AND.push({ locale: { in: v.in } });
+      if (v && typeof v === 'object' && Array.isArray(v.in)) AND.push({ locale: { in: v.in } });
       else AND.push({ locale: String(v) });
     } else if (k === 'optedOut') {
       AND.push({ optedOut: !!v });
@@ -46,13 +108,7 @@ export function dslToWhere(dsl) {
       AND.push({ gender: String(v) });
     } else if (k === 'ageYears') {
       if (typeof v === 'object' && v !== null) {
-        const ageCondition = {};
-        if (v.gte !== undefined) ageCondition.gte = Number(v.gte);
-        if (v.lte !== undefined) ageCondition.lte = Number(v.lte);
-        if (v.gt !== undefined) ageCondition.gt = Number(v.gt);
-        if (v.lt !== undefined) ageCondition.lt = Number(v.lt);
-        if (v.equals !== undefined) ageCondition.equals = Number(v.equals);
-        AND.push({ ageYears: ageCondition });
+        AND.push({ ageYears: rangeCondition(v) });
       } else {
         AND.push({ ageYears: Number(v) });
       }
@@ -62,11 +118,58 @@ export function dslToWhere(dsl) {
           AND.push({ conversionCount: { gte: Number(v.minCount) } });
         }
         if (v.lastNDays !== undefined) {
-          const cutoffDate = new Date();
-          cutoffDate.setDate(cutoffDate.getDate() - Number(v.lastNDays));
-          AND.push({ lastConvertedAt: { gte: cutoffDate } });
+          AND.push({ lastConvertedAt: { gte: daysBefore(now, v.lastNDays) } });
         }
       }
+    } else if (k === 'receivedCampaign') {
+      AND.push({ campaignRecipients: { some: { campaignId: String(v), status: 'sent' } } });
+    } else if (k === 'clicked' && isObject(v)) {
+      AND.push({
+        lastClickedAt:
+          v.lastNDays !== undefined ? { gte: daysBefore(now, v.lastNDays) } : { not: null },
+      });
+    } else if (k === 'noMessageInDays') {
+      AND.push({
+        Message: {
+          none: { status: { in: RECEIVED_STATUSES }, createdAt: { gte: daysBefore(now, v) } },
+        },
+      });
+    } else if (k === 'totalSpent' && isObject(v)) {
+      AND.push({ conversionLtvCents: rangeCondition(v, toCents) });
+    } else if (k === 'orders' && isObject(v)) {
+      // recencyRank N placed inside the window ⇔ at least N orders in the window
+      const window =
+        v.lastNDays !== undefined ? { placedAt: { gte: daysBefore(now, v.lastNDays) } } : {};
+      const minCount = Number(v.minCount ?? (v.maxCount === undefined ? 1 : 0));
+      if (minCount > 0) {
+        AND.push({ orders: { some: { recencyRank: minCount, ...window } } });
+      }
+      if (v.maxCount !== undefined) {
+        AND.push({ orders: { none: { recencyRank: Number(v.maxCount) + 1, ...window } } });
+      }
+    } else if (k === 'bought' && isObject(v)) {
+      const order = {};
+      if (v.productId !== undefined) {
+        order.productIds = { array_contains: [numericId(v.productId)] };
+      }
+      if (v.collectionId !== undefined) {
+        order.collectionIds = { array_contains: [numericId(v.collectionId)] };
+      }
+      if (v.lastNDays !== undefined) order.placedAt = { gte: daysBefore(now, v.lastNDays) };
+      AND.push({ orders: { some: order } });
+    } else if (k === 'createdBetween' && isObject(v)) {
+      const createdAt = {};
+      if (v.from !== undefined) createdAt.gte = toDate(v.from, 'createdBetween.from');
+      if (v.to !== undefined) createdAt.lte = toDate(v.to, 'createdBetween.to');
+      AND.push({ createdAt });
+    } else if (k === 'emailDomain') {
+      if (isObject(v) && Array.isArray(v.in)) {
+        AND.push({ email_domain: { in: v.in.map(normalizeDomain) } });
+      } else {
+        AND.push({ email_domain: normalizeDomain(v) });
+      }
+    } else if (k === 'hasCustomerId') {
+      AND.push({ customerId: v ? { not: null } : null });
     }
   }
 
@@ -75,82 +178,264 @@ export function dslToWhere(dsl) {
   return out;
 }
 
-/**
- * Evaluate a single contact against a segment filter
- */
-export async function evaluateSegmentFilter(contact, filter) {
-  if (!filter || typeof filter !== 'object') return false;
+// In-memory evaluation walks the DSL directly, predicate for predicate with dslToWhere,
+// using SQL's three-valued logic: a comparison against a NULL column is unknown (null),
+// NOT keeps it unknown, and only contacts that come out true are in the segment.
+// That keeps `not` over nullable fields (locale, ageYears, email domain…) in step with Postgres.
 
-  try {
-    // Convert DSL to Prisma where clause
-    const whereClause = dslToWhere(filter);
+function and3(values) {
+  let unknown = false;
+  for (const v of values) {
+    if (v === false) return false;
+    if (v === null) unknown = true;
+  }
+  return unknown ? null : true;
+}
 
-    // For single contact evaluation, we need to check if the contact matches the criteria
-    // This is a simplified version - in practice, you might want more sophisticated matching
+function or3(values) {
+  let unknown = false;
+  for (const v of values) {
+    if (v === true) return true;
+    if (v === null) unknown = true;
+  }
+  return unknown ? null : false;
+}
 
-    // Check basic fields
-    if (whereClause.AND) {
-      for (const condition of whereClause.AND) {
-        if (condition.smsConsentState && contact.smsConsentState !== condition.smsConsentState) {
-          return false;
-        }
-        if (condition.optedOut !== undefined && contact.optedOut !== condition.optedOut) {
-          return false;
-        }
-        if (condition.tagsJson && condition.tagsJson.array_contains) {
-          const contactTags = contact.tagsJson || [];
-          if (!contactTags.includes(condition.tagsJson.array_contains[0])) {
-            return false;
-          }
-        }
-        if (condition.phoneE164 && condition.phoneE164.startsWith) {
-          if (!contact.phoneE164?.startsWith(condition.phoneE164.startsWith)) {
-            return false;
-          }
-        }
-        if (condition.gender && contact.gender !== condition.gender) {
-          return false;
-        }
-        if (condition.ageYears) {
-          if (typeof condition.ageYears === 'object') {
-            const age = contact.ageYears;
-            if (age === null || age === undefined) return false;
-            if (condition.ageYears.gte !== undefined && age < condition.ageYears.gte) return false;
-            if (condition.ageYears.lte !== undefined && age > condition.ageYears.lte) return false;
-            if (condition.ageYears.gt !== undefined && age <= condition.ageYears.gt) return false;
-            if (condition.ageYears.lt !== undefined && age >= condition.ageYears.lt) return false;
-            if (condition.ageYears.equals !== undefined && age !== condition.ageYears.equals) return false;
-          } else {
-            if (contact.ageYears !== condition.ageYears) return false;
-          }
-        }
-        if (condition.conversionCount && contact.conversionCount < condition.conversionCount) {
-          return false;
-        }
-        if (condition.lastConvertedAt) {
-          if (!contact.lastConvertedAt || contact.lastConvertedAt < condition.lastConvertedAt) {
-            return false;
-          }
-        }
-      }
+function not3(v) {
+  return v === null ? null : !v;
+}
+
+/** Sign of a - b; NaN when the values cannot be ordered, so every bound check fails */
+function compare(a, b) {
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() - new Date(b).getTime();
+  if (a === b) return 0;
+  return a < b ? -1 : a > b ? 1 : NaN;
+}
+
+/** column = expected (unknown when the column is NULL) */
+function equals(value, expected) {
+  return value == null ? null : compare(value, expected) === 0;
+}
+
+/** Every bound of a rangeCondition; an empty range matches everything, NULL included */
+function inRange(value, range) {
+  const checks = {
+    gte: (c) => c >= 0,
+    lte: (c) => c <= 0,
+    gt: (c) => c > 0,
+    lt: (c) => c < 0,
+    equals: (c) => c === 0,
+  };
+  const ops = Object.entries(range);
+  if (!ops.length) return true;
+  if (value == null) return null;
+  return ops.every(([op, bound]) => checks[op](compare(value, bound)));
+}
+
+function related(contact, relation) {
+  const rows = contact[relation];
+  if (!Array.isArray(rows)) throw new Error(`Relation ${relation} is not loaded`);
+  return rows;
+}
+
+function placedSince(order, cutoff) {
+  return !cutoff || compare(order.placedAt, cutoff) >= 0;
+}
+
+/**
+ * One DSL key against a contact, mirroring the matching dslToWhere branch.
+ * @returns {boolean|null|undefined} Result, or undefined when dslToWhere ignores the key
+ */
+function evaluatePredicate(contact, k, v, now) {
+  if (k === 'consent') return equals(contact.smsConsentState, String(v));
+  if (k === 'tag' || (k === 'tags' && v && typeof v === 'object' && v.has)) {
+    const tag = String(k === 'tag' ? v : v.has);
+    const tags = contact.tagsJson;
+    return tags == null ? null : Array.isArray(tags) && tags.includes(tag);
+  }
+  if (k === 'locale') {
+    if (v && typeof v === 'object' && Array.isArray(v.in)) {
+      return contact.locale == null ? null : v.in.some((l) => equals(contact.locale, l));
     }
+    return equals(contact.locale, String(v));
+  }
+  if (k === 'optedOut') return equals(contact.optedOut, !!v);
+  if (k === 'phoneStartsWith') {
+    return contact.phoneE164 == null ? null : contact.phoneE164.startsWith(String(v));
+  }
+  if (k === 'gender') return equals(contact.gender, String(v));
+  if (k === 'ageYears') {
+    if (typeof v === 'object' && v !== null) return inRange(contact.ageYears, rangeCondition(v));
+    return equals(contact.ageYears, Number(v));
+  }
+  if (k === 'conversion') {
+    if (typeof v !== 'object' || v === null) return undefined;
+    const results = [];
+    if (v.minCount !== undefined) {
+      results.push(inRange(contact.conversionCount, { gte: Number(v.minCount) }));
+    }
+    if (v.lastNDays !== undefined) {
+      results.push(inRange(contact.lastConvertedAt, { gte: daysBefore(now, v.lastNDays) }));
+    }
+    return and3(results);
+  }
+  if (k === 'receivedCampaign') {
+    return related(contact, 'campaignRecipients').some(
+      (r) => r.campaignId === String(v) && r.status === 'sent',
+    );
+  }
+  if (k === 'clicked' && isObject(v)) {
+    if (v.lastNDays === undefined) return contact.lastClickedAt != null;
+    return inRange(contact.lastClickedAt, { gte: daysBefore(now, v.lastNDays) });
+  }
+  if (k === 'noMessageInDays') {
+    const cutoff = daysBefore(now, v);
+    return !related(contact, 'Message').some(
+      (m) => RECEIVED_STATUSES.includes(m.status) && compare(m.createdAt, cutoff) >= 0,
+    );
+  }
+  if (k === 'totalSpent' && isObject(v)) {
+    return inRange(contact.conversionLtvCents, rangeCondition(v, toCents));
+  }
+  if (k === 'orders' && isObject(v)) {
+    const cutoff = v.lastNDays !== undefined ? daysBefore(now, v.lastNDays) : null;
+    const orders = related(contact, 'orders');
+    const hasRank = (rank) => orders.some((o) => o.recencyRank === rank && placedSince(o, cutoff));
+    const minCount = Number(v.minCount ?? (v.maxCount === undefined ? 1 : 0));
+    const results = [];
+    if (minCount > 0) results.push(hasRank(minCount));
+    if (v.maxCount !== undefined) results.push(!hasRank(Number(v.maxCount) + 1));
+    return and3(results);
+  }
+  if (k === 'bought' && isObject(v)) {
+    const productId = v.productId !== undefined ? numericId(v.productId) : null;
+    const collectionId = v.collectionId !== undefined ? numericId(v.collectionId) : null;
+    const cutoff = v.lastNDays !== undefined ? daysBefore(now, v.lastNDays) : null;
+    return related(contact, 'orders').some(
+      (o) =>
+        (productId === null || (Array.isArray(o.productIds) && o.productIds.includes(productId))) &&
+        (collectionId === null ||
+          (Array.isArray(o.collectionIds) && o.collectionIds.includes(collectionId))) &&
+        placedSince(o, cutoff),
+    );
+  }
+  if (k === 'createdBetween' && isObject(v)) {
+    const range = {};
+    if (v.from !== undefined) range.gte = toDate(v.from, 'createdBetween.from');
+    if (v.to !== undefined) range.lte = toDate(v.to, 'createdBetween.to');
+    return inRange(contact.createdAt, range);
+  }
+  if (k === 'emailDomain') {
+    if (isObject(v) && Array.isArray(v.in)) {
+      if (contact.email_domain == null) return null;
+      return v.in.map(normalizeDomain).includes(contact.email_domain);
+    }
+    return equals(contact.email_domain, normalizeDomain(v));
+  }
+  if (k === 'hasCustomerId') return v ? contact.customerId != null : contact.customerId == null;
+  return undefined;
+}
 
-    if (whereClause.OR) {
-      let orMatch = false;
-      for (const condition of whereClause.OR) {
-        if (condition.smsConsentState && contact.smsConsentState === condition.smsConsentState) {
-          orMatch = true;
-          break;
-        }
-        if (condition.optedOut !== undefined && contact.optedOut === condition.optedOut) {
-          orMatch = true;
-          break;
-        }
-      }
-      if (!orMatch) return false;
+function evaluateNode(contact, dsl, now) {
+  if (!dsl || typeof dsl !== 'object') return true;
+  const recurse = (d) => evaluateNode(contact, d, now);
+  if (Array.isArray(dsl)) return and3(dsl.map(recurse));
+
+  const results = [];
+  for (const [k, v] of Object.entries(dsl)) {
+    if (k === 'and' && Array.isArray(v)) results.push(...v.map(recurse));
+    else if (k === 'or' && Array.isArray(v)) {
+      if (v.length) results.push(or3(v.map(recurse)));
+    } else if (k === 'not' && v && typeof v === 'object') results.push(not3(recurse(v)));
+    else {
+      const result = evaluatePredicate(contact, k, v, now);
+      if (result !== undefined) results.push(result);
     }
+  }
+  return and3(results);
+}
 
-    return true;
+const CONTACT_FIELDS = [
+  'id',
+  'createdAt',
+  'customerId',
+  'phoneE164',
+  'firstName',
+  'lastName',
+  'email',
+  'email_domain',
+  'locale',
+  'optedOut',
+  'smsConsentState',
+  'tagsJson',
+  'gender',
+  'ageYears',
+  'conversionCount',
+  'lastConvertedAt',
+  'conversionLtvCents',
+  'lastClickedAt',
+];
+
+const RELATION_SELECTS = {
+  orders: {
+    select: { placedAt: true, recencyRank: true, productIds: true, collectionIds: true },
+  },
+  Message: {
+    where: { status: { in: RECEIVED_STATUSES } },
+    select: { status: true, createdAt: true },
+  },
+  campaignRecipients: { select: { campaignId: true, status: true } },
+};
+
+// DSL keys that read contact relations
+const PREDICATE_RELATIONS = {
+  receivedCampaign: 'campaignRecipients',
+  noMessageInDays: 'Message',
+  orders: 'orders',
+  bought: 'orders',
+};
+
+function collectRelations(dsl, found) {
+  if (!dsl || typeof dsl !== 'object') return found;
+  if (Array.isArray(dsl)) {
+    for (const d of dsl) collectRelations(d, found);
+    return found;
+  }
+  for (const [k, v] of Object.entries(dsl)) {
+    if (k === 'and' || k === 'or' || k === 'not') collectRelations(v, found);
+    else if (PREDICATE_RELATIONS[k]) found.add(PREDICATE_RELATIONS[k]);
+  }
+  return found;
+}
+
+/**
+ * Prisma `select` for loading contacts to evaluate in memory: the contact fields the
+ * DSL reads plus only the relations this filter uses.
+ * @param {Object} filter - Segment DSL
+ * @returns {Object} Prisma select
+ */
+export function segmentEvaluationSelect(filter) {
+  const select = Object.fromEntries(CONTACT_FIELDS.map((f) => [f, true]));
+  for (const relation of collectRelations(filter, new Set())) {
+    select[relation] = RELATION_SELECTS[relation];
+  }
+  return select;
+}
+
+/**
+ * Evaluate a single contact against a segment filter, in memory.
+ * Agrees with running dslToWhere(filter) against the database; relation predicates
+ * need the contact loaded with segmentEvaluationSelect(filter).
+ * @param {Object} contact - Contact row
+ * @param {Object} filter - Segment DSL
+ * @param {Object} [options] - { now } reference time for day windows
+ * @returns {boolean} Whether the contact is in the segment
+ */
+export function evaluateSegmentFilter(contact, filter, { now = new Date() } = {}) {
+  if (!filter || typeof filter !== 'object') return false;
+
+  try {
+    return evaluateNode(contact, filter, now) === true;
   } catch (error) {
     logger.error(
       { error: error.message, contactId: contact.id, filter },
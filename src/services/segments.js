@@ -2,15 +2,42 @@
 // Segments service for CRUD and preview
 
 import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
 import { dslToWhere } from './segment-dsl.js';
 
 const prisma = getPrismaClient();
 
+const COUNT_TTL_MS = Number(process.env.SEGMENT_COUNT_TTL_MS || String(10 * 60 * 1000));
+const CHUNK = 1000;
+
+function segmentError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Contact where-clause for a segment filter. Only consented contacts
+ * unless the DSL selects a consent state explicitly.
+ */
+export function segmentContactWhere(shopId, filterJson) {
+  const filter = typeof filterJson === 'string' ? JSON.parse(filterJson) : filterJson || {};
+  const where = { shopId, ...dslToWhere(filter) };
+  if (!filter.consent) {
+    where.smsConsentState = 'opted_in';
+    where.optedOut = false;
+  }
+  return where;
+}
+
 /** Create or update a Segment */
 export async function upsertSegment({ shopId, id = null, name, filterJson }) {
   const data = { shopId, name, filterJson };
   if (id) {
-    const row = await prisma.segment.update({ where: { id }, data });
+    const row = await prisma.segment.update({
+      where: { id },
+      data: { ...data, contactCount: null, countedAt: null },
+    });
     return row;
   }
   const row = await prisma.segment.create({ data });
@@ -19,12 +46,7 @@ export async function upsertSegment({ shopId, id = null, name, filterJson }) {
 
 /** Preview contacts (count + sample) that match DSL */
 export async function previewSegment({ shopId, filterJson, limit = 25 }) {
-  const where = { shopId, ...dslToWhere(filterJson) };
-  // Always exclude opted-out unless explicitly requested by DSL
-  if (!filterJson?.consent) {
-    where.smsConsentState = 'opted_in';
-    where.optedOut = false;
-  }
+  const where = segmentContactWhere(shopId, filterJson);
   const count = await prisma.contact.count({ where });
   const results = await prisma.contact.findMany({
     where,
@@ -43,11 +65,7 @@ export async function previewSegment({ shopId, filterJson, limit = 25 }) {
 
 /** Snapshot segment into CampaignRecipient (idempotent per contact) */
 export async function snapshotSegmentToCampaign({ shopId, campaignId, filterJson }) {
-  const where = { shopId, ...dslToWhere(filterJson) };
-  if (!filterJson?.consent) {
-    where.smsConsentState = 'opted_in';
-    where.optedOut = false;
-  }
+  const where = segmentContactWhere(shopId, filterJson);
   const ids = await prisma.contact.findMany({ where, select: { id: true } });
   let created = 0;
   for (const c of ids) {
@@ -62,3 +80,234 @@ export async function snapshotSegmentToCampaign({ shopId, campaignId, filterJson
   }
   return { total: ids.length, inserted: created };
 }
+
+async function findSegmentOrThrow(shopId, segmentId) {
+  const segment = await prisma.segment.findFirst({ where: { id: segmentId, shopId } });
+  if (!segment) throw segmentError('Segment not found', 404);
+  return segment;
+}
+
+/**
+ * Segment with its contact count, recounted when the cached value is older than
+ * SEGMENT_COUNT_TTL_MS (default 10 minutes) or was invalidated by a filter change.
+ */
+async function withContactCount(segment, now = new Date()) {
+  const fresh =
+    segment.contactCount != null &&
+    segment.countedAt &&
+    now.getTime() - new Date(segment.countedAt).getTime() < COUNT_TTL_MS;
+  if (fresh) return segment;
+
+  const contactCount = await prisma.contact.count({
+    where: segmentContactWhere(segment.shopId, segment.filterJson),
+  });
+  await prisma.segment.updateMany({
+    where: { id: segment.id },
+    data: { contactCount, countedAt: now },
+  });
+  return { ...segment, contactCount, countedAt: now };
+}
+
+/** List segments (newest first) with cached contact counts */
+export async function listSegments({ shopId, limit = 50, offset = 0 }) {
+  const take = Math.min(100, Math.max(1, limit));
+  const [rows, total] = await Promise.all([
+    prisma.segment.findMany({
+      where: { shopId },
+      orderBy: { createdAt: 'desc' },
+      take,
+      skip: offset,
+    }),
+    prisma.segment.count({ where: { shopId } }),
+  ]);
+
+  const segments = [];
+  for (const row of rows) segments.push(await withContactCount(row));
+
+  return {
+    segments,
+    pagination: { total, limit: take, offset, hasMore: offset + take < total },
+  };
+}
+
+/** Segment with contact count, frozen membership size and recent materializations */
+export async function getSegment({ shopId, segmentId }) {
+  const segment = await withContactCount(await findSegmentOrThrow(shopId, segmentId));
+  const [memberCount, snapshots] = await Promise.all([
+    prisma.segmentMembership.count({ where: { segmentId, leftAt: null } }),
+    prisma.segmentSnapshot.findMany({
+      where: { segmentId },
+      orderBy: { createdAt: 'desc' },
+      take: 10,
+    }),
+  ]);
+  return { ...segment, memberCount, snapshots };
+}
+
+/** Update name and/or filter; a new filter invalidates the cached count */
+export async function updateSegment({ shopId, segmentId, name, filterJson }) {
+  const segment = await findSegmentOrThrow(shopId, segmentId);
+  if (segment.isSystem) throw segmentError('System segments are managed automatically', 409);
+
+  const data = {};
+  if (name !== undefined) data.name = name;
+  if (filterJson !== undefined) {
+    data.filterJson = filterJson;
+    data.contactCount = null;
+    data.countedAt = null;
+  }
+
+  return prisma.segment.update({ where: { id: segment.id }, data });
+}
+
+/** Delete a segment unless a scheduled campaign still targets it */
+export async function deleteSegment({ shopId, segmentId }) {
+  const segment = await findSegmentOrThrow(shopId, segmentId);
+  if (segment.isSystem) throw segmentError('System segments are managed automatically', 409);
+
+  const scheduled = await prisma.campaign.count({
+    where: { shopId, segmentId, status: 'scheduled' },
+  });
+  if (scheduled > 0) {
+    throw segmentError(`Segment is used by ${scheduled} scheduled campaign(s)`, 409);
+  }
+
+  await prisma.segment.deleteMany({ where: { id: segmentId, shopId } });
+  return { segmentId };
+}
+
+/**
+ * Freeze the segment's current audience into SegmentMembership: contacts that now match
+ * open a membership, members that no longer match get leftAt. Records a SegmentSnapshot
+ * and lastMaterializedAt. Runs in one transaction; a concurrent run for the same segment
+ * loses on the lastMaterializedAt check with 409.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.segmentId - Segment ID
+ * @param {Date} [params.now] - Materialization time
+ * @returns {Promise<Object>} { segmentId, memberCount, joined, left, materializedAt, snapshotId }
+ */
+export async function materializeSegment({ shopId, segmentId, now = new Date() }) {
+  const segment = await findSegmentOrThrow(shopId, segmentId);
+
+  const [matches, open] = await Promise.all([
+    prisma.contact.findMany({
+      where: segmentContactWhere(shopId, segment.filterJson),
+      select: { id: true },
+    }),
+    prisma.segmentMembership.findMany({
+      where: { segmentId, leftAt: null },
+      select: { contactId: true },
+    }),
+  ]);
+  const matchIds = new Set(matches.map((c) => c.id));
+  const memberIds = new Set(open.map((m) => m.contactId));
+  const joined = [...matchIds].filter((id) => !memberIds.has(id));
+  const left = [...memberIds].filter((id) => !matchIds.has(id));
+
+  const snapshot = await prisma.$transaction(
+    async (tx) => {
+      const { count } = await tx.segment.updateMany({
+        where: { id: segmentId, shopId, lastMaterializedAt: segment.lastMaterializedAt },
+        data: { lastMaterializedAt: now, contactCount: matchIds.size, countedAt: now },
+      });
+      if (count === 0) {
+        throw segmentError('Segment is being materialized concurrently, retry', 409);
+      }
+
+      for (let i = 0; i < joined.length; i += CHUNK) {
+        await tx.segmentMembership.createMany({
+          data: joined
+            .slice(i, i + CHUNK)
+            .map((contactId) => ({ shopId, segmentId, contactId, joinedAt: now })),
+        });
+      }
+      for (let i = 0; i < left.length; i += CHUNK) {
+        await tx.segmentMembership.updateMany({
+          where: { segmentId, leftAt: null, contactId: { in: left.slice(i, i + CHUNK) } },
+          data: { leftAt: now },
+        });
+      }
+
+      return tx.segmentSnapshot.create({
+        data: {
+          shopId,
+          segmentId,
+          createdAt: now,
+          memberCount: matchIds.size,
+          joined: joined.length,
+          left: left.length,
+        },
+      });
+    },
+    { timeout: 60000 },
+  );
+
+  logger.info(
+    { shopId, segmentId, memberCount: matchIds.size, joined: joined.length, left: left.length },
+    'Segment materialized',
+  );
+
+  return {
+    segmentId,
+    memberCount: matchIds.size,
+    joined: joined.length,
+    left: left.length,
+    materializedAt: now,
+    snapshotId: snapshot.id,
+  };
+}
+
+/**
+ * Who joined or left a segment between two instants, from materialization history.
+ * Defaults to the most recent materialization (since the run before it).
+ * @param {Object} params - Parameters
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.segmentId - Segment ID
+ * @param {Date} [params.since] - Exclusive lower bound
+ * @param {Date} [params.until] - Inclusive upper bound (default now)
+ * @param {number} [params.limit] - Max contacts per list
+ * @returns {Promise<Object>} { since, until, joined: {count, contactIds}, left: {count, contactIds} }
+ */
+export async function diffSegmentMembership({ shopId, segmentId, since, until, limit = 1000 }) {
+  await findSegmentOrThrow(shopId, segmentId);
+
+  let from = since;
+  if (!from) {
+    const [, previous] = await prisma.segmentSnapshot.findMany({
+      where: { segmentId },
+      orderBy: { createdAt: 'desc' },
+      take: 2,
+      select: { createdAt: true },
+    });
+    from = previous?.createdAt || new Date(0);
+  }
+  const to = until || new Date();
+  const take = Math.min(10000, Math.max(1, limit));
+
+  const joinedWhere = { segmentId, joinedAt: { gt: from, lte: to } };
+  const leftWhere = { segmentId, leftAt: { gt: from, lte: to } };
+  const [joinedCount, joinedRows, leftCount, leftRows] = await Promise.all([
+    prisma.segmentMembership.count({ where: joinedWhere }),
+    prisma.segmentMembership.findMany({
+      where: joinedWhere,
+      orderBy: { joinedAt: 'asc' },
+      take,
+      select: { contactId: true },
+    }),
+    prisma.segmentMembership.count({ where: leftWhere }),
+    prisma.segmentMembership.findMany({
+      where: leftWhere,
+      orderBy: { leftAt: 'asc' },
+      take,
+      select: { contactId: true },
+    }),
+  ]);
+
+  return {
+    since: from,
+    until: to,
+    joined: { count: joinedCount, contactIds: joinedRows.map((r) => r.contactId) },
+    left: { count: leftCount, contactIds: leftRows.map((r) => r.contactId) },
+  };
+}
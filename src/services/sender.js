@@ -0,0 +1,158 @@
+// src/services/sender.js
+// Per-shop sender selection: alphanumeric sender ID, numeric long codes and a sticky number pool
+
+import crypto from 'crypto';
+import { parsePhoneNumberFromString } from 'libphonenumber-js';
+import { getPrismaClient } from '../db/prismaClient.js';
+
+const prisma = getPrismaClient();
+
+// Countries whose carriers do not deliver alphanumeric sender IDs; messages there need a number
+export const NUMERIC_ONLY_COUNTRIES = new Set([
+  'AR',
+  'BR',
+  'CA',
+  'CL',
+  'CN',
+  'CO',
+  'EC',
+  'KR',
+  'PR',
+  'US',
+  'UY',
+]);
+
+// Message kinds the recipient is expected to answer; they always come from a pool number
+export const TWO_WAY_KINDS = new Set(['conversation', 'consent_confirmation', 'keyword_reply']);
+
+// 1-11 letters, digits or spaces with at least one letter (all-digit IDs read as numbers)
+const ALPHANUMERIC_ID = /^(?=.*[A-Za-z])[A-Za-z0-9 ]{1,11}$/;
+const COUNTRY_CODE = /^[A-Z]{2}$/;
+
+function senderError(message, status = 422) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function countryOf(phoneE164) {
+  return phoneE164 ? parsePhoneNumberFromString(String(phoneE164))?.country || null : null;
+}
+
+function prepareAlphanumericId(raw) {
+  const alphanumericId = raw ? String(raw).trim() : null;
+  if (alphanumericId && !ALPHANUMERIC_ID.test(alphanumericId)) {
+    throw senderError(
+      'alphanumericId must be 1-11 letters, digits or spaces and contain at least one letter',
+    );
+  }
+  return alphanumericId;
+}
+
+function prepareNumbers(list) {
+  const numbers = [];
+  for (const raw of list || []) {
+    const pn = parsePhoneNumberFromString(String(raw).trim());
+    if (!pn || !pn.isValid()) throw senderError(`Invalid pool number: ${raw}`);
+    if (!numbers.includes(pn.number)) numbers.push(pn.number);
+  }
+  return numbers;
+}
+
+/**
+ * Validate and normalize `settings.sender`. Pool numbers must be valid E.164
+ * numbers and are de-duplicated; countries are upper-cased ISO codes.
+ * `byProvider` overrides the sender ID and/or pool for one provider account, since
+ * numbers and registered IDs belong to the account they were bought on.
+ * @param {Object} sender
+ * @returns {{ alphanumericId: string|null, numbers: string[], numericCountries: string[],
+ *   twoWay: boolean, byProvider?: Object }}
+ */
+export function prepareSenderSettings(sender) {
+  const alphanumericId = prepareAlphanumericId(sender.alphanumericId);
+  const numbers = prepareNumbers(sender.numbers);
+
+  const byProvider = {};
+  for (const [name, own] of Object.entries(sender.byProvider || {})) {
+    byProvider[name] = {
+      ...('alphanumericId' in own
+        ? { alphanumericId: prepareAlphanumericId(own.alphanumericId) }
+        : {}),
+      ...(own.numbers ? { numbers: prepareNumbers(own.numbers) } : {}),
+    };
+  }
+
+  const numericCountries = [];
+  for (const raw of sender.numericCountries || []) {
+    const code = String(raw).trim().toUpperCase();
+    if (!COUNTRY_CODE.test(code)) throw senderError(`Invalid country code: ${raw}`);
+    if (!numericCountries.includes(code)) numericCountries.push(code);
+  }
+
+  const twoWay = Boolean(sender.twoWay);
+  const anyNumbers =
+    numbers.length > 0 || Object.values(byProvider).some((own) => own.numbers?.length);
+  if (twoWay && !anyNumbers) {
+    throw senderError('twoWay needs at least one pool number');
+  }
+
+  return {
+    alphanumericId,
+    numbers,
+    numericCountries,
+    twoWay,
+    ...(Object.keys(byProvider).length ? { byProvider } : {}),
+  };
+}
+
+/**
+ * Whether messages to this phone must come from a number rather than the sender ID.
+ */
+export function requiresNumericSender({ sender, phoneE164, kind = null }) {
+  if (!sender?.alphanumericId || sender.twoWay || TWO_WAY_KINDS.has(kind)) return true;
+  const country = countryOf(phoneE164);
+  return NUMERIC_ONLY_COUNTRIES.has(country) || (sender.numericCountries || []).includes(country);
+}
+
+/**
+ * Pick the sender for one message:
+ * - the alphanumeric sender ID where the country allows it and no reply is expected;
+ * - otherwise a pool number, the same one every time for a contact. A new contact
+ *   gets a number from its own country when the pool has one, spread by contact id,
+ *   and keeps it until the number leaves the pool.
+ * With `provider`, that provider's `byProvider` sender ID and pool replace the shared ones.
+ * Numbers from a provider's own pool are picked by contact id but not stored on the contact.
+ * Returns null when the shop has no suitable sender; the provider default applies.
+ * @param {Object} params
+ * @param {Object|null} params.shop
+ * @param {Object|null} params.contact - Contact row (senderNumber is sticky)
+ * @param {string} params.phoneE164
+ * @param {string|null} [params.kind] - Message kind
+ * @param {string|null} [params.provider] - Provider that sends the message
+ * @returns {Promise<string|null>}
+ */
+export async function chooseSender({ shop, contact, phoneE164, kind = null, provider = null }) {
+  const shared = shop?.settingsJson?.sender;
+  if (!shared) return null;
+  const own = (provider && shared.byProvider?.[provider]) || {};
+  const sender = { ...shared, ...own };
+  if (!requiresNumericSender({ sender, phoneE164, kind })) return sender.alphanumericId;
+
+  const pool = sender.numbers || [];
+  if (pool.length === 0) return null;
+  if (contact?.senderNumber && pool.includes(contact.senderNumber)) return contact.senderNumber;
+
+  const country = countryOf(phoneE164);
+  const local = pool.filter((n) => countryOf(n) === country);
+  const candidates = local.length ? local : pool;
+  const seed = crypto
+    .createHash('sha256')
+    .update(String(contact?.id || phoneE164))
+    .digest();
+  const number = candidates[seed.readUInt32BE(0) % candidates.length];
+
+  if (contact?.id && !own.numbers) {
+    await prisma.contact.update({ where: { id: contact.id }, data: { senderNumber: number } });
+  }
+  return number;
+}
@@ -4,6 +4,7 @@
 import { getPrismaClient } from '../db/prismaClient.js';
 import { shopifyGraphql } from './shopify-graphql.js';
 import { deriveAgeYears, normalizeGender, parseBirthdate } from '../lib/age-utils.js';
+import { emailDomain } from '../lib/normalization.js';
 import { logger } from '../lib/logger.js';
 
 const prisma = getPrismaClient();
@@ -295,6 +296,7 @@ async function processCustomer({ shop, customer, metafieldsConfig }) {
     shopId: shop.id,
     customerId: id,
     email: email || null,
+    email_domain: emailDomain(email),
     phoneE164: phone || null,
     firstName: firstName || null,
     lastName: lastName || null,
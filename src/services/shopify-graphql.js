@@ -98,6 +98,72 @@ export async function createBasicCode({ shopDomain, accessToken, input }) {
   });
 }
 
+// Helper to add redeem codes to an existing code discount (at most 250 per call).
+// Shopify creates the codes asynchronously; poll the returned bulk creation.
+export async function bulkAddRedeemCodes({ shopDomain, accessToken, discountId, codes }) {
+  const graphqlQuery = `
+    mutation discountRedeemCodeBulkAdd($discountId: ID!, $codes: [DiscountRedeemCodeInput!]!) {
+      discountRedeemCodeBulkAdd(discountId: $discountId, codes: $codes) {
+        bulkCreation {
+          id
+        }
+        userErrors {
+          code
+          field
+          message
+        }
+      }
+    }
+  `;
+
+  return await shopifyGraphql({
+    shopDomain,
+    accessToken,
+    query: graphqlQuery,
+    variables: { discountId, codes: codes.map((code) => ({ code })) },
+  });
+}
+
+// Helper to fetch the status and per-code results of a redeem code bulk creation
+export async function fetchRedeemCodeBulkCreation({ shopDomain, accessToken, id, after = null }) {
+  const graphqlQuery = `
+    query discountRedeemCodeBulkCreation($id: ID!, $after: String) {
+      discountRedeemCodeBulkCreation(id: $id) {
+        id
+        done
+        codesCount
+        importedCount
+        failedCount
+        codes(first: 250, after: $after) {
+          nodes {
+            code
+            errors {
+              code
+              field
+              message
+            }
+            discountRedeemCode {
+              id
+              code
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  `;
+
+  return await shopifyGraphql({
+    shopDomain,
+    accessToken,
+    query: graphqlQuery,
+    variables: { id, after },
+  });
+}
+
 // Helper to fetch abandoned checkout URL
 export async function fetchAbandonedCheckoutUrl({ shopDomain, accessToken, checkoutToken }) {
   const graphqlQuery = `
@@ -38,3 +38,35 @@ export async function resolveByInventoryItem({ shopDomain, inventoryItemNumericI
     productTitle: variant.product?.title || null,
   };
 }
+
+/**
+ * Collections each product currently belongs to. Requires read_products.
+ * @param {Object} params - Parameters
+ * @param {string} params.shopDomain - Shop domain
+ * @param {string[]} params.productIds - Numeric product ids
+ * @returns {Promise<string[]>} Unique numeric collection ids
+ */
+export async function resolveProductCollections({ shopDomain, productIds }) {
+  if (!productIds?.length) return [];
+  const accessToken = await getOfflineToken(shopDomain);
+  const QUERY = `
+    query($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          collections(first: 50) { nodes { id } }
+        }
+      }
+    }
+  `;
+  const data = await shopifyGraphql({
+    shopDomain,
+    accessToken,
+    query: QUERY,
+    variables: { ids: productIds.map((id) => `gid://shopify/Product/${id}`) },
+  });
+  const ids = new Set();
+  for (const node of data?.nodes || []) {
+    for (const c of node?.collections?.nodes || []) ids.add(String(c.id).split('/').pop());
+  }
+  return [...ids];
+}
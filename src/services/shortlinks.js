@@ -3,28 +3,89 @@
 
 import { getPrismaClient } from '../db/prismaClient.js';
 import { customAlphabet } from 'nanoid';
+import { hmacSha256 } from '../lib/crypto.js';
+import { classifyClick } from '../lib/link-clicks.js';
+import { logger } from '../lib/logger.js';
 
 const prisma = getPrismaClient();
 const nano = customAlphabet('abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789', 8);
 
-export async function createShortlink({ shopId = null, url, campaignId = null, expiresAt = null }) {
+export async function createShortlink({
+  shopId = null,
+  url,
+  campaignId = null,
+  variant = null,
+  contactId = null,
+  expiresAt = null,
+}) {
   const slug = nano();
   const row = await prisma.shortlink.create({
-    data: { slug, url, campaignId: campaignId || null, shopId, expiresAt },
+    data: { slug, url, campaignId: campaignId || null, variant, contactId, shopId, expiresAt },
   });
   return {
     slug: row.slug,
-    url: `${process.env.APP_URL?.replace(/\/+$/, '')}/s/${row.slug}`,
+    url: shortlinkUrl(row.slug),
   };
 }
 
-export async function resolveShortlink(slug) {
+export function shortlinkUrl(slug) {
+  return `${process.env.APP_URL?.replace(/\/+$/, '')}/s/${slug}`;
+}
+
+/**
+ * Keyed hash so stored click IPs cannot be reversed with a lookup table.
+ * Without a configured key no IP hash is stored.
+ */
+export function hashClickIp(ip) {
+  const key = process.env.CLICK_IP_HASH_KEY || process.env.ENCRYPTION_KEY;
+  if (!ip || !key) return null;
+  return hmacSha256(key, String(ip));
+}
+
+/**
+ * Resolve a slug to its target and record the click. Every fetch becomes a
+ * ShortlinkClick; link previews and scanners are flagged as bots and neither
+ * count in Shortlink.clicks nor mark the recipient as having clicked.
+ * @param {string} slug
+ * @param {Object} [request] - { ip, userAgent, method } of the fetch
+ * @returns {Promise<string|null>} Target URL, or null when unknown or expired
+ */
+export async function resolveShortlink(slug, { ip = null, userAgent = '', method = 'GET' } = {}) {
   const row = await prisma.shortlink.findUnique({ where: { slug } });
   if (!row) return null;
-  if (row.expiresAt && row.expiresAt < new Date()) return null;
+  const now = new Date();
+  if (row.expiresAt && row.expiresAt < now) return null;
+
+  const click = classifyClick({
+    userAgent,
+    method,
+    // Only per-recipient links are created at send time, so only their age says anything
+    ageMs: row.contactId && row.createdAt ? now - row.createdAt : null,
+  });
+  await prisma.shortlinkClick
+    .create({
+      data: {
+        slug,
+        shopId: row.shopId,
+        campaignId: row.campaignId,
+        contactId: row.contactId,
+        ipHash: hashClickIp(ip),
+        ...click,
+      },
+    })
+    .catch((error) => logger.warn({ slug, error: error.message }, 'Shortlink click not recorded'));
+  if (click.isBot) return row.url;
+
   await prisma.shortlink.update({
     where: { slug },
     data: { clicks: { increment: 1 } },
   });
+  // Per-recipient links feed the "clicked in the last N days" segment filter
+  if (row.contactId) {
+    await prisma.contact.updateMany({
+      where: { id: row.contactId },
+      data: { lastClickedAt: now },
+    });
+  }
   return row.url;
 }
@@ -0,0 +1,90 @@
+// src/services/sms-events.js
+// Provider-neutral handling of delivery receipts and inbound SMS
+
+import { getPrismaClient } from '../db/prismaClient.js';
+import { logger } from '../lib/logger.js';
+import { recordInboundMessage } from './conversations.js';
+import { handleInboundKeyword } from './keywords.js';
+
+const prisma = getPrismaClient();
+
+/**
+ * Apply a parsed delivery receipt (provider.parseDlr) to its Message. The
+ * message is found by our id from the callback URL when present, else by the
+ * provider message id stored at send time.
+ * @param {Object} params
+ * @param {string} params.provider - Provider name
+ * @param {Object} params.receipt - Normalized receipt
+ * @param {string} [params.messageId] - Message.id ('mid' callback query)
+ * @returns {Promise<Object|null>} Updated message, or null when unknown
+ */
+export async function applyDeliveryReceipt({ provider, receipt, messageId = null }) {
+  const message = messageId
+    ? await prisma.message.findUnique({ where: { id: messageId } })
+    : await prisma.message.findFirst({
+        where: {
+          OR: [
+            { metadata: { path: ['providerMsgId'], equals: receipt.providerMsgId } },
+            { metadata: { path: ['provider_msg_id'], equals: receipt.providerMsgId } },
+          ],
+        },
+      });
+  if (!message) return null;
+
+  const data = {
+    metadata: {
+      ...message.metadata,
+      dlr_received_at: new Date().toISOString(),
+      dlr_provider: provider,
+      dlr_status: receipt.rawStatus,
+      dlr_error_code: receipt.errorCode,
+      dlr_error_message: receipt.errorMessage,
+    },
+  };
+  if (receipt.status === 'delivered') {
+    data.status = 'delivered';
+    data.deliveredAt = receipt.at ? new Date(receipt.at) : new Date();
+  } else if (receipt.status === 'failed') {
+    data.status = 'failed';
+    data.failedAt = receipt.at ? new Date(receipt.at) : new Date();
+  }
+
+  return prisma.message.update({ where: { id: message.id }, data });
+}
+
+/**
+ * Store a parsed inbound SMS (provider.parseInbound) in the sender's conversation
+ * and apply STOP / START / HELP and the shop's custom keywords. Provider retries
+ * of the same message are not re-applied. Logs name the message and contacts, never the
+ * number or the text.
+ * @returns {Promise<Object|null>} Matched keyword, if any
+ */
+export async function processInboundSms({ from, text, providerMessageId = null }) {
+  // Every inbound message lands in the sender's conversation thread, keywords included
+  let inbound = null;
+  try {
+    inbound = await recordInboundMessage({ from, text, providerMessageId });
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to store inbound SMS in conversation');
+  }
+
+  if (inbound?.duplicate) return null;
+  try {
+    const match = await handleInboundKeyword({ from, text });
+    if (match) {
+      logger.info(
+        {
+          providerMessageId,
+          contactIds: match.contactIds,
+          keyword: match.keyword,
+          action: match.action,
+        },
+        'Inbound keyword',
+      );
+    }
+    return match;
+  } catch (error) {
+    logger.error({ error: error.message, providerMessageId }, 'Failed to process inbound keyword');
+    return null;
+  }
+}
@@ -90,6 +90,26 @@ const TRIGGER_VARIABLES = {
     optional: ['customer_name', 'shop_name', 'inventory_count'],
     description: 'Back in stock notification',
   },
+  win_back: {
+    required: ['shop_url'],
+    optional: ['customer_name', 'shop_name', 'days_since_order', 'last_order_date'],
+    description: 'Win-back after a period without orders',
+  },
+  birthday: {
+    required: ['customer_name'],
+    optional: ['shop_name', 'shop_url'],
+    description: 'Birthday greeting',
+  },
+  post_purchase_review: {
+    required: ['review_url'],
+    optional: ['customer_name', 'shop_name', 'order_id', 'delivered_at'],
+    description: 'Review request after delivery',
+  },
+  price_drop: {
+    required: ['product_name', 'product_url', 'new_price'],
+    optional: ['customer_name', 'shop_name', 'old_price', 'currency', 'percent_off'],
+    description: 'Price drop on a product the contact is waiting for',
+  },
 };
 
 /**
@@ -250,6 +270,16 @@ export const templateDefaults = {
     'Welcome {{ customer_name | titlecase }}! Use code {{ discount_code | upper }} for {{ discount_value }}% off!',
   back_in_stock: '{{ product_name }} is back in stock! Shop now: {{ product_url | shortlink }}',
   order_created: 'Order {{ order_number }} confirmed! Total: {{ order_total | money currency }}',
+  win_back: 'We miss you {{ customer_name }}! See what is new at {{ shop_name }}: {{ shop_url }}',
+  birthday:
+    'Happy birthday {{ customer_name }}! 🎂 A little treat from {{ shop_name }}: {{ shop_url }}',
+  post_purchase_review:
+    'Hi {{ customer_name }}, how was your order from {{ shop_name }}? Leave a review: {{ review_url }}',
+  price_drop:
+    'Price drop! {{ product_name }} is now {{ new_price | money currency }} (was {{ old_price | money currency }}): {{ product_url | shortlink }}',
+  help: '{{ shop_name }}: SMS updates & offers. Help: {{ shop_domain }}. Reply STOP to opt out.',
+  consent_confirm:
+    '{{ shop_name }}: reply YES to confirm you want SMS offers. Msg & data rates may apply. Reply STOP to opt out.',
 };
 
 // Helper functions
@@ -14,3 +14,8 @@ export function appendUtm(url, utm = {}) {
   for (const [k, v] of Object.entries(normalizeUtm(utm))) u.searchParams.set(k, String(v));
   return u.toString();
 }
+
+/** utm_content value that attributes orders to an A/B campaign variant */
+export function variantUtmContent(variantKey) {
+  return `variant_${variantKey}`;
+}
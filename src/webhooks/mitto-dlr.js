@@ -4,10 +4,10 @@
 import { Router } from 'express';
 import crypto from 'crypto';
 import { logger } from '../lib/logger.js';
-import { getPrismaClient } from '../db/prismaClient.js';
+import { mittoProvider } from '../providers/mitto.js';
+import { applyDeliveryReceipt } from '../services/sms-events.js';
 
 const router = Router();
-const prisma = getPrismaClient();
 
 /**
  * Verify Mitto webhook HMAC signature
@@ -30,7 +30,7 @@ function verifyHmac(payload, signature, secret) {
  * Handle Mitto DLR webhook
  * POST /webhooks/mitto/dlr
  */
-router.post('/dlr', async (req, res) => {
+router.post('/', async (req, res) => {
   const rawBody = JSON.stringify(req.body);
   const signature = req.get('X-Mitto-Signature') || req.get('X-Hub-Signature-256');
 
@@ -52,58 +52,33 @@ router.post('/dlr', async (req, res) => {
   }
 
   try {
-    const { message_id, status, error_code, error_message, delivered_at, failed_at } = req.body;
+    const receipt = mittoProvider.parseDlr(req.body);
 
-    if (!message_id) {
+    if (!receipt) {
       logger.warn('Missing message_id in DLR webhook');
       return res.status(400).json({ error: 'missing_message_id' });
     }
 
-    // Find message by provider_msg_id
-    const message = await prisma.message.findFirst({
-      where: {
-        metadata: {
-          path: ['provider_msg_id'],
-          equals: message_id,
-        },
-      },
+    const message = await applyDeliveryReceipt({
+      provider: 'mitto',
+      receipt,
+      messageId: req.query.mid ? String(req.query.mid) : null,
     });
 
     if (!message) {
-      logger.warn({ message_id, status }, 'Message not found for DLR webhook');
+      logger.warn(
+        { message_id: receipt.providerMsgId, status: receipt.rawStatus },
+        'Message not found for DLR webhook',
+      );
       return res.status(404).json({ error: 'message_not_found' });
     }
 
-    // Update message status based on DLR
-    const updateData = {
-      metadata: {
-        ...message.metadata,
-        dlr_received_at: new Date().toISOString(),
-        dlr_status: status,
-        dlr_error_code: error_code,
-        dlr_error_message: error_message,
-      },
-    };
-
-    if (status === 'delivered') {
-      updateData.status = 'delivered';
-      updateData.deliveredAt = delivered_at ? new Date(delivered_at) : new Date();
-    } else if (status === 'failed' || status === 'undelivered') {
-      updateData.status = 'failed';
-      updateData.failedAt = failed_at ? new Date(failed_at) : new Date();
-    }
-
-    await prisma.message.update({
-      where: { id: message.id },
-      data: updateData,
-    });
-
     logger.info(
       {
         messageId: message.id,
-        provider_msg_id: message_id,
-        status,
-        error_code,
+        provider_msg_id: receipt.providerMsgId,
+        status: receipt.rawStatus,
+        error_code: receipt.errorCode,
         shopId: message.shopId,
       },
       'Message status updated from DLR',
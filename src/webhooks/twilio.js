@@ -0,0 +1,79 @@
+// src/webhooks/twilio.js
+// Twilio status callbacks (DLR) and inbound SMS webhook handlers
+
+import { Router } from 'express';
+import { logger } from '../lib/logger.js';
+import { getTwilioClient, twilioProvider } from '../providers/twilio.js';
+import { applyDeliveryReceipt, processInboundSms } from '../services/sms-events.js';
+
+const router = Router();
+
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+/**
+ * Verify X-Twilio-Signature against the public URL Twilio called.
+ * Without TWILIO_AUTH_TOKEN nothing can be verified, so every request is refused.
+ */
+function verifyTwilioSignature(req, res, next) {
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    logger.error('TWILIO_AUTH_TOKEN not configured');
+    return res.status(401).json({ error: 'signature_not_verifiable' });
+  }
+  const url = `${String(process.env.APP_URL || '').replace(/\/$/, '')}${req.originalUrl}`;
+  const valid = getTwilioClient().verifySignature({
+    url,
+    params: req.body,
+    signature: req.get('X-Twilio-Signature'),
+  });
+  if (!valid) {
+    logger.warn({ url }, 'Invalid Twilio signature');
+    return res.status(401).json({ error: 'invalid_signature' });
+  }
+  next();
+}
+
+/**
+ * Handle Twilio status callback
+ * POST /webhooks/twilio/dlr
+ */
+router.post('/dlr', verifyTwilioSignature, async (req, res) => {
+  const receipt = twilioProvider.parseDlr(req.body);
+  if (!receipt) return res.status(400).json({ error: 'missing_message_id' });
+
+  try {
+    const message = await applyDeliveryReceipt({
+      provider: 'twilio',
+      receipt,
+      messageId: req.query.mid ? String(req.query.mid) : null,
+    });
+    if (!message) {
+      logger.warn(
+        { providerMsgId: receipt.providerMsgId, status: receipt.rawStatus },
+        'Message not found for Twilio status callback',
+      );
+      return res.status(404).json({ error: 'message_not_found' });
+    }
+    res.json({ ok: true, messageId: message.id });
+  } catch (error) {
+    logger.error(
+      { error: error.message, providerMsgId: receipt.providerMsgId },
+      'Failed to process Twilio DLR',
+    );
+    res.status(500).json({ error: 'internal_error' });
+  }
+});
+
+/**
+ * Handle Twilio inbound SMS; answers with empty TwiML so Twilio sends no reply
+ * POST /webhooks/twilio/inbound
+ */
+router.post('/inbound', verifyTwilioSignature, async (req, res) => {
+  const { from, text, providerMessageId } = twilioProvider.parseInbound(req.body);
+  logger.info({ providerMessageId }, 'Received Twilio inbound SMS');
+
+  if (from && text) await processInboundSms({ from, text, providerMessageId });
+
+  res.type('text/xml').send(EMPTY_TWIML);
+});
+
+export default router;
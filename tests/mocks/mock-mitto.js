@@ -16,6 +16,8 @@ export class MockMittoServer {
     // Track sent messages for testing
     this.sentMessages = new Map();
     this.messageCounter = 0;
+    // HTTP status returned by the send endpoint while an outage is simulated
+    this.outageStatus = null;
 
     this.setupRoutes();
   }
@@ -25,6 +27,10 @@ export class MockMittoServer {
     this.app.post('/api/v1/send', (req, res) => {
       const { to, text, from, callback_url } = req.body;
 
+      if (this.outageStatus) {
+        return res.status(this.outageStatus).json({ error: 'Service temporarily unavailable' });
+      }
+
       if (!to || !text) {
         return res.status(400).json({
           error: 'Missing required fields: to, text',
@@ -239,4 +245,12 @@ export class MockMittoServer {
     this.sentMessages.clear();
     this.messageCounter = 0;
   }
+
+  simulateOutage(status = 503) {
+    this.outageStatus = status;
+  }
+
+  endOutage() {
+    this.outageStatus = null;
+  }
 }
@@ -12,6 +12,13 @@ export class MockShopifyServer {
     this.app.use(express.json());
     this.app.use(express.raw({ type: 'application/json' }));
     this.server = null;
+    this.requests = [];
+    // Redeem code bulk creations: id -> { discountId, codes, polls }
+    this.bulkCreations = new Map();
+    this.redeemCodes = new Set();
+    // Polls a bulk creation reports done: false before finishing
+    this.bulkPollsUntilDone = 0;
+    this.unknownDiscounts = new Set();
 
     this.setupRoutes();
   }
@@ -71,12 +78,19 @@ export class MockShopifyServer {
       });
     });
 
-    // GraphQL endpoint
-    this.app.post('/admin/api/2023-10/graphql.json', (req, res) => {
+    // GraphQL endpoint (any API version)
+    this.app.post('/admin/api/:version/graphql.json', (req, res) => {
       const { query, variables } = req.body;
+      this.requests.push({ query, variables });
 
       // Mock GraphQL responses based on query
-      if (query.includes('discountCodeBasicCreate')) {
+      if (query.includes('discountRedeemCodeBulkAdd')) {
+        res.json({ data: { discountRedeemCodeBulkAdd: this.bulkAddRedeemCodes(variables) } });
+      } else if (query.includes('discountRedeemCodeBulkCreation')) {
+        res.json({
+          data: { discountRedeemCodeBulkCreation: this.bulkCreationStatus(variables) },
+        });
+      } else if (query.includes('discountCodeBasicCreate')) {
         res.json({
           data: {
             discountCodeBasicCreate: {
@@ -174,6 +188,59 @@ export class MockShopifyServer {
     });
   }
 
+  bulkAddRedeemCodes({ discountId, codes }) {
+    if (this.unknownDiscounts.has(discountId)) {
+      return {
+        bulkCreation: null,
+        userErrors: [{ code: 'INVALID', field: ['discountId'], message: 'Discount not found' }],
+      };
+    }
+    const id = `gid://shopify/DiscountRedeemCodeBulkCreation/${this.bulkCreations.size + 1}`;
+    this.bulkCreations.set(id, { discountId, codes: codes.map((c) => c.code), polls: 0 });
+    return { bulkCreation: { id }, userErrors: [] };
+  }
+
+  bulkCreationStatus({ id, after }) {
+    const creation = this.bulkCreations.get(id);
+    if (!creation) return null;
+    creation.polls++;
+    const done = creation.polls > this.bulkPollsUntilDone;
+    const nodes = [];
+
+    if (done && !creation.results) {
+      // Codes are created once; a code already on the shop is rejected
+      creation.results = creation.codes.map((code, i) => {
+        if (this.redeemCodes.has(code)) {
+          return {
+            code,
+            errors: [{ code: 'TAKEN', field: ['code'], message: 'Code must be unique.' }],
+            discountRedeemCode: null,
+          };
+        }
+        this.redeemCodes.add(code);
+        const gid = `gid://shopify/DiscountRedeemCode/${id.split('/').pop()}${i}`;
+        return { code, errors: [], discountRedeemCode: { id: gid, code } };
+      });
+    }
+    if (done) {
+      const start = after ? Number(after) : 0;
+      nodes.push(...creation.results.slice(start, start + 250));
+    }
+
+    const end = (after ? Number(after) : 0) + nodes.length;
+    return {
+      id,
+      done,
+      codesCount: creation.codes.length,
+      importedCount: done ? creation.results.filter((r) => r.discountRedeemCode).length : 0,
+      failedCount: done ? creation.results.filter((r) => !r.discountRedeemCode).length : 0,
+      codes: {
+        nodes,
+        pageInfo: { hasNextPage: done && end < creation.codes.length, endCursor: String(end) },
+      },
+    };
+  }
+
   async start() {
     return new Promise((resolve, reject) => {
       this.server = this.app.listen(this.port, (err) => {
@@ -0,0 +1,108 @@
+import express from 'express';
+
+/**
+ * Mock Twilio-compatible Messages API for testing
+ * Accepts form-encoded sends with basic auth, like the real API
+ */
+export class MockTwilioServer {
+  constructor(port = 3003, { accountSid = 'AC_test', authToken = 'twilio_token' } = {}) {
+    this.port = port;
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.app = express();
+    this.app.use(express.urlencoded({ extended: false }));
+    this.server = null;
+
+    // Track sent messages for testing
+    this.sentMessages = new Map();
+    this.messageCounter = 0;
+    // HTTP status returned by the send endpoint while an outage is simulated
+    this.outageStatus = null;
+
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    this.app.post('/2010-04-01/Accounts/:sid/Messages.json', (req, res) => {
+      const expected = `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`;
+      if (req.params.sid !== this.accountSid || req.get('Authorization') !== expected) {
+        return res.status(401).json({ code: 20003, message: 'Authenticate', status: 401 });
+      }
+
+      if (this.outageStatus) {
+        return res
+          .status(this.outageStatus)
+          .json({ code: 20500, message: 'Internal Server Error', status: this.outageStatus });
+      }
+
+      const { To, Body, From, MessagingServiceSid, StatusCallback } = req.body;
+      if (!To || !/^\+[1-9]\d{1,14}$/.test(To)) {
+        return res.status(400).json({
+          code: 21211,
+          message: `The 'To' number ${To} is not a valid phone number.`,
+          status: 400,
+        });
+      }
+
+      const sid = `SM${String(++this.messageCounter).padStart(32, '0')}`;
+      this.sentMessages.set(sid, {
+        to: To,
+        body: Body,
+        from: From || null,
+        messagingServiceSid: MessagingServiceSid || null,
+        statusCallback: StatusCallback || null,
+        status: 'queued',
+      });
+
+      res.status(201).json({ sid, status: 'queued', to: To, from: From || null, body: Body });
+    });
+  }
+
+  async start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          console.log(`Mock Twilio server running on port ${this.port}`);
+          resolve();
+        }
+      });
+    });
+  }
+
+  async stop() {
+    return new Promise((resolve) => {
+      if (this.server) {
+        this.server.close(() => {
+          console.log('Mock Twilio server stopped');
+          resolve();
+        });
+      } else {
+        resolve();
+      }
+    });
+  }
+
+  getBaseUrl() {
+    return `http://localhost:${this.port}/2010-04-01`;
+  }
+
+  // Test helpers
+  getSentMessages() {
+    return Array.from(this.sentMessages.values());
+  }
+
+  clearMessages() {
+    this.sentMessages.clear();
+    this.messageCounter = 0;
+  }
+
+  simulateOutage(status = 503) {
+    this.outageStatus = status;
+  }
+
+  endOutage() {
+    this.outageStatus = null;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Reference semantics of the Prisma `where` filters that dslToWhere emits for Contact,
+ * evaluated against plain objects the way Postgres evaluates the generated SQL:
+ * comparisons against a NULL column are unknown (null), NOT keeps them unknown,
+ * and a row is selected only when the whole filter is true.
+ * Stands in for the database in the segment DSL consistency tests.
+ */
+
+function and3(values) {
+  let unknown = false;
+  for (const v of values) {
+    if (v === false) return false;
+    if (v === null) unknown = true;
+  }
+  return unknown ? null : true;
+}
+
+function or3(values) {
+  let unknown = false;
+  for (const v of values) {
+    if (v === true) return true;
+    if (v === null) unknown = true;
+  }
+  return unknown ? null : false;
+}
+
+function comparison(value, arg, test) {
+  if (value == null) return null;
+  if (value instanceof Date || arg instanceof Date) {
+    return test(new Date(value).getTime(), new Date(arg).getTime());
+  }
+  return test(value, arg);
+}
+
+function scalarFilter(value, condition) {
+  if (condition === null) return value == null;
+  if (typeof condition !== 'object' || condition instanceof Date) {
+    return comparison(value, condition, (a, b) => a === b);
+  }
+
+  return and3(
+    Object.entries(condition).map(([op, arg]) => {
+      switch (op) {
+        case 'equals':
+          return arg === null ? value == null : comparison(value, arg, (a, b) => a === b);
+        case 'not':
+          if (arg === null) return value != null;
+          if (typeof arg === 'object' && !(arg instanceof Date)) {
+            const inner = scalarFilter(value, arg);
+            return inner === null ? null : !inner;
+          }
+          return comparison(value, arg, (a, b) => a !== b);
+        case 'in':
+          return value == null ? null : arg.some((x) => comparison(value, x, (a, b) => a === b));
+        case 'gt':
+          return comparison(value, arg, (a, b) => a > b);
+        case 'gte':
+          return comparison(value, arg, (a, b) => a >= b);
+        case 'lt':
+          return comparison(value, arg, (a, b) => a < b);
+        case 'lte':
+          return comparison(value, arg, (a, b) => a <= b);
+        case 'startsWith':
+          return value == null ? null : String(value).startsWith(arg);
+        case 'endsWith':
+          return value == null ? null : String(value).endsWith(arg);
+        case 'array_contains':
+          return value == null ? null : Array.isArray(value) && arg.every((x) => value.includes(x));
+        default:
+          throw new Error(`Unsupported filter operator: ${op}`);
+      }
+    }),
+  );
+}
+
+function relationFilter(rows, condition, field) {
+  if (!Array.isArray(rows)) throw new Error(`Relation ${field} is not loaded`);
+  const selected = (where) => rows.filter((row) => evaluateWhere(row, where) === true);
+  const results = [];
+  if (condition.some) results.push(selected(condition.some).length > 0);
+  if (condition.none) results.push(selected(condition.none).length === 0);
+  if (condition.every) results.push(selected(condition.every).length === rows.length);
+  return and3(results);
+}
+
+/**
+ * Evaluate a Prisma where object against a record.
+ * @returns {boolean|null} true, false, or null when SQL would say unknown
+ */
+export function evaluateWhere(record, where) {
+  const results = [];
+  for (const [key, condition] of Object.entries(where || {})) {
+    const list = Array.isArray(condition) ? condition : [condition];
+    if (key === 'AND') {
+      results.push(and3(list.map((w) => evaluateWhere(record, w))));
+    } else if (key === 'OR') {
+      results.push(or3(list.map((w) => evaluateWhere(record, w))));
+    } else if (key === 'NOT') {
+      // NOT [a, b] is NOT a AND NOT b
+      results.push(
+        and3(
+          list.map((w) => {
+            const v = evaluateWhere(record, w);
+            return v === null ? null : !v;
+          }),
+        ),
+      );
+    } else if (
+      condition &&
+      typeof condition === 'object' &&
+      ('some' in condition || 'none' in condition || 'every' in condition)
+    ) {
+      results.push(relationFilter(record[key], condition, key));
+    } else {
+      results.push(scalarFilter(record[key], condition));
+    }
+  }
+  return and3(results);
+}
+
+/** Whether the database would return this record for the filter */
+export function matchesWhere(record, where) {
+  return evaluateWhere(record, where) === true;
+}
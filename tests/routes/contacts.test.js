@@ -0,0 +1,250 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+const prisma = vi.hoisted(() => {
+  process.env.ENCRYPTION_KEY = Buffer.alloc(32, 7).toString('base64');
+  process.env.HASH_PEPPER = 'contacts-test-pepper';
+  return {
+    shop: { findUnique: vi.fn() },
+    contact: {
+      findMany: vi.fn(),
+      findFirst: vi.fn(),
+      count: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn(),
+      delete: vi.fn(),
+    },
+    message: { findMany: vi.fn() },
+    auditLog: { create: vi.fn() },
+  };
+});
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/consent-unified.js', () => ({
+  CONSENT_PUSH_JOB_TYPE: 'consent:shopify_push',
+  updateLocalAndRemoteConsent: vi.fn(),
+}));
+
+vi.mock('../../src/services/scheduler.js', () => ({
+  scheduleJob: vi.fn(),
+}));
+
+const { default: contactsRouter } = await import('../../src/routes/contacts.js');
+const { updateLocalAndRemoteConsent } = await import('../../src/services/consent-unified.js');
+const { hashDeterministic } = await import('../../src/lib/encryption.js');
+const { scheduleJob } = await import('../../src/services/scheduler.js');
+
+const app = express();
+app.use(express.json());
+app.use('/contacts', contactsRouter);
+
+const shop = { id: 'shop_1', domain: 'test-shop.myshopify.com' };
+const contactRow = {
+  id: 'c1',
+  firstName: 'Maria',
+  lastName: 'P',
+  phoneE164: '+306912345678',
+  phone_last4: '5678',
+  email_domain: 'gmail.com',
+  tagsJson: ['vip'],
+  smsConsentState: 'opted_in',
+  optedOut: false,
+};
+
+describe('Contacts API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.shop.findUnique.mockResolvedValue(shop);
+  });
+
+  it('looks contacts up by phone hash and never returns the phone number', async () => {
+    prisma.contact.findMany.mockResolvedValue([contactRow]);
+    prisma.contact.count.mockResolvedValue(1);
+
+    const res = await request(app)
+      .get('/contacts')
+      .query({ shop: shop.domain, phone: '+30 691 234 5678' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.contacts).toEqual([
+      expect.objectContaining({ id: 'c1', phoneLast4: '5678', emailDomain: 'gmail.com' }),
+    ]);
+    expect(res.body.contacts[0]).not.toHaveProperty('phoneE164');
+    expect(res.body.contacts[0].tags).toEqual(['vip']);
+
+    const { where, select } = prisma.contact.findMany.mock.calls[0][0];
+    expect(where.AND[0].OR[0]).toEqual({ phone_hash: hashDeterministic('+306912345678') });
+    expect(select).not.toHaveProperty('phone_ciphertext');
+    expect(select).not.toHaveProperty('email');
+  });
+
+  it('rejects a malformed filter', async () => {
+    const res = await request(app).get('/contacts').query({ shop: shop.domain, filter: '{nope' });
+    expect(res.status).toBe(422);
+  });
+
+  it('edits profile fields, recomputing age from birthdate', async () => {
+    prisma.contact.findFirst.mockResolvedValue({ id: 'c1' });
+    prisma.contact.update.mockResolvedValue({ ...contactRow, tagsJson: ['vip', 'new'] });
+
+    const res = await request(app)
+      .patch('/contacts/c1')
+      .query({ shop: shop.domain })
+      .send({ birthdate: '1990-05-01', gender: 'female', tags: [' vip ', 'new', 'vip'] });
+
+    expect(res.status).toBe(200);
+    const { data } = prisma.contact.update.mock.calls[0][0];
+    expect(data).toMatchObject({ gender: 'female', tagsJson: ['vip', 'new'] });
+    expect(data.birthdate).toEqual(new Date('1990-05-01'));
+    expect(data.ageYears).toBeGreaterThanOrEqual(34);
+    expect(prisma.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      action: 'contact.update',
+      entityId: 'c1',
+    });
+  });
+
+  it('validates profile edits', async () => {
+    const res = await request(app)
+      .patch('/contacts/c1')
+      .query({ shop: shop.domain })
+      .send({ gender: 'robot' });
+    expect(res.status).toBe(422);
+    expect(prisma.contact.update).not.toHaveBeenCalled();
+  });
+
+  it('changes consent through the audited consent service', async () => {
+    prisma.contact.findFirst.mockResolvedValue(contactRow);
+
+    const res = await request(app)
+      .post('/contacts/c1/consent')
+      .query({ shop: shop.domain })
+      .send({ state: 'opted_out' });
+
+    expect(res.status).toBe(200);
+    expect(updateLocalAndRemoteConsent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        shop,
+        contact: contactRow,
+        nextState: 'opted_out',
+        source: 'manual',
+        reqMeta: expect.objectContaining({ actor: 'user' }),
+      }),
+    );
+  });
+
+  it('pages the message timeline backwards', async () => {
+    prisma.contact.findFirst.mockResolvedValue({ id: 'c1' });
+    const messages = [3, 2, 1].map((d) => ({
+      id: `m${d}`,
+      createdAt: new Date(`2025-03-0${d}T00:00:00Z`),
+      status: 'delivered',
+      metadata: { campaignId: 'camp_1' },
+    }));
+    prisma.message.findMany.mockResolvedValue(messages);
+
+    const res = await request(app)
+      .get('/contacts/c1/messages')
+      .query({ shop: shop.domain, limit: 2 });
+
+    expect(res.body.messages.map((m) => m.id)).toEqual(['m3', 'm2']);
+    expect(res.body.messages[0].campaignId).toBe('camp_1');
+    expect(res.body.nextBefore).toBe('2025-03-02T00:00:00.000Z');
+  });
+
+  it('bulk-tags contacts matched by a segment filter', async () => {
+    prisma.contact.findMany
+      .mockResolvedValueOnce([
+        { id: 'c1', tagsJson: ['vip', 'old'] },
+        { id: 'c2', tagsJson: ['winback'] },
+      ])
+      .mockResolvedValueOnce([]);
+
+    const res = await request(app)
+      .post('/contacts/bulk/tags')
+      .query({ shop: shop.domain })
+      .send({ filter: { tag: 'vip' }, add: ['winback'], remove: ['old'] });
+
+    expect(res.body).toMatchObject({ ok: true, matched: 2, updated: 1 });
+    expect(prisma.contact.findMany.mock.calls[0][0].where).toEqual({
+      shopId: 'shop_1',
+      AND: [{ tagsJson: { array_contains: ['vip'] } }],
+    });
+    expect(prisma.contact.update).toHaveBeenCalledWith({
+      where: { id: 'c1' },
+      data: { tagsJson: ['vip', 'winback'] },
+    });
+  });
+
+  it('bulk opts out ids with one consent audit entry per batch', async () => {
+    prisma.contact.findMany
+      .mockResolvedValueOnce([
+        { id: 'c1', customerId: '7001' },
+        { id: 'c2', customerId: null },
+      ])
+      .mockResolvedValueOnce([]);
+    prisma.contact.updateMany.mockResolvedValue({ count: 2 });
+
+    const res = await request(app)
+      .post('/contacts/bulk/opt-out')
+      .query({ shop: shop.domain })
+      .send({ ids: ['c1', 'c2', 'c3'] });
+
+    expect(res.body).toMatchObject({ ok: true, optedOut: 2 });
+    expect(prisma.contact.updateMany.mock.calls[0][0]).toMatchObject({
+      where: { shopId: 'shop_1', id: { in: ['c1', 'c2'] } },
+      data: { smsConsentState: 'opted_out', optedOut: true, smsConsentSource: 'manual' },
+    });
+    expect(prisma.auditLog.create).toHaveBeenCalledTimes(1);
+    expect(prisma.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      action: 'consent.bulk_opt_out',
+      diffJson: { contactIds: ['c1', 'c2'] },
+    });
+    // Shopify customers are pushed as unsubscribed by a scheduler job
+    expect(scheduleJob).toHaveBeenCalledTimes(1);
+    expect(scheduleJob.mock.calls[0][0]).toMatchObject({
+      shopId: 'shop_1',
+      kind: 'consent:shopify_push',
+      payload: { contactIds: ['c1'] },
+    });
+  });
+
+  it('requires exactly one of ids or filter for bulk actions', async () => {
+    const res = await request(app)
+      .post('/contacts/bulk/opt-out')
+      .query({ shop: shop.domain })
+      .send({ ids: ['c1'], filter: { tag: 'vip' } });
+    expect(res.status).toBe(422);
+    expect(prisma.contact.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('deletes a contact and audits it without PII', async () => {
+    prisma.contact.findFirst.mockResolvedValueOnce(contactRow).mockResolvedValueOnce(null);
+
+    const res = await request(app).delete('/contacts/c1').query({ shop: shop.domain });
+    expect(res.body).toEqual({ ok: true, contactId: 'c1' });
+    expect(prisma.auditLog.create.mock.calls[0][0].data.diffJson).toEqual({
+      phoneLast4: '5678',
+      smsConsentState: 'opted_in',
+    });
+
+    const missing = await request(app).delete('/contacts/c1').query({ shop: shop.domain });
+    expect(missing.status).toBe(404);
+  });
+
+  it('keeps opted-out contacts so the opt-out is not lost', async () => {
+    prisma.contact.findFirst.mockResolvedValueOnce({
+      ...contactRow,
+      smsConsentState: 'opted_out',
+      optedOut: true,
+    });
+
+    const res = await request(app).delete('/contacts/c1').query({ shop: shop.domain });
+
+    expect(res.status).toBe(409);
+    expect(prisma.contact.delete).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+const prisma = vi.hoisted(() => ({
+  shop: { findUnique: vi.fn() },
+  contact: { findFirst: vi.fn() },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/queue/queues.js', () => ({
+  getRedisConnection: () => null,
+}));
+
+vi.mock('../../src/services/contacts.js', () => ({
+  upsertContactByPhone: vi.fn(async () => ({ id: 'c_new' })),
+}));
+
+vi.mock('../../src/services/double-opt-in.js', () => ({
+  requestOptInConfirmation: vi.fn(async () => ({
+    status: 'pending',
+    contactId: 'c_pending',
+    expiresAt: new Date('2025-06-02T10:00:00Z'),
+  })),
+}));
+
+vi.mock('../../src/services/back-in-stock.js', () => ({
+  upsertInterest: vi.fn(async () => 'bi_1'),
+  listContactInterests: vi.fn(),
+  cancelInterest: vi.fn(),
+}));
+
+vi.mock('../../src/services/shopify-products.js', () => ({
+  resolveByInventoryItem: vi.fn(async () => null),
+}));
+
+vi.mock('../../src/services/audit.js', () => ({
+  logAudit: vi.fn(),
+}));
+
+const { default: publicBackInStock } = await import('../../src/routes/public-back-in-stock.js');
+const { upsertContactByPhone } = await import('../../src/services/contacts.js');
+const { requestOptInConfirmation } = await import('../../src/services/double-opt-in.js');
+const { upsertInterest, listContactInterests, cancelInterest } = await import(
+  '../../src/services/back-in-stock.js'
+);
+const { logAudit } = await import('../../src/services/audit.js');
+
+const app = express();
+app.use(express.json());
+app.use((req, _res, next) => {
+  req.proxyShopDomain = 'test-shop.myshopify.com';
+  next();
+});
+app.use('/public/back-in-stock', publicBackInStock);
+
+const shop = { id: 'shop_1', domain: 'test-shop.myshopify.com' };
+
+function signup(body) {
+  return request(app)
+    .post('/public/back-in-stock/interest')
+    .send({ phone: '+30 691 234 5678', inventoryItemId: '7001', ...body });
+}
+
+describe('Public back-in-stock signup', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.shop.findUnique.mockResolvedValue(shop);
+    prisma.contact.findFirst.mockResolvedValue(null);
+  });
+
+  it('creates a consented contact from the checkbox and registers the interest', async () => {
+    const res = await signup({ consent: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, id: 'bi_1', consent: 'opted_in' });
+    expect(upsertContactByPhone).toHaveBeenCalledWith({
+      shopId: 'shop_1',
+      phoneE164: '+306912345678',
+      email: null,
+      state: 'SUBSCRIBED',
+      source: 'back_in_stock',
+    });
+    expect(logAudit.mock.calls[0][0]).toMatchObject({
+      action: 'consent.update',
+      entityId: 'c_new',
+    });
+    expect(upsertInterest).toHaveBeenCalledWith(
+      expect.objectContaining({ contact: { id: 'c_new' }, inventoryItemId: '7001' }),
+    );
+  });
+
+  it('asks for a reply YES on double opt-in and keeps the interest meanwhile', async () => {
+    const res = await signup({ consent: true, optInLevel: 'CONFIRMED_OPT_IN' });
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({
+      consent: 'pending',
+      confirmation: { status: 'pending', expiresAt: '2025-06-02T10:00:00.000Z' },
+    });
+    expect(requestOptInConfirmation).toHaveBeenCalledWith(
+      expect.objectContaining({ phoneE164: '+306912345678', source: 'back_in_stock' }),
+    );
+    expect(upsertContactByPhone).not.toHaveBeenCalled();
+    expect(upsertInterest.mock.calls[0][0].contact).toEqual({ id: 'c_pending' });
+  });
+
+  it('registers consented contacts without touching their consent', async () => {
+    prisma.contact.findFirst.mockResolvedValue({
+      id: 'c1',
+      smsConsentState: 'opted_in',
+      optedOut: false,
+    });
+
+    const res = await signup({});
+
+    expect(res.status).toBe(200);
+    expect(upsertContactByPhone).not.toHaveBeenCalled();
+    expect(upsertInterest.mock.calls[0][0].contact.id).toBe('c1');
+  });
+
+  it.each([
+    ['a new number without the checkbox', null, 422, 'consent_required'],
+    ['an opted-out number without the checkbox', { id: 'c1', optedOut: true }, 403, 'no_consent'],
+  ])('refuses %s', async (_label, existing, status, error) => {
+    prisma.contact.findFirst.mockResolvedValue(existing);
+
+    const res = await signup({});
+
+    expect(res.status).toBe(status);
+    expect(res.body.error).toBe(error);
+    expect(upsertInterest).not.toHaveBeenCalled();
+  });
+
+  it('rejects a signup without an inventory item', async () => {
+    const res = await request(app)
+      .post('/public/back-in-stock/interest')
+      .send({ phone: '+306912345678', consent: true });
+
+    expect(res.status).toBe(422);
+    expect(res.body.error).toBe('invalid_payload');
+  });
+});
+
+describe('Public back-in-stock interests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.shop.findUnique.mockResolvedValue(shop);
+    prisma.contact.findFirst.mockResolvedValue({ id: 'c1' });
+    listContactInterests.mockResolvedValue([{ id: 'bi_1', inventoryItemId: '7001' }]);
+    cancelInterest.mockResolvedValue({ id: 'bi_1', status: 'canceled' });
+  });
+
+  it("lists the logged-in customer's interests", async () => {
+    const res = await request(app)
+      .get('/public/back-in-stock/interests')
+      .query({ logged_in_customer_id: '42' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.interests).toEqual([{ id: 'bi_1', inventoryItemId: '7001' }]);
+    expect(prisma.contact.findFirst).toHaveBeenCalledWith({
+      where: { shopId: 'shop_1', customerId: '42' },
+    });
+    expect(listContactInterests).toHaveBeenCalledWith({ shopId: 'shop_1', contactId: 'c1' });
+  });
+
+  it('refuses visitors identified only by a phone number', async () => {
+    const list = await request(app)
+      .get('/public/back-in-stock/interests')
+      .query({ phone: '+306912345678' });
+    const cancel = await request(app)
+      .delete('/public/back-in-stock/interests/bi_1')
+      .query({ phone: '+306912345678' });
+
+    for (const res of [list, cancel]) {
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('login_required');
+    }
+    expect(prisma.contact.findFirst).not.toHaveBeenCalled();
+    expect(cancelInterest).not.toHaveBeenCalled();
+  });
+});
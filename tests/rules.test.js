@@ -1,7 +1,22 @@
 // tests/rules.test.js
 // Rules engine tests
 
-import { isQuietHours } from '../src/services/rules.js';
+const prisma = vi.hoisted(() => ({
+  message: { count: vi.fn(), findMany: vi.fn() },
+  sendDenial: { groupBy: vi.fn() },
+}));
+
+vi.mock('../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+import {
+  canSend,
+  isQuietHours,
+  quietHoursEnd,
+  TRANSACTIONAL_TRIGGERS,
+} from '../src/services/rules.js';
+import { getSendDenialReport } from '../src/services/reports.js';
 
 describe('Rules.isQuietHours', () => {
   test('overnight window 21→9 returns true within quiet range', () => {
@@ -17,3 +32,188 @@ describe('Rules.isQuietHours', () => {
     expect(isQuietHours(noon, { enabled: true, start: 21, end: 9 }, tz)).toBe(false);
   });
 });
+
+describe('Rules.quietHoursEnd', () => {
+  const overnight = { enabled: true, start: 22, end: 8 };
+
+  test('returns the local end of an overnight window', () => {
+    const lateEvening = new Date('2025-01-01T23:10:00+02:00');
+    expect(quietHoursEnd(lateEvening, overnight, 'Europe/Athens')).toEqual(
+      new Date('2025-01-02T08:00:00+02:00'),
+    );
+  });
+
+  test('honours half-hour offsets', () => {
+    const night = new Date('2025-01-01T03:00:00+05:30');
+    expect(quietHoursEnd(night, overnight, 'Asia/Kolkata')).toEqual(
+      new Date('2025-01-01T08:00:00+05:30'),
+    );
+  });
+
+  test('is null outside the window or when it never ends', () => {
+    const noon = new Date('2025-01-01T12:00:00+02:00');
+    expect(quietHoursEnd(noon, overnight, 'Europe/Athens')).toBeNull();
+    expect(quietHoursEnd(noon, { enabled: true, start: 5, end: 5 }, 'Europe/Athens')).toBeNull();
+  });
+});
+
+// Noon in Athens: outside every default quiet-hours window
+const now = new Date('2025-06-04T09:00:00Z');
+const contact = { id: 'c1', smsConsentState: 'opted_in', optedOut: false };
+
+function shopWith(marketingCap) {
+  return { id: 'shop_1', timezone: 'Europe/Athens', settingsJson: { marketingCap } };
+}
+
+/** Marketing messages counted by the shop-wide cap vs. per-trigger counts */
+function countMessages({ marketing = 0, perTrigger = 0 }) {
+  prisma.message.count.mockImplementation(async ({ where }) =>
+    where.kind ? marketing : perTrigger,
+  );
+}
+
+describe('Rules.canSend marketing cap', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.message.findMany.mockResolvedValue([]);
+  });
+
+  it('denies marketing once the contact reached the cap across triggers', async () => {
+    countMessages({ marketing: 3 });
+    const shop = shopWith({ max: 3, per: 'week' });
+
+    const gate = await canSend({ shop, contact, triggerKey: 'abandoned_checkout', now });
+
+    expect(gate).toEqual({ allowed: false, reason: 'marketing_capped' });
+    const { where } = prisma.message.count.mock.calls[0][0];
+    expect(where).toEqual({
+      shopId: 'shop_1',
+      contactId: 'c1',
+      kind: { in: ['automation', 'campaign'] },
+      triggerKey: { notIn: TRANSACTIONAL_TRIGGERS },
+      status: { not: 'failed' },
+      createdAt: { gt: new Date('2025-05-28T09:00:00Z') },
+    });
+  });
+
+  it('lets campaigns through under the cap', async () => {
+    countMessages({ marketing: 1 });
+
+    const gate = await canSend({
+      shop: shopWith({ max: 2, per: 'day' }),
+      contact,
+      triggerKey: 'campaign:camp_1',
+      dedupeKey: 'camp_1:c1',
+      now,
+    });
+
+    expect(gate).toEqual({ allowed: true });
+  });
+
+  it.each(['order_paid', 'fulfillment_update'])('exempts transactional %s', async (triggerKey) => {
+    countMessages({ marketing: 10 });
+
+    const gate = await canSend({ shop: shopWith({ max: 1 }), contact, triggerKey, now });
+
+    expect(gate).toEqual({ allowed: true });
+    expect(prisma.message.count.mock.calls.every(([args]) => !args.where.kind)).toBe(true);
+  });
+
+  it('is off when disabled or not configured', async () => {
+    countMessages({ marketing: 10 });
+
+    for (const cap of [undefined, { enabled: false, max: 1 }]) {
+      const gate = await canSend({ shop: shopWith(cap), contact, triggerKey: 'welcome', now });
+      expect(gate).toEqual({ allowed: true });
+    }
+  });
+
+  it('still checks consent first', async () => {
+    const gate = await canSend({
+      shop: shopWith({ max: 1 }),
+      contact: { ...contact, optedOut: true },
+      triggerKey: 'campaign:camp_1',
+      now,
+    });
+
+    expect(gate).toEqual({ allowed: false, reason: 'no_consent' });
+    expect(prisma.message.count).not.toHaveBeenCalled();
+  });
+
+  it('skips the count when the caller already checked the cap', async () => {
+    countMessages({ marketing: 10 });
+
+    const gate = await canSend({
+      shop: shopWith({ max: 1 }),
+      contact,
+      triggerKey: 'campaign:camp_1',
+      marketingCapChecked: true,
+      now,
+    });
+
+    expect(gate).toEqual({ allowed: true });
+    expect(prisma.message.count.mock.calls.every(([args]) => !args.where.kind)).toBe(true);
+  });
+});
+
+describe('Rules.canSend frequency cap', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.message.findMany.mockResolvedValue([]);
+  });
+
+  it('caps abandoned checkout reminders at two a day', async () => {
+    countMessages({ perTrigger: 2 });
+
+    const gate = await canSend({
+      shop: shopWith(undefined),
+      contact,
+      triggerKey: 'abandoned_checkout',
+      now,
+    });
+
+    expect(gate).toEqual({ allowed: false, reason: 'frequency_capped' });
+  });
+
+  it('lets the rest of a flow series through once its first step was counted', async () => {
+    countMessages({ perTrigger: 2 });
+
+    const gate = await canSend({
+      shop: shopWith(undefined),
+      contact,
+      triggerKey: 'abandoned_checkout',
+      dedupeKey: 'enr_1:6',
+      frequencyCapChecked: true,
+      now,
+    });
+
+    expect(gate).toEqual({ allowed: true });
+    expect(prisma.message.count).not.toHaveBeenCalled();
+  });
+});
+
+describe('Reports.getSendDenialReport', () => {
+  it('totals denials by reason and lists them per trigger', async () => {
+    prisma.sendDenial.groupBy.mockResolvedValue([
+      { reason: 'marketing_capped', triggerKey: 'campaign:camp_1', _count: { _all: 4 } },
+      { reason: 'quiet_hours', triggerKey: 'abandoned_checkout', _count: { _all: 2 } },
+      { reason: 'marketing_capped', triggerKey: 'abandoned_checkout', _count: { _all: 1 } },
+    ]);
+
+    const report = await getSendDenialReport({
+      shopId: 'shop_1',
+      from: new Date('2025-06-01'),
+      to: new Date('2025-06-08'),
+    });
+
+    expect(report).toEqual({
+      total: 7,
+      byReason: { marketing_capped: 5, quiet_hours: 2 },
+      byTrigger: [
+        { trigger: 'campaign:camp_1', reason: 'marketing_capped', count: 4 },
+        { trigger: 'abandoned_checkout', reason: 'quiet_hours', count: 2 },
+        { trigger: 'abandoned_checkout', reason: 'marketing_capped', count: 1 },
+      ],
+    });
+  });
+});
@@ -0,0 +1,337 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  shop: { findUnique: vi.fn() },
+  contact: { findUnique: vi.fn(), update: vi.fn() },
+  contactOrder: { count: vi.fn() },
+  automation: { findUnique: vi.fn(), findMany: vi.fn() },
+  automationEnrollment: {
+    create: vi.fn(),
+    findUnique: vi.fn(),
+    findMany: vi.fn(),
+    update: vi.fn(),
+    updateMany: vi.fn(),
+  },
+  job: { update: vi.fn() },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  renderGateQueueAndSend: vi.fn(async () => ({ sent: true, messageId: 'msg_1' })),
+  cancelDeferredMessages: vi.fn(async () => 0),
+}));
+
+vi.mock('../../src/services/scheduler.js', () => ({
+  scheduleJob: vi.fn(async () => 'job_2'),
+}));
+
+vi.mock('../../src/services/shortlinks.js', () => ({
+  createShortlink: vi.fn(async () => ({ slug: 'abc123', url: 'https://app.example/s/abc123' })),
+}));
+
+const { validateFlowSteps, enrollInFlow, executeFlowStepJob, exitFlowsOnOrder } = await import(
+  '../../src/services/automation-flows.js'
+);
+const { renderGateQueueAndSend, cancelDeferredMessages } = await import(
+  '../../src/services/messages.js'
+);
+const { scheduleJob } = await import('../../src/services/scheduler.js');
+const { createShortlink } = await import('../../src/services/shortlinks.js');
+
+const now = new Date('2025-06-01T10:00:00Z');
+const enrolledAt = new Date('2025-06-01T09:00:00Z');
+const shop = { id: 'shop_1', domain: 'test-shop.myshopify.com', name: 'Test Shop' };
+
+// The 3-message cart recovery series
+const recoverySeries = validateFlowSteps([
+  { type: 'send_sms', template: 'You left something behind: {{ checkout.recovery_url }}' },
+  { type: 'wait', hours: 24 },
+  { type: 'branch', condition: 'placed_order', then: 'exit' },
+  { type: 'send_sms', template: 'Still thinking it over? {{ checkout.recovery_url }}' },
+  { type: 'wait', hours: 48 },
+  { type: 'branch', condition: 'clicked_link', then: 7 },
+  { type: 'send_sms', template: 'Last chance: 10% off with SAVE10' },
+  { type: 'tag', tag: 'cart-recovery' },
+]);
+
+const flow = {
+  id: 'auto_1',
+  shopId: 'shop_1',
+  trigger: 'abandoned_checkout',
+  enabled: true,
+  steps: recoverySeries,
+};
+
+function enrollmentAt(stepIndex, extra = {}) {
+  return {
+    id: 'enr_1',
+    shopId: 'shop_1',
+    automationId: 'auto_1',
+    contactId: 'c1',
+    status: 'active',
+    stepIndex,
+    createdAt: enrolledAt,
+    context: { checkout: { id: 'chk_1', recovery_url: 'https://app.example/s/abc123' } },
+    ...extra,
+  };
+}
+
+function stepJob(stepIndex) {
+  return { id: 'job_1', shopId: 'shop_1', payload: { enrollmentId: 'enr_1', stepIndex } };
+}
+
+describe('Automation flows', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.shop.findUnique.mockResolvedValue(shop);
+    prisma.automation.findUnique.mockResolvedValue(flow);
+    prisma.contact.findUnique.mockResolvedValue({
+      id: 'c1',
+      phoneE164: '+306912345678',
+      tagsJson: ['vip'],
+      lastClickedAt: null,
+    });
+    prisma.contactOrder.count.mockResolvedValue(0);
+  });
+
+  describe('step validation', () => {
+    it('fills branch fallthroughs with the next step', () => {
+      expect(recoverySeries[2]).toEqual({
+        type: 'branch',
+        condition: 'placed_order',
+        then: 'exit',
+        else: 3,
+      });
+    });
+
+    it.each([
+      ['an empty flow', [], /at least one step/],
+      ['a send without a template', [{ type: 'send_sms' }], /Step 1: template/],
+      ['a zero wait', [{ type: 'wait', hours: 0 }], /Step 1: hours/],
+      [
+        'a branch pointing backwards',
+        [
+          { type: 'send_sms', template: 'hi' },
+          { type: 'branch', condition: 'clicked_link', then: 0 },
+        ],
+        /Step 2: branch targets must be a later step/,
+      ],
+      ['tag_present without a tag', [{ type: 'branch', condition: 'tag_present' }], /needs a tag/],
+    ])('rejects %s', (_label, steps, message) => {
+      expect(() => validateFlowSteps(steps)).toThrow(message);
+    });
+  });
+
+  it('enrolls once per checkout with a tracked recovery link and starts right away', async () => {
+    prisma.automationEnrollment.create.mockImplementation(async ({ data }) => ({
+      id: 'enr_1',
+      ...data,
+    }));
+
+    const enrollment = await enrollInFlow({
+      automation: flow,
+      contact: { id: 'c1' },
+      subjectKey: 'chk_1',
+      context: { checkout: { id: 'chk_1', recovery_url: 'https://shop.example/recover' } },
+      now,
+    });
+
+    expect(createShortlink).toHaveBeenCalledWith({
+      shopId: 'shop_1',
+      url: 'https://shop.example/recover',
+      contactId: 'c1',
+    });
+    expect(enrollment.context.checkout.recovery_url).toBe('https://app.example/s/abc123');
+    expect(scheduleJob).toHaveBeenCalledWith({
+      shopId: 'shop_1',
+      kind: 'automation:flow',
+      key: 'automation:flow:enr_1:0',
+      runAt: now,
+      payload: { enrollmentId: 'enr_1', stepIndex: 0 },
+    });
+
+    prisma.automationEnrollment.create.mockRejectedValue(
+      Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }),
+    );
+    expect(
+      await enrollInFlow({ automation: flow, contact: { id: 'c1' }, subjectKey: 'chk_1', now }),
+    ).toBeNull();
+  });
+
+  it('sends the first message, then parks the enrollment until the wait is over', async () => {
+    prisma.automationEnrollment.findUnique.mockResolvedValue(enrollmentAt(0));
+
+    const outcome = await executeFlowStepJob(stepJob(0), now);
+
+    expect(outcome).toEqual({ status: 'active', stepIndex: 2 });
+    expect(renderGateQueueAndSend).toHaveBeenCalledTimes(1);
+    expect(renderGateQueueAndSend).toHaveBeenCalledWith(
+      expect.objectContaining({
+        template: recoverySeries[0].template,
+        vars: expect.objectContaining({
+          shop_name: 'Test Shop',
+          checkout: { id: 'chk_1', recovery_url: 'https://app.example/s/abc123' },
+        }),
+        triggerKey: 'abandoned_checkout',
+        dedupeKey: 'enr_1:0',
+      }),
+    );
+    expect(prisma.automationEnrollment.update).toHaveBeenCalledWith({
+      where: { id: 'enr_1' },
+      data: { stepIndex: 2 },
+    });
+    expect(scheduleJob).toHaveBeenCalledWith(
+      expect.objectContaining({
+        key: 'automation:flow:enr_1:2',
+        runAt: new Date('2025-06-02T10:00:00Z'),
+      }),
+    );
+    expect(prisma.job.update.mock.calls[0][0].data).toEqual({ status: 'done', lastError: null });
+  });
+
+  it('exits after the wait when the contact has ordered since enrolling', async () => {
+    prisma.automationEnrollment.findUnique.mockResolvedValue(enrollmentAt(2));
+    prisma.contactOrder.count.mockResolvedValue(1);
+
+    const outcome = await executeFlowStepJob(stepJob(2), now);
+
+    expect(outcome).toEqual({ status: 'exited', exitReason: 'branch:placed_order' });
+    expect(prisma.contactOrder.count.mock.calls[0][0].where).toEqual({
+      contactId: 'c1',
+      placedAt: { gte: enrolledAt },
+    });
+    expect(renderGateQueueAndSend).not.toHaveBeenCalled();
+  });
+
+  it('skips the discount for contacts who clicked, tags them and completes', async () => {
+    prisma.automationEnrollment.findUnique.mockResolvedValue(enrollmentAt(5));
+    prisma.contact.findUnique.mockResolvedValue({
+      id: 'c1',
+      tagsJson: ['vip'],
+      lastClickedAt: new Date('2025-06-01T09:30:00Z'),
+    });
+
+    const outcome = await executeFlowStepJob(stepJob(5), now);
+
+    expect(outcome).toEqual({ status: 'completed', exitReason: null });
+    expect(renderGateQueueAndSend).not.toHaveBeenCalled();
+    expect(prisma.contact.update).toHaveBeenCalledWith({
+      where: { id: 'c1' },
+      data: { tagsJson: ['vip', 'cart-recovery'] },
+    });
+    expect(prisma.automationEnrollment.update).toHaveBeenCalledWith({
+      where: { id: 'enr_1' },
+      data: { status: 'completed', exitReason: null, completedAt: now },
+    });
+  });
+
+  it('checks the frequency cap on the first message only, so the series counts once', async () => {
+    prisma.automationEnrollment.findUnique.mockResolvedValue(enrollmentAt(0));
+    await executeFlowStepJob(stepJob(0), now);
+    expect(renderGateQueueAndSend.mock.calls[0][0].frequencyCapChecked).toBe(false);
+
+    // The third message, on the same day as two earlier abandoned_checkout sends
+    renderGateQueueAndSend.mockClear();
+    prisma.automationEnrollment.findUnique.mockResolvedValue(enrollmentAt(5));
+    const outcome = await executeFlowStepJob(stepJob(5), now);
+
+    expect(outcome).toEqual({ status: 'completed', exitReason: null });
+    expect(renderGateQueueAndSend).toHaveBeenCalledWith(
+      expect.objectContaining({
+        template: recoverySeries[6].template,
+        dedupeKey: 'enr_1:6',
+        frequencyCapChecked: true,
+      }),
+    );
+  });
+
+  it('does not start the series for a contact already at the cap', async () => {
+    prisma.automationEnrollment.findUnique.mockResolvedValue(enrollmentAt(0));
+    renderGateQueueAndSend.mockResolvedValueOnce({ sent: false, reason: 'frequency_capped' });
+
+    const outcome = await executeFlowStepJob(stepJob(0), now);
+
+    expect(outcome).toEqual({ status: 'exited', exitReason: 'frequency_capped' });
+    expect(scheduleJob).not.toHaveBeenCalled();
+  });
+
+  it('leaves the flow when the contact no longer has consent', async () => {
+    prisma.automationEnrollment.findUnique.mockResolvedValue(enrollmentAt(0));
+    renderGateQueueAndSend.mockResolvedValueOnce({ sent: false, reason: 'no_consent' });
+
+    const outcome = await executeFlowStepJob(stepJob(0), now);
+
+    expect(outcome).toEqual({ status: 'exited', exitReason: 'no_consent' });
+    expect(scheduleJob).not.toHaveBeenCalled();
+  });
+
+  it('cancels step jobs of enrollments that already ended', async () => {
+    prisma.automationEnrollment.findUnique.mockResolvedValue(
+      enrollmentAt(2, { status: 'exited', exitReason: 'order_placed' }),
+    );
+
+    await executeFlowStepJob(stepJob(2), now);
+
+    expect(renderGateQueueAndSend).not.toHaveBeenCalled();
+    expect(prisma.job.update.mock.calls[0][0].data).toEqual({
+      status: 'canceled',
+      lastError: 'enrollment_inactive',
+    });
+  });
+
+  it('ends active cart recovery enrollments when the contact places an order', async () => {
+    prisma.automationEnrollment.findMany.mockResolvedValue([
+      { id: 'enr_1', automation: { trigger: 'abandoned_checkout' } },
+    ]);
+    prisma.automationEnrollment.updateMany.mockResolvedValue({ count: 1 });
+
+    expect(await exitFlowsOnOrder({ shopId: 'shop_1', contactId: 'c1', now })).toBe(1);
+    expect(prisma.automationEnrollment.findMany.mock.calls[0][0].where).toEqual({
+      shopId: 'shop_1',
+      contactId: 'c1',
+      status: 'active',
+      automation: { trigger: { in: ['abandoned_checkout'] } },
+    });
+    expect(prisma.automationEnrollment.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['enr_1'] }, status: 'active' },
+      data: { status: 'exited', exitReason: 'order_placed', completedAt: now },
+    });
+  });
+
+  it('cancels a step that quiet hours deferred when an order arrives before it goes out', async () => {
+    prisma.automationEnrollment.findUnique.mockResolvedValue(enrollmentAt(0));
+    renderGateQueueAndSend.mockResolvedValueOnce({
+      sent: false,
+      deferred: true,
+      reason: 'quiet_hours',
+      deferUntil: new Date('2025-06-02T06:00:00Z'),
+      jobId: 'job_deferred',
+    });
+    await executeFlowStepJob(stepJob(0), now);
+
+    prisma.automationEnrollment.findMany.mockResolvedValue([
+      { id: 'enr_1', automation: { trigger: 'abandoned_checkout' } },
+    ]);
+    prisma.automationEnrollment.updateMany.mockResolvedValue({ count: 1 });
+    await exitFlowsOnOrder({ shopId: 'shop_1', contactId: 'c1', now });
+
+    // The deferred job key starts with the step's dedupeKey, 'enr_1:0'
+    expect(renderGateQueueAndSend.mock.calls[0][0].dedupeKey).toBe('enr_1:0');
+    expect(cancelDeferredMessages).toHaveBeenCalledWith({
+      shopId: 'shop_1',
+      triggerKey: 'abandoned_checkout',
+      dedupeKey: 'enr_1',
+    });
+  });
+
+  it('leaves deferred messages alone when no flow was active', async () => {
+    prisma.automationEnrollment.findMany.mockResolvedValue([]);
+
+    expect(await exitFlowsOnOrder({ shopId: 'shop_1', contactId: 'c1', now })).toBe(0);
+    expect(prisma.automationEnrollment.updateMany).not.toHaveBeenCalled();
+    expect(cancelDeferredMessages).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,253 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  shop: { findMany: vi.fn(), findUnique: vi.fn() },
+  contact: { findMany: vi.fn() },
+  contactOrder: { findMany: vi.fn() },
+  productVariantPrice: { findUnique: vi.fn(), upsert: vi.fn() },
+  backInStockInterest: { findMany: vi.fn(), updateMany: vi.fn() },
+  job: { findUnique: vi.fn(), update: vi.fn() },
+  $queryRaw: vi.fn(),
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  renderGateQueueAndSend: vi.fn(async () => ({ sent: true, messageId: 'msg_1' })),
+}));
+
+vi.mock('../../src/services/scheduler.js', () => ({
+  scheduleJob: vi.fn(async () => 'job_1'),
+}));
+
+const { scheduleDailySweeps, sweepShop, executeSweepJob } = await import(
+  '../../src/services/automation-sweep.js'
+);
+const { processProductPriceChanges } = await import('../../src/services/price-drop.js');
+const { renderGateQueueAndSend } = await import('../../src/services/messages.js');
+const { scheduleJob } = await import('../../src/services/scheduler.js');
+
+const now = new Date('2025-06-15T07:00:00Z'); // 10:00 in Athens
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function shopWith(automations = {}) {
+  return {
+    id: 'shop_1',
+    domain: 'test-shop.myshopify.com',
+    name: 'Test Shop',
+    timezone: 'Europe/Athens',
+    settingsJson: { automations },
+  };
+}
+
+const contact = {
+  id: 'c1',
+  phoneE164: '+306912345678',
+  firstName: 'Maria',
+  smsConsentState: 'opted_in',
+  optedOut: false,
+};
+
+describe('Automation sweep', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.contact.findMany.mockResolvedValue([]);
+    prisma.contactOrder.findMany.mockResolvedValue([]);
+    prisma.$queryRaw.mockResolvedValue([]);
+    prisma.job.findUnique.mockResolvedValue(null);
+    prisma.backInStockInterest.updateMany.mockResolvedValue({ count: 2 });
+  });
+
+  it("queues one sweep per shop at 10:00 in the shop's timezone", async () => {
+    prisma.shop.findMany.mockResolvedValue([
+      { id: 'shop_1', timezone: 'Europe/Athens' },
+      { id: 'shop_2', timezone: 'America/New_York' },
+    ]);
+
+    expect(await scheduleDailySweeps(now)).toBe(2);
+
+    expect(scheduleJob).toHaveBeenCalledWith({
+      shopId: 'shop_1',
+      kind: 'automation:sweep',
+      key: 'automation:sweep:shop_1:2025-06-15',
+      runAt: new Date('2025-06-15T07:00:00Z'),
+      payload: { day: '2025-06-15' },
+    });
+    expect(scheduleJob.mock.calls[1][0]).toMatchObject({
+      key: 'automation:sweep:shop_2:2025-06-15',
+      runAt: new Date('2025-06-15T14:00:00Z'),
+    });
+
+    prisma.job.findUnique.mockResolvedValue({ id: 'job_1' });
+    expect(await scheduleDailySweeps(now)).toBe(0);
+  });
+
+  it('runs nothing while the triggers are off', async () => {
+    expect(await sweepShop({ shop: shopWith(), now })).toEqual({});
+    expect(prisma.contact.findMany).not.toHaveBeenCalled();
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+
+  it('wins back contacts whose last order is past the configured days, once per lapse', async () => {
+    const lastConvertedAt = new Date(now.getTime() - 91 * DAY_MS);
+    prisma.contact.findMany.mockResolvedValue([{ ...contact, lastConvertedAt }]);
+
+    const result = await sweepShop({
+      shop: shopWith({ winBack: { enabled: true, days: 90 } }),
+      now,
+    });
+
+    expect(result).toEqual({ win_back: { sent: 1, skipped: 0 } });
+    const { where } = prisma.contact.findMany.mock.calls[0][0];
+    expect(where).toMatchObject({ shopId: 'shop_1', optedOut: false });
+    expect(where.lastConvertedAt).toEqual({
+      gte: new Date(now.getTime() - 97 * DAY_MS),
+      lt: new Date(now.getTime() - 90 * DAY_MS),
+    });
+    expect(renderGateQueueAndSend).toHaveBeenCalledWith(
+      expect.objectContaining({
+        templateKey: 'win_back',
+        template: null,
+        triggerKey: 'win_back',
+        vars: expect.objectContaining({
+          customer_name: 'Maria',
+          shop_url: 'https://test-shop.myshopify.com',
+          days_since_order: 91,
+          last_order_date: lastConvertedAt.toISOString().slice(0, 10),
+        }),
+        dedupeKey: `win_back:${lastConvertedAt.toISOString()}`,
+      }),
+    );
+  });
+
+  it('greets birthdays on the local date, Feb 29 on Feb 28 in common years', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ id: 'c1' }]);
+    prisma.contact.findMany.mockResolvedValue([contact]);
+    const feb28 = new Date('2025-02-28T08:00:00Z');
+
+    const result = await sweepShop({ shop: shopWith({ birthday: { enabled: true } }), now: feb28 });
+
+    expect(result).toEqual({ birthday: { sent: 1, skipped: 0 } });
+    const [, , month, day, alsoDay] = prisma.$queryRaw.mock.calls[0];
+    expect([month, day, alsoDay]).toEqual([2, 28, 29]);
+    expect(renderGateQueueAndSend.mock.calls[0][0]).toMatchObject({
+      triggerKey: 'birthday',
+      dedupeKey: 'birthday:2025',
+    });
+  });
+
+  it('asks for a review a week after delivery and expires stale back-in-stock interests', async () => {
+    prisma.shop.findUnique.mockResolvedValue(
+      shopWith({
+        postPurchaseReview: { enabled: true, reviewUrl: 'https://reviews.example/test-shop' },
+      }),
+    );
+    prisma.contactOrder.findMany.mockResolvedValue([
+      { id: 'o1', orderId: '1001', deliveredAt: new Date('2025-06-07T12:00:00Z'), contact },
+    ]);
+    renderGateQueueAndSend.mockResolvedValueOnce({
+      sent: false,
+      deferred: true,
+      reason: 'quiet_hours',
+    });
+
+    const job = { id: 'job_1', shopId: 'shop_1', payload: { day: '2025-06-15' } };
+    await executeSweepJob(job, now);
+
+    expect(prisma.contactOrder.findMany.mock.calls[0][0].where.deliveredAt).toEqual({
+      gte: new Date(now.getTime() - 14 * DAY_MS),
+      lt: new Date(now.getTime() - 7 * DAY_MS),
+    });
+    expect(renderGateQueueAndSend).toHaveBeenCalledWith(
+      expect.objectContaining({
+        vars: expect.objectContaining({
+          review_url: 'https://reviews.example/test-shop',
+          order_id: '1001',
+          delivered_at: '2025-06-07',
+        }),
+        dedupeKey: 'review:1001',
+      }),
+    );
+    expect(prisma.job.update).toHaveBeenCalledWith({
+      where: { id: 'job_1' },
+      data: {
+        status: 'done',
+        payload: {
+          day: '2025-06-15',
+          result: { post_purchase_review: { sent: 1, skipped: 0 }, expiredInterests: 2 },
+        },
+      },
+    });
+  });
+});
+
+describe('Price drop', () => {
+  const payload = {
+    id: 501,
+    title: 'Linen Shirt',
+    handle: 'linen-shirt',
+    variants: [{ id: 901, title: 'M', price: '40.00', inventory_item_id: 7001 }],
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.backInStockInterest.findMany.mockResolvedValue([
+      { id: 'bi_1', contact },
+      { id: 'bi_2', contact: { ...contact, id: 'c2', optedOut: true } },
+    ]);
+  });
+
+  it('texts waiting contacts when a price drops by the minimum percent', async () => {
+    prisma.productVariantPrice.findUnique.mockResolvedValue({ price: '50.00' });
+
+    const result = await processProductPriceChanges({
+      shop: shopWith({ priceDrop: { enabled: true } }),
+      payload,
+    });
+
+    expect(result).toEqual({ drops: 1, sent: 1 });
+    expect(prisma.productVariantPrice.upsert.mock.calls[0][0]).toMatchObject({
+      where: { shopId_variantId: { shopId: 'shop_1', variantId: '901' } },
+      update: { productId: '501', inventoryItemId: '7001', price: 40 },
+    });
+    expect(prisma.backInStockInterest.findMany.mock.calls[0][0].where).toEqual({
+      shopId: 'shop_1',
+      inventoryItemId: '7001',
+      status: 'active',
+    });
+    expect(renderGateQueueAndSend).toHaveBeenCalledTimes(1);
+    expect(renderGateQueueAndSend).toHaveBeenCalledWith(
+      expect.objectContaining({
+        templateKey: 'price_drop',
+        vars: expect.objectContaining({
+          product_name: 'Linen Shirt - M',
+          product_url: 'https://test-shop.myshopify.com/products/linen-shirt',
+          new_price: 40,
+          old_price: 50,
+          percent_off: 20,
+        }),
+        dedupeKey: '901:40',
+      }),
+    );
+  });
+
+  it.each([
+    ['the trigger is off', {}, { price: '50.00' }],
+    [
+      'the drop is below the minimum',
+      { priceDrop: { enabled: true, minPercent: 25 } },
+      { price: '50.00' },
+    ],
+    ['the variant was never seen', { priceDrop: { enabled: true } }, null],
+  ])('only records the price when %s', async (_label, automations, previous) => {
+    prisma.productVariantPrice.findUnique.mockResolvedValue(previous);
+
+    const result = await processProductPriceChanges({ shop: shopWith(automations), payload });
+
+    expect(result).toEqual({ drops: 0, sent: 0 });
+    expect(prisma.productVariantPrice.upsert).toHaveBeenCalledTimes(1);
+    expect(renderGateQueueAndSend).not.toHaveBeenCalled();
+  });
+});
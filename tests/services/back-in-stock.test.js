@@ -0,0 +1,238 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  contact: { findUnique: vi.fn() },
+  backInStockInterest: {
+    findFirst: vi.fn(),
+    findMany: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+    updateMany: vi.fn(),
+    groupBy: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  renderGateQueueAndSend: vi.fn(async () => ({ sent: true, messageId: 'msg_1' })),
+  cancelDeferredMessages: vi.fn(async () => 0),
+}));
+
+vi.mock('../../src/services/shopify-products.js', () => ({
+  resolveByInventoryItem: vi.fn(async () => null),
+}));
+
+const { upsertInterest, cancelInterest, expireInterests, notifyInterestsForInventory } =
+  await import('../../src/services/back-in-stock.js');
+const { getBackInStockDemandReport } = await import('../../src/services/reports.js');
+const { renderGateQueueAndSend, cancelDeferredMessages } = await import(
+  '../../src/services/messages.js'
+);
+
+const now = new Date('2025-06-01T10:00:00Z');
+const shop = { id: 'shop_1', domain: 'test-shop.myshopify.com', settingsJson: null };
+const productMeta = { variantId: 'gid://shopify/ProductVariant/9', productHandle: 'tee' };
+
+function interest(i) {
+  return { id: `bi_${i}`, contactId: `c${i}`, status: 'active' };
+}
+
+function restock(available) {
+  return notifyInterestsForInventory({
+    shop,
+    shopDomain: shop.domain,
+    inventoryItemNumericId: '7001',
+    available,
+    productMeta,
+    now,
+  });
+}
+
+describe('Back-in-stock lifecycle', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.backInStockInterest.findFirst.mockResolvedValue(null);
+    prisma.contact.findUnique.mockImplementation(async ({ where }) => ({
+      id: where.id,
+      phoneE164: '+306912345678',
+      smsConsentState: where.id === 'c2' ? 'opted_out' : 'opted_in',
+      optedOut: where.id === 'c2',
+    }));
+  });
+
+  it('releases a restock first-come-first-served, one contact per available unit', async () => {
+    prisma.backInStockInterest.findMany.mockResolvedValue([1, 2, 3, 4, 5].map(interest));
+
+    expect(await restock(3)).toBe(3);
+
+    expect(prisma.backInStockInterest.findMany.mock.calls[0][0]).toMatchObject({
+      where: {
+        shopId: 'shop_1',
+        inventoryItemId: '7001',
+        status: 'active',
+        OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+      },
+      orderBy: [{ subscribedAt: 'asc' }, { id: 'asc' }],
+    });
+    // c2 has no consent, so c4 takes its place
+    expect(renderGateQueueAndSend.mock.calls.map(([args]) => args.contact.id)).toEqual([
+      'c1',
+      'c3',
+      'c4',
+    ]);
+    expect(prisma.backInStockInterest.update).toHaveBeenCalledWith({
+      where: { id: 'bi_4' },
+      data: { status: 'notified', lastNotifiedAt: now },
+    });
+  });
+
+  it('holds further batches while the last one is recent', async () => {
+    prisma.backInStockInterest.findFirst.mockResolvedValue({
+      lastNotifiedAt: new Date(now.getTime() - 20 * 60 * 1000),
+    });
+
+    expect(await restock(2)).toBe(0);
+    expect(prisma.backInStockInterest.findMany).not.toHaveBeenCalled();
+
+    prisma.backInStockInterest.findFirst.mockResolvedValue({
+      lastNotifiedAt: new Date(now.getTime() - 61 * 60 * 1000),
+    });
+    prisma.backInStockInterest.findMany.mockResolvedValue([interest(6)]);
+    expect(await restock(2)).toBe(1);
+  });
+
+  it('sets an expiry on signup and sends a closed interest to the back of the queue', async () => {
+    prisma.backInStockInterest.create.mockResolvedValue({ id: 'bi_1' });
+
+    await upsertInterest({ shop, contact: { id: 'c1' }, inventoryItemId: 7001, productMeta, now });
+
+    expect(prisma.backInStockInterest.create.mock.calls[0][0].data).toMatchObject({
+      inventoryItemId: '7001',
+      subscribedAt: now,
+      expiresAt: new Date('2025-08-30T10:00:00Z'),
+      productHandle: 'tee',
+    });
+
+    prisma.backInStockInterest.findFirst.mockResolvedValue({ id: 'bi_1', status: 'notified' });
+    await upsertInterest({ shop, contact: { id: 'c1' }, inventoryItemId: '7001', now });
+
+    expect(prisma.backInStockInterest.update.mock.calls[0][0].data).toMatchObject({
+      status: 'active',
+      subscribedAt: now,
+      lastNotifiedAt: null,
+    });
+  });
+
+  it("cancels only the subscriber's own interests", async () => {
+    prisma.backInStockInterest.findFirst.mockResolvedValue({ id: 'bi_1', status: 'active' });
+    prisma.backInStockInterest.update.mockResolvedValue({ id: 'bi_1', status: 'canceled' });
+
+    await cancelInterest({ shopId: 'shop_1', contactId: 'c1', interestId: 'bi_1', now });
+    expect(prisma.backInStockInterest.findFirst.mock.calls[0][0].where).toEqual({
+      id: 'bi_1',
+      shopId: 'shop_1',
+      contactId: 'c1',
+    });
+    expect(prisma.backInStockInterest.update.mock.calls[0][0].data).toEqual({
+      status: 'canceled',
+      canceledAt: now,
+    });
+
+    prisma.backInStockInterest.findFirst.mockResolvedValue(null);
+    await expect(
+      cancelInterest({ shopId: 'shop_1', contactId: 'c9', interestId: 'bi_1', now }),
+    ).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('cancels a notification for the interest still waiting out quiet hours', async () => {
+    // Deferred notifications already mark the interest notified
+    prisma.backInStockInterest.findFirst.mockResolvedValue({
+      id: 'bi_1',
+      status: 'notified',
+      inventoryItemId: '7001',
+    });
+
+    await cancelInterest({ shopId: 'shop_1', contactId: 'c1', interestId: 'bi_1', now });
+
+    expect(cancelDeferredMessages).toHaveBeenCalledWith({
+      shopId: 'shop_1',
+      triggerKey: 'back_in_stock',
+      dedupeKey: '7001',
+      contactId: 'c1',
+    });
+    expect(prisma.backInStockInterest.update).not.toHaveBeenCalled();
+  });
+
+  it('expires interests past their TTL', async () => {
+    prisma.backInStockInterest.updateMany.mockResolvedValue({ count: 4 });
+
+    expect(await expireInterests({ shopId: 'shop_1', now })).toBe(4);
+    expect(prisma.backInStockInterest.updateMany).toHaveBeenCalledWith({
+      where: { shopId: 'shop_1', status: 'active', expiresAt: { lte: now } },
+      data: { status: 'expired' },
+    });
+  });
+
+  it('reports demand per product, most awaited first', async () => {
+    prisma.backInStockInterest.groupBy.mockResolvedValue([
+      {
+        inventoryItemId: '1',
+        variantId: null,
+        productHandle: 'cap',
+        status: 'active',
+        _count: { _all: 2 },
+      },
+      {
+        inventoryItemId: '2',
+        variantId: 'v2',
+        productHandle: 'tee',
+        status: 'active',
+        _count: { _all: 40 },
+      },
+      {
+        inventoryItemId: '2',
+        variantId: 'v2',
+        productHandle: 'tee',
+        status: 'notified',
+        _count: { _all: 3 },
+      },
+      {
+        inventoryItemId: '1',
+        variantId: 'v1',
+        productHandle: 'cap',
+        status: 'expired',
+        _count: { _all: 5 },
+      },
+    ]);
+
+    const report = await getBackInStockDemandReport({ shopId: 'shop_1', from: now, to: now });
+
+    expect(report.total).toBe(50);
+    expect(report.waiting).toBe(42);
+    expect(report.products).toEqual([
+      {
+        inventoryItemId: '2',
+        variantId: 'v2',
+        productHandle: 'tee',
+        total: 43,
+        active: 40,
+        notified: 3,
+        expired: 0,
+        canceled: 0,
+      },
+      {
+        inventoryItemId: '1',
+        variantId: 'v1',
+        productHandle: 'cap',
+        total: 7,
+        active: 2,
+        notified: 0,
+        expired: 5,
+        canceled: 0,
+      },
+    ]);
+  });
+});
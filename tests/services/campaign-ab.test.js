@@ -0,0 +1,346 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  campaign: {
+    findFirst: vi.fn(),
+    findUnique: vi.fn(),
+    update: vi.fn(),
+    updateMany: vi.fn(),
+  },
+  campaignRecipient: {
+    findMany: vi.fn(),
+    findFirst: vi.fn(),
+    count: vi.fn(),
+    update: vi.fn(),
+    updateMany: vi.fn(),
+  },
+  shortlink: {
+    findFirst: vi.fn(),
+    findMany: vi.fn(),
+    create: vi.fn(),
+  },
+  message: {
+    findMany: vi.fn(),
+  },
+  event: {
+    findMany: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/queue/queues.js', () => ({
+  enqueueJob: vi.fn(),
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  renderGateQueueAndSend: vi.fn(async () => ({ sent: true, messageId: 'msg_1' })),
+}));
+
+const { enqueueJob } = await import('../../src/queue/queues.js');
+const { renderGateQueueAndSend } = await import('../../src/services/messages.js');
+const {
+  normalizeAbTest,
+  splitTestSlice,
+  pickWinner,
+  assignCampaignVariants,
+  decideCampaignWinner,
+} = await import('../../src/services/campaign-ab.js');
+const { sendCampaignBatched } = await import('../../src/services/campaigns-sender.js');
+
+const shop = { id: 'shop_1', domain: 'test-shop.myshopify.com' };
+
+const abTest = normalizeAbTest({
+  variants: [
+    { bodyText: 'A: spring sale {{ link }}', percent: 50 },
+    { bodyText: 'B: 20% off today {{ link }}', percent: 50 },
+  ],
+  testPercent: 20,
+  windowMinutes: 60,
+});
+
+function campaignRow(overrides = {}) {
+  return {
+    id: 'camp_1',
+    shopId: shop.id,
+    name: 'Spring sale',
+    status: 'sending',
+    batchSize: 10,
+    bodyText: 'Hello',
+    abTestJson: abTest,
+    abPhase: 'testing',
+    createdAt: new Date('2025-03-01T00:00:00Z'),
+    ...overrides,
+  };
+}
+
+/** Two recipients per variant; B gets more clicks, A gets the order */
+function mockVariantActivity() {
+  prisma.campaignRecipient.findMany.mockResolvedValue([
+    { variant: 'A', messageId: 'm1' },
+    { variant: 'A', messageId: 'm2' },
+    { variant: 'B', messageId: 'm3' },
+    { variant: 'B', messageId: 'm4' },
+  ]);
+  prisma.message.findMany.mockResolvedValue([
+    { id: 'm1', status: 'delivered', deliveredAt: new Date() },
+    { id: 'm2', status: 'sent', deliveredAt: null },
+    { id: 'm3', status: 'delivered', deliveredAt: new Date() },
+    { id: 'm4', status: 'delivered', deliveredAt: new Date() },
+  ]);
+  prisma.shortlink.findMany.mockResolvedValue([
+    { variant: 'A', clicks: 1 },
+    { variant: 'B', clicks: 3 },
+  ]);
+  const order = {
+    id: 1001,
+    total_price: '80.00',
+    landing_site: '/?utm_campaign=camp_1&utm_content=variant_A',
+  };
+  // orders/create and orders/paid for the same order count once
+  prisma.event.findMany.mockResolvedValue([
+    { id: 'e1', payload: order },
+    { id: 'e2', payload: order },
+  ]);
+}
+
+describe('Campaign A/B testing', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.APP_URL = 'https://app.example.com';
+    prisma.campaign.updateMany.mockResolvedValue({ count: 1 });
+    prisma.campaignRecipient.updateMany.mockResolvedValue({ count: 0 });
+  });
+
+  describe('normalizeAbTest', () => {
+    it('keys variants A–E and fills defaults', () => {
+      const config = normalizeAbTest({
+        variants: [
+          { bodyText: 'one', percent: 34 },
+          { bodyText: 'two', percent: 33 },
+          { bodyText: 'three', percent: 33 },
+        ],
+      });
+      expect(config.variants.map((v) => v.key)).toEqual(['A', 'B', 'C']);
+      expect(config).toMatchObject({ testPercent: 20, windowMinutes: 240, metric: 'clicks' });
+      expect(normalizeAbTest(null)).toBeNull();
+    });
+
+    it('rejects bad definitions with 422', () => {
+      const body = (percent) => ({ bodyText: 'x', percent });
+      expect(() => normalizeAbTest({ variants: [body(100)] })).toThrow(/2 to 5/);
+      expect(() => normalizeAbTest({ variants: Array(6).fill(body(1)) })).toThrow(/2 to 5/);
+      expect(() => normalizeAbTest({ variants: [body(50), body(40)] })).toThrow(/add up to 100/);
+      expect(() => normalizeAbTest({ variants: [body(50), body(50)], metric: 'opens' })).toThrow(
+        /metric/,
+      );
+      let error;
+      try {
+        normalizeAbTest({ variants: [body(50), { percent: 50 }] });
+      } catch (err) {
+        error = err;
+      }
+      expect(error).toMatchObject({ status: 422, message: 'Variant B has no bodyText' });
+    });
+  });
+
+  describe('splitTestSlice', () => {
+    it('sends testPercent of the audience split by variant percentages', () => {
+      const ids = Array.from({ length: 100 }, (_, i) => `r${i}`);
+      const config = normalizeAbTest({
+        variants: [
+          { bodyText: 'one', percent: 70 },
+          { bodyText: 'two', percent: 30 },
+        ],
+        testPercent: 20,
+      });
+
+      const { groups, held } = splitTestSlice(ids, config);
+
+      expect(groups.A).toHaveLength(14);
+      expect(groups.B).toHaveLength(6);
+      expect(held).toHaveLength(80);
+      expect(new Set([...groups.A, ...groups.B, ...held]).size).toBe(100);
+    });
+
+    it('gives every variant at least one recipient when the audience allows', () => {
+      const config = normalizeAbTest({
+        variants: [
+          { bodyText: 'one', percent: 34 },
+          { bodyText: 'two', percent: 33 },
+          { bodyText: 'three', percent: 33 },
+        ],
+        testPercent: 10,
+      });
+      const { groups, held } = splitTestSlice(['a', 'b', 'c', 'd', 'e'], config);
+      expect(Object.values(groups).map((g) => g.length)).toEqual([1, 1, 1]);
+      expect(held).toHaveLength(2);
+    });
+  });
+
+  it('picks by click-through or by revenue per message', () => {
+    const variants = [
+      { variant: 'A', clickRate: 0.1, revenuePerSent: 5 },
+      { variant: 'B', clickRate: 0.3, revenuePerSent: 1 },
+    ];
+    expect(pickWinner(variants, 'clicks')).toBe('B');
+    expect(pickWinner(variants, 'revenue')).toBe('A');
+    expect(
+      pickWinner([
+        { variant: 'A', clickRate: 0 },
+        { variant: 'B', clickRate: 0 },
+      ]),
+    ).toBe('A');
+  });
+
+  it('assigns the test slice and holds the rest', async () => {
+    prisma.campaignRecipient.findMany.mockResolvedValue(
+      Array.from({ length: 10 }, (_, i) => ({ id: `r${i}` })),
+    );
+
+    const result = await assignCampaignVariants({ shopId: shop.id, campaign: campaignRow() });
+
+    expect(result).toEqual({ test: { A: 1, B: 1 }, held: 8 });
+    const calls = prisma.campaignRecipient.updateMany.mock.calls.map(([arg]) => arg);
+    expect(calls.find((c) => c.data.variant === 'A').where.id.in).toHaveLength(1);
+    expect(calls.find((c) => c.data.status === 'held').where.id.in).toHaveLength(8);
+    expect(prisma.campaign.update).toHaveBeenCalledWith({
+      where: { id: 'camp_1' },
+      data: { abPhase: 'testing', abWinner: null, abDecideAt: null },
+    });
+  });
+
+  describe('decideCampaignWinner', () => {
+    it('picks the best click-through variant and releases held recipients to it', async () => {
+      prisma.campaign.findFirst.mockResolvedValue(campaignRow());
+      prisma.campaignRecipient.updateMany.mockResolvedValue({ count: 8 });
+      mockVariantActivity();
+
+      const result = await decideCampaignWinner({ shopId: shop.id, campaignId: 'camp_1' });
+
+      expect(result).toMatchObject({ decided: true, winner: 'B', released: 8 });
+      expect(result.variants.find((v) => v.variant === 'A')).toMatchObject({
+        sent: 2,
+        delivered: 1,
+        clicks: 1,
+        orders: 1,
+        revenue: 80,
+      });
+      expect(prisma.campaign.updateMany).toHaveBeenCalledWith({
+        where: { id: 'camp_1', shopId: shop.id, abPhase: 'testing' },
+        data: { abPhase: 'decided', abWinner: 'B' },
+      });
+      expect(prisma.campaignRecipient.updateMany).toHaveBeenCalledWith({
+        where: { shopId: shop.id, campaignId: 'camp_1', status: 'held' },
+        data: { status: 'pending', variant: 'B' },
+      });
+      expect(enqueueJob).toHaveBeenCalledWith(
+        'campaigns',
+        'batch',
+        expect.objectContaining({ campaignId: 'camp_1' }),
+        { jobId: 'campaign-camp_1-ab-rollout' },
+      );
+    });
+
+    it('uses attributed revenue when the metric is revenue', async () => {
+      prisma.campaign.findFirst.mockResolvedValue(
+        campaignRow({ abTestJson: { ...abTest, metric: 'revenue' } }),
+      );
+      mockVariantActivity();
+
+      const result = await decideCampaignWinner({ shopId: shop.id, campaignId: 'camp_1' });
+
+      expect(result.winner).toBe('A');
+    });
+
+    it('does not release a paused campaign until it is resumed', async () => {
+      prisma.campaign.findFirst.mockResolvedValue(campaignRow({ status: 'paused' }));
+      prisma.campaignRecipient.updateMany.mockResolvedValue({ count: 8 });
+      mockVariantActivity();
+
+      const result = await decideCampaignWinner({
+        shopId: shop.id,
+        campaignId: 'camp_1',
+        variant: 'A',
+      });
+
+      expect(result.winner).toBe('A');
+      expect(enqueueJob).not.toHaveBeenCalled();
+    });
+
+    it('is a no-op once the test has been decided', async () => {
+      prisma.campaign.findFirst.mockResolvedValue(
+        campaignRow({ abPhase: 'decided', abWinner: 'B' }),
+      );
+
+      const result = await decideCampaignWinner({ shopId: shop.id, campaignId: 'camp_1' });
+
+      expect(result).toEqual({ ok: true, decided: false, winner: 'B', released: 0 });
+      expect(prisma.campaignRecipient.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown forced variants', async () => {
+      prisma.campaign.findFirst.mockResolvedValue(campaignRow());
+
+      await expect(
+        decideCampaignWinner({ shopId: shop.id, campaignId: 'camp_1', variant: 'Z' }),
+      ).rejects.toMatchObject({ status: 422 });
+    });
+  });
+
+  it('sends variant bodies with a tracked link, then waits for the winner', async () => {
+    prisma.campaignRecipient.updateMany.mockResolvedValue({ count: 1 });
+    const decideAt = new Date(Date.now() + 60 * 60 * 1000);
+    prisma.campaign.findUnique
+      .mockResolvedValueOnce({ status: 'sending' })
+      .mockResolvedValueOnce({ status: 'sending' })
+      .mockResolvedValueOnce({ abPhase: 'testing', abDecideAt: decideAt });
+    prisma.campaignRecipient.findMany
+      .mockResolvedValueOnce([
+        {
+          id: 'r1',
+          variant: 'A',
+          contact: { id: 'c1', phoneE164: '+306900000001', smsConsentState: 'opted_in' },
+        },
+        {
+          id: 'r2',
+          variant: 'B',
+          contact: { id: 'c2', phoneE164: '+306900000002', smsConsentState: 'opted_in' },
+        },
+      ])
+      .mockResolvedValueOnce([]);
+    prisma.campaignRecipient.findFirst.mockResolvedValue(null);
+    prisma.campaignRecipient.count.mockResolvedValue(8);
+    prisma.shortlink.findFirst.mockResolvedValue(null);
+    prisma.shortlink.create.mockImplementation(async ({ data }) => data);
+
+    const result = await sendCampaignBatched({ shop, campaign: campaignRow() });
+
+    expect(result).toEqual({ sent: 2, failed: 0, skipped: 0, stopped: null, decideAt });
+    const [first, second] = renderGateQueueAndSend.mock.calls.map(([arg]) => arg);
+    expect(first.template).toBe(abTest.variants[0].bodyText);
+    expect(second.template).toBe(abTest.variants[1].bodyText);
+    expect(first.vars.link).toMatch(/^https:\/\/app\.example\.com\/s\//);
+    expect(first.metadata.variant).toBe('A');
+
+    // Each recipient gets their own link
+    expect(prisma.shortlink.create).toHaveBeenCalledTimes(2);
+    const link = prisma.shortlink.create.mock.calls[0][0].data;
+    expect(link).toMatchObject({ campaignId: 'camp_1', variant: 'A', contactId: 'c1' });
+    expect(link.url).toContain('utm_content=variant_A');
+    expect(link.url).toContain('utm_campaign=camp_1');
+
+    expect(enqueueJob).toHaveBeenCalledWith(
+      'campaigns',
+      'ab-decide',
+      expect.objectContaining({ campaignId: 'camp_1' }),
+      expect.objectContaining({ jobId: 'campaign-camp_1-ab-decide' }),
+    );
+    // Held recipients remain: not completed yet
+    expect(prisma.campaign.updateMany).not.toHaveBeenCalledWith(
+      expect.objectContaining({ data: { status: 'completed' } }),
+    );
+  });
+});
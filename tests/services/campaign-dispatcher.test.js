@@ -0,0 +1,268 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  shop: { findUnique: vi.fn() },
+  campaign: { findMany: vi.fn(), updateMany: vi.fn() },
+  segment: { findFirst: vi.fn() },
+  contact: { findMany: vi.fn() },
+  campaignRecipient: {
+    updateMany: vi.fn(),
+    createMany: vi.fn(),
+    deleteMany: vi.fn(),
+    count: vi.fn(),
+  },
+}));
+
+vi.mock('@prisma/client', () => ({
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/queue/queues.js', () => ({
+  enqueueJob: vi.fn(),
+}));
+
+const { enqueueJob } = await import('../../src/queue/queues.js');
+const { dispatchDueCampaigns, recoverStalledCampaigns } = await import(
+  '../../src/services/campaign-dispatcher.js'
+);
+const { resolveCampaignSchedule } = await import('../../src/services/campaigns-service.js');
+
+const now = new Date('2025-06-01T09:00:00Z');
+
+function dueCampaign(overrides = {}) {
+  return {
+    id: 'camp_1',
+    shopId: 'shop_1',
+    segmentId: 'seg_1',
+    status: 'scheduled',
+    scheduleMode: 'fixed',
+    scheduleLocal: null,
+    scheduleAt: new Date('2025-06-01T08:59:00Z'),
+    batchSize: 100,
+    shop: { id: 'shop_1', timezone: 'Europe/Athens' },
+    ...overrides,
+  };
+}
+
+describe('Scheduled campaign dispatcher', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.segment.findFirst.mockResolvedValue({ id: 'seg_1', filterJson: { tag: 'vip' } });
+    prisma.campaignRecipient.updateMany.mockResolvedValue({ count: 0 });
+    prisma.campaignRecipient.createMany.mockResolvedValue({ count: 0 });
+  });
+
+  it('claims, snapshots and enqueues a due campaign', async () => {
+    prisma.campaign.findMany.mockResolvedValue([dueCampaign()]);
+    prisma.campaign.updateMany.mockResolvedValue({ count: 1 });
+    prisma.contact.findMany.mockResolvedValue([{ id: 'c1' }, { id: 'c2' }]);
+
+    const result = await dispatchDueCampaigns({ now });
+
+    expect(result).toEqual({ dispatched: 1, skipped: 0, failed: 0 });
+    expect(prisma.campaign.updateMany).toHaveBeenCalledWith({
+      where: { id: 'camp_1', status: 'scheduled', dispatchedAt: null, scheduleAt: { lte: now } },
+      data: { status: 'sending', dispatchedAt: now },
+    });
+    expect(prisma.contact.findMany.mock.calls[0][0].where).toMatchObject({
+      shopId: 'shop_1',
+      smsConsentState: 'opted_in',
+      optedOut: false,
+    });
+    expect(prisma.campaignRecipient.createMany).toHaveBeenCalledWith({
+      data: [
+        expect.objectContaining({ contactId: 'c1', status: 'pending' }),
+        expect.objectContaining({ contactId: 'c2', status: 'pending' }),
+      ],
+      skipDuplicates: true,
+    });
+    // Unsent rows of an earlier snapshot whose contact left the segment are dropped
+    expect(prisma.campaignRecipient.deleteMany).toHaveBeenCalledWith({
+      where: {
+        shopId: 'shop_1',
+        campaignId: 'camp_1',
+        status: { in: ['pending', 'held'] },
+        updatedAt: { lt: expect.any(Date) },
+      },
+    });
+    expect(enqueueJob).toHaveBeenCalledWith(
+      'campaigns',
+      'batch',
+      expect.objectContaining({ campaignId: 'camp_1', shopId: 'shop_1' }),
+      expect.objectContaining({ jobId: expect.stringContaining('camp_1') }),
+    );
+  });
+
+  it('skips campaigns another worker already claimed', async () => {
+    prisma.campaign.findMany.mockResolvedValue([dueCampaign()]);
+    prisma.campaign.updateMany.mockResolvedValue({ count: 0 });
+
+    const result = await dispatchDueCampaigns({ now });
+
+    expect(result).toEqual({ dispatched: 0, skipped: 1, failed: 0 });
+    expect(prisma.contact.findMany).not.toHaveBeenCalled();
+    expect(enqueueJob).not.toHaveBeenCalled();
+  });
+
+  it('releases the claim when the snapshot fails', async () => {
+    prisma.campaign.findMany.mockResolvedValue([dueCampaign()]);
+    prisma.campaign.updateMany.mockResolvedValue({ count: 1 });
+    prisma.segment.findFirst.mockResolvedValue(null);
+
+    const result = await dispatchDueCampaigns({ now });
+
+    expect(result.failed).toBe(1);
+    expect(prisma.campaign.updateMany).toHaveBeenLastCalledWith({
+      where: { id: 'camp_1', status: 'sending' },
+      data: { status: 'scheduled', dispatchedAt: null },
+    });
+  });
+
+  it("defers recipient-local sends to each contact's timezone", async () => {
+    prisma.campaign.findMany.mockResolvedValue([
+      dueCampaign({ scheduleMode: 'recipient_local', scheduleLocal: '2025-06-01T10:00' }),
+    ]);
+    prisma.campaign.updateMany.mockResolvedValue({ count: 1 });
+    prisma.contact.findMany.mockResolvedValue([
+      { id: 'athens', phoneE164: '+306912345678', timezone: null }, // 10:00 +03 = 07:00Z, passed
+      { id: 'ny', phoneE164: '+12125550123', timezone: null }, // 10:00 -04 = 14:00Z
+      { id: 'tokyo', phoneE164: '+306912345679', timezone: 'Asia/Tokyo' }, // passed
+    ]);
+
+    await dispatchDueCampaigns({ now });
+
+    const sendAfter = Object.fromEntries(
+      prisma.campaignRecipient.createMany.mock.calls[0][0].data.map((row) => [
+        row.contactId,
+        row.sendAfter,
+      ]),
+    );
+    expect(sendAfter.athens).toBeNull();
+    expect(sendAfter.tokyo).toBeNull();
+    expect(sendAfter.ny.toISOString()).toBe('2025-06-01T14:00:00.000Z');
+  });
+});
+
+describe('Stalled dispatch recovery', () => {
+  const stalled = () =>
+    dueCampaign({ status: 'sending', dispatchedAt: new Date('2025-06-01T08:30:00Z') });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.segment.findFirst.mockResolvedValue({ id: 'seg_1', filterJson: { tag: 'vip' } });
+    prisma.contact.findMany.mockResolvedValue([{ id: 'c1' }]);
+    prisma.campaign.findMany.mockResolvedValue([stalled()]);
+    prisma.campaign.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('re-snapshots and enqueues a campaign claimed without a batch job', async () => {
+    // Nothing sent, nothing snapshotted
+    prisma.campaignRecipient.count.mockResolvedValue(0);
+
+    const result = await recoverStalledCampaigns({ now });
+
+    expect(result).toEqual({ recovered: 1, failed: 0 });
+    expect(prisma.campaign.findMany.mock.calls[0][0].where).toEqual({
+      status: 'sending',
+      dispatchedAt: { lt: new Date('2025-06-01T08:50:00Z') },
+    });
+    expect(prisma.campaign.updateMany).toHaveBeenCalledWith({
+      where: {
+        id: 'camp_1',
+        status: 'sending',
+        dispatchedAt: new Date('2025-06-01T08:30:00Z'),
+      },
+      data: { dispatchedAt: now },
+    });
+    expect(prisma.campaignRecipient.createMany).toHaveBeenCalledTimes(1);
+    expect(enqueueJob).toHaveBeenCalledWith(
+      'campaigns',
+      'batch',
+      expect.objectContaining({ campaignId: 'camp_1' }),
+      { jobId: `campaign-camp_1-dispatch-${now.getTime()}` },
+    );
+  });
+
+  it('re-snapshots only recipients that no late batch job has claimed or sent', async () => {
+    prisma.campaignRecipient.count.mockResolvedValue(0);
+
+    await recoverStalledCampaigns({ now });
+
+    // Rows a batch job took after the stall check keep their status and A/B variant
+    expect(prisma.campaignRecipient.updateMany).toHaveBeenCalledWith({
+      where: {
+        campaignId: 'camp_1',
+        contactId: { in: ['c1'] },
+        status: { in: ['pending', 'held'] },
+      },
+      data: { status: 'pending', reason: null, sendAfter: null, variant: null },
+    });
+    expect(prisma.campaignRecipient.createMany.mock.calls[0][0].skipDuplicates).toBe(true);
+    expect(prisma.campaignRecipient.deleteMany.mock.calls[0][0].where.status).toEqual({
+      in: ['pending', 'held'],
+    });
+  });
+
+  it('leaves campaigns that have started sending alone', async () => {
+    prisma.campaignRecipient.count.mockResolvedValueOnce(12);
+
+    const result = await recoverStalledCampaigns({ now });
+
+    expect(result).toEqual({ recovered: 0, failed: 0 });
+    expect(prisma.campaign.updateMany).not.toHaveBeenCalled();
+    expect(enqueueJob).not.toHaveBeenCalled();
+  });
+
+  it('leaves recipient-local campaigns waiting for a later send time alone', async () => {
+    prisma.campaignRecipient.count
+      .mockResolvedValueOnce(0) // progressed
+      .mockResolvedValueOnce(40) // total
+      .mockResolvedValueOnce(0); // due
+
+    const result = await recoverStalledCampaigns({ now });
+
+    expect(result.recovered).toBe(0);
+    expect(enqueueJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('resolveCampaignSchedule', () => {
+  it('reads shop_local wall-clock time in Shop.timezone', async () => {
+    prisma.shop.findUnique.mockResolvedValue({ id: 'shop_1', timezone: 'Europe/Athens' });
+
+    const schedule = await resolveCampaignSchedule({
+      shopId: 'shop_1',
+      scheduleMode: 'shop_local',
+      scheduleLocal: '2025-12-01T10:00',
+    });
+
+    expect(schedule.scheduleAt.toISOString()).toBe('2025-12-01T08:00:00.000Z');
+  });
+
+  it('makes recipient_local campaigns due when UTC+14 reaches the local time', async () => {
+    const schedule = await resolveCampaignSchedule({
+      shopId: 'shop_1',
+      scheduleMode: 'recipient_local',
+      scheduleLocal: '2025-12-01T10:00',
+    });
+
+    expect(schedule.scheduleAt.toISOString()).toBe('2025-11-30T20:00:00.000Z');
+  });
+
+  it('rejects unknown modes and malformed local times with 422', async () => {
+    await expect(
+      resolveCampaignSchedule({ shopId: 'shop_1', scheduleMode: 'whenever' }),
+    ).rejects.toMatchObject({ status: 422 });
+    await expect(
+      resolveCampaignSchedule({
+        shopId: 'shop_1',
+        scheduleMode: 'recipient_local',
+        scheduleLocal: 'soon',
+      }),
+    ).rejects.toMatchObject({ status: 422 });
+  });
+});
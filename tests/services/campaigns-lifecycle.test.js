@@ -0,0 +1,349 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  campaign: {
+    findFirst: vi.fn(),
+    findUnique: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+    updateMany: vi.fn(),
+    deleteMany: vi.fn(),
+  },
+  campaignRecipient: {
+    findMany: vi.fn(),
+    findFirst: vi.fn(),
+    count: vi.fn(),
+    update: vi.fn(),
+    updateMany: vi.fn(),
+  },
+  segment: {
+    findFirst: vi.fn(),
+  },
+  message: { count: vi.fn() },
+  sendDenial: { create: vi.fn() },
+  shortlink: { create: vi.fn() },
+}));
+
+vi.mock('@prisma/client', () => ({
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/queue/queues.js', () => ({
+  enqueueJob: vi.fn(),
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  renderGateQueueAndSend: vi.fn(async () => ({ sent: true, messageId: 'msg_1' })),
+}));
+
+const { enqueueJob } = await import('../../src/queue/queues.js');
+const { renderGateQueueAndSend } = await import('../../src/services/messages.js');
+const {
+  canTransitionCampaign,
+  updateCampaign,
+  deleteCampaign,
+  cloneCampaign,
+  cancelCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  sendCampaign,
+} = await import('../../src/services/campaigns-service.js');
+const { sendCampaignBatched } = await import('../../src/services/campaigns-sender.js');
+
+const shop = { id: 'shop_1', domain: 'test-shop.myshopify.com' };
+
+function campaignRow(overrides = {}) {
+  return {
+    id: 'camp_1',
+    shopId: shop.id,
+    name: 'Spring sale',
+    status: 'draft',
+    batchSize: 2,
+    bodyText: 'Hello',
+    updatedAt: new Date('2025-03-01T12:00:00Z'),
+    ...overrides,
+  };
+}
+
+function recipient(i) {
+  return {
+    id: `rcpt_${i}`,
+    contact: { id: `contact_${i}`, phoneE164: `+3069000000${i}`, smsConsentState: 'opted_in' },
+  };
+}
+
+describe('Campaign lifecycle', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.campaign.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('canTransitionCampaign', () => {
+    it('follows draft → scheduled → sending → paused → completed/cancelled', () => {
+      expect(canTransitionCampaign('draft', 'scheduled')).toBe(true);
+      expect(canTransitionCampaign('scheduled', 'sending')).toBe(true);
+      expect(canTransitionCampaign('sending', 'paused')).toBe(true);
+      expect(canTransitionCampaign('paused', 'sending')).toBe(true);
+      expect(canTransitionCampaign('sending', 'completed')).toBe(true);
+      expect(canTransitionCampaign('paused', 'cancelled')).toBe(true);
+    });
+
+    it('rejects moves out of terminal states and skipping ahead', () => {
+      expect(canTransitionCampaign('completed', 'sending')).toBe(false);
+      expect(canTransitionCampaign('cancelled', 'draft')).toBe(false);
+      expect(canTransitionCampaign('draft', 'paused')).toBe(false);
+      expect(canTransitionCampaign('draft', 'completed')).toBe(false);
+    });
+  });
+
+  it('updates only editable fields of a draft', async () => {
+    prisma.campaign.findFirst.mockResolvedValue(campaignRow());
+    prisma.campaign.update.mockImplementation(async ({ data }) => ({ ...campaignRow(), ...data }));
+
+    await updateCampaign({
+      shopId: shop.id,
+      campaignId: 'camp_1',
+      updates: { name: 'Renamed', status: 'completed', shopId: 'other' },
+    });
+
+    const { data } = prisma.campaign.update.mock.calls[0][0];
+    expect(data.name).toBe('Renamed');
+    expect(data).not.toHaveProperty('status');
+    expect(data).not.toHaveProperty('shopId');
+  });
+
+  it('refuses to update a sending campaign with 409', async () => {
+    prisma.campaign.findFirst.mockResolvedValue(campaignRow({ status: 'sending' }));
+
+    await expect(
+      updateCampaign({ shopId: shop.id, campaignId: 'camp_1', updates: { name: 'x' } }),
+    ).rejects.toMatchObject({ status: 409 });
+    expect(prisma.campaign.update).not.toHaveBeenCalled();
+  });
+
+  it('returns 404 for a campaign of another shop', async () => {
+    prisma.campaign.findFirst.mockResolvedValue(null);
+
+    await expect(deleteCampaign({ shopId: shop.id, campaignId: 'nope' })).rejects.toMatchObject({
+      status: 404,
+    });
+  });
+
+  it('deletes drafts only', async () => {
+    prisma.campaign.findFirst.mockResolvedValue(campaignRow({ status: 'scheduled' }));
+    await expect(deleteCampaign({ shopId: shop.id, campaignId: 'camp_1' })).rejects.toMatchObject({
+      status: 409,
+    });
+
+    prisma.campaign.findFirst.mockResolvedValue(campaignRow());
+    prisma.campaign.deleteMany.mockResolvedValue({ count: 1 });
+    await expect(deleteCampaign({ shopId: shop.id, campaignId: 'camp_1' })).resolves.toEqual({
+      ok: true,
+      campaignId: 'camp_1',
+    });
+    expect(prisma.campaign.deleteMany).toHaveBeenCalledWith({
+      where: { id: 'camp_1', shopId: shop.id, status: 'draft' },
+    });
+  });
+
+  it('clones into an unscheduled draft', async () => {
+    prisma.campaign.findFirst.mockResolvedValue(
+      campaignRow({ status: 'completed', scheduleAt: new Date(), segmentId: 'seg_1' }),
+    );
+    prisma.campaign.create.mockImplementation(async ({ data }) => ({ id: 'camp_2', ...data }));
+
+    const { campaign } = await cloneCampaign({ shopId: shop.id, campaignId: 'camp_1' });
+
+    expect(campaign).toMatchObject({
+      id: 'camp_2',
+      name: 'Spring sale (copy)',
+      status: 'draft',
+      scheduleAt: null,
+      segmentId: 'seg_1',
+    });
+  });
+
+  it('cancel skips pending recipients', async () => {
+    prisma.campaign.findFirst.mockResolvedValue(campaignRow({ status: 'paused' }));
+    prisma.campaignRecipient.updateMany.mockResolvedValue({ count: 7 });
+
+    const result = await cancelCampaign({ shopId: shop.id, campaignId: 'camp_1' });
+
+    expect(result.skipped).toBe(7);
+    expect(prisma.campaign.updateMany).toHaveBeenCalledWith({
+      where: { id: 'camp_1', shopId: shop.id, status: 'paused' },
+      data: { status: 'cancelled' },
+    });
+    expect(prisma.campaignRecipient.updateMany).toHaveBeenCalledWith({
+      where: { shopId: shop.id, campaignId: 'camp_1', status: { in: ['pending', 'held'] } },
+      data: { status: 'skipped', reason: 'campaign_cancelled' },
+    });
+  });
+
+  it('loses a concurrent transition race with 409', async () => {
+    prisma.campaign.findFirst.mockResolvedValue(campaignRow({ status: 'sending' }));
+    prisma.campaign.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(pauseCampaign({ shopId: shop.id, campaignId: 'camp_1' })).rejects.toMatchObject({
+      status: 409,
+    });
+  });
+
+  it('resume only applies to paused campaigns and re-enqueues the batch job', async () => {
+    prisma.campaign.findFirst.mockResolvedValue(campaignRow({ status: 'scheduled' }));
+    await expect(resumeCampaign({ shopId: shop.id, campaignId: 'camp_1' })).rejects.toMatchObject({
+      status: 409,
+    });
+    expect(prisma.campaign.updateMany).not.toHaveBeenCalled();
+
+    prisma.campaign.findFirst.mockResolvedValue(campaignRow({ status: 'paused' }));
+    prisma.campaignRecipient.count.mockResolvedValue(3);
+    const result = await resumeCampaign({ shopId: shop.id, campaignId: 'camp_1' });
+
+    expect(result.pending).toBe(3);
+    expect(enqueueJob).toHaveBeenCalledWith(
+      'campaigns',
+      'batch',
+      expect.objectContaining({ campaignId: 'camp_1', shopId: shop.id }),
+      { jobId: `campaign-camp_1-resume-${Date.parse('2025-03-01T12:00:00Z')}` },
+    );
+  });
+
+  it('send-now is refused once a campaign has completed', async () => {
+    prisma.campaign.findFirst.mockResolvedValue(campaignRow({ status: 'completed' }));
+
+    await expect(sendCampaign({ shopId: shop.id, campaignId: 'camp_1' })).rejects.toMatchObject({
+      status: 409,
+    });
+    expect(enqueueJob).not.toHaveBeenCalled();
+  });
+
+  describe('sendCampaignBatched', () => {
+    beforeEach(() => {
+      prisma.campaignRecipient.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('stops between batches when paused and leaves the rest pending', async () => {
+      prisma.campaign.findUnique
+        .mockResolvedValueOnce({ status: 'sending' })
+        .mockResolvedValueOnce({ status: 'paused' });
+      prisma.campaignRecipient.findMany.mockResolvedValueOnce([recipient(1), recipient(2)]);
+
+      const result = await sendCampaignBatched({
+        shop,
+        campaign: campaignRow({ status: 'sending' }),
+      });
+
+      expect(result).toEqual({ sent: 2, failed: 0, skipped: 0, stopped: 'paused' });
+      expect(prisma.campaignRecipient.findMany).toHaveBeenCalledTimes(1);
+      expect(prisma.campaign.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('skips recipients over the shop-wide marketing cap before rendering', async () => {
+      prisma.campaign.findUnique
+        .mockResolvedValueOnce({ status: 'sending' })
+        .mockResolvedValueOnce({ status: 'paused' });
+      prisma.campaignRecipient.findMany.mockResolvedValueOnce([recipient(1), recipient(2)]);
+      // contact_1 already got 2 marketing messages this week
+      prisma.message.count.mockImplementation(async ({ where }) =>
+        where.contactId === 'contact_1' ? 2 : 0,
+      );
+      const cappedShop = { ...shop, settingsJson: { marketingCap: { max: 2, per: 'week' } } };
+
+      const result = await sendCampaignBatched({
+        shop: cappedShop,
+        campaign: campaignRow({ status: 'sending' }),
+      });
+
+      expect(result).toMatchObject({ sent: 1, skipped: 1 });
+      expect(prisma.campaignRecipient.update).toHaveBeenCalledWith({
+        where: { id: 'rcpt_1' },
+        data: { status: 'skipped', reason: 'marketing_capped' },
+      });
+      expect(prisma.sendDenial.create).toHaveBeenCalledWith({
+        data: {
+          shopId: 'shop_1',
+          contactId: 'contact_1',
+          triggerKey: 'campaign:camp_1',
+          kind: 'campaign',
+          reason: 'marketing_capped',
+        },
+      });
+      expect(renderGateQueueAndSend).toHaveBeenCalledTimes(1);
+      expect(renderGateQueueAndSend.mock.calls[0][0]).toMatchObject({
+        contact: { id: 'contact_2' },
+        // The gate does not count the cap a second time
+        marketingCapChecked: true,
+      });
+    });
+
+    it('only sends to recipients it claims, so an overlapping run cannot double-send', async () => {
+      prisma.campaign.findUnique
+        .mockResolvedValueOnce({ status: 'sending' })
+        .mockResolvedValueOnce({ status: 'paused' });
+      prisma.campaignRecipient.findMany.mockResolvedValueOnce([recipient(1), recipient(2)]);
+      // rcpt_1 was already claimed by the run that was paused mid-batch
+      prisma.campaignRecipient.updateMany.mockImplementation(async ({ where }) => ({
+        count: where.id === 'rcpt_1' ? 0 : 1,
+      }));
+
+      const result = await sendCampaignBatched({
+        shop,
+        campaign: campaignRow({ status: 'sending' }),
+      });
+
+      expect(result).toMatchObject({ sent: 1, skipped: 0 });
+      expect(prisma.campaignRecipient.updateMany).toHaveBeenCalledWith({
+        where: { id: 'rcpt_2', status: 'pending' },
+        data: { status: 'sending' },
+      });
+      expect(renderGateQueueAndSend).toHaveBeenCalledTimes(1);
+      expect(renderGateQueueAndSend.mock.calls[0][0].contact.id).toBe('contact_2');
+    });
+
+    it("renders {{ link }} as the recipient's own tracked link", async () => {
+      process.env.APP_URL = 'https://app.example.com';
+      prisma.campaign.findUnique
+        .mockResolvedValueOnce({ status: 'sending' })
+        .mockResolvedValueOnce({ status: 'paused' });
+      prisma.campaignRecipient.findMany.mockResolvedValueOnce([recipient(1)]);
+      prisma.shortlink.create.mockImplementation(async ({ data }) => data);
+
+      await sendCampaignBatched({
+        shop,
+        campaign: campaignRow({ status: 'sending', bodyText: 'New arrivals: {{ link }}' }),
+      });
+
+      const link = prisma.shortlink.create.mock.calls[0][0].data;
+      expect(link).toMatchObject({
+        shopId: 'shop_1',
+        campaignId: 'camp_1',
+        contactId: 'contact_1',
+      });
+      expect(link.url).toContain('utm_campaign=camp_1');
+      expect(renderGateQueueAndSend.mock.calls[0][0].vars.link).toBe(
+        `https://app.example.com/s/${link.slug}`,
+      );
+    });
+
+    it('completes a still-sending campaign when no pending recipients remain', async () => {
+      prisma.campaign.findUnique.mockResolvedValue({ status: 'sending' });
+      prisma.campaignRecipient.findMany.mockResolvedValueOnce([]);
+
+      const result = await sendCampaignBatched({
+        shop,
+        campaign: campaignRow({ status: 'sending' }),
+      });
+
+      expect(result.stopped).toBeNull();
+      expect(prisma.campaign.updateMany).toHaveBeenCalledWith({
+        where: { id: 'camp_1', shopId: shop.id, status: 'sending' },
+        data: { status: 'completed' },
+      });
+    });
+  });
+});
@@ -0,0 +1,253 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => {
+  process.env.ENCRYPTION_KEY = Buffer.alloc(32, 9).toString('base64');
+  process.env.HASH_PEPPER = 'contacts-csv-test-pepper';
+  const client = {
+    contact: { findMany: vi.fn(), create: vi.fn(), update: vi.fn() },
+    auditLog: { create: vi.fn() },
+    job: { findFirst: vi.fn(), update: vi.fn() },
+    segment: { findFirst: vi.fn() },
+  };
+  client.$transaction = vi.fn(async (fn) => fn(client));
+  return client;
+});
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/scheduler.js', () => ({
+  scheduleJob: vi.fn(async () => 'job_1'),
+}));
+
+const { parseCsv, toCsvLine } = await import('../../src/lib/csv.js');
+const { startContactImport, runContactImport, executeContactImportJob, exportSegmentCsv } =
+  await import('../../src/services/contacts-csv.js');
+const { scheduleJob } = await import('../../src/services/scheduler.js');
+const { segmentContactWhere } = await import('../../src/services/segments.js');
+const { encryptPII, hashDeterministic } = await import('../../src/lib/encryption.js');
+
+const shopId = 'shop_1';
+const now = new Date('2025-06-01T00:00:00Z');
+
+async function collect(lines) {
+  const out = [];
+  for await (const line of lines) out.push(line);
+  return out;
+}
+
+describe('CSV helpers', () => {
+  it('parses quoted fields, doubled quotes, CRLF, a BOM and ; delimiters', () => {
+    const text =
+      '\uFEFFphone;name;note\r\n+306900000001;"Papadopoulos; Maria";"said ""hi""\nthen left"\r\n\r\n';
+    expect(parseCsv(text)).toEqual([
+      ['phone', 'name', 'note'],
+      ['+306900000001', 'Papadopoulos; Maria', 'said "hi"\nthen left'],
+    ]);
+    expect(() => parseCsv('phone\n"+30')).toThrow(/Unterminated/);
+  });
+
+  it('escapes cells and neutralizes spreadsheet formulas but not phone numbers', () => {
+    expect(toCsvLine(['+306900000001', '=HYPERLINK("x")', 'a,b', null, now])).toBe(
+      `+306900000001,"'=HYPERLINK(""x"")","a,b",,2025-06-01T00:00:00.000Z\r\n`,
+    );
+  });
+});
+
+describe('Contact CSV import', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.contact.findMany.mockResolvedValue([]);
+    prisma.contact.create.mockImplementation(async ({ data }) => ({
+      id: `new_${data.phone_last4}`,
+    }));
+  });
+
+  it('normalizes, dedupes and encrypts rows and reports per-row errors', async () => {
+    const existingPhone = '+306900000002';
+    prisma.contact.findMany.mockResolvedValue([
+      {
+        id: 'c_existing',
+        phone_hash: hashDeterministic(existingPhone),
+        tagsJson: ['vip'],
+        smsConsentState: 'opted_out',
+        smsConsentAt: new Date('2025-05-01T00:00:00Z'),
+        unsubscribedAt: new Date('2025-05-01T00:00:00Z'),
+      },
+    ]);
+
+    const csv = [
+      'Phone Number,First Name,Email,Tags,SMS Consent,Consent At',
+      '6900000001,Maria,Maria@Example.com,vip;summer,yes,2025-01-10T09:00:00Z',
+      '+30 690 000 0001,Duplicate,,,,',
+      '123,Bad,,,,',
+      '+306900000003,,not-an-email,,,',
+      '+306900000004,Nikos,,,maybe,',
+      '+306900000005,Eleni,,,yes,',
+      `${existingPhone},,,summer,yes,2025-04-01T00:00:00Z`,
+      '+306900000006,,,,no,',
+    ].join('\n');
+
+    const result = await runContactImport({ shopId, importId: 'job_1', csv, now });
+
+    expect(result).toMatchObject({ rows: 8, created: 3, updated: 1, failed: 4 });
+    expect(result.errors).toEqual([
+      { row: 3, field: 'phone', code: 'duplicate_in_file' },
+      { row: 4, field: 'phone', code: 'invalid_phone' },
+      { row: 5, field: 'email', code: 'invalid_email' },
+      { row: 6, field: 'consent', code: 'invalid_consent' },
+      { row: 7, field: 'consent', code: 'missing_consent_at' },
+      { row: 8, field: 'consent', code: 'stale_consent' },
+    ]);
+
+    const created = prisma.contact.create.mock.calls.map(([args]) => args.data);
+    expect(created[0]).toMatchObject({
+      shopId,
+      phoneE164: '+306900000001',
+      phone_hash: hashDeterministic('+306900000001'),
+      phone_last4: '0001',
+      email_hash: hashDeterministic('maria@example.com'),
+      email_domain: 'example.com',
+      firstName: 'Maria',
+      tagsJson: ['vip', 'summer'],
+      smsConsentState: 'opted_in',
+      smsConsentSource: 'import',
+      smsConsentAt: new Date('2025-01-10T09:00:00Z'),
+    });
+    expect(created[0].phone_ciphertext).not.toContain('6900000001');
+    expect(created[0].email_ciphertext).not.toContain('example');
+    // Opt-in without a timestamp is imported without consent
+    expect(created[1]).not.toHaveProperty('smsConsentState');
+    expect(created[2]).toMatchObject({
+      smsConsentState: 'opted_out',
+      optedOut: true,
+      smsConsentSource: 'import',
+    });
+
+    // The older opt-in does not override the contact's later opt-out; tags still merge
+    expect(prisma.contact.update).toHaveBeenCalledTimes(1);
+    const { where, data } = prisma.contact.update.mock.calls[0][0];
+    expect(where).toEqual({ id: 'c_existing' });
+    expect(data).not.toHaveProperty('smsConsentState');
+    expect(data.tagsJson).toEqual(['vip', 'summer']);
+  });
+
+  it('writes one audit entry per batch with consent evidence and no PII', async () => {
+    const rows = Array.from(
+      { length: 600 },
+      (_, i) => `+3069${String(10000000 + i)},yes,2025-01-01`,
+    );
+    const csv = ['phone,consent,consent_at', ...rows].join('\n');
+
+    const result = await runContactImport({ shopId, importId: 'job_1', csv, now });
+
+    expect(result).toMatchObject({ rows: 600, created: 600, failed: 0, errors: [] });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(2);
+    // 500 sequential writes need longer than Prisma's 5s interactive transaction default
+    expect(prisma.$transaction.mock.calls[0][1]).toMatchObject({ timeout: 60000 });
+    expect(prisma.auditLog.create).toHaveBeenCalledTimes(2);
+    const [first, second] = prisma.auditLog.create.mock.calls.map(([args]) => args.data);
+    expect(first).toMatchObject({
+      shopId,
+      action: 'contacts.import.batch',
+      entityId: 'job_1',
+      diffJson: { rows: [2, 501], created: 500, updated: 0 },
+    });
+    expect(second.diffJson.rows).toEqual([502, 601]);
+    expect(first.diffJson.consent[0]).toEqual({
+      contactId: expect.any(String),
+      row: 2,
+      state: 'opted_in',
+      at: new Date('2025-01-01'),
+    });
+    expect(JSON.stringify(first.diffJson)).not.toContain('+3069');
+  });
+
+  it('queues valid uploads on the scheduler and rejects files without a phone column', async () => {
+    await expect(startContactImport({ shopId, csv: 'name\nMaria' })).rejects.toMatchObject({
+      status: 422,
+    });
+    expect(scheduleJob).not.toHaveBeenCalled();
+
+    const queued = await startContactImport({ shopId, csv: 'mobile\n6900000001\n6900000002' });
+    expect(queued).toEqual({ importId: 'job_1', status: 'pending', rows: 2 });
+    expect(scheduleJob.mock.calls[0][0]).toMatchObject({
+      shopId,
+      kind: 'contacts:import',
+      key: expect.stringMatching(/^contacts:import:shop_1:/),
+      payload: { defaultRegion: 'GR', rows: 2 },
+    });
+  });
+
+  it('replaces the uploaded CSV with the report when the job finishes', async () => {
+    await executeContactImportJob({
+      id: 'job_1',
+      shopId,
+      payload: { csv: 'phone\n+306900000001', defaultRegion: 'GR', actor: 'user', rows: 1 },
+    });
+
+    const { data } = prisma.job.update.mock.calls[0][0];
+    expect(data.status).toBe('done');
+    expect(data.payload).not.toHaveProperty('csv');
+    expect(data.payload.result).toMatchObject({ rows: 1, created: 1 });
+  });
+});
+
+describe('Segment CSV export', () => {
+  const contact = {
+    id: 'c1',
+    createdAt: now,
+    firstName: 'Maria',
+    lastName: null,
+    tagsJson: ['vip', 'summer'],
+    smsConsentState: 'opted_in',
+    smsConsentSource: 'import',
+    smsConsentAt: now,
+    locale: 'el',
+    phoneE164: '+306900000001',
+    ...encryptPII('+306900000001', 'maria@example.com'),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.segment.findFirst.mockResolvedValue({ id: 'seg_1', filterJson: { tag: 'vip' } });
+    prisma.contact.findMany.mockResolvedValueOnce([contact]).mockResolvedValueOnce([]);
+  });
+
+  it('streams masked rows by default', async () => {
+    const lines = await collect(await exportSegmentCsv({ shopId, segmentId: 'seg_1' }));
+
+    expect(lines[0]).toMatch(/^id,phone,phone_last4,email,email_domain,/);
+    expect(lines[1]).toBe(
+      'c1,,0001,,example.com,Maria,,"vip;summer",opted_in,import,2025-06-01T00:00:00.000Z,el,2025-06-01T00:00:00.000Z\r\n',
+    );
+    const { where, select } = prisma.contact.findMany.mock.calls[0][0];
+    expect(where).toEqual(segmentContactWhere(shopId, { tag: 'vip' }));
+    expect(select).not.toHaveProperty('phone_ciphertext');
+    expect(prisma.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      action: 'contacts.export',
+      entityId: 'seg_1',
+      diffJson: { rows: 1, includePII: false },
+    });
+  });
+
+  it('decrypts phone and email for authorized exports', async () => {
+    const lines = await collect(
+      await exportSegmentCsv({ shopId, segmentId: 'seg_1', includePII: true }),
+    );
+
+    expect(lines[1]).toMatch(/^c1,\+306900000001,0001,maria@example\.com,example\.com,/);
+    expect(prisma.auditLog.create.mock.calls[0][0].data.diffJson).toEqual({
+      rows: 1,
+      includePII: true,
+    });
+  });
+
+  it('404s an unknown segment before streaming', async () => {
+    prisma.segment.findFirst.mockResolvedValue(null);
+    await expect(exportSegmentCsv({ shopId, segmentId: 'nope' })).rejects.toMatchObject({
+      status: 404,
+    });
+  });
+});
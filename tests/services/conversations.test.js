@@ -0,0 +1,221 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => {
+  process.env.ENCRYPTION_KEY = Buffer.alloc(32, 3).toString('base64');
+  process.env.HASH_PEPPER = 'conversations-test-pepper';
+  const client = {
+    contact: { findMany: vi.fn(), findUnique: vi.fn() },
+    message: { findFirst: vi.fn(), findUnique: vi.fn(), create: vi.fn() },
+    conversation: {
+      upsert: vi.fn(),
+      findFirst: vi.fn(),
+      findMany: vi.fn(),
+      count: vi.fn(),
+      update: vi.fn(),
+    },
+    conversationMessage: { findUnique: vi.fn(), findMany: vi.fn(), create: vi.fn() },
+  };
+  client.$transaction = vi.fn(async (fn) => fn(client));
+  return client;
+});
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  sendAndMark: vi.fn(),
+}));
+
+const { recordInboundMessage, getConversation, replyToConversation } = await import(
+  '../../src/services/conversations.js'
+);
+const { sendAndMark } = await import('../../src/services/messages.js');
+const { hashDeterministic } = await import('../../src/lib/encryption.js');
+
+const shop = { id: 'shop_1', domain: 'test-shop.myshopify.com' };
+const receivedAt = new Date('2025-06-01T10:00:00Z');
+
+describe('Conversations', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.conversation.upsert.mockResolvedValue({ id: 'conv_1' });
+    prisma.conversationMessage.findUnique.mockResolvedValue(null);
+  });
+
+  describe('inbound messages', () => {
+    it('threads an inbound message under the contact that owns the number', async () => {
+      prisma.contact.findMany.mockResolvedValue([{ id: 'c1', shopId: 'shop_1' }]);
+
+      const result = await recordInboundMessage({
+        from: '306912345678',
+        text: 'Is my order shipped?',
+        providerMessageId: 'mitto_1',
+        receivedAt,
+      });
+
+      expect(result).toEqual({
+        shopId: 'shop_1',
+        contactId: 'c1',
+        conversationId: 'conv_1',
+        duplicate: false,
+      });
+      expect(prisma.contact.findMany.mock.calls[0][0].where.OR[0]).toEqual({
+        phone_hash: hashDeterministic('+306912345678'),
+      });
+      expect(prisma.conversation.upsert).toHaveBeenCalledWith({
+        where: { contactId: 'c1' },
+        create: expect.objectContaining({ shopId: 'shop_1', unreadCount: 1 }),
+        update: expect.objectContaining({
+          unreadCount: { increment: 1 },
+          lastDirection: 'inbound',
+          lastMessagePreview: 'Is my order shipped?',
+          lastMessageAt: receivedAt,
+        }),
+        select: { id: true },
+      });
+      expect(prisma.conversationMessage.create).toHaveBeenCalledWith({
+        data: {
+          shopId: 'shop_1',
+          conversationId: 'conv_1',
+          direction: 'inbound',
+          body: 'Is my order shipped?',
+          providerMessageId: 'mitto_1',
+          createdAt: receivedAt,
+        },
+      });
+    });
+
+    it('ignores provider retries of the same message', async () => {
+      prisma.contact.findMany.mockResolvedValue([{ id: 'c1', shopId: 'shop_1' }]);
+      prisma.conversationMessage.findUnique.mockResolvedValue({ conversationId: 'conv_1' });
+
+      const result = await recordInboundMessage({
+        from: '+306912345678',
+        text: 'hello',
+        providerMessageId: 'mitto_1',
+      });
+
+      expect(result.duplicate).toBe(true);
+      expect(prisma.conversation.upsert).not.toHaveBeenCalled();
+      expect(prisma.conversationMessage.create).not.toHaveBeenCalled();
+    });
+
+    it('routes a number known to several shops to the shop that texted it last', async () => {
+      prisma.contact.findMany.mockResolvedValue([
+        { id: 'c1', shopId: 'shop_1' },
+        { id: 'c2', shopId: 'shop_2' },
+      ]);
+      prisma.message.findFirst.mockResolvedValue({ contactId: 'c2' });
+
+      const result = await recordInboundMessage({ from: '+306912345678', text: 'hi' });
+
+      expect(result).toMatchObject({ shopId: 'shop_2', contactId: 'c2' });
+    });
+
+    it('drops messages from unknown numbers', async () => {
+      prisma.contact.findMany.mockResolvedValue([]);
+
+      expect(await recordInboundMessage({ from: '+306912345678', text: 'hi' })).toBeNull();
+      expect(await recordInboundMessage({ from: 'not-a-number', text: 'hi' })).toBeNull();
+      expect(prisma.conversation.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reading threads', () => {
+    it('returns messages newest first with outbound delivery status', async () => {
+      prisma.conversation.findFirst.mockResolvedValue({ id: 'conv_1', contactId: 'c1' });
+      prisma.conversationMessage.findMany.mockResolvedValue([
+        {
+          id: 'm2',
+          direction: 'outbound',
+          createdAt: new Date('2025-06-01T10:05:00Z'),
+          message: { status: 'delivered', deliveredAt: new Date('2025-06-01T10:05:03Z') },
+        },
+        { id: 'm1', direction: 'inbound', createdAt: receivedAt, message: null },
+      ]);
+
+      const { messages, nextBefore } = await getConversation({
+        shopId: 'shop_1',
+        conversationId: 'conv_1',
+      });
+
+      expect(messages.map((m) => [m.id, m.status])).toEqual([
+        ['m2', 'delivered'],
+        ['m1', 'received'],
+      ]);
+      expect(nextBefore).toBeNull();
+      expect(prisma.conversation.findFirst.mock.calls[0][0].where).toEqual({
+        id: 'conv_1',
+        shopId: 'shop_1',
+      });
+    });
+
+    it("404s another shop's thread", async () => {
+      prisma.conversation.findFirst.mockResolvedValue(null);
+      await expect(
+        getConversation({ shopId: 'shop_1', conversationId: 'conv_9' }),
+      ).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('replies', () => {
+    beforeEach(() => {
+      prisma.conversation.findFirst.mockResolvedValue({ id: 'conv_1', contactId: 'c1' });
+      prisma.message.create.mockResolvedValue({ id: 'msg_1' });
+      prisma.conversationMessage.create.mockImplementation(async ({ data }) => ({
+        id: 'cm_1',
+        ...data,
+      }));
+      prisma.message.findUnique.mockResolvedValue({ status: 'sent' });
+    });
+
+    it('sends a reply through the provider and marks the thread read', async () => {
+      prisma.contact.findUnique.mockResolvedValue({
+        id: 'c1',
+        phoneE164: '+306912345678',
+        smsConsentState: 'opted_in',
+        optedOut: false,
+      });
+
+      const reply = await replyToConversation({
+        shop,
+        conversationId: 'conv_1',
+        body: 'Yes, it ships today!',
+        authorId: 'user_1',
+      });
+
+      expect(reply).toMatchObject({
+        direction: 'outbound',
+        messageId: 'msg_1',
+        authorId: 'user_1',
+        status: 'sent',
+      });
+      expect(prisma.message.create.mock.calls[0][0].data).toMatchObject({
+        shopId: 'shop_1',
+        contactId: 'c1',
+        body: 'Yes, it ships today!',
+        kind: 'conversation',
+        status: 'queued',
+      });
+      expect(sendAndMark).toHaveBeenCalledWith({ messageId: 'msg_1' });
+      expect(prisma.conversation.update.mock.calls[0][0].data).toMatchObject({
+        lastDirection: 'outbound',
+        unreadCount: 0,
+      });
+    });
+
+    it.each([
+      ['opted out', { smsConsentState: 'opted_out', optedOut: true }],
+      ['without recorded consent', { smsConsentState: 'unknown', optedOut: false }],
+    ])('refuses to reply to a contact %s', async (_label, consent) => {
+      prisma.contact.findUnique.mockResolvedValue({ id: 'c1', ...consent });
+
+      await expect(
+        replyToConversation({ shop, conversationId: 'conv_1', body: 'hi' }),
+      ).rejects.toMatchObject({ status: 409 });
+      expect(prisma.message.create).not.toHaveBeenCalled();
+      expect(sendAndMark).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => {
+  const p = {
+    campaign: { findUnique: vi.fn(), updateMany: vi.fn() },
+    campaignRecipient: {
+      findMany: vi.fn(),
+      findFirst: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn(),
+    },
+    discountCode: { findFirst: vi.fn(), updateMany: vi.fn() },
+    discountCodePool: { update: vi.fn() },
+    sendDenial: { create: vi.fn() },
+    shop: { findUnique: vi.fn() },
+    contact: { findUnique: vi.fn(), update: vi.fn() },
+    automation: { findUnique: vi.fn() },
+    automationEnrollment: { findUnique: vi.fn(), update: vi.fn() },
+    job: { update: vi.fn() },
+    $queryRaw: vi.fn(),
+  };
+  p.$transaction = vi.fn((fn) => fn(p));
+  return p;
+});
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/queue/queues.js', () => ({
+  enqueueJob: vi.fn(),
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  renderGateQueueAndSend: vi.fn(async () => ({ sent: true, messageId: 'msg_1' })),
+}));
+
+vi.mock('../../src/services/scheduler.js', () => ({
+  scheduleJob: vi.fn(async () => 'job_2'),
+}));
+
+const { renderGateQueueAndSend } = await import('../../src/services/messages.js');
+const { sendCampaignBatched } = await import('../../src/services/campaigns-sender.js');
+const { executeFlowStepJob, validateFlowSteps } = await import(
+  '../../src/services/automation-flows.js'
+);
+
+const shop = { id: 'shop_1', domain: 'test-shop.myshopify.com', name: 'Test Shop' };
+const now = new Date('2025-06-01T10:00:00Z');
+
+function recipient(id, contactId) {
+  return {
+    id,
+    contact: { id: contactId, phoneE164: '+306900000001', smsConsentState: 'opted_in' },
+  };
+}
+
+const campaign = {
+  id: 'camp_1',
+  shopId: shop.id,
+  name: 'Summer',
+  status: 'sending',
+  bodyText: 'Your code {{ discount_code }}: {{ discount_url }}',
+  discountConfig: { mode: 'pool', discountId: 'disc_1', codeStrategy: 'unique' },
+};
+
+describe('Unique discount codes per recipient', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.campaign.findUnique.mockResolvedValue({ status: 'sending' });
+    prisma.campaignRecipient.findFirst.mockResolvedValue(null);
+    prisma.campaignRecipient.updateMany.mockResolvedValue({ count: 1 });
+    prisma.discountCode.findFirst.mockResolvedValue(null);
+    prisma.discountCode.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('gives each recipient its own reserved code and skips the rest once they run out', async () => {
+    prisma.campaignRecipient.findMany
+      .mockResolvedValueOnce([recipient('r1', 'c1'), recipient('r2', 'c2')])
+      .mockResolvedValueOnce([]);
+    prisma.$queryRaw
+      .mockResolvedValueOnce([{ id: 'dc_1', code: 'SUMMER-AB12', poolId: 'pool_1' }])
+      .mockResolvedValueOnce([]);
+
+    const result = await sendCampaignBatched({ shop, campaign });
+
+    expect(result).toEqual({ sent: 1, failed: 0, skipped: 1, stopped: null });
+    expect(prisma.$queryRaw.mock.calls[0].slice(1)).toEqual(['r1', 'camp_1']);
+    expect(prisma.$queryRaw.mock.calls[0][0].join('?')).toContain('FOR UPDATE OF c SKIP LOCKED');
+
+    expect(renderGateQueueAndSend).toHaveBeenCalledTimes(1);
+    const { vars, metadata } = renderGateQueueAndSend.mock.calls[0][0];
+    expect(vars.discount_code).toBe('SUMMER-AB12');
+    expect(vars.discount_url).toContain('/discount/SUMMER-AB12');
+    expect(vars.discount_url).toContain('utm_campaign=camp_1');
+    expect(metadata.discountCodeId).toBe('dc_1');
+
+    expect(prisma.campaignRecipient.update).toHaveBeenCalledWith({
+      where: { id: 'r2' },
+      data: { status: 'skipped', reason: 'discount_codes_exhausted' },
+    });
+    expect(prisma.sendDenial.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ contactId: 'c2', reason: 'discount_codes_exhausted' }),
+    });
+  });
+
+  it('returns the code to the reservation when the send is gated', async () => {
+    prisma.campaignRecipient.findMany
+      .mockResolvedValueOnce([recipient('r1', 'c1')])
+      .mockResolvedValueOnce([]);
+    prisma.$queryRaw.mockResolvedValueOnce([{ id: 'dc_1', code: 'SUMMER-AB12', poolId: 'pool_1' }]);
+    renderGateQueueAndSend.mockResolvedValueOnce({ sent: false, reason: 'quiet_hours' });
+
+    await sendCampaignBatched({ shop, campaign });
+
+    expect(prisma.discountCode.updateMany).toHaveBeenCalledWith({
+      where: { id: 'dc_1', status: 'assigned' },
+      data: { status: 'reserved', assignedTo: null },
+    });
+  });
+
+  it('hands a re-run recipient the code it already holds', async () => {
+    prisma.campaignRecipient.findMany
+      .mockResolvedValueOnce([recipient('r1', 'c1')])
+      .mockResolvedValueOnce([]);
+    prisma.discountCode.findFirst.mockResolvedValue({
+      id: 'dc_9',
+      code: 'SUMMER-ZZ99',
+      poolId: 'pool_1',
+    });
+
+    await sendCampaignBatched({ shop, campaign });
+
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+    expect(renderGateQueueAndSend.mock.calls[0][0].vars.discount_code).toBe('SUMMER-ZZ99');
+  });
+});
+
+describe('Unique discount codes in automation flows', () => {
+  const steps = validateFlowSteps([
+    { type: 'send_sms', template: 'Come back for 10% off: {{ discount_url }}' },
+    { type: 'tag', tag: 'winback' },
+  ]);
+  const flow = {
+    id: 'auto_1',
+    shopId: 'shop_1',
+    trigger: 'abandoned_checkout',
+    enabled: true,
+    steps,
+    discountConfig: { discountId: 'disc_1', codeStrategy: 'unique' },
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.shop.findUnique.mockResolvedValue(shop);
+    prisma.automation.findUnique.mockResolvedValue(flow);
+    prisma.contact.findUnique.mockResolvedValue({ id: 'c1', phoneE164: '+306900000001' });
+    prisma.automationEnrollment.findUnique.mockResolvedValue({
+      id: 'enr_1',
+      shopId: 'shop_1',
+      automationId: 'auto_1',
+      contactId: 'c1',
+      status: 'active',
+      stepIndex: 0,
+      context: {},
+    });
+    prisma.contact.update.mockImplementation(async ({ data }) => ({ id: 'c1', ...data }));
+    prisma.discountCode.findFirst.mockResolvedValue(null);
+  });
+
+  const job = { id: 'job_1', shopId: 'shop_1', payload: { enrollmentId: 'enr_1', stepIndex: 0 } };
+
+  it('takes an available pool code for the enrollment', async () => {
+    prisma.$queryRaw.mockResolvedValueOnce([{ id: 'dc_5', code: 'BACK-CD34', poolId: 'pool_1' }]);
+
+    await executeFlowStepJob(job, now);
+
+    expect(prisma.$queryRaw.mock.calls[0].slice(1)).toEqual(['enr_1', 'shop_1', 'disc_1']);
+    expect(prisma.discountCodePool.update).toHaveBeenCalledWith({
+      where: { id: 'pool_1' },
+      data: { reservedCodes: { increment: 1 } },
+    });
+    const { vars, metadata } = renderGateQueueAndSend.mock.calls[0][0];
+    expect(vars.discount_code).toBe('BACK-CD34');
+    expect(vars.discount_url).toContain('/discount/BACK-CD34');
+    expect(metadata.discountCodeId).toBe('dc_5');
+  });
+
+  it('skips the send step when the pool is empty', async () => {
+    prisma.$queryRaw.mockResolvedValueOnce([]);
+
+    const outcome = await executeFlowStepJob(job, now);
+
+    expect(renderGateQueueAndSend).not.toHaveBeenCalled();
+    expect(prisma.sendDenial.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        kind: 'automation',
+        reason: 'discount_codes_exhausted',
+      }),
+    });
+    // The flow carries on with the next step
+    expect(prisma.contact.update).toHaveBeenCalled();
+    expect(outcome).toEqual({ status: 'completed', exitReason: null });
+  });
+
+  it.each([
+    ['keeps the code of a send deferred to after quiet hours', { deferred: true }, 0],
+    ['returns the code of a denied send to the pool', {}, 1],
+  ])('%s', async (_label, outcome, released) => {
+    prisma.$queryRaw.mockResolvedValueOnce([{ id: 'dc_5', code: 'BACK-CD34', poolId: 'pool_1' }]);
+    prisma.discountCode.updateMany.mockResolvedValue({ count: 1 });
+    renderGateQueueAndSend.mockResolvedValueOnce({
+      sent: false,
+      reason: 'quiet_hours',
+      ...outcome,
+    });
+
+    await executeFlowStepJob(job, now);
+
+    expect(prisma.discountCode.updateMany).toHaveBeenCalledTimes(released);
+    if (released) {
+      expect(prisma.discountCode.updateMany).toHaveBeenCalledWith({
+        where: { id: 'dc_5', status: 'assigned' },
+        data: { status: 'available', assignedTo: null, reservedAt: null },
+      });
+    }
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  discountCode: { createMany: vi.fn(), findMany: vi.fn() },
+  discountCodePool: { update: vi.fn() },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/queue/queues.js', () => ({
+  enqueueJob: vi.fn(),
+}));
+
+vi.mock('../../src/services/discount-pool-sync.js', () => ({
+  enqueuePoolSync: vi.fn(),
+}));
+
+const {
+  CODE_ALPHABET,
+  checksumChar,
+  hasValidChecksum,
+  compileCodeTemplate,
+  collisionProbability,
+  generateCodes,
+  planCodeGeneration,
+  generatePoolCodes,
+  enqueuePoolGenerate,
+} = await import('../../src/services/discount-code-generator.js');
+const { processPoolGenerate } = await import('../../src/queue/processors/discount-sync.js');
+const { enqueueJob } = await import('../../src/queue/queues.js');
+const { enqueuePoolSync } = await import('../../src/services/discount-pool-sync.js');
+
+describe('Discount code generator', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    delete process.env.QUEUE_DRIVER;
+  });
+
+  it('fills templates from an alphabet without ambiguous characters', () => {
+    const compiled = compileCodeTemplate({ template: 'spring-####-XX' });
+    const codes = generateCodes(compiled, 500);
+
+    expect(new Set(codes).size).toBe(500);
+    for (const code of codes) {
+      expect(code).toMatch(/^SPRING-[2-9]{4}-[A-HJ-NP-Z]{2}$/);
+    }
+    expect(CODE_ALPHABET).not.toMatch(/[01OI]/);
+    expect(compiled.space).toBe(8 ** 4 * 24 ** 2);
+  });
+
+  it('builds prefix plus length codes with a check character that catches typos', () => {
+    const compiled = compileCodeTemplate({ prefix: 'VIP', length: 10, checksum: true });
+    const [code] = generateCodes(compiled, 1);
+
+    expect(code).toMatch(/^VIP[2-9A-HJ-NP-Z]{11}$/);
+    expect(hasValidChecksum(code)).toBe(true);
+    expect(hasValidChecksum(code.toLowerCase())).toBe(true);
+
+    // Any single mistyped character is caught
+    const i = 5;
+    const other = CODE_ALPHABET[(CODE_ALPHABET.indexOf(code[i]) + 1) % CODE_ALPHABET.length];
+    expect(hasValidChecksum(code.slice(0, i) + other + code.slice(i + 1))).toBe(false);
+    expect(checksumChar('VIP')).toBe(checksumChar('vip'));
+  });
+
+  it.each([
+    ['too few random characters', { template: 'SALE-##' }, /at least 4 random/],
+    ['characters Shopify codes should not carry', { template: 'SALE ####' }, /may only contain/],
+    ['a length out of range', { length: 2 }, /length must be/],
+  ])('rejects %s', (_label, options, message) => {
+    expect(() => compileCodeTemplate(options)).toThrow(message);
+  });
+
+  it('reports the collision probability and refuses a too small code space', () => {
+    expect(collisionProbability(1, 100)).toBe(0);
+    expect(collisionProbability(100000, 32 ** 8)).toBeCloseTo(0.0045, 3);
+
+    const plan = planCodeGeneration({ quantity: 100000, options: { length: 8 } });
+    expect(plan.collision.space).toBe(32 ** 8);
+    expect(plan.collision.probability).toBeGreaterThan(0);
+
+    expect(() => planCodeGeneration({ quantity: 1000, options: { template: '####' } })).toThrow(
+      /allows 4096 codes/,
+    );
+    expect(() => planCodeGeneration({ quantity: 100001 })).toThrow(/quantity/);
+  });
+
+  it('inserts in bulk and redraws codes that already exist in the pool', async () => {
+    // The first insert of 1000 hits 2 codes already in the pool
+    prisma.discountCode.createMany
+      .mockResolvedValueOnce({ count: 998 })
+      .mockResolvedValueOnce({ count: 500 })
+      .mockResolvedValueOnce({ count: 2 });
+
+    const result = await generatePoolCodes({
+      shopId: 'shop_1',
+      poolId: 'pool_1',
+      discountId: 'disc_1',
+      quantity: 1500,
+      options: { template: 'SPRING-****-**' },
+    });
+
+    expect(result).toEqual({ generated: 1500, codes: null });
+    const calls = prisma.discountCode.createMany.mock.calls.map(([arg]) => arg);
+    expect(calls.map((c) => c.data.length)).toEqual([1000, 500, 2]);
+    expect(calls.every((c) => c.skipDuplicates)).toBe(true);
+    expect(calls[0].data[0]).toMatchObject({
+      shopId: 'shop_1',
+      poolId: 'pool_1',
+      discountId: 'disc_1',
+      status: 'available',
+    });
+    expect(prisma.discountCodePool.update.mock.calls.map(([arg]) => arg.data)).toEqual([
+      { totalCodes: { increment: 998 } },
+      { totalCodes: { increment: 500 } },
+      { totalCodes: { increment: 2 } },
+    ]);
+  });
+
+  it('queues large batches and syncs them to Shopify once generated', async () => {
+    process.env.QUEUE_DRIVER = 'redis';
+    const params = {
+      shopId: 'shop_1',
+      poolId: 'pool_1',
+      discountId: 'disc_1',
+      quantity: 100000,
+      options: { length: 8 },
+    };
+
+    await enqueuePoolGenerate(params);
+    expect(enqueueJob).toHaveBeenCalledWith(
+      'discount-sync',
+      'pool-generate',
+      expect.objectContaining(params),
+      // Not retried: a retry would generate the full quantity again
+      expect.objectContaining({
+        jobId: expect.stringMatching(/^pool-generate-pool_1-/),
+        attempts: 1,
+      }),
+    );
+
+    prisma.discountCode.createMany.mockImplementation(async ({ data }) => ({ count: data.length }));
+    const result = await processPoolGenerate({ id: 'job_1', data: params });
+
+    expect(result).toEqual({ generated: 100000 });
+    expect(prisma.discountCode.createMany).toHaveBeenCalledTimes(100);
+    expect(enqueuePoolSync).toHaveBeenCalledWith({ shopId: 'shop_1', poolId: 'pool_1' });
+  });
+});
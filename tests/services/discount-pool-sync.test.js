@@ -0,0 +1,251 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { MockShopifyServer } from '../mocks/mock-shopify.js';
+
+const prisma = vi.hoisted(() => ({
+  shop: { findUnique: vi.fn() },
+  discountCodePool: { findUnique: vi.fn() },
+  discountCode: {
+    findMany: vi.fn(),
+    updateMany: vi.fn(),
+    count: vi.fn(),
+    groupBy: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/queue/queues.js', () => ({
+  enqueueJob: vi.fn(),
+}));
+
+process.env.ENCRYPTION_KEY = Buffer.alloc(32, 7).toString('base64');
+
+const { encryptToString } = await import('../../src/lib/crypto.js');
+const { syncPoolCodes, retryFailedPoolCodes, poolSyncStatus, enqueuePoolSync } = await import(
+  '../../src/services/discount-pool-sync.js'
+);
+const { processPoolSync } = await import('../../src/queue/processors/discount-sync.js');
+const { enqueueJob } = await import('../../src/queue/queues.js');
+
+const DISCOUNT_GID = 'gid://shopify/DiscountCodeNode/42';
+
+// In-memory DiscountCode table with the filters the sync uses
+let codes = [];
+
+function matches(row, where) {
+  return Object.entries(where).every(([field, cond]) => {
+    if (field === 'NOT') return !matches(row, cond);
+    if (cond && typeof cond === 'object' && !(cond instanceof Date)) {
+      if (cond.in) return cond.in.includes(row[field]);
+      if (cond.notIn) return !cond.notIn.includes(row[field]);
+      if (cond.startsWith) return String(row[field] ?? '').startsWith(cond.startsWith);
+      if (cond.lt) return row[field] < cond.lt;
+    }
+    return row[field] === cond;
+  });
+}
+
+function seedCodes(n, prefix = 'CODE') {
+  codes = Array.from({ length: n }, (_, i) => ({
+    id: `dc_${i}`,
+    poolId: 'pool_1',
+    code: `${prefix}${String(i).padStart(4, '0')}`,
+    syncStatus: 'pending',
+    syncError: null,
+    syncJobId: null,
+    shopifyGid: null,
+    updatedAt: new Date(),
+  }));
+}
+
+function wireTable() {
+  prisma.discountCode.findMany.mockImplementation(async ({ where, take, distinct }) => {
+    let rows = codes.filter((c) => matches(c, where));
+    if (distinct) {
+      const seen = new Set();
+      rows = rows.filter((c) => !seen.has(c.syncJobId) && seen.add(c.syncJobId));
+    }
+    return rows.slice(0, take ?? rows.length).map((c) => ({ ...c }));
+  });
+  prisma.discountCode.updateMany.mockImplementation(async ({ where, data }) => {
+    const rows = codes.filter((c) => matches(c, where));
+    rows.forEach((c) => Object.assign(c, data));
+    return { count: rows.length };
+  });
+  prisma.discountCode.count.mockImplementation(
+    async ({ where }) => codes.filter((c) => matches(c, where)).length,
+  );
+  prisma.discountCode.groupBy.mockImplementation(async ({ where }) => {
+    const counts = {};
+    for (const c of codes.filter((c) => matches(c, where))) {
+      counts[c.syncStatus] = (counts[c.syncStatus] || 0) + 1;
+    }
+    return Object.entries(counts).map(([syncStatus, n]) => ({ syncStatus, _count: { _all: n } }));
+  });
+}
+
+function bulkAddRequests() {
+  return shopify.requests.filter((r) => r.query.includes('discountRedeemCodeBulkAdd'));
+}
+
+let shopify;
+
+describe('Discount pool code sync', () => {
+  beforeAll(async () => {
+    shopify = new MockShopifyServer(3014);
+    await shopify.start();
+    process.env.SHOPIFY_ADMIN_URL = shopify.getBaseUrl();
+  });
+
+  afterAll(async () => {
+    delete process.env.SHOPIFY_ADMIN_URL;
+    await shopify.stop();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    shopify.requests = [];
+    shopify.bulkCreations.clear();
+    shopify.redeemCodes.clear();
+    shopify.unknownDiscounts.clear();
+    shopify.bulkPollsUntilDone = 0;
+
+    prisma.shop.findUnique.mockResolvedValue({
+      id: 'shop_1',
+      domain: 'test-shop.myshopify.com',
+      tokenOffline: encryptToString('shpat_test'),
+    });
+    prisma.discountCodePool.findUnique.mockResolvedValue({
+      id: 'pool_1',
+      shopId: 'shop_1',
+      discount: { id: 'disc_1', shopifyGid: DISCOUNT_GID },
+    });
+    wireTable();
+  });
+
+  afterEach(() => {
+    delete process.env.QUEUE_DRIVER;
+  });
+
+  it('adds codes to the Shopify discount in chunks of 250 and records their GIDs', async () => {
+    seedCodes(600);
+    shopify.bulkPollsUntilDone = 1;
+
+    const first = await syncPoolCodes({ poolId: 'pool_1' });
+    expect(first).toMatchObject({ pushed: 600, synced: 0, pending: 0, inFlight: 600 });
+    expect(bulkAddRequests().map((r) => r.variables.codes.length)).toEqual([250, 250, 100]);
+    expect(bulkAddRequests()[0].variables.discountId).toBe(DISCOUNT_GID);
+    expect(codes.every((c) => c.syncStatus === 'syncing' && c.syncJobId)).toBe(true);
+
+    // Shopify has finished: results come back a page at a time
+    const second = await syncPoolCodes({ poolId: 'pool_1' });
+    expect(second).toMatchObject({ pushed: 0, synced: 600, failed: 0, inFlight: 0 });
+    expect(codes.every((c) => c.syncStatus === 'synced')).toBe(true);
+    expect(codes[0].shopifyGid).toMatch(/^gid:\/\/shopify\/DiscountRedeemCode\//);
+    expect(codes[0].syncJobId).toBeNull();
+  });
+
+  it('shows codes Shopify rejected with their reason in the pool status', async () => {
+    seedCodes(3);
+    shopify.redeemCodes.add('CODE0001');
+
+    const result = await syncPoolCodes({ poolId: 'pool_1' });
+    expect(result).toMatchObject({ synced: 2, failed: 1 });
+
+    const status = await poolSyncStatus({ poolId: 'pool_1' });
+    expect(status).toMatchObject({ pending: 0, syncing: 0, synced: 2, failed: 1 });
+    expect(status.errors).toEqual([
+      { id: 'dc_1', code: 'CODE0001', error: 'Code must be unique.' },
+    ]);
+  });
+
+  it('fails the chunk when Shopify refuses the bulk add', async () => {
+    seedCodes(2);
+    shopify.unknownDiscounts.add(DISCOUNT_GID);
+
+    expect(await syncPoolCodes({ poolId: 'pool_1' })).toMatchObject({ pushed: 0, failed: 2 });
+    expect(codes.map((c) => c.syncError)).toEqual(['Discount not found', 'Discount not found']);
+  });
+
+  it('fails codes of a discount that is not in Shopify until they are retried', async () => {
+    seedCodes(2);
+    prisma.discountCodePool.findUnique.mockResolvedValue({
+      id: 'pool_1',
+      shopId: 'shop_1',
+      discount: { id: 'disc_1', shopifyGid: null, providerId: 'SAVE20' },
+    });
+
+    expect(await syncPoolCodes({ poolId: 'pool_1' })).toMatchObject({ failed: 2 });
+    expect(codes[0].syncError).toMatch(/no Shopify discount/);
+    expect(bulkAddRequests()).toHaveLength(0);
+
+    expect(await retryFailedPoolCodes({ poolId: 'pool_1' })).toBe(2);
+    expect(codes.every((c) => c.syncStatus === 'pending' && c.syncError === null)).toBe(true);
+  });
+
+  it('polls again later while Shopify is still creating codes', async () => {
+    process.env.QUEUE_DRIVER = 'redis';
+    seedCodes(5);
+    shopify.bulkPollsUntilDone = 1;
+
+    await processPoolSync({ id: 'job_1', data: { shopId: 'shop_1', poolId: 'pool_1' } });
+    expect(enqueueJob).toHaveBeenCalledWith(
+      'discount-sync',
+      'pool-sync',
+      expect.objectContaining({ shopId: 'shop_1', poolId: 'pool_1' }),
+      expect.objectContaining({ delay: 5000 }),
+    );
+
+    enqueueJob.mockClear();
+    await processPoolSync({ id: 'job_2', data: { shopId: 'shop_1', poolId: 'pool_1' } });
+    expect(codes.every((c) => c.syncStatus === 'synced')).toBe(true);
+    expect(enqueueJob).not.toHaveBeenCalled();
+  });
+
+  it('never pushes a code twice when runs overlap', async () => {
+    seedCodes(300);
+
+    await Promise.all([syncPoolCodes({ poolId: 'pool_1' }), syncPoolCodes({ poolId: 'pool_1' })]);
+
+    const pushed = bulkAddRequests().flatMap((r) => r.variables.codes.map((c) => c.code));
+    expect(pushed).toHaveLength(300);
+    expect(new Set(pushed).size).toBe(300);
+    expect(codes.every((c) => c.syncStatus === 'synced')).toBe(true);
+  });
+
+  it('puts codes claimed by a crashed run back in line', async () => {
+    seedCodes(2);
+    codes[0] = {
+      ...codes[0],
+      syncStatus: 'syncing',
+      syncJobId: 'claim:dead-run',
+      updatedAt: new Date(Date.now() - 60 * 60 * 1000),
+    };
+
+    expect(await syncPoolCodes({ poolId: 'pool_1' })).toMatchObject({ pushed: 2, synced: 2 });
+    expect(bulkAddRequests().flatMap((r) => r.variables.codes.map((c) => c.code))).toEqual([
+      'CODE0000',
+      'CODE0001',
+    ]);
+  });
+
+  it('queues one run for repeated sync requests in the same window', async () => {
+    process.env.QUEUE_DRIVER = 'redis';
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2025-06-01T10:00:01Z'));
+    try {
+      await enqueuePoolSync({ shopId: 'shop_1', poolId: 'pool_1' });
+      vi.setSystemTime(new Date('2025-06-01T10:00:03Z'));
+      await enqueuePoolSync({ shopId: 'shop_1', poolId: 'pool_1' });
+      await enqueuePoolSync({ shopId: 'shop_1', poolId: 'pool_1', delay: 5000 });
+    } finally {
+      vi.useRealTimers();
+    }
+
+    const jobIds = enqueueJob.mock.calls.map(([, , , opts]) => opts.jobId);
+    expect(jobIds[0]).toBe(jobIds[1]);
+    expect(jobIds[2]).not.toBe(jobIds[0]);
+  });
+});
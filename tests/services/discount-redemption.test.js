@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => {
+  const p = {
+    discountCode: { findMany: vi.fn(), findUnique: vi.fn(), updateMany: vi.fn() },
+    discountCodePool: { update: vi.fn() },
+    discountCodeReservation: { findMany: vi.fn(), updateMany: vi.fn() },
+    campaignRecipient: { updateMany: vi.fn() },
+    contact: { findFirst: vi.fn() },
+  };
+  p.$transaction = vi.fn((fn) => fn(p));
+  return p;
+});
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  renderGateQueueAndSend: vi.fn(),
+}));
+
+vi.mock('../../src/services/scheduler.js', () => ({
+  cancelAbandonedCheckoutJobs: vi.fn(),
+}));
+
+vi.mock('../../src/services/automation-flows.js', () => ({
+  exitFlowsOnOrder: vi.fn(),
+}));
+
+const { redeemOrderDiscountCodes, expireDiscountReservations } = await import(
+  '../../src/services/discount-redemption.js'
+);
+const { processOrderCreated } = await import('../../src/queue/processors/event.orders.create.js');
+
+const now = new Date('2025-06-01T10:00:00Z');
+
+function order(codes, id = 1001) {
+  return {
+    id,
+    discount_codes: codes.map((code) => ({ code, amount: '5.00', type: 'fixed_amount' })),
+  };
+}
+
+describe('Pool code redemption', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.discountCode.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('marks an assigned code used, moves pool counters and credits the recipient', async () => {
+    prisma.discountCode.findMany.mockResolvedValue([
+      { id: 'dc_1', poolId: 'pool_1', code: 'SAVE-AB12', status: 'assigned', assignedTo: 'cr_1' },
+    ]);
+
+    const result = await redeemOrderDiscountCodes({
+      shopId: 'shop_1',
+      payload: order(['save-ab12']),
+      now,
+    });
+
+    expect(result).toEqual({ redeemed: 1, recipients: ['cr_1'] });
+    expect(prisma.discountCode.findMany).toHaveBeenCalledWith({
+      where: {
+        shopId: 'shop_1',
+        code: { in: ['save-ab12', 'SAVE-AB12'] },
+        status: { not: 'used' },
+      },
+    });
+    expect(prisma.discountCode.updateMany).toHaveBeenCalledWith({
+      where: { id: 'dc_1', status: 'assigned' },
+      data: { status: 'used', usedAt: now, orderId: '1001' },
+    });
+    expect(prisma.discountCodePool.update).toHaveBeenCalledWith({
+      where: { id: 'pool_1' },
+      data: { usedCodes: { increment: 1 }, reservedCodes: { decrement: 1 } },
+    });
+    expect(prisma.campaignRecipient.updateMany).toHaveBeenCalledWith({
+      where: { id: 'cr_1', redeemedAt: null },
+      data: { redeemedAt: now, redeemedOrderId: '1001' },
+    });
+  });
+
+  it('only counts a code once when orders/create and orders/paid both report it', async () => {
+    prisma.discountCode.findMany.mockResolvedValue([
+      { id: 'dc_1', poolId: 'pool_1', code: 'SAVE-AB12', status: 'assigned', assignedTo: 'cr_1' },
+    ]);
+    // The other webhook got there first
+    prisma.discountCode.updateMany.mockResolvedValue({ count: 0 });
+    prisma.discountCode.findUnique.mockResolvedValue({ id: 'dc_1', status: 'used' });
+
+    const result = await redeemOrderDiscountCodes({
+      shopId: 'shop_1',
+      payload: order(['SAVE-AB12']),
+      now,
+    });
+
+    expect(result).toEqual({ redeemed: 0, recipients: [] });
+    expect(prisma.discountCodePool.update).not.toHaveBeenCalled();
+    expect(prisma.campaignRecipient.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('does not touch the reserved counter for codes that were never reserved', async () => {
+    prisma.discountCode.findMany.mockResolvedValue([
+      { id: 'dc_2', poolId: 'pool_1', code: 'SAVE-CD34', status: 'available', assignedTo: null },
+    ]);
+
+    await redeemOrderDiscountCodes({ shopId: 'shop_1', payload: order(['SAVE-CD34']), now });
+
+    expect(prisma.discountCodePool.update).toHaveBeenCalledWith({
+      where: { id: 'pool_1' },
+      data: { usedCodes: { increment: 1 } },
+    });
+    expect(prisma.campaignRecipient.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('redeems codes on guest orders before looking for a contact', async () => {
+    prisma.discountCode.findMany.mockResolvedValue([
+      { id: 'dc_3', poolId: 'pool_1', code: 'SAVE-EF56', status: 'reserved', assignedTo: null },
+    ]);
+
+    await processOrderCreated({ shopId: 'shop_1', payload: order(['SAVE-EF56'], 2002) });
+
+    expect(prisma.discountCode.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ data: expect.objectContaining({ orderId: '2002' }) }),
+    );
+    expect(prisma.contact.findFirst).not.toHaveBeenCalled();
+  });
+
+  it('skips orders without discount codes', async () => {
+    expect(await redeemOrderDiscountCodes({ shopId: 'shop_1', payload: { id: 1 } })).toEqual({
+      redeemed: 0,
+      recipients: [],
+    });
+    expect(prisma.discountCode.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('Reservation expiry', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('expires stale reservations and returns their unassigned codes to the pool', async () => {
+    prisma.discountCodeReservation.findMany.mockResolvedValue([
+      { id: 'res_1', shopId: 'shop_1', poolId: 'pool_1' },
+      { id: 'res_2', shopId: 'shop_1', poolId: 'pool_1' },
+    ]);
+    // res_2 was expired by another worker in the meantime
+    prisma.discountCodeReservation.updateMany
+      .mockResolvedValueOnce({ count: 1 })
+      .mockResolvedValueOnce({ count: 0 });
+    prisma.discountCode.updateMany.mockResolvedValue({ count: 7 });
+
+    const result = await expireDiscountReservations({ now });
+
+    expect(result).toEqual({ expired: 1, released: 7 });
+    expect(prisma.discountCodeReservation.findMany).toHaveBeenCalledWith(
+      expect.objectContaining({
+        where: { status: 'active', expiresAt: { lt: now } },
+      }),
+    );
+    expect(prisma.discountCode.updateMany).toHaveBeenCalledTimes(1);
+    expect(prisma.discountCode.updateMany).toHaveBeenCalledWith({
+      where: { reservationId: 'res_1', status: 'reserved', assignedTo: null },
+      data: { status: 'available', reservedAt: null, reservationId: null },
+    });
+    expect(prisma.discountCodePool.update).toHaveBeenCalledWith({
+      where: { id: 'pool_1' },
+      data: { reservedCodes: { decrement: 7 } },
+    });
+  });
+});
@@ -0,0 +1,254 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => {
+  process.env.ENCRYPTION_KEY = Buffer.alloc(32, 5).toString('base64');
+  process.env.HASH_PEPPER = 'double-opt-in-test-pepper';
+  return {
+    contact: { findFirst: vi.fn(), create: vi.fn(), update: vi.fn() },
+    message: { create: vi.fn() },
+    consentConfirmation: {
+      findFirst: vi.fn(),
+      findUnique: vi.fn(),
+      findMany: vi.fn(),
+      create: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn(),
+      groupBy: vi.fn(),
+    },
+    job: { update: vi.fn() },
+  };
+});
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  sendAndMark: vi.fn(),
+}));
+
+vi.mock('../../src/services/consent-unified.js', () => ({
+  updateLocalAndRemoteConsent: vi.fn(),
+}));
+
+vi.mock('../../src/services/scheduler.js', () => ({
+  scheduleJob: vi.fn(async () => 'job_1'),
+}));
+
+vi.mock('../../src/services/audit.js', () => ({
+  logAudit: vi.fn(),
+}));
+
+const { requestOptInConfirmation, confirmPendingOptIn, executeConfirmationExpiryJob } =
+  await import('../../src/services/double-opt-in.js');
+const { getConsentConfirmationReport } = await import('../../src/services/reports.js');
+const { sendAndMark } = await import('../../src/services/messages.js');
+const { updateLocalAndRemoteConsent } = await import('../../src/services/consent-unified.js');
+const { scheduleJob } = await import('../../src/services/scheduler.js');
+const { logAudit } = await import('../../src/services/audit.js');
+const { hashDeterministic } = await import('../../src/lib/encryption.js');
+
+const now = new Date('2025-06-01T10:00:00Z');
+const phoneE164 = '+306912345678';
+const shop = {
+  id: 'shop_1',
+  domain: 'test-shop.myshopify.com',
+  name: 'Test Shop',
+  settingsJson: { doubleOptIn: { expiryHours: 48 } },
+};
+const reqMeta = { ip: '203.0.113.7', ua: 'Mozilla/5.0' };
+
+describe('Double opt-in', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.contact.findFirst.mockResolvedValue(null);
+    prisma.contact.create.mockImplementation(async ({ data }) => ({
+      id: 'c1',
+      smsConsentState: 'unknown',
+      optedOut: false,
+      ...data,
+    }));
+    prisma.consentConfirmation.findFirst.mockResolvedValue(null);
+    prisma.consentConfirmation.create.mockImplementation(async ({ data }) => ({
+      id: 'cc_1',
+      ...data,
+    }));
+    prisma.message.create.mockResolvedValue({ id: 'msg_1' });
+  });
+
+  describe('requesting confirmation', () => {
+    it('texts "reply YES" and leaves consent unrecorded', async () => {
+      const result = await requestOptInConfirmation({ shop, phoneE164, reqMeta, now });
+
+      const expiresAt = new Date('2025-06-03T10:00:00Z');
+      expect(result).toEqual({
+        status: 'pending',
+        contactId: 'c1',
+        confirmationId: 'cc_1',
+        expiresAt,
+        sent: true,
+      });
+      expect(prisma.contact.findFirst.mock.calls[0][0].where.OR[0]).toEqual({
+        phone_hash: hashDeterministic(phoneE164),
+      });
+      const created = prisma.contact.create.mock.calls[0][0].data;
+      expect(created).not.toHaveProperty('smsConsentState');
+      expect(created).not.toHaveProperty('optedOut');
+
+      expect(prisma.consentConfirmation.create.mock.calls[0][0].data).toEqual({
+        shopId: 'shop_1',
+        contactId: 'c1',
+        source: 'storefront_proxy',
+        expiresAt,
+        ...reqMeta,
+      });
+      expect(scheduleJob).toHaveBeenCalledWith({
+        shopId: 'shop_1',
+        kind: 'consent:confirmation:expire',
+        key: 'consent:confirmation:expire:cc_1',
+        runAt: expiresAt,
+        payload: { confirmationId: 'cc_1' },
+      });
+      expect(prisma.message.create.mock.calls[0][0].data).toMatchObject({
+        contactId: 'c1',
+        kind: 'consent_confirmation',
+        body: expect.stringMatching(/^Test Shop: reply YES to confirm/),
+      });
+      expect(sendAndMark).toHaveBeenCalledWith({ messageId: 'msg_1' });
+      expect(updateLocalAndRemoteConsent).not.toHaveBeenCalled();
+    });
+
+    it('reuses an open confirmation and re-sends only after the cooldown', async () => {
+      prisma.contact.findFirst.mockResolvedValue({ id: 'c1', smsConsentState: 'opted_out' });
+      prisma.consentConfirmation.findFirst.mockResolvedValue({
+        id: 'cc_1',
+        expiresAt: new Date('2025-06-02T10:00:00Z'),
+        lastSentAt: new Date('2025-06-01T09:58:00Z'),
+      });
+
+      const early = await requestOptInConfirmation({ shop, phoneE164, now });
+      expect(early).toMatchObject({ status: 'pending', confirmationId: 'cc_1', sent: false });
+      expect(sendAndMark).not.toHaveBeenCalled();
+
+      const later = await requestOptInConfirmation({
+        shop,
+        phoneE164,
+        now: new Date('2025-06-01T10:05:00Z'),
+      });
+      expect(later.sent).toBe(true);
+      expect(sendAndMark).toHaveBeenCalledTimes(1);
+      expect(prisma.consentConfirmation.create).not.toHaveBeenCalled();
+    });
+
+    it('does nothing for a contact that is already opted in', async () => {
+      prisma.contact.findFirst.mockResolvedValue({
+        id: 'c1',
+        smsConsentState: 'opted_in',
+        optedOut: false,
+      });
+
+      const result = await requestOptInConfirmation({ shop, phoneE164, now });
+
+      expect(result).toEqual({ status: 'already_opted_in', contactId: 'c1', sent: false });
+      expect(sendAndMark).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirming', () => {
+    const contact = { id: 'c1', smsConsentState: 'unknown', customerId: 'gid://c/1' };
+    const pending = {
+      id: 'cc_1',
+      status: 'pending',
+      source: 'storefront_proxy',
+      optInLevel: 'CONFIRMED_OPT_IN',
+      createdAt: new Date('2025-06-01T09:00:00Z'),
+      ...reqMeta,
+    };
+
+    it('records consent, pushes CONFIRMED_OPT_IN and audits the request evidence', async () => {
+      prisma.consentConfirmation.findFirst.mockResolvedValue(pending);
+      prisma.consentConfirmation.updateMany.mockResolvedValue({ count: 1 });
+
+      const confirmed = await confirmPendingOptIn({ shop, contact, now });
+
+      expect(confirmed).toMatchObject({ id: 'cc_1', status: 'confirmed', confirmedAt: now });
+      expect(prisma.consentConfirmation.findFirst.mock.calls[0][0].where).toEqual({
+        contactId: 'c1',
+        status: 'pending',
+        expiresAt: { gt: now },
+      });
+      expect(updateLocalAndRemoteConsent).toHaveBeenCalledWith({
+        shop,
+        contact,
+        nextState: 'opted_in',
+        source: 'storefront_proxy',
+        optInLevel: 'CONFIRMED_OPT_IN',
+        now,
+        reqMeta: { actor: 'contact', ...reqMeta },
+      });
+      expect(logAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'consent.confirmed',
+          entityId: 'c1',
+          ip: reqMeta.ip,
+          diff: expect.objectContaining({ requestedAt: pending.createdAt, confirmedAt: now }),
+        }),
+      );
+    });
+
+    it('confirms once when the YES arrives twice', async () => {
+      prisma.consentConfirmation.findFirst.mockResolvedValue(pending);
+      prisma.consentConfirmation.updateMany.mockResolvedValue({ count: 0 });
+
+      expect(await confirmPendingOptIn({ shop, contact, now })).toBeNull();
+      expect(updateLocalAndRemoteConsent).not.toHaveBeenCalled();
+    });
+
+    it('expires unanswered confirmations', async () => {
+      prisma.consentConfirmation.findUnique.mockResolvedValue({
+        ...pending,
+        shopId: 'shop_1',
+        contactId: 'c1',
+      });
+      prisma.consentConfirmation.updateMany.mockResolvedValue({ count: 1 });
+
+      await executeConfirmationExpiryJob({ id: 'job_1', payload: { confirmationId: 'cc_1' } });
+
+      expect(prisma.consentConfirmation.updateMany).toHaveBeenCalledWith({
+        where: { id: 'cc_1', status: 'pending' },
+        data: { status: 'expired' },
+      });
+      expect(logAudit.mock.calls[0][0].action).toBe('consent.confirmation_expired');
+      expect(prisma.job.update.mock.calls[0][0].data).toEqual({ status: 'done' });
+    });
+  });
+
+  it('reports the confirmation rate over decided requests', async () => {
+    prisma.consentConfirmation.groupBy.mockResolvedValue([
+      { status: 'confirmed', _count: { _all: 3 } },
+      { status: 'expired', _count: { _all: 1 } },
+      { status: 'pending', _count: { _all: 2 } },
+    ]);
+    const at = (min) => new Date(now.getTime() + min * 60 * 1000);
+    prisma.consentConfirmation.findMany.mockResolvedValue([
+      { createdAt: now, confirmedAt: at(10) },
+      { createdAt: now, confirmedAt: at(1) },
+      { createdAt: now, confirmedAt: at(2) },
+    ]);
+
+    const report = await getConsentConfirmationReport({
+      shopId: 'shop_1',
+      from: new Date('2025-06-01'),
+      to: new Date('2025-06-02'),
+    });
+
+    expect(report).toEqual({
+      requested: 6,
+      pending: 2,
+      confirmed: 3,
+      expired: 1,
+      confirmationRate: 0.75,
+      medianSecondsToConfirm: 120,
+    });
+  });
+});
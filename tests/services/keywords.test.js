@@ -0,0 +1,297 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => {
+  process.env.ENCRYPTION_KEY = Buffer.alloc(32, 4).toString('base64');
+  process.env.HASH_PEPPER = 'keywords-test-pepper';
+  return {
+    shop: { findUnique: vi.fn() },
+    contact: { findMany: vi.fn(), findUnique: vi.fn(), update: vi.fn() },
+    message: { findFirst: vi.fn(), count: vi.fn(), create: vi.fn() },
+    automation: { findMany: vi.fn(), findFirst: vi.fn() },
+    job: { update: vi.fn() },
+  };
+});
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  sendAndMark: vi.fn(),
+  renderGateQueueAndSend: vi.fn(async () => ({ sent: true, messageId: 'msg_2' })),
+}));
+
+vi.mock('../../src/services/consent-unified.js', () => ({
+  updateLocalAndRemoteConsent: vi.fn(),
+}));
+
+vi.mock('../../src/services/scheduler.js', () => ({
+  scheduleJob: vi.fn(async () => 'job_1'),
+}));
+
+vi.mock('../../src/services/audit.js', () => ({
+  logAudit: vi.fn(),
+}));
+
+vi.mock('../../src/services/double-opt-in.js', () => ({
+  confirmPendingOptIn: vi.fn(async () => null),
+}));
+
+const {
+  normalizeKeyword,
+  matchKeyword,
+  handleInboundKeyword,
+  prepareKeywordSettings,
+  executeKeywordAutomationJob,
+} = await import('../../src/services/keywords.js');
+const { sendAndMark, renderGateQueueAndSend } = await import('../../src/services/messages.js');
+const { updateLocalAndRemoteConsent } = await import('../../src/services/consent-unified.js');
+const { scheduleJob } = await import('../../src/services/scheduler.js');
+const { logAudit } = await import('../../src/services/audit.js');
+const { confirmPendingOptIn } = await import('../../src/services/double-opt-in.js');
+
+const now = new Date('2025-06-01T10:00:00Z');
+const from = '+306912345678';
+
+const shops = {
+  shop_1: {
+    id: 'shop_1',
+    domain: 'one.myshopify.com',
+    name: 'Shop One',
+    settingsJson: {
+      keywords: {
+        stop: ['ΤΕΛΟΣ'],
+        helpReply: '{{ shop_name }}: call 210 000 0000. Reply STOP to opt out.',
+        custom: [{ keyword: 'VIP', tags: ['vip'], automationId: 'auto_1' }],
+      },
+    },
+  },
+  shop_2: { id: 'shop_2', domain: 'two.myshopify.com', name: 'Shop Two', settingsJson: null },
+};
+
+function contactRow(id, shopId, consent = {}) {
+  return {
+    id,
+    shopId,
+    phoneE164: from,
+    smsConsentState: 'opted_in',
+    optedOut: false,
+    tagsJson: ['summer'],
+    ...consent,
+  };
+}
+
+describe('Keyword engine', () => {
+  let rows;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    rows = {
+      c1: contactRow('c1', 'shop_1'),
+      c2: contactRow('c2', 'shop_2'),
+    };
+    prisma.contact.findMany.mockResolvedValue([
+      { id: 'c1', shopId: 'shop_1' },
+      { id: 'c2', shopId: 'shop_2' },
+    ]);
+    prisma.contact.findUnique.mockImplementation(async ({ where }) => rows[where.id] || null);
+    prisma.shop.findUnique.mockImplementation(async ({ where }) => shops[where.id] || null);
+    // shop_1 texted the number last
+    prisma.message.findFirst.mockResolvedValue({ contactId: 'c1' });
+    prisma.message.count.mockResolvedValue(0);
+    prisma.message.create.mockResolvedValue({ id: 'msg_1' });
+  });
+
+  it('matches keywords regardless of accents, case, punctuation and width', () => {
+    expect(normalizeKeyword('  διακοπή! ')).toBe('ΔΙΑΚΟΠΗ');
+    expect(normalizeKeyword('Stop.')).toBe('STOP');
+    expect(normalizeKeyword('Ｓｔｏｐ')).toBe('STOP');
+    expect(normalizeKeyword('vip 🎉')).toBe('VIP');
+
+    expect(matchKeyword(shops.shop_2, normalizeKeyword('Διακοπή'))).toEqual({
+      action: 'stop',
+      keyword: 'ΔΙΑΚΟΠΗ',
+    });
+    expect(matchKeyword(shops.shop_2, normalizeKeyword('βοήθεια;'))).toMatchObject({
+      action: 'help',
+    });
+    expect(matchKeyword(shops.shop_2, 'VIP')).toBeNull();
+    expect(matchKeyword(shops.shop_1, 'VIP')).toMatchObject({ action: 'custom', tags: ['vip'] });
+  });
+
+  it('opts the number out of every shop on a built-in STOP word', async () => {
+    const result = await handleInboundKeyword({ from, text: 'stop!', now });
+
+    expect(result).toEqual({ action: 'stop', keyword: 'STOP', contactIds: ['c1', 'c2'] });
+    expect(updateLocalAndRemoteConsent).toHaveBeenCalledTimes(2);
+    expect(updateLocalAndRemoteConsent).toHaveBeenCalledWith({
+      shop: shops.shop_2,
+      contact: rows.c2,
+      nextState: 'opted_out',
+      source: 'inbound_stop',
+      now,
+    });
+  });
+
+  it("applies a shop's own STOP word only to that shop", async () => {
+    const result = await handleInboundKeyword({ from, text: 'Τέλος', now });
+
+    expect(result.contactIds).toEqual(['c1']);
+    expect(updateLocalAndRemoteConsent).toHaveBeenCalledTimes(1);
+    expect(updateLocalAndRemoteConsent.mock.calls[0][0].contact.id).toBe('c1');
+  });
+
+  it('resubscribes only the contact of the shop the message answers on START', async () => {
+    rows.c1 = contactRow('c1', 'shop_1', { smsConsentState: 'opted_out', optedOut: true });
+    rows.c2 = contactRow('c2', 'shop_2', { smsConsentState: 'opted_out', optedOut: true });
+
+    const result = await handleInboundKeyword({ from, text: 'Έναρξη', now });
+
+    expect(result).toMatchObject({ action: 'start', contactIds: ['c1'] });
+    expect(updateLocalAndRemoteConsent).toHaveBeenCalledTimes(1);
+    expect(updateLocalAndRemoteConsent).toHaveBeenCalledWith(
+      expect.objectContaining({
+        contact: rows.c1,
+        nextState: 'opted_in',
+        source: 'inbound_start',
+      }),
+    );
+  });
+
+  it("answers HELP with the shop's reply even after an opt-out, once per cooldown", async () => {
+    rows.c1 = contactRow('c1', 'shop_1', { smsConsentState: 'opted_out', optedOut: true });
+
+    await handleInboundKeyword({ from, text: 'help', now });
+
+    expect(prisma.message.create.mock.calls[0][0].data).toMatchObject({
+      shopId: 'shop_1',
+      contactId: 'c1',
+      body: 'Shop One: call 210 000 0000. Reply STOP to opt out.',
+      kind: 'keyword_reply',
+      triggerKey: 'help',
+    });
+    expect(sendAndMark).toHaveBeenCalledWith({ messageId: 'msg_1' });
+
+    prisma.message.count.mockResolvedValue(1);
+    await handleInboundKeyword({ from, text: 'HELP', now });
+    expect(sendAndMark).toHaveBeenCalledTimes(1);
+  });
+
+  it('tags the contact and enrolls it in the automation on a custom keyword', async () => {
+    prisma.automation.findFirst.mockResolvedValue({ id: 'auto_1', delayMinutes: 5 });
+
+    const result = await handleInboundKeyword({ from, text: 'vip', now });
+
+    expect(result).toMatchObject({ action: 'custom', keyword: 'VIP', contactIds: ['c1'] });
+    expect(prisma.contact.update).toHaveBeenCalledWith({
+      where: { id: 'c1' },
+      data: { tagsJson: ['summer', 'vip'] },
+    });
+    expect(scheduleJob).toHaveBeenCalledWith({
+      shopId: 'shop_1',
+      kind: 'automation:keyword',
+      key: 'automation:keyword:auto_1:c1:2025-06-01',
+      runAt: new Date('2025-06-01T10:05:00Z'),
+      payload: { automationId: 'auto_1', contactId: 'c1', keyword: 'VIP' },
+    });
+    expect(logAudit.mock.calls[0][0]).toMatchObject({
+      action: 'keyword.applied',
+      entityId: 'c1',
+      diff: { keyword: 'VIP', tags: ['vip'], automationId: 'auto_1', jobId: 'job_1' },
+    });
+  });
+
+  it('completes a pending double opt-in on YES and otherwise treats it as a message', async () => {
+    expect(await handleInboundKeyword({ from, text: 'Ναι!', now })).toBeNull();
+    expect(confirmPendingOptIn).toHaveBeenCalledWith({ shop: shops.shop_1, contact: rows.c1, now });
+
+    confirmPendingOptIn.mockResolvedValueOnce({ id: 'cc_1', status: 'confirmed' });
+    expect(await handleInboundKeyword({ from, text: 'yes', now })).toEqual({
+      action: 'confirm',
+      keyword: 'YES',
+      contactIds: ['c1'],
+    });
+    expect(updateLocalAndRemoteConsent).not.toHaveBeenCalled();
+  });
+
+  it('ignores ordinary messages and unknown numbers', async () => {
+    expect(await handleInboundKeyword({ from, text: 'Is my order shipped?', now })).toBeNull();
+
+    prisma.contact.findMany.mockResolvedValue([]);
+    expect(await handleInboundKeyword({ from, text: 'STOP', now })).toBeNull();
+
+    expect(updateLocalAndRemoteConsent).not.toHaveBeenCalled();
+    expect(prisma.message.create).not.toHaveBeenCalled();
+  });
+
+  it('sends the enrolled automation through the send gate', async () => {
+    prisma.shop.findUnique.mockResolvedValue(shops.shop_1);
+    prisma.automation.findFirst.mockResolvedValue({
+      id: 'auto_1',
+      enabled: true,
+      template: 'Welcome to the VIP club, {{ customer_name }}!',
+    });
+
+    await executeKeywordAutomationJob({
+      id: 'job_1',
+      shopId: 'shop_1',
+      payload: { automationId: 'auto_1', contactId: 'c1', keyword: 'VIP' },
+    });
+
+    expect(renderGateQueueAndSend).toHaveBeenCalledWith(
+      expect.objectContaining({
+        contact: rows.c1,
+        template: 'Welcome to the VIP club, {{ customer_name }}!',
+        triggerKey: 'keyword',
+        dedupeKey: 'auto_1',
+      }),
+    );
+    expect(prisma.job.update.mock.calls[0][0].data).toEqual({ status: 'done', lastError: null });
+  });
+});
+
+describe('Keyword settings', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.automation.findMany.mockResolvedValue([{ id: 'auto_1' }]);
+  });
+
+  it('normalizes words and custom keywords', async () => {
+    const settings = await prepareKeywordSettings({
+      shopId: 'shop_1',
+      keywords: {
+        stop: ['τέλος', 'ΤΕΛΟΣ'],
+        custom: [{ keyword: 'Vip!', tags: ['vip', ' vip '], automationId: 'auto_1' }],
+      },
+    });
+
+    expect(settings).toEqual({
+      stop: ['ΤΕΛΟΣ'],
+      start: [],
+      help: [],
+      confirm: [],
+      helpReply: null,
+      custom: [{ keyword: 'VIP', tags: ['vip'], automationId: 'auto_1' }],
+    });
+    expect(prisma.automation.findMany.mock.calls[0][0].where).toEqual({
+      id: { in: ['auto_1'] },
+      shopId: 'shop_1',
+    });
+  });
+
+  it.each([
+    ['a START word reused for STOP', { stop: ['Start'] }, /both stop and start/],
+    ['a custom keyword shadowing STOP', { custom: [{ keyword: 'stop', tags: ['x'] }] }, /stop/],
+    ['a custom keyword without an action', { custom: [{ keyword: 'VIP', tags: [] }] }, /needs/],
+    [
+      "another shop's automation",
+      { custom: [{ keyword: 'VIP', automationId: 'auto_9' }] },
+      /auto_9 not found/,
+    ],
+  ])('rejects %s', async (_label, keywords, message) => {
+    await expect(prepareKeywordSettings({ shopId: 'shop_1', keywords })).rejects.toMatchObject({
+      status: 422,
+      message: expect.stringMatching(message),
+    });
+  });
+});
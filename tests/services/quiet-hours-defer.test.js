@@ -0,0 +1,327 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  shop: { findUnique: vi.fn() },
+  contact: { findUnique: vi.fn() },
+  message: {
+    count: vi.fn(),
+    findMany: vi.fn(),
+    findUnique: vi.fn(),
+    create: vi.fn(),
+    update: vi.fn(),
+  },
+  sendDenial: { create: vi.fn() },
+  job: { update: vi.fn(), updateMany: vi.fn() },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/scheduler.js', () => ({
+  scheduleJob: vi.fn(async () => 'job_2'),
+}));
+
+vi.mock('../../src/services/mitto.js', () => ({
+  sendSms: vi.fn(async () => ({ providerMsgId: 'mitto_1' })),
+}));
+
+vi.mock('../../src/providers/index.js', () => ({
+  shopSendBlockedUntil: vi.fn(async () => null),
+}));
+
+const {
+  renderGateQueueAndSend,
+  executeDeferredMessageJob,
+  executeResendMessageJob,
+  cancelDeferredMessages,
+} = await import('../../src/services/messages.js');
+const { scheduleJob } = await import('../../src/services/scheduler.js');
+const { sendSms } = await import('../../src/services/mitto.js');
+const { shopSendBlockedUntil } = await import('../../src/providers/index.js');
+
+const shop = { id: 'shop_1', timezone: 'Europe/Athens', settingsJson: null };
+const contact = {
+  id: 'c1',
+  phoneE164: '+306912345678',
+  smsConsentState: 'opted_in',
+  optedOut: false,
+};
+const abandoned = {
+  templateKey: 'abandoned_checkout',
+  vars: { checkout: { id: 'chk_1', recovery_url: 'https://shop.example/r/1' } },
+  triggerKey: 'abandoned_checkout',
+  dedupeKey: 'chk_1',
+};
+
+function send(overrides = {}) {
+  return renderGateQueueAndSend({
+    shop,
+    contact,
+    phoneE164: contact.phoneE164,
+    ...abandoned,
+    ...overrides,
+  });
+}
+
+describe('Quiet hours defer policy', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    process.env.APP_URL = 'https://app.example';
+    prisma.message.count.mockResolvedValue(0);
+    prisma.message.findMany.mockResolvedValue([]);
+    prisma.message.create.mockImplementation(async ({ data }) => ({ id: 'msg_1', ...data }));
+    prisma.message.findUnique.mockImplementation(async () => ({
+      id: 'msg_1',
+      contactId: 'c1',
+      body: 'hi',
+      metadata: {},
+    }));
+    prisma.contact.findUnique.mockResolvedValue(contact);
+    prisma.shop.findUnique.mockResolvedValue(shop);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("reschedules a blocked abandoned checkout to the end of the contact's night", async () => {
+    vi.setSystemTime(new Date('2025-06-04T20:30:00Z')); // 23:30 in Athens
+
+    const result = await send();
+
+    const deferUntil = new Date('2025-06-05T05:00:00Z'); // 08:00 in Athens
+    expect(result).toEqual({
+      sent: false,
+      deferred: true,
+      reason: 'quiet_hours',
+      deferUntil,
+      jobId: 'job_2',
+    });
+    expect(scheduleJob).toHaveBeenCalledWith({
+      shopId: 'shop_1',
+      kind: 'message:deferred',
+      key: `message:deferred:abandoned_checkout:chk_1:c1:${deferUntil.getTime()}`,
+      runAt: deferUntil,
+      payload: {
+        contactId: 'c1',
+        ...abandoned,
+        template: null,
+        kind: 'automation',
+        metadata: null,
+      },
+    });
+    expect(prisma.message.create).not.toHaveBeenCalled();
+    expect(prisma.sendDenial.create).not.toHaveBeenCalled();
+  });
+
+  it("uses the contact's own timezone before the shop's", async () => {
+    vi.setSystemTime(new Date('2025-06-04T09:00:00Z')); // noon in Athens, 05:00 in New York
+
+    const result = await send({ contact: { ...contact, timezone: 'America/New_York' } });
+
+    expect(result.deferUntil).toEqual(new Date('2025-06-04T12:00:00Z'));
+  });
+
+  it('drops the message when the trigger is set to drop', async () => {
+    vi.setSystemTime(new Date('2025-06-04T20:30:00Z'));
+    const dropping = {
+      ...shop,
+      settingsJson: {
+        automations: {
+          abandoned: {
+            enabled: true,
+            rules: { quietHours: { enabled: true, start: 22, end: 8, policy: 'drop' } },
+          },
+        },
+      },
+    };
+
+    const result = await send({ shop: dropping });
+
+    expect(result).toEqual({ sent: false, reason: 'quiet_hours' });
+    expect(scheduleJob).not.toHaveBeenCalled();
+    expect(prisma.sendDenial.create.mock.calls[0][0].data.reason).toBe('quiet_hours');
+  });
+
+  describe('release', () => {
+    const job = {
+      id: 'job_2',
+      shopId: 'shop_1',
+      payload: { contactId: 'c1', ...abandoned, template: null, kind: 'automation' },
+    };
+
+    beforeEach(() => {
+      vi.setSystemTime(new Date('2025-06-05T05:00:00Z'));
+    });
+
+    it('sends once the quiet window is over', async () => {
+      const result = await executeDeferredMessageJob(job);
+
+      expect(result).toEqual({ sent: true, messageId: 'msg_1' });
+      expect(prisma.message.create.mock.calls[0][0].data).toMatchObject({
+        contactId: 'c1',
+        triggerKey: 'abandoned_checkout',
+        metadata: { phoneE164: contact.phoneE164, dedupeKey: 'chk_1' },
+      });
+      expect(sendSms).toHaveBeenCalledTimes(1);
+      expect(prisma.job.update.mock.calls[0][0].data).toEqual({ status: 'done', lastError: null });
+    });
+
+    it.each([
+      ['the contact opted out overnight', { optedOut: true }, [], 'no_consent'],
+      [
+        'the same checkout was already messaged',
+        {},
+        [{ metadata: { dedupeKey: 'chk_1' } }],
+        'deduped',
+      ],
+    ])('cancels when %s', async (_label, consent, recent, reason) => {
+      prisma.contact.findUnique.mockResolvedValue({ ...contact, ...consent });
+      prisma.message.findMany.mockResolvedValue(recent);
+
+      const result = await executeDeferredMessageJob(job);
+
+      expect(result).toEqual({ sent: false, reason });
+      expect(sendSms).not.toHaveBeenCalled();
+      expect(prisma.job.update.mock.calls[0][0].data).toEqual({
+        status: 'canceled',
+        lastError: reason,
+      });
+    });
+  });
+
+  it('cancels deferred messages about a closed subject by key prefix', async () => {
+    prisma.job.updateMany.mockResolvedValue({ count: 1 });
+
+    const canceled = await cancelDeferredMessages({
+      shopId: 'shop_1',
+      triggerKey: 'abandoned_checkout',
+      dedupeKey: 'chk_1',
+    });
+
+    expect(canceled).toBe(1);
+    expect(prisma.job.updateMany).toHaveBeenCalledWith({
+      where: {
+        shopId: 'shop_1',
+        type: 'message:deferred',
+        status: 'pending',
+        dedupeKey: { startsWith: 'message:deferred:abandoned_checkout:chk_1:' },
+      },
+      data: { status: 'canceled', lastError: 'subject_closed' },
+    });
+  });
+
+  it('keys a deferred flow step under its enrollment so an order can cancel it', async () => {
+    vi.setSystemTime(new Date('2025-06-04T20:30:00Z'));
+    prisma.job.updateMany.mockResolvedValue({ count: 1 });
+
+    await send({ template: 'Still thinking it over?', dedupeKey: 'enr_1:0' });
+    await cancelDeferredMessages({
+      shopId: 'shop_1',
+      triggerKey: 'abandoned_checkout',
+      dedupeKey: 'enr_1',
+    });
+
+    const { key } = scheduleJob.mock.calls[0][0];
+    const { startsWith } = prisma.job.updateMany.mock.calls[0][0].where.dedupeKey;
+    expect(key.startsWith(startsWith)).toBe(true);
+  });
+
+  it('releases a later flow step without the frequency cap it was deferred without', async () => {
+    vi.setSystemTime(new Date('2025-06-04T20:30:00Z'));
+    await send({ template: 'Last chance', dedupeKey: 'enr_1:6', frequencyCapChecked: true });
+    const { payload } = scheduleJob.mock.calls[0][0];
+    expect(payload.frequencyCapChecked).toBe(true);
+
+    vi.setSystemTime(new Date('2025-06-05T05:00:00Z'));
+    prisma.message.count.mockResolvedValue(5);
+    const result = await executeDeferredMessageJob({ id: 'job_2', shopId: 'shop_1', payload });
+
+    expect(result).toEqual({ sent: true, messageId: 'msg_1' });
+  });
+
+  describe('open circuits', () => {
+    const retryAt = new Date('2025-06-04T09:01:00Z');
+
+    beforeEach(() => {
+      vi.setSystemTime(new Date('2025-06-04T09:00:00Z')); // noon in Athens
+    });
+
+    it('defers instead of queueing while every provider is open', async () => {
+      shopSendBlockedUntil.mockResolvedValueOnce(retryAt);
+
+      const result = await send();
+
+      expect(result).toEqual({
+        sent: false,
+        deferred: true,
+        reason: 'circuit_open',
+        deferUntil: retryAt,
+        jobId: 'job_2',
+      });
+      expect(scheduleJob.mock.calls[0][0]).toMatchObject({
+        kind: 'message:deferred',
+        runAt: retryAt,
+      });
+      expect(prisma.message.create).not.toHaveBeenCalled();
+      expect(prisma.sendDenial.create).not.toHaveBeenCalled();
+    });
+
+    it('keeps a message refused at send time queued for a resend', async () => {
+      const refused = Object.assign(new Error('SMS provider mitto circuit open'), {
+        code: 'circuit_open',
+      });
+      sendSms.mockRejectedValueOnce(refused);
+      prisma.message.findUnique.mockResolvedValueOnce({
+        id: 'msg_1',
+        shopId: 'shop_1',
+        contactId: 'c1',
+        body: 'hi',
+        metadata: {},
+      });
+      // Open between the gate and the send
+      shopSendBlockedUntil.mockResolvedValueOnce(null).mockResolvedValueOnce(retryAt);
+
+      const result = await send();
+
+      expect(result).toEqual({ sent: true, messageId: 'msg_1' });
+      expect(prisma.message.update).not.toHaveBeenCalled();
+      expect(scheduleJob).toHaveBeenCalledWith({
+        shopId: 'shop_1',
+        kind: 'message:send',
+        key: `message:send:msg_1:${retryAt.getTime()}`,
+        runAt: retryAt,
+        payload: { messageId: 'msg_1', metadata: null },
+      });
+    });
+
+    it('resends only messages still queued', async () => {
+      const job = { id: 'job_3', payload: { messageId: 'msg_1', metadata: null } };
+      prisma.message.findUnique.mockResolvedValue({
+        id: 'msg_1',
+        contactId: 'c1',
+        body: 'hi',
+        status: 'queued',
+        metadata: {},
+      });
+
+      await executeResendMessageJob(job);
+
+      expect(sendSms).toHaveBeenCalledTimes(1);
+      expect(prisma.job.update.mock.calls[0][0].data).toEqual({ status: 'done', lastError: null });
+
+      vi.clearAllMocks();
+      prisma.message.findUnique.mockResolvedValue({ id: 'msg_1', status: 'sent', metadata: {} });
+
+      await executeResendMessageJob(job);
+
+      expect(sendSms).not.toHaveBeenCalled();
+      expect(prisma.job.update.mock.calls[0][0].data).toEqual({
+        status: 'canceled',
+        lastError: 'not_queued',
+      });
+    });
+  });
+});
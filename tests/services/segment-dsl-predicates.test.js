@@ -0,0 +1,348 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  contactOrder: {
+    upsert: vi.fn(),
+    findMany: vi.fn(),
+    update: vi.fn(),
+  },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/shopify-products.js', () => ({
+  resolveProductCollections: vi.fn(),
+}));
+
+const { dslToWhere, evaluateSegmentFilter, segmentEvaluationSelect } = await import(
+  '../../src/services/segment-dsl.js'
+);
+const { matchesWhere } = await import('../mocks/prisma-where.js');
+const { recordContactOrder } = await import('../../src/services/contacts-denormalize.js');
+const { resolveProductCollections } = await import('../../src/services/shopify-products.js');
+
+const now = new Date('2025-06-15T12:00:00Z');
+const daysAgo = (n) => {
+  const d = new Date(now);
+  d.setDate(d.getDate() - n);
+  return d;
+};
+
+function order(recencyRank, placedAt, productIds, collectionIds = []) {
+  return { recencyRank, placedAt: new Date(placedAt), productIds, collectionIds };
+}
+
+// Contacts as segmentEvaluationSelect loads them
+const contacts = [
+  {
+    id: 'loyal',
+    createdAt: new Date('2024-01-10T00:00:00Z'),
+    customerId: '111',
+    email_domain: 'gmail.com',
+    conversionLtvCents: 52000,
+    lastClickedAt: new Date('2025-06-10T00:00:00Z'),
+    Message: [{ status: 'delivered', createdAt: new Date('2025-06-12T00:00:00Z') }],
+    campaignRecipients: [{ campaignId: 'camp_1', status: 'sent' }],
+    orders: [
+      order(1, '2025-06-01T00:00:00Z', ['10'], ['500']),
+      order(2, '2025-05-20T00:00:00Z', ['11']),
+      order(3, '2024-12-01T00:00:00Z', ['12'], ['501']),
+    ],
+  },
+  {
+    id: 'lapsed',
+    createdAt: new Date('2025-02-01T00:00:00Z'),
+    customerId: '222',
+    email_domain: 'yahoo.com',
+    conversionLtvCents: 4000,
+    lastClickedAt: new Date('2025-03-01T00:00:00Z'),
+    Message: [{ status: 'delivered', createdAt: new Date('2025-04-01T00:00:00Z') }],
+    campaignRecipients: [
+      { campaignId: 'camp_1', status: 'failed' },
+      { campaignId: 'camp_2', status: 'sent' },
+    ],
+    orders: [order(1, '2025-01-05T00:00:00Z', ['12'], ['501'])],
+  },
+  {
+    id: 'new',
+    createdAt: new Date('2025-06-01T00:00:00Z'),
+    customerId: null,
+    email_domain: null,
+    conversionLtvCents: 0,
+    lastClickedAt: null,
+    Message: [],
+    campaignRecipients: [{ campaignId: 'camp_1', status: 'held' }],
+    orders: [],
+  },
+];
+
+function members(dsl) {
+  return contacts.filter((c) => evaluateSegmentFilter(c, dsl, { now })).map((c) => c.id);
+}
+
+// Each case pins the Prisma translation and the contacts that translation selects;
+// the in-memory evaluator must select exactly the same contacts. `unknown` lists contacts
+// whose column is NULL: SQL puts them neither in the segment nor in its negation.
+const cases = [
+  {
+    name: 'received campaign',
+    dsl: { receivedCampaign: 'camp_1' },
+    where: { AND: [{ campaignRecipients: { some: { campaignId: 'camp_1', status: 'sent' } } }] },
+    members: ['loyal'],
+  },
+  {
+    name: 'received another campaign (failed and held rows do not count)',
+    dsl: { receivedCampaign: 'camp_2' },
+    where: { AND: [{ campaignRecipients: { some: { campaignId: 'camp_2', status: 'sent' } } }] },
+    members: ['lapsed'],
+  },
+  {
+    name: 'clicked in the last N days',
+    dsl: { clicked: { lastNDays: 30 } },
+    where: { AND: [{ lastClickedAt: { gte: daysAgo(30) } }] },
+    members: ['loyal'],
+    unknown: ['new'],
+  },
+  {
+    name: 'ever clicked',
+    dsl: { clicked: {} },
+    where: { AND: [{ lastClickedAt: { not: null } }] },
+    members: ['loyal', 'lapsed'],
+  },
+  {
+    name: 'no message in N days',
+    dsl: { noMessageInDays: 30 },
+    where: {
+      AND: [
+        {
+          Message: {
+            none: { status: { in: ['sent', 'delivered'] }, createdAt: { gte: daysAgo(30) } },
+          },
+        },
+      ],
+    },
+    members: ['lapsed', 'new'],
+  },
+  {
+    name: 'total spent at least',
+    dsl: { totalSpent: { gte: 100 } },
+    where: { AND: [{ conversionLtvCents: { gte: 10000 } }] },
+    members: ['loyal'],
+  },
+  {
+    name: 'total spent below',
+    dsl: { totalSpent: { lt: 99.99 } },
+    where: { AND: [{ conversionLtvCents: { lt: 9999 } }] },
+    members: ['lapsed', 'new'],
+  },
+  {
+    name: 'order count overall',
+    dsl: { orders: { minCount: 2 } },
+    where: { AND: [{ orders: { some: { recencyRank: 2 } } }] },
+    members: ['loyal'],
+  },
+  {
+    name: 'order count in a window',
+    dsl: { orders: { minCount: 2, lastNDays: 30 } },
+    where: { AND: [{ orders: { some: { recencyRank: 2, placedAt: { gte: daysAgo(30) } } } }] },
+    members: ['loyal'],
+  },
+  {
+    name: 'order count in a window not reached',
+    dsl: { orders: { minCount: 3, lastNDays: 30 } },
+    where: { AND: [{ orders: { some: { recencyRank: 3, placedAt: { gte: daysAgo(30) } } } }] },
+    members: [],
+  },
+  {
+    name: 'ordered at all in a window',
+    dsl: { orders: { lastNDays: 90 } },
+    where: { AND: [{ orders: { some: { recencyRank: 1, placedAt: { gte: daysAgo(90) } } } }] },
+    members: ['loyal'],
+  },
+  {
+    name: 'no orders in a window',
+    dsl: { orders: { maxCount: 0, lastNDays: 90 } },
+    where: { AND: [{ orders: { none: { recencyRank: 1, placedAt: { gte: daysAgo(90) } } } }] },
+    members: ['lapsed', 'new'],
+  },
+  {
+    name: 'order count range',
+    dsl: { orders: { minCount: 1, maxCount: 1 } },
+    where: {
+      AND: [{ orders: { some: { recencyRank: 1 } } }, { orders: { none: { recencyRank: 2 } } }],
+    },
+    members: ['lapsed'],
+  },
+  {
+    name: 'bought a product',
+    dsl: { bought: { productId: 'gid://shopify/Product/12' } },
+    where: { AND: [{ orders: { some: { productIds: { array_contains: ['12'] } } } }] },
+    members: ['loyal', 'lapsed'],
+  },
+  {
+    name: 'bought from a collection in a window',
+    dsl: { bought: { collectionId: '501', lastNDays: 180 } },
+    where: {
+      AND: [
+        {
+          orders: {
+            some: { collectionIds: { array_contains: ['501'] }, placedAt: { gte: daysAgo(180) } },
+          },
+        },
+      ],
+    },
+    members: ['lapsed'],
+  },
+  {
+    name: 'created between',
+    dsl: { createdBetween: { from: '2025-01-01', to: '2025-06-30' } },
+    where: {
+      AND: [{ createdAt: { gte: new Date('2025-01-01'), lte: new Date('2025-06-30') } }],
+    },
+    members: ['lapsed', 'new'],
+  },
+  {
+    name: 'email domain',
+    dsl: { emailDomain: '@Gmail.com' },
+    where: { AND: [{ email_domain: 'gmail.com' }] },
+    members: ['loyal'],
+    unknown: ['new'],
+  },
+  {
+    name: 'email domain list',
+    dsl: { emailDomain: { in: ['yahoo.com', 'outlook.com'] } },
+    where: { AND: [{ email_domain: { in: ['yahoo.com', 'outlook.com'] } }] },
+    members: ['lapsed'],
+    unknown: ['new'],
+  },
+  {
+    name: 'customerId present',
+    dsl: { hasCustomerId: true },
+    where: { AND: [{ customerId: { not: null } }] },
+    members: ['loyal', 'lapsed'],
+  },
+  {
+    name: 'customerId absent',
+    dsl: { hasCustomerId: false },
+    where: { AND: [{ customerId: null }] },
+    members: ['new'],
+  },
+];
+
+describe('Segment DSL history, order and contact predicates', () => {
+  describe.each(cases)('$name', ({ dsl, where, members: expected, unknown = [] }) => {
+    it('translates to the expected Prisma filter', () => {
+      expect(dslToWhere(dsl, { now })).toEqual(where);
+      expect(contacts.filter((c) => matchesWhere(c, where)).map((c) => c.id)).toEqual(expected);
+    });
+
+    it('selects the same contacts in memory', () => {
+      expect(members(dsl)).toEqual(expected);
+    });
+
+    it('negates consistently', () => {
+      const rest = contacts
+        .map((c) => c.id)
+        .filter((id) => !expected.includes(id) && !unknown.includes(id));
+      expect(members({ not: dsl })).toEqual(rest);
+    });
+  });
+
+  it('combines predicates with and/or/not', () => {
+    expect(
+      members({ and: [{ hasCustomerId: true }, { not: { receivedCampaign: 'camp_1' } }] }),
+    ).toEqual(['lapsed']);
+    expect(members({ or: [{ emailDomain: 'yahoo.com' }, { orders: { minCount: 3 } }] })).toEqual([
+      'loyal',
+      'lapsed',
+    ]);
+  });
+
+  it('loads only the relations a filter reads', () => {
+    const select = segmentEvaluationSelect({
+      or: [{ bought: { productId: '10' } }, { noMessageInDays: 7 }],
+    });
+    expect(select.orders).toBeDefined();
+    expect(select.Message).toBeDefined();
+    expect(select.campaignRecipients).toBeUndefined();
+    expect(segmentEvaluationSelect({ emailDomain: 'gmail.com' }).orders).toBeUndefined();
+  });
+
+  it('does not match when a needed relation was not loaded', () => {
+    const { orders: _orders, ...withoutOrders } = contacts[0];
+    expect(evaluateSegmentFilter(withoutOrders, { orders: { minCount: 1 } }, { now })).toBe(false);
+  });
+
+  it('rejects malformed dates and windows', () => {
+    expect(() => dslToWhere({ createdBetween: { from: 'soon' } })).toThrow(
+      expect.objectContaining({ status: 422 }),
+    );
+    expect(() => dslToWhere({ noMessageInDays: -1 })).toThrow(
+      expect.objectContaining({ status: 422 }),
+    );
+  });
+});
+
+describe('Contact order history', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resolveProductCollections.mockResolvedValue(['500']);
+    prisma.contactOrder.upsert.mockResolvedValue({ id: 'co_new' });
+  });
+
+  it('records product and collection ids and re-ranks by recency', async () => {
+    prisma.contactOrder.findMany.mockResolvedValue([
+      { id: 'co_new', recencyRank: 1 },
+      { id: 'co_old', recencyRank: 1 },
+    ]);
+
+    await recordContactOrder({
+      shopId: 'shop_1',
+      shopDomain: 'shop.myshopify.com',
+      contactId: 'c1',
+      payload: {
+        id: 9001,
+        processed_at: '2025-06-01T10:00:00Z',
+        total_price: '42.50',
+        line_items: [{ product_id: 10 }, { product_id: 10 }, { product_id: null }],
+      },
+    });
+
+    expect(resolveProductCollections).toHaveBeenCalledWith({
+      shopDomain: 'shop.myshopify.com',
+      productIds: ['10'],
+    });
+    expect(prisma.contactOrder.upsert).toHaveBeenCalledWith({
+      where: { shopId_orderId: { shopId: 'shop_1', orderId: '9001' } },
+      create: expect.objectContaining({ shopId: 'shop_1', orderId: '9001', totalCents: 4250 }),
+      update: {
+        contactId: 'c1',
+        placedAt: new Date('2025-06-01T10:00:00Z'),
+        totalCents: 4250,
+        productIds: ['10'],
+        collectionIds: ['500'],
+      },
+    });
+    expect(prisma.contactOrder.update).toHaveBeenCalledTimes(1);
+    expect(prisma.contactOrder.update).toHaveBeenCalledWith({
+      where: { id: 'co_old' },
+      data: { recencyRank: 2 },
+    });
+  });
+
+  it('keeps the order when collections cannot be resolved', async () => {
+    resolveProductCollections.mockRejectedValue(new Error('missing read_products scope'));
+    prisma.contactOrder.findMany.mockResolvedValue([{ id: 'co_new', recencyRank: 1 }]);
+
+    await recordContactOrder({
+      shopId: 'shop_1',
+      shopDomain: 'shop.myshopify.com',
+      contactId: 'c1',
+      payload: { id: 9002, line_items: [{ product_id: 11 }] },
+    });
+
+    expect(prisma.contactOrder.upsert.mock.calls[0][0].update.collectionIds).toEqual([]);
+  });
+});
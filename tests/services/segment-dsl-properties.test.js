@@ -0,0 +1,211 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => ({}),
+}));
+
+const { dslToWhere, evaluateSegmentFilter, segmentEvaluationSelect } = await import(
+  '../../src/services/segment-dsl.js'
+);
+const { matchesWhere } = await import('../mocks/prisma-where.js');
+
+const now = new Date('2025-06-15T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREES = 400;
+const CONTACTS = 40;
+
+// Seeded PRNG (mulberry32) so a failure can be replayed from the printed seed
+function prng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generators(rng) {
+  const int = (min, max) => min + Math.floor(rng() * (max - min + 1));
+  const pick = (list) => list[int(0, list.length - 1)];
+  const chance = (p = 0.5) => rng() < p;
+  const maybe = (value, p = 0.5) => (chance(p) ? value : undefined);
+  const daysAgo = (max) => new Date(now.getTime() - rng() * max * DAY_MS);
+  const subset = (list) => list.filter(() => chance());
+  const compact = (obj) =>
+    Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+  const range = (min, max) =>
+    compact({
+      gte: maybe(int(min, max), 0.4),
+      lte: maybe(int(min, max), 0.4),
+      gt: maybe(int(min, max), 0.2),
+      lt: maybe(int(min, max), 0.2),
+    });
+
+  function contact(i) {
+    const orders = Array.from({ length: int(0, 4) }, () => ({
+      placedAt: daysAgo(365),
+      productIds: subset(['10', '11', '12']),
+      collectionIds: subset(['500', '501']),
+    }))
+      .sort((a, b) => b.placedAt - a.placedAt)
+      .map((o, rank) => ({ ...o, recencyRank: rank + 1 }));
+
+    return {
+      id: `c${i}`,
+      createdAt: daysAgo(400),
+      customerId: pick([null, '111', '222']),
+      phoneE164: pick(['+306900000001', '+447700900001', '+12025550101']),
+      email_domain: pick([null, 'gmail.com', 'yahoo.com']),
+      locale: pick([null, 'el', 'en']),
+      optedOut: chance(),
+      smsConsentState: pick(['opted_in', 'opted_out', 'unknown']),
+      tagsJson: pick([null, [], ['vip'], ['vip', 'sale'], ['new']]),
+      gender: pick(['male', 'female', 'unknown']),
+      ageYears: chance(0.3) ? null : int(16, 70),
+      conversionCount: int(0, 4),
+      lastConvertedAt: chance(0.4) ? null : daysAgo(200),
+      conversionLtvCents: int(0, 60000),
+      lastClickedAt: chance(0.4) ? null : daysAgo(90),
+      Message: Array.from({ length: int(0, 3) }, () => ({
+        status: pick(['queued', 'sent', 'delivered', 'failed']),
+        createdAt: daysAgo(60),
+      })),
+      campaignRecipients: Array.from({ length: int(0, 2) }, () => ({
+        campaignId: pick(['camp_1', 'camp_2']),
+        status: pick(['pending', 'held', 'sent', 'failed']),
+      })),
+      orders,
+    };
+  }
+
+  const leaves = [
+    () => ({ consent: pick(['opted_in', 'opted_out', 'unknown']) }),
+    () => ({ tag: pick(['vip', 'sale', 'new']) }),
+    () => ({ tags: { has: pick(['vip', 'sale']) } }),
+    () => ({ locale: chance() ? pick(['el', 'en']) : { in: subset(['el', 'en', 'de']) } }),
+    () => ({ optedOut: chance() }),
+    () => ({ phoneStartsWith: pick(['+30', '+44', '+1']) }),
+    () => ({ gender: pick(['male', 'female', 'unknown']) }),
+    () => ({ ageYears: chance(0.3) ? int(16, 70) : range(16, 70) }),
+    () => ({
+      conversion: compact({ minCount: maybe(int(0, 4)), lastNDays: maybe(int(1, 200)) }),
+    }),
+    () => ({ receivedCampaign: pick(['camp_1', 'camp_2']) }),
+    () => ({ clicked: chance(0.3) ? {} : { lastNDays: int(1, 90) } }),
+    () => ({ noMessageInDays: int(1, 60) }),
+    () => ({ totalSpent: range(0, 600) }),
+    () => ({
+      orders: compact({
+        minCount: maybe(int(0, 4)),
+        maxCount: maybe(int(0, 3)),
+        lastNDays: maybe(int(1, 365)),
+      }),
+    }),
+    () => ({
+      bought: compact({
+        productId: maybe(pick(['10', '11', 'gid://shopify/Product/12'])),
+        collectionId: maybe(pick(['500', '501'])),
+        lastNDays: maybe(int(1, 365)),
+      }),
+    }),
+    () => ({
+      createdBetween: compact({
+        from: maybe(daysAgo(400).toISOString()),
+        to: maybe(daysAgo(400).toISOString()),
+      }),
+    }),
+    () => ({
+      emailDomain: chance()
+        ? pick(['gmail.com', '@Yahoo.com'])
+        : { in: subset(['gmail.com', 'yahoo.com']) },
+    }),
+    () => ({ hasCustomerId: chance() }),
+  ];
+
+  function tree(depth) {
+    if (depth === 0 || chance(0.35)) return pick(leaves)();
+    const children = () => Array.from({ length: int(1, 3) }, () => tree(depth - 1));
+    switch (int(0, 4)) {
+      case 0:
+        return { and: children() };
+      case 1:
+        return { or: children() };
+      case 2:
+        return { not: tree(depth - 1) };
+      case 3:
+        return children();
+      default:
+        // Several keys in one object are ANDed
+        return { ...pick(leaves)(), ...tree(depth - 1) };
+    }
+  }
+
+  return { contact, tree };
+}
+
+/** A contact as segmentEvaluationSelect(filter) would load it */
+function loaded(contact, select) {
+  const row = {};
+  for (const [key, spec] of Object.entries(select)) {
+    const value = contact[key];
+    row[key] = spec?.where ? value.filter((r) => spec.where.status.in.includes(r.status)) : value;
+  }
+  return row;
+}
+
+describe('Segment DSL evaluator properties', () => {
+  it('agrees with the database semantics of dslToWhere on random filters and contacts', () => {
+    const mismatches = [];
+    let matched = 0;
+    let evaluated = 0;
+
+    for (let seed = 1; seed <= TREES; seed++) {
+      const { contact, tree } = generators(prng(seed));
+      const dsl = tree(3);
+      const where = dslToWhere(dsl, { now });
+      for (let i = 0; i < CONTACTS; i++) {
+        const c = contact(i);
+        const expected = matchesWhere(c, where);
+        const actual = evaluateSegmentFilter(c, dsl, { now });
+        evaluated++;
+        if (expected) matched++;
+        if (actual !== expected) mismatches.push({ seed, dsl, contact: c, expected, actual });
+      }
+    }
+
+    expect(mismatches.slice(0, 3)).toEqual([]);
+    // The generators should exercise both outcomes, not collapse to all-in or all-out
+    expect(matched / evaluated).toBeGreaterThan(0.05);
+    expect(matched / evaluated).toBeLessThan(0.95);
+  });
+
+  it('negation selects exactly the contacts that are definitely outside the segment', () => {
+    for (let seed = 1; seed <= TREES; seed++) {
+      const { contact, tree } = generators(prng(seed));
+      const dsl = tree(3);
+      for (let i = 0; i < 10; i++) {
+        const c = contact(i);
+        const inside = evaluateSegmentFilter(c, dsl, { now });
+        const outside = evaluateSegmentFilter(c, { not: dsl }, { now });
+        expect(inside && outside, `seed ${seed}`).toBe(false);
+        expect(outside, `seed ${seed}`).toBe(matchesWhere(c, { NOT: dslToWhere(dsl, { now }) }));
+      }
+    }
+  });
+
+  it('evaluates contacts loaded with segmentEvaluationSelect the same way', () => {
+    for (let seed = 1; seed <= TREES; seed++) {
+      const { contact, tree } = generators(prng(seed));
+      const dsl = tree(3);
+      const select = segmentEvaluationSelect(dsl);
+      for (let i = 0; i < 10; i++) {
+        const c = contact(i);
+        expect(evaluateSegmentFilter(loaded(c, select), dsl, { now }), `seed ${seed}`).toBe(
+          evaluateSegmentFilter(c, dsl, { now }),
+        );
+      }
+    }
+  });
+});
@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => {
+  const client = {
+    segment: {
+      findFirst: vi.fn(),
+      findMany: vi.fn(),
+      count: vi.fn(),
+      update: vi.fn(),
+      updateMany: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+    segmentMembership: {
+      findMany: vi.fn(),
+      count: vi.fn(),
+      createMany: vi.fn(),
+      updateMany: vi.fn(),
+    },
+    segmentSnapshot: {
+      findMany: vi.fn(),
+      create: vi.fn(),
+    },
+    contact: {
+      findMany: vi.fn(),
+      count: vi.fn(),
+    },
+    campaign: {
+      count: vi.fn(),
+      update: vi.fn(),
+    },
+    campaignRecipient: {
+      updateMany: vi.fn(),
+      createMany: vi.fn(),
+      deleteMany: vi.fn(),
+    },
+  };
+  client.$transaction = vi.fn(async (fn) => fn(client));
+  return client;
+});
+
+vi.mock('@prisma/client', () => ({
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/queue/queues.js', () => ({
+  enqueueJob: vi.fn(),
+}));
+
+const { listSegments, updateSegment, deleteSegment, materializeSegment, diffSegmentMembership } =
+  await import('../../src/services/segments.js');
+const { materializeCampaignAudience } = await import('../../src/services/campaigns-service.js');
+
+const shopId = 'shop_1';
+const filterJson = { tags: { has: 'vip' } };
+
+function segmentRow(overrides = {}) {
+  return {
+    id: 'seg_1',
+    shopId,
+    name: 'VIP',
+    filterJson,
+    isSystem: false,
+    contactCount: null,
+    countedAt: null,
+    lastMaterializedAt: null,
+    ...overrides,
+  };
+}
+
+describe('Segments service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.segment.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('lists segments, recounting only stale cached counts', async () => {
+    const fresh = segmentRow({ id: 'seg_fresh', contactCount: 7, countedAt: new Date() });
+    const stale = segmentRow({
+      id: 'seg_stale',
+      contactCount: 3,
+      countedAt: new Date(Date.now() - 60 * 60 * 1000),
+    });
+    prisma.segment.findMany.mockResolvedValue([fresh, stale]);
+    prisma.segment.count.mockResolvedValue(2);
+    prisma.contact.count.mockResolvedValue(12);
+
+    const { segments, pagination } = await listSegments({ shopId, limit: 10 });
+
+    expect(segments.map((s) => s.contactCount)).toEqual([7, 12]);
+    expect(prisma.contact.count).toHaveBeenCalledTimes(1);
+    expect(prisma.contact.count.mock.calls[0][0].where).toMatchObject({
+      shopId,
+      smsConsentState: 'opted_in',
+      optedOut: false,
+    });
+    expect(pagination).toEqual({ total: 2, limit: 10, offset: 0, hasMore: false });
+  });
+
+  it('invalidates the cached count when the filter changes', async () => {
+    prisma.segment.findFirst.mockResolvedValue(segmentRow({ contactCount: 4 }));
+
+    await updateSegment({ shopId, segmentId: 'seg_1', filterJson: { tags: { has: 'new' } } });
+
+    expect(prisma.segment.update).toHaveBeenCalledWith({
+      where: { id: 'seg_1' },
+      data: { filterJson: { tags: { has: 'new' } }, contactCount: null, countedAt: null },
+    });
+  });
+
+  it('refuses to delete a segment targeted by a scheduled campaign', async () => {
+    prisma.segment.findFirst.mockResolvedValue(segmentRow());
+    prisma.campaign.count.mockResolvedValue(1);
+
+    await expect(deleteSegment({ shopId, segmentId: 'seg_1' })).rejects.toMatchObject({
+      status: 409,
+    });
+    expect(prisma.segment.deleteMany).not.toHaveBeenCalled();
+
+    prisma.campaign.count.mockResolvedValue(0);
+    await expect(deleteSegment({ shopId, segmentId: 'seg_1' })).resolves.toEqual({
+      segmentId: 'seg_1',
+    });
+  });
+
+  it('materializes membership: opens rows for joiners and closes rows for leavers', async () => {
+    const previous = new Date('2025-03-01T00:00:00Z');
+    const now = new Date('2025-03-02T00:00:00Z');
+    prisma.segment.findFirst.mockResolvedValue(segmentRow({ lastMaterializedAt: previous }));
+    prisma.contact.findMany.mockResolvedValue([{ id: 'c1' }, { id: 'c2' }, { id: 'c3' }]);
+    prisma.segmentMembership.findMany.mockResolvedValue([{ contactId: 'c1' }, { contactId: 'c9' }]);
+    prisma.segmentSnapshot.create.mockResolvedValue({ id: 'snap_1' });
+
+    const result = await materializeSegment({ shopId, segmentId: 'seg_1', now });
+
+    expect(result).toEqual({
+      segmentId: 'seg_1',
+      memberCount: 3,
+      joined: 2,
+      left: 1,
+      materializedAt: now,
+      snapshotId: 'snap_1',
+    });
+    expect(prisma.segment.updateMany).toHaveBeenCalledWith({
+      where: { id: 'seg_1', shopId, lastMaterializedAt: previous },
+      data: { lastMaterializedAt: now, contactCount: 3, countedAt: now },
+    });
+    expect(prisma.segmentMembership.createMany).toHaveBeenCalledWith({
+      data: [
+        { shopId, segmentId: 'seg_1', contactId: 'c2', joinedAt: now },
+        { shopId, segmentId: 'seg_1', contactId: 'c3', joinedAt: now },
+      ],
+    });
+    expect(prisma.segmentMembership.updateMany).toHaveBeenCalledWith({
+      where: { segmentId: 'seg_1', leftAt: null, contactId: { in: ['c9'] } },
+      data: { leftAt: now },
+    });
+  });
+
+  it('loses a concurrent materialization with 409', async () => {
+    prisma.segment.findFirst.mockResolvedValue(segmentRow());
+    prisma.contact.findMany.mockResolvedValue([{ id: 'c1' }]);
+    prisma.segmentMembership.findMany.mockResolvedValue([]);
+    prisma.segment.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(materializeSegment({ shopId, segmentId: 'seg_1' })).rejects.toMatchObject({
+      status: 409,
+    });
+    expect(prisma.segmentMembership.createMany).not.toHaveBeenCalled();
+  });
+
+  it('diffs the latest materialization by default', async () => {
+    const previousRun = new Date('2025-03-01T00:00:00Z');
+    prisma.segment.findFirst.mockResolvedValue(segmentRow());
+    prisma.segmentSnapshot.findMany.mockResolvedValue([
+      { createdAt: new Date('2025-03-02T00:00:00Z') },
+      { createdAt: previousRun },
+    ]);
+    prisma.segmentMembership.count.mockResolvedValueOnce(2).mockResolvedValueOnce(1);
+    prisma.segmentMembership.findMany
+      .mockResolvedValueOnce([{ contactId: 'c2' }, { contactId: 'c3' }])
+      .mockResolvedValueOnce([{ contactId: 'c9' }]);
+
+    const diff = await diffSegmentMembership({ shopId, segmentId: 'seg_1' });
+
+    expect(diff.since).toEqual(previousRun);
+    expect(diff.joined).toEqual({ count: 2, contactIds: ['c2', 'c3'] });
+    expect(diff.left).toEqual({ count: 1, contactIds: ['c9'] });
+    expect(prisma.segmentMembership.count.mock.calls[0][0].where.joinedAt.gt).toEqual(previousRun);
+  });
+
+  describe('campaigns targeting a frozen audience', () => {
+    const campaign = {
+      id: 'camp_1',
+      segmentId: 'seg_1',
+      audienceSource: 'frozen',
+      scheduleMode: 'fixed',
+      shop: { timezone: 'UTC' },
+    };
+
+    it('sends to the last materialized members, still requiring consent', async () => {
+      prisma.segment.findFirst.mockResolvedValue(segmentRow({ lastMaterializedAt: new Date() }));
+      prisma.contact.findMany.mockResolvedValue([{ id: 'c1', phoneE164: '+306900000001' }]);
+
+      const count = await materializeCampaignAudience({ shopId, campaign });
+
+      expect(count).toBe(1);
+      expect(prisma.contact.findMany.mock.calls[0][0].where).toEqual({
+        shopId,
+        segmentMemberships: { some: { segmentId: 'seg_1', leftAt: null } },
+        smsConsentState: 'opted_in',
+        optedOut: false,
+      });
+    });
+
+    it('requires the segment to have been materialized', async () => {
+      prisma.segment.findFirst.mockResolvedValue(segmentRow());
+
+      await expect(materializeCampaignAudience({ shopId, campaign })).rejects.toMatchObject({
+        status: 422,
+      });
+    });
+  });
+});
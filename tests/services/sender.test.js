@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  contact: { update: vi.fn() },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+const { prepareSenderSettings, chooseSender } = await import('../../src/services/sender.js');
+
+const GR = '+306912345678';
+const US = '+12025550143';
+const pool = ['+12025550100', '+447700900123', '+306900000001'];
+
+function shopWith(sender) {
+  return { id: 'shop_1', settingsJson: { sender } };
+}
+
+describe('Sender selection', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('normalizes pool numbers and country codes', () => {
+    expect(
+      prepareSenderSettings({
+        alphanumericId: ' Blossom ',
+        numbers: ['+1 202 555 0100', '+12025550100'],
+        numericCountries: ['in'],
+      }),
+    ).toEqual({
+      alphanumericId: 'Blossom',
+      numbers: ['+12025550100'],
+      numericCountries: ['IN'],
+      twoWay: false,
+    });
+  });
+
+  it.each([
+    ['an all-digit sender ID', { alphanumericId: '12345' }, /alphanumericId/],
+    ['a sender ID with symbols', { alphanumericId: 'Shop-1!' }, /alphanumericId/],
+    ['an invalid pool number', { numbers: ['+3012'] }, /Invalid pool number/],
+    ['an invalid country', { numericCountries: ['GRC'] }, /Invalid country/],
+    ['two-way without numbers', { alphanumericId: 'Blossom', twoWay: true }, /twoWay/],
+  ])('rejects %s', (_label, sender, message) => {
+    expect(() => prepareSenderSettings(sender)).toThrow(message);
+  });
+
+  it('uses the sender ID where the country allows it', async () => {
+    const shop = shopWith({ alphanumericId: 'Blossom', numbers: pool });
+
+    expect(await chooseSender({ shop, contact: { id: 'c1' }, phoneE164: GR })).toBe('Blossom');
+    expect(prisma.contact.update).not.toHaveBeenCalled();
+  });
+
+  it('gives numeric-only countries a local pool number and keeps it for the contact', async () => {
+    const shop = shopWith({ alphanumericId: 'Blossom', numbers: pool });
+
+    expect(await chooseSender({ shop, contact: { id: 'c1' }, phoneE164: US })).toBe('+12025550100');
+    expect(prisma.contact.update).toHaveBeenCalledWith({
+      where: { id: 'c1' },
+      data: { senderNumber: '+12025550100' },
+    });
+
+    // Sticky: the stored number wins even for a different country
+    prisma.contact.update.mockClear();
+    const contact = { id: 'c1', senderNumber: '+447700900123' };
+    expect(await chooseSender({ shop, contact, phoneE164: US })).toBe('+447700900123');
+    expect(prisma.contact.update).not.toHaveBeenCalled();
+  });
+
+  it('sends replies and shop-listed countries from a number', async () => {
+    const shop = shopWith({ alphanumericId: 'Blossom', numbers: pool, numericCountries: ['GR'] });
+    expect(await chooseSender({ shop, contact: { id: 'c2' }, phoneE164: GR })).toBe(
+      '+306900000001',
+    );
+
+    const plain = shopWith({ alphanumericId: 'Blossom', numbers: pool });
+    const sender = await chooseSender({
+      shop: plain,
+      contact: { id: 'c3' },
+      phoneE164: GR,
+      kind: 'conversation',
+    });
+    expect(sender).toBe('+306900000001');
+  });
+
+  it("uses a provider's own sender ID and pool when that provider sends", async () => {
+    const shop = shopWith({
+      alphanumericId: 'Blossom',
+      numbers: pool,
+      byProvider: { twilio: { alphanumericId: null, numbers: ['+15005550007'] } },
+    });
+    const contact = { id: 'c1', senderNumber: '+12025550100' };
+
+    expect(await chooseSender({ shop, contact, phoneE164: GR, provider: 'mitto' })).toBe('Blossom');
+    expect(await chooseSender({ shop, contact, phoneE164: GR, provider: 'twilio' })).toBe(
+      '+15005550007',
+    );
+    // The contact keeps its number from the shared pool
+    expect(prisma.contact.update).not.toHaveBeenCalled();
+  });
+
+  it('validates per-provider senders', () => {
+    expect(
+      prepareSenderSettings({ byProvider: { twilio: { numbers: ['+1 500 555 0007'] } } }),
+    ).toMatchObject({ byProvider: { twilio: { numbers: ['+15005550007'] } } });
+    expect(() => prepareSenderSettings({ byProvider: { twilio: { numbers: ['+3012'] } } })).toThrow(
+      /Invalid pool number/,
+    );
+  });
+
+  it('reassigns contacts whose number left the pool and falls back to the provider default', async () => {
+    const shop = shopWith({ alphanumericId: 'Blossom', numbers: ['+447700900123'] });
+    const contact = { id: 'c1', senderNumber: '+12025550100' };
+
+    expect(await chooseSender({ shop, contact, phoneE164: US })).toBe('+447700900123');
+    expect(
+      await chooseSender({ shop: shopWith({ numbers: [] }), contact, phoneE164: US }),
+    ).toBeNull();
+    expect(await chooseSender({ shop: { id: 'shop_1' }, contact, phoneE164: US })).toBeNull();
+  });
+});
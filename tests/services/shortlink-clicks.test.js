@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  shortlink: { findUnique: vi.fn(), findMany: vi.fn(), update: vi.fn() },
+  shortlinkClick: { create: vi.fn() },
+  contact: { updateMany: vi.fn() },
+  campaign: { findMany: vi.fn() },
+  discount: { findMany: vi.fn() },
+  event: { findMany: vi.fn() },
+  message: { groupBy: vi.fn() },
+  $queryRaw: vi.fn(),
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+const { classifyClick } = await import('../../src/lib/link-clicks.js');
+const { resolveShortlink, hashClickIp } = await import('../../src/services/shortlinks.js');
+const { getCampaignAttribution } = await import('../../src/services/reports.js');
+
+const IPHONE =
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const MAC =
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15';
+
+describe('Shortlink click classification', () => {
+  it.each([
+    ['iMessage previews', 'facebookexternalhit/1.1 Facebot Twitterbot/1.0', 'imessage_preview'],
+    ['WhatsApp previews', 'WhatsApp/2.23.20.0 A', 'whatsapp_preview'],
+    ['Telegram previews', 'TelegramBot (like TwitterBot)', 'telegram_preview'],
+    ['HTTP clients', 'curl/8.4.0', 'http_client'],
+    ['fetches without a user agent', '', 'no_user_agent'],
+  ])('flags %s as bots', (_label, userAgent, botReason) => {
+    expect(classifyClick({ userAgent })).toEqual({ uaClass: 'bot', isBot: true, botReason });
+  });
+
+  it('flags HEAD probes and fetches right after delivery as scanners', () => {
+    expect(classifyClick({ userAgent: IPHONE, method: 'HEAD' }).botReason).toBe('head_request');
+    expect(classifyClick({ userAgent: IPHONE, ageMs: 1200 }).botReason).toBe('delivery_scan');
+    expect(classifyClick({ userAgent: IPHONE, ageMs: 60000 }).isBot).toBe(false);
+  });
+
+  it('classifies people by device', () => {
+    expect(classifyClick({ userAgent: IPHONE })).toEqual({
+      uaClass: 'mobile',
+      isBot: false,
+      botReason: null,
+    });
+    expect(classifyClick({ userAgent: MAC }).uaClass).toBe('desktop');
+    expect(classifyClick({ userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_5)' }).uaClass).toBe('tablet');
+  });
+});
+
+describe('Shortlink click events', () => {
+  const link = {
+    slug: 'abc123',
+    url: 'https://shop.example/?utm_campaign=camp_1',
+    shopId: 'shop_1',
+    campaignId: 'camp_1',
+    contactId: 'c1',
+    createdAt: new Date(Date.now() - 10 * 60 * 1000),
+    expiresAt: null,
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.unstubAllEnvs();
+    vi.stubEnv('CLICK_IP_HASH_KEY', 'test-click-key');
+    prisma.shortlink.findUnique.mockResolvedValue(link);
+    prisma.shortlinkClick.create.mockResolvedValue({});
+  });
+
+  it('records a human click against the recipient and counts it', async () => {
+    const url = await resolveShortlink('abc123', { ip: '203.0.113.7', userAgent: IPHONE });
+
+    expect(url).toBe(link.url);
+    const { data } = prisma.shortlinkClick.create.mock.calls[0][0];
+    expect(data).toEqual({
+      slug: 'abc123',
+      shopId: 'shop_1',
+      campaignId: 'camp_1',
+      contactId: 'c1',
+      ipHash: hashClickIp('203.0.113.7'),
+      uaClass: 'mobile',
+      isBot: false,
+      botReason: null,
+    });
+    expect(data.ipHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(prisma.shortlink.update).toHaveBeenCalledWith({
+      where: { slug: 'abc123' },
+      data: { clicks: { increment: 1 } },
+    });
+    expect(prisma.contact.updateMany).toHaveBeenCalled();
+  });
+
+  it('stores no IP hash without a configured key', async () => {
+    vi.stubEnv('CLICK_IP_HASH_KEY', '');
+    vi.stubEnv('ENCRYPTION_KEY', '');
+
+    await resolveShortlink('abc123', { ip: '203.0.113.7', userAgent: IPHONE });
+
+    expect(prisma.shortlinkClick.create.mock.calls[0][0].data.ipHash).toBeNull();
+    expect(prisma.shortlink.update).toHaveBeenCalled();
+  });
+
+  it('records link previews without counting them as clicks', async () => {
+    const url = await resolveShortlink('abc123', {
+      ip: '17.58.0.1',
+      userAgent: 'facebookexternalhit/1.1 Facebot Twitterbot/1.0',
+    });
+
+    expect(url).toBe(link.url);
+    expect(prisma.shortlinkClick.create.mock.calls[0][0].data).toMatchObject({
+      isBot: true,
+      botReason: 'imessage_preview',
+    });
+    expect(prisma.shortlink.update).not.toHaveBeenCalled();
+    expect(prisma.contact.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('Campaign click report', () => {
+  const from = new Date('2025-06-01T00:00:00Z');
+  const to = new Date('2025-06-08T00:00:00Z');
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    prisma.event.findMany.mockResolvedValue([]);
+    prisma.discount.findMany.mockResolvedValue([]);
+    prisma.shortlink.findMany.mockResolvedValue([{ campaignId: 'camp_1', clicks: 40 }]);
+    prisma.campaign.findMany.mockResolvedValue([{ id: 'camp_1', name: 'Summer' }]);
+    prisma.message.groupBy.mockResolvedValue([]);
+  });
+
+  it('lists unique, total and bot clicks per campaign in the range', async () => {
+    prisma.message.groupBy.mockResolvedValue(
+      Array.from({ length: 50 }, () => ({ campaignId: 'camp_1', status: 'sent' })),
+    );
+    prisma.$queryRaw.mockResolvedValue([{ campaignId: 'camp_1', total: 30, unique: 20, bots: 12 }]);
+
+    const [row] = await getCampaignAttribution({ shopId: 'shop_1', from, to });
+
+    // No orders, but the campaign drew clicks
+    expect(row).toMatchObject({
+      campaignId: 'camp_1',
+      revenue: 0,
+      clicks: { total: 30, unique: 20, bots: 12 },
+      uniqueClickRate: 0.4,
+      clicks_lifetime: 40,
+    });
+    const [sql, ...values] = prisma.$queryRaw.mock.calls[0];
+    expect(sql.join('?')).toContain('COUNT(DISTINCT COALESCE("contactId", "ipHash"))');
+    expect(values).toEqual(['shop_1', from, to]);
+  });
+
+  it('fails instead of reporting no clicks when the click query fails', async () => {
+    prisma.$queryRaw.mockRejectedValue(new Error('relation "ShortlinkClick" does not exist'));
+
+    await expect(getCampaignAttribution({ shopId: 'shop_1', from, to })).rejects.toThrow(
+      /ShortlinkClick/,
+    );
+  });
+});
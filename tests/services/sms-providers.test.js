@@ -0,0 +1,278 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { MockMittoServer } from '../mocks/mock-mitto.js';
+import { MockTwilioServer } from '../mocks/mock-twilio.js';
+
+const prisma = vi.hoisted(() => ({
+  message: { findUnique: vi.fn(), findFirst: vi.fn(), update: vi.fn() },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/services/conversations.js', () => ({
+  recordInboundMessage: vi.fn(),
+}));
+
+vi.mock('../../src/services/keywords.js', () => ({
+  handleInboundKeyword: vi.fn(),
+}));
+
+const mitto = new MockMittoServer(3012);
+const twilio = new MockTwilioServer(3013);
+
+process.env.MITTO_API_KEY = 'mitto_key';
+process.env.MITTO_API_URL = `${mitto.getBaseUrl()}/api/v1`;
+process.env.MITTO_MAX_RETRIES = '1';
+process.env.TWILIO_ACCOUNT_SID = 'AC_test';
+process.env.TWILIO_AUTH_TOKEN = 'twilio_token';
+process.env.TWILIO_API_URL = twilio.getBaseUrl();
+process.env.TWILIO_FROM_NUMBER = '+15005550006';
+
+const { sendSms, shopProviders } = await import('../../src/providers/index.js');
+const { isCircuitOpen, resetCircuits } = await import('../../src/providers/circuit-breaker.js');
+const { resetSendTokens } = await import('../../src/providers/rate-limiter.js');
+const { twilioProvider, getTwilioClient } = await import('../../src/providers/twilio.js');
+const { mittoProvider } = await import('../../src/providers/mitto.js');
+const { applyDeliveryReceipt } = await import('../../src/services/sms-events.js');
+const { default: twilioWebhooks } = await import('../../src/webhooks/twilio.js');
+const { default: mittoInbound } = await import('../../src/webhooks/mitto-inbound.js');
+const { handleInboundKeyword } = await import('../../src/services/keywords.js');
+const { logger } = await import('../../src/lib/logger.js');
+
+function shopWith(sms) {
+  return { id: 'shop_1', settingsJson: sms ? { sms } : null };
+}
+
+const callbackUrl = (name) => `https://app.example/webhooks/${name}/dlr?mid=m1`;
+
+describe('SMS providers', () => {
+  beforeAll(async () => {
+    await mitto.start();
+    await twilio.start();
+  });
+
+  afterAll(async () => {
+    await mitto.stop();
+    await twilio.stop();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetCircuits();
+    resetSendTokens();
+    mitto.clearMessages();
+    mitto.endOutage();
+    twilio.clearMessages();
+    twilio.endOutage();
+  });
+
+  it('sends through Mitto unless the shop picks another provider', async () => {
+    expect(shopProviders(shopWith(null))).toEqual({ primary: 'mitto', secondary: null });
+
+    const result = await sendSms({
+      shop: shopWith(null),
+      to: '+306912345678',
+      text: 'Hi',
+      from: 'Blossom',
+    });
+
+    expect(result).toMatchObject({ provider: 'mitto', status: 'sent' });
+    expect(result.providerMsgId).toMatch(/^msg_/);
+    expect(mitto.getSentMessages()).toEqual([expect.objectContaining({ from: 'Blossom' })]);
+  });
+
+  it('sends form-encoded through the Twilio adapter with a per-provider callback', async () => {
+    const result = await sendSms({
+      shop: shopWith({ provider: 'twilio' }),
+      to: '+306912345678',
+      text: 'Hi',
+      callbackUrl,
+    });
+
+    expect(result).toMatchObject({ provider: 'twilio', status: 'queued' });
+    expect(twilio.getSentMessages()).toEqual([
+      expect.objectContaining({
+        to: '+306912345678',
+        body: 'Hi',
+        from: '+15005550006',
+        statusCallback: 'https://app.example/webhooks/twilio/dlr?mid=m1',
+      }),
+    ]);
+  });
+
+  it('fails over to the secondary after repeated transient errors', async () => {
+    const shop = shopWith({ provider: 'mitto', secondaryProvider: 'twilio' });
+    mitto.simulateOutage(503);
+
+    for (let i = 0; i < 2; i++) {
+      await expect(sendSms({ shop, to: '+306912345678', text: 'Hi' })).rejects.toMatchObject({
+        provider: 'mitto',
+        isTransient: true,
+      });
+    }
+    // Third transient error opens Mitto's circuit; this message goes out on Twilio
+    expect(await sendSms({ shop, to: '+306912345678', text: 'Hi' })).toMatchObject({
+      provider: 'twilio',
+    });
+    expect(await isCircuitOpen('mitto')).toBe(true);
+
+    // Later traffic skips Mitto entirely while its circuit is open
+    mitto.endOutage();
+    await sendSms({ shop, to: '+306912345678', text: 'Hi' });
+    expect(mitto.getSentMessages()).toHaveLength(0);
+    expect(twilio.getSentMessages()).toHaveLength(2);
+  });
+
+  it('picks the sender for the provider that sends after failover', async () => {
+    const shop = shopWith({ provider: 'mitto', secondaryProvider: 'twilio' });
+    const from = vi.fn(async (name) => (name === 'twilio' ? '+15005550007' : 'Blossom'));
+    mitto.simulateOutage(503);
+
+    for (let i = 0; i < 2; i++) {
+      await expect(sendSms({ shop, to: '+306912345678', text: 'Hi', from })).rejects.toThrow();
+    }
+    const result = await sendSms({ shop, to: '+306912345678', text: 'Hi', from });
+
+    expect(result).toMatchObject({ provider: 'twilio', from: '+15005550007' });
+    expect(from.mock.calls.map(([name]) => name)).toEqual(['mitto', 'mitto', 'mitto', 'twilio']);
+    expect(twilio.getSentMessages()).toEqual([expect.objectContaining({ from: '+15005550007' })]);
+  });
+
+  it('does not fail over on permanent errors', async () => {
+    const shop = shopWith({ provider: 'twilio', secondaryProvider: 'mitto' });
+
+    for (let i = 0; i < 3; i++) {
+      await expect(sendSms({ shop, to: 'not-a-number', text: 'Hi' })).rejects.toMatchObject({
+        provider: 'twilio',
+        isTransient: false,
+        providerCode: 21211,
+      });
+    }
+    expect(await isCircuitOpen('twilio')).toBe(false);
+    expect(mitto.getSentMessages()).toHaveLength(0);
+  });
+
+  it('normalizes delivery receipts and inbound messages from both providers', () => {
+    expect(
+      mittoProvider.parseDlr({ message_id: 'msg_1', status: 'undelivered', error_code: 'E1' }),
+    ).toMatchObject({
+      providerMsgId: 'msg_1',
+      status: 'failed',
+      rawStatus: 'undelivered',
+      errorCode: 'E1',
+    });
+    expect(
+      twilioProvider.parseDlr({ MessageSid: 'SM1', MessageStatus: 'delivered' }),
+    ).toMatchObject({ providerMsgId: 'SM1', status: 'delivered' });
+    expect(twilioProvider.parseDlr({})).toBeNull();
+
+    expect(
+      twilioProvider.parseInbound({ From: '+306912345678', Body: ' STOP ', MessageSid: 'SM2' }),
+    ).toEqual({ from: '+306912345678', to: '', text: 'STOP', providerMessageId: 'SM2' });
+    expect(mittoProvider.parseInbound({ msisdn: '+306912345678', message: 'HELP' })).toMatchObject({
+      from: '+306912345678',
+      text: 'HELP',
+    });
+  });
+
+  it('verifies Twilio webhook signatures', () => {
+    const url = 'https://app.example/webhooks/twilio/dlr?mid=m1';
+    const params = { MessageStatus: 'delivered', MessageSid: 'SM1' };
+    const signature = crypto
+      .createHmac('sha1', 'twilio_token')
+      .update(`${url}MessageSidSM1MessageStatusdelivered`)
+      .digest('base64');
+
+    expect(getTwilioClient().verifySignature({ url, params, signature })).toBe(true);
+    expect(
+      getTwilioClient().verifySignature({
+        url,
+        params: { ...params, MessageSid: 'SM9' },
+        signature,
+      }),
+    ).toBe(false);
+  });
+
+  it('refuses Twilio webhooks when no auth token is configured', async () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use('/webhooks/twilio', twilioWebhooks);
+    delete process.env.TWILIO_AUTH_TOKEN;
+    try {
+      const res = await request(app)
+        .post('/webhooks/twilio/inbound')
+        .type('form')
+        .send({ From: '+306912345678', Body: 'STOP', MessageSid: 'SM2' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('signature_not_verifiable');
+    } finally {
+      process.env.TWILIO_AUTH_TOKEN = 'twilio_token';
+    }
+  });
+
+  it('keeps inbound numbers and text out of the logs', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+    app.use('/webhooks/mitto/inbound', mittoInbound);
+    app.use('/webhooks/twilio', twilioWebhooks);
+    const logged = ['info', 'warn', 'error'].map((level) => vi.spyOn(logger, level));
+    handleInboundKeyword
+      .mockResolvedValueOnce({ keyword: 'STOP', action: 'stop', contactIds: ['c1'] })
+      .mockRejectedValueOnce(new Error('db down'));
+    vi.stubEnv('APP_URL', 'https://app.example');
+    const params = { From: '+306912345678', Body: 'Call me on +306900000000', MessageSid: 'SM2' };
+    const signature = crypto
+      .createHmac('sha1', 'twilio_token')
+      .update(
+        'https://app.example/webhooks/twilio/inbound' +
+          'BodyCall me on +306900000000From+306912345678MessageSidSM2',
+      )
+      .digest('base64');
+
+    try {
+      await request(app)
+        .post('/webhooks/mitto/inbound')
+        .send({ msisdn: '+306912345678', message: 'STOP', id: 'mitto_in_1' })
+        .expect(200);
+      await request(app)
+        .post('/webhooks/twilio/inbound')
+        .set('X-Twilio-Signature', signature)
+        .type('form')
+        .send(params)
+        .expect(200);
+
+      // The keyword match and the failure both reach the shared inbound path
+      expect(handleInboundKeyword).toHaveBeenCalledTimes(2);
+      const lines = JSON.stringify(logged.flatMap((spy) => spy.mock.calls));
+      expect(lines).toContain('mitto_in_1');
+      expect(lines).not.toContain('+3069');
+      expect(lines).not.toContain('Call me');
+    } finally {
+      logged.forEach((spy) => spy.mockRestore());
+      vi.unstubAllEnvs();
+    }
+  });
+
+  it('applies a receipt to the message named in the callback URL', async () => {
+    prisma.message.findUnique.mockResolvedValue({ id: 'm1', metadata: { providerMsgId: 'SM1' } });
+    prisma.message.update.mockImplementation(async ({ data }) => ({ id: 'm1', ...data }));
+
+    const message = await applyDeliveryReceipt({
+      provider: 'twilio',
+      receipt: twilioProvider.parseDlr({ MessageSid: 'SM1', MessageStatus: 'undelivered' }),
+      messageId: 'm1',
+    });
+
+    expect(prisma.message.findUnique).toHaveBeenCalledWith({ where: { id: 'm1' } });
+    expect(message).toMatchObject({
+      status: 'failed',
+      metadata: { providerMsgId: 'SM1', dlr_provider: 'twilio', dlr_status: 'undelivered' },
+    });
+  });
+});
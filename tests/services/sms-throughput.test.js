@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+const prisma = vi.hoisted(() => ({
+  campaign: { findUnique: vi.fn() },
+  campaignRecipient: { findMany: vi.fn(), updateMany: vi.fn() },
+}));
+
+vi.mock('../../src/db/prismaClient.js', () => ({
+  getPrismaClient: () => prisma,
+}));
+
+vi.mock('../../src/queue/driver.js', () => ({
+  getRedisConnection: () => null,
+}));
+
+vi.mock('../../src/queue/queues.js', () => ({
+  enqueueJob: vi.fn(),
+}));
+
+vi.mock('../../src/services/messages.js', () => ({
+  renderGateQueueAndSend: vi.fn(async () => ({ sent: true, messageId: 'msg_1' })),
+}));
+
+const { allowRequest, isCircuitOpen, recordFailure, recordSuccess, resetCircuits } = await import(
+  '../../src/providers/circuit-breaker.js'
+);
+const { takeSendToken, acquireSendToken, resetSendTokens } = await import(
+  '../../src/providers/rate-limiter.js'
+);
+const { sendCampaignBatched } = await import('../../src/services/campaigns-sender.js');
+const { getMetrics } = await import('../../src/metrics/index.js');
+const { enqueueJob } = await import('../../src/queue/queues.js');
+const { renderGateQueueAndSend } = await import('../../src/services/messages.js');
+
+const now = Date.parse('2025-06-01T10:00:00Z');
+
+async function openCircuit(name, at = now) {
+  for (let i = 0; i < 3; i++) await recordFailure(name, at);
+}
+
+describe('Provider circuit breaker', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetCircuits();
+  });
+
+  it('opens after consecutive transient errors and lets one trial send through later', async () => {
+    await recordFailure('mitto', now);
+    await recordFailure('mitto', now);
+    expect(await isCircuitOpen('mitto', now)).toBe(false);
+
+    await recordFailure('mitto', now);
+    expect(await isCircuitOpen('mitto', now)).toBe(true);
+    expect(await allowRequest('mitto', now + 59_000)).toBe(false);
+
+    // Open period over: the first caller gets the trial, the rest wait for its outcome
+    expect(await allowRequest('mitto', now + 60_000)).toBe(true);
+    expect(await allowRequest('mitto', now + 60_001)).toBe(false);
+
+    await recordSuccess('mitto');
+    expect(await allowRequest('mitto', now + 60_002)).toBe(true);
+  });
+
+  it('re-opens straight away when the trial send fails', async () => {
+    await openCircuit('mitto');
+    expect(await allowRequest('mitto', now + 60_000)).toBe(true);
+
+    expect(await recordFailure('mitto', now + 60_000)).toBe(true);
+    expect(await isCircuitOpen('mitto', now + 61_000)).toBe(true);
+  });
+
+  it('reports state changes and leaves the shared queues running', async () => {
+    await openCircuit('twilio');
+    // Shops on other providers keep sending; per-shop checks hold back the rest
+    expect(await isCircuitOpen('mitto', now)).toBe(false);
+
+    await allowRequest('twilio', now + 60_000);
+    await recordSuccess('twilio');
+    expect(enqueueJob).not.toHaveBeenCalled();
+
+    const text = await getMetrics();
+    expect(text).toContain('sms_provider_circuit_state{provider="twilio"} 0');
+    expect(text).toContain(
+      'sms_provider_circuit_transitions_total{provider="twilio",state="open"} 1',
+    );
+  });
+
+  it('stops a campaign run while the shop has no provider to send through', async () => {
+    await openCircuit('mitto', Date.now());
+    prisma.campaign.findUnique.mockResolvedValue({ status: 'sending' });
+    prisma.campaignRecipient.findMany.mockResolvedValue([
+      { id: 'r1', contact: { id: 'c1', smsConsentState: 'opted_in', optedOut: false } },
+    ]);
+
+    const result = await sendCampaignBatched({
+      shop: { id: 'shop_1', domain: 'test-shop.myshopify.com' },
+      campaign: { id: 'camp_1' },
+    });
+
+    expect(result).toMatchObject({ sent: 0, stopped: 'circuit_open' });
+    expect(renderGateQueueAndSend).not.toHaveBeenCalled();
+    const at = result.resumeAt.getTime();
+    expect(enqueueJob).toHaveBeenCalledWith(
+      'campaigns',
+      'batch',
+      expect.objectContaining({ campaignId: 'camp_1', shopId: 'shop_1' }),
+      expect.objectContaining({ jobId: `campaign-camp_1-retry-${at}` }),
+    );
+  });
+});
+
+describe('Provider throughput limiter', () => {
+  beforeEach(() => {
+    resetSendTokens();
+    process.env.SMS_RATE_TWILIO_PER_SEC = '2';
+  });
+
+  afterEach(() => {
+    delete process.env.SMS_RATE_TWILIO_PER_SEC;
+  });
+
+  it('hands out a burst, then one token per 1/rate seconds', async () => {
+    expect(await takeSendToken('twilio', now)).toBe(0);
+    expect(await takeSendToken('twilio', now)).toBe(0);
+    expect(await takeSendToken('twilio', now)).toBe(500);
+    expect(await takeSendToken('twilio', now + 250)).toBe(250);
+    expect(await takeSendToken('twilio', now + 500)).toBe(0);
+  });
+
+  it('waits for a token and reports the wait on /metrics', async () => {
+    await takeSendToken('twilio');
+    await takeSendToken('twilio');
+
+    expect(await acquireSendToken('twilio')).toBeGreaterThan(0);
+    expect(await getMetrics()).toMatch(/sms_rate_limit_waits_total\{provider="twilio"\} 1/);
+  });
+});
@@ -0,0 +1,62 @@
+// tests/timezones.test.js
+// Tests for timezone helpers used by scheduled campaigns
+
+import { describe, it, expect } from 'vitest';
+import {
+  contactTimezone,
+  isValidTimezone,
+  timezoneForPhone,
+  zonedTimeToUtc,
+} from '../src/lib/timezones.js';
+
+describe('zonedTimeToUtc', () => {
+  it('converts wall-clock time in a timezone to UTC', () => {
+    expect(zonedTimeToUtc('2025-01-15T10:00', 'Europe/Athens').toISOString()).toBe(
+      '2025-01-15T08:00:00.000Z',
+    );
+    expect(zonedTimeToUtc('2025-07-15T10:00', 'Europe/Athens').toISOString()).toBe(
+      '2025-07-15T07:00:00.000Z',
+    );
+    expect(zonedTimeToUtc('2025-07-15T10:00', 'America/New_York').toISOString()).toBe(
+      '2025-07-15T14:00:00.000Z',
+    );
+  });
+
+  it('resolves times skipped by a DST jump after the jump', () => {
+    // Europe/Athens springs forward 03:00 → 04:00 on 2025-03-30
+    expect(zonedTimeToUtc('2025-03-30T03:30', 'Europe/Athens').toISOString()).toBe(
+      '2025-03-30T01:30:00.000Z',
+    );
+  });
+
+  it('falls back to UTC for unknown zones and rejects malformed input', () => {
+    expect(zonedTimeToUtc('2025-01-15T10:00', 'Mars/Olympus').toISOString()).toBe(
+      '2025-01-15T10:00:00.000Z',
+    );
+    expect(zonedTimeToUtc('tomorrow at 10', 'UTC')).toBeNull();
+  });
+});
+
+describe('timezoneForPhone / contactTimezone', () => {
+  it('infers a timezone from the country calling code', () => {
+    expect(timezoneForPhone('+306912345678')).toBe('Europe/Athens');
+    expect(timezoneForPhone('+442071838750')).toBe('Europe/London');
+    expect(timezoneForPhone('not-a-phone')).toBeNull();
+  });
+
+  it('prefers the contact timezone, then phone prefix, then fallback', () => {
+    expect(contactTimezone({ timezone: 'Asia/Tokyo', phoneE164: '+306912345678' })).toBe(
+      'Asia/Tokyo',
+    );
+    expect(contactTimezone({ timezone: 'bogus', phoneE164: '+306912345678' })).toBe(
+      'Europe/Athens',
+    );
+    expect(contactTimezone({ phoneE164: null }, 'Europe/Berlin')).toBe('Europe/Berlin');
+  });
+
+  it('validates IANA names', () => {
+    expect(isValidTimezone('Europe/Athens')).toBe(true);
+    expect(isValidTimezone('Europe/Atlantis')).toBe(false);
+    expect(isValidTimezone(null)).toBe(false);
+  });
+});